@@ -0,0 +1,19 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import { rebuildInventory } from './src/lib/inventory.js';
+
+dotenv.config();
+
+// Recompute the ResourceInventory ledger from existing bookings
+// Run once after deploying the ledger, or to repair it after manual DB edits
+// Usage: node rebuild-inventory.js
+
+await mongoose.connect(process.env.MONGO_URI);
+
+const count = await rebuildInventory();
+
+console.log('\n=== INVENTORY LEDGER REBUILT ===\n');
+console.log('Bookings holding inventory:', count);
+console.log('\n================================\n');
+
+await mongoose.disconnect();
@@ -0,0 +1,35 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import User from './src/models/User.js';
+import { ROLES } from './src/middleware/role.middleware.js';
+
+dotenv.config();
+
+// Bootstrap the first super admin (after that, use PATCH /api/auth/users/:userId/role)
+// Usage: node set-user-role.js <phoneNumber> <role>
+const [phoneNumber, role] = process.argv.slice(2);
+
+if (!phoneNumber || !ROLES.includes(role)) {
+    console.log(`Usage: node set-user-role.js <phoneNumber> <${ROLES.join('|')}>`);
+    process.exit(1);
+}
+
+await mongoose.connect(process.env.MONGO_URI);
+
+const user = await User.findOneAndUpdate(
+    { phoneNumber },
+    { role },
+    { new: true }
+);
+
+if (!user) {
+    console.log(`No user found with phone number ${phoneNumber}`);
+} else {
+    console.log('\n=== ROLE UPDATED ===\n');
+    console.log('User:', user.fullName);
+    console.log('Phone:', user.phoneNumber);
+    console.log('Role:', user.role);
+    console.log('\n====================\n');
+}
+
+await mongoose.disconnect();
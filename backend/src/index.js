@@ -6,6 +6,22 @@ import cors from 'cors';
 import resourceRoutes from './routes/resourceRoutes.js';
 import packageRoutes from './routes/packageRoutes.js';
 import bookingRoutes from './routes/bookingRoutes.js';
+import paymentRoutes from './routes/paymentRoutes.js';
+import pricingRuleRoutes from './routes/pricingRuleRoutes.js';
+import couponRoutes from './routes/couponRoutes.js';
+import accountingRoutes from './routes/accountingRoutes.js';
+import uploadRoutes from './routes/uploadRoutes.js';
+import waitlistRoutes from './routes/waitlistRoutes.js';
+import { getLocalUploadDir } from './lib/imageStorage.js';
+import {
+    expireHoldsJob,
+    refreshRefundsJob,
+    notificationQueueJob,
+    checkInRemindersJob,
+    orphanedImagesJob,
+    waitlistOffersJob,
+    waitlistSweepJob
+} from './lib/job.js';
 
 const app = express();
 
@@ -18,11 +34,27 @@ app.use(cors({
     credentials: true
 }));
 
-app.use(express.json());
+app.use(express.json({
+    // Keep the raw body - Razorpay webhook signatures are computed over it
+    verify: (req, res, buf) => {
+        req.rawBody = buf;
+    }
+}));
 app.use("/api/auth", authRoutes);
 app.use("/api/resources", resourceRoutes);
 app.use("/api/packages", packageRoutes);
 app.use("/api/bookings", bookingRoutes);
+app.use("/api/payments", paymentRoutes);
+app.use("/api/pricing-rules", pricingRuleRoutes);
+app.use("/api/coupons", couponRoutes);
+app.use("/api/accounting", accountingRoutes);
+app.use("/api/uploads", uploadRoutes);
+app.use("/api/waitlist", waitlistRoutes);
+
+// Images stored on local disk (IMAGE_STORAGE=local, development only)
+if (process.env.IMAGE_STORAGE === 'local') {
+    app.use("/uploads", express.static(getLocalUploadDir()));
+}
 
 // Global error handler
 app.use((err, req, res, next) => {
@@ -47,4 +79,11 @@ app.listen(PORT, '0.0.0.0', ()=>{
     console.log(`Local: http://localhost:${PORT}`);
     console.log(`Network: http://192.168.0.12:${PORT}`);
     connectDB();
+    expireHoldsJob.start();
+    refreshRefundsJob.start();
+    notificationQueueJob.start();
+    checkInRemindersJob.start();
+    orphanedImagesJob.start();
+    waitlistOffersJob.start();
+    waitlistSweepJob.start();
 })  
\ No newline at end of file
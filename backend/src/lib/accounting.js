@@ -0,0 +1,117 @@
+import Invoice from '../models/Invoice.js';
+import CreditNote from '../models/CreditNote.js';
+import DebitNote from '../models/DebitNote.js';
+import { formatDocumentDate } from './invoices.js';
+
+// ==================== ACCOUNTING EXPORTS ====================
+// GST register for the accountant: every invoice, credit note and debit note
+// issued in a period, one row each. Credit notes are negative so the columns
+// add up to the net tax payable.
+
+export const GST_REGISTER_COLUMNS = [
+    { key: 'documentType', label: 'Document Type' },
+    { key: 'documentNumber', label: 'Document No' },
+    { key: 'documentDate', label: 'Document Date' },
+    { key: 'originalInvoiceNumber', label: 'Original Invoice No' },
+    { key: 'bookingReferenceId', label: 'Booking Ref' },
+    { key: 'customerName', label: 'Customer Name' },
+    { key: 'customerGstin', label: 'Customer GSTIN' },
+    { key: 'placeOfSupply', label: 'Place of Supply' },
+    { key: 'supplyType', label: 'Supply Type' },
+    { key: 'sacCode', label: 'SAC' },
+    { key: 'gstRate', label: 'GST Rate' },
+    { key: 'taxableAmount', label: 'Taxable Value' },
+    { key: 'cgst', label: 'CGST' },
+    { key: 'sgst', label: 'SGST' },
+    { key: 'igst', label: 'IGST' },
+    { key: 'totalTax', label: 'Total Tax' },
+    { key: 'totalAmount', label: 'Total Amount' }
+];
+
+/**
+ * One register row from an invoice or debit note (sign 1) or credit note (sign -1)
+ */
+const registerRow = (document, { documentType, documentNumber, originalInvoiceNumber, sign }) => ({
+    documentType,
+    documentNumber,
+    documentDate: formatDocumentDate(document.issuedAt),
+    issuedAt: document.issuedAt,
+    originalInvoiceNumber,
+    bookingReferenceId: document.bookingReferenceId || '',
+    customerName: document.customer?.name || '',
+    customerGstin: document.customer?.gstin || '',
+    placeOfSupply: `${document.placeOfSupply?.stateCode || ''}-${document.placeOfSupply?.stateName || ''}`,
+    supplyType: document.supplyType,
+    sacCode: document.lineItems?.[0]?.sacCode || '',
+    gstRate: document.gstRate,
+    taxableAmount: sign * document.taxableAmount,
+    cgst: sign * (document.cgst?.amount || 0),
+    sgst: sign * (document.sgst?.amount || 0),
+    igst: sign * (document.igst?.amount || 0),
+    totalTax: sign * document.totalTax,
+    totalAmount: sign * document.totalAmount
+});
+
+/**
+ * Invoices, credit notes and debit notes issued between two dates, oldest first
+ *
+ * @param {Date} from - start (inclusive)
+ * @param {Date} to - end (inclusive)
+ * @returns {Promise<object>} { rows, totals }
+ */
+export const buildGstRegister = async (from, to) => {
+    const filter = { issuedAt: { $gte: from, $lte: to } };
+
+    const [invoices, creditNotes, debitNotes] = await Promise.all([
+        Invoice.find(filter).lean(),
+        CreditNote.find(filter).lean(),
+        DebitNote.find(filter).lean()
+    ]);
+
+    const rows = [
+        ...invoices.map(invoice => registerRow(invoice, {
+            documentType: 'Invoice',
+            documentNumber: invoice.invoiceNumber,
+            originalInvoiceNumber: '',
+            sign: 1
+        })),
+        ...creditNotes.map(creditNote => registerRow(creditNote, {
+            documentType: 'Credit Note',
+            documentNumber: creditNote.creditNoteNumber,
+            originalInvoiceNumber: creditNote.invoiceNumber,
+            sign: -1
+        })),
+        ...debitNotes.map(debitNote => registerRow(debitNote, {
+            documentType: 'Debit Note',
+            documentNumber: debitNote.debitNoteNumber,
+            originalInvoiceNumber: debitNote.invoiceNumber,
+            sign: 1
+        }))
+    ].sort((a, b) => a.issuedAt - b.issuedAt);
+
+    const totals = {};
+    for (const key of ['taxableAmount', 'cgst', 'sgst', 'igst', 'totalTax', 'totalAmount']) {
+        totals[key] = Math.round(rows.reduce((sum, row) => sum + row[key], 0) * 100) / 100;
+    }
+
+    return { rows, totals };
+};
+
+/**
+ * Quote a CSV value if it contains a comma, quote or newline
+ */
+const csvValue = (value) => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Rows as CSV with a header line
+ */
+export const toCsv = (rows, columns) => {
+    const lines = [columns.map(column => csvValue(column.label)).join(',')];
+    for (const row of rows) {
+        lines.push(columns.map(column => csvValue(row[column.key])).join(','));
+    }
+    return lines.join('\n');
+};
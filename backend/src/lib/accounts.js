@@ -0,0 +1,103 @@
+import dayjs from 'dayjs';
+import utc from 'dayjs/plugin/utc.js';
+import Booking from '../models/Booking.js';
+import Notification from '../models/Notification.js';
+import OtpCode from '../models/OtpCode.js';
+import User from '../models/User.js';
+import { revokeAllSessions } from './sessions.js';
+import { removeImageQuietly } from './imageStorage.js';
+import { closeUserWaitlist } from './waitlist.js';
+
+dayjs.extend(utc);
+
+// ==================== ACCOUNT DELETION ====================
+// Deleting an account removes the user and scrubs their personal details
+// from their bookings. What the tax rules make us keep stays untouched:
+// the bookings themselves (amounts, payments, refunds), invoices and credit
+// notes. Invoices hold their own copy of the buyer (Invoice.customer).
+//
+// Waitlist entries are closed, so stays aren't offered to (and held for) a
+// user who can't book them any more.
+//
+// Deletion is refused while the user has a stay coming up (or in progress),
+// or a payment in progress - cancel the booking first.
+
+const ANONYMISED_GUEST = {
+    'guestDetails.fullName': 'Deleted user',
+    'guestDetails.phoneNumber': '0000000000',
+    'guestDetails.email': 'deleted-user@invalid',
+};
+
+/**
+ * Booking that stops the user from deleting their account, if any
+ * @returns {object|null} { booking, reason }
+ */
+export const findBlockingBooking = async (userId, now = new Date()) => {
+    const upcoming = await Booking.findOne({
+        userId,
+        status: { $in: ['confirmed', 'checked_in'] },
+        checkOutDate: { $gte: dayjs.utc(now).startOf('day').toDate() }
+    }).select('bookingReferenceId checkInDate status');
+
+    if (upcoming) {
+        return {
+            booking: upcoming,
+            reason: `You have an upcoming booking (${upcoming.bookingReferenceId}). Please cancel it before deleting your account`
+        };
+    }
+
+    const paying = await Booking.findOne({
+        userId,
+        status: 'pending',
+        holdExpiresAt: { $gt: now }
+    }).select('bookingReferenceId');
+
+    if (paying) {
+        return {
+            booking: paying,
+            reason: 'A payment is in progress. Please try again in a few minutes'
+        };
+    }
+
+    return null;
+};
+
+/**
+ * Delete a user's account, anonymising their bookings
+ * @param {object} user - User document
+ * @returns {object} { anonymisedBookings } or { error, status }
+ */
+export const deleteAccount = async (user) => {
+    const blocking = await findBlockingBooking(user._id);
+    if (blocking) {
+        return { error: blocking.reason, status: 409 };
+    }
+
+    const bookings = await Booking.find({ userId: user._id }).select('_id');
+    const bookingIds = bookings.map(booking => booking._id);
+
+    const result = await Booking.updateMany(
+        { userId: user._id },
+        {
+            $set: { ...ANONYMISED_GUEST, anonymisedAt: new Date() },
+            $unset: {
+                'guestDetails.alternatePhone': '',
+                'guestDetails.address': '',
+                'guestDetails.idProofType': '',
+                'guestDetails.idProofNumber': '',
+                specialRequests: ''
+            }
+        }
+    );
+
+    await closeUserWaitlist(user._id, 'Account deleted');
+
+    // Sent messages hold names and contact details; nothing here is a tax record
+    await Notification.deleteMany({ booking: { $in: bookingIds } });
+    await OtpCode.deleteMany({ phoneNumber: user.phoneNumber });
+    await revokeAllSessions(user._id, 'account_deleted');
+    await User.deleteOne({ _id: user._id });
+    await removeImageQuietly(user.avatarKey);
+
+    return { anonymisedBookings: result.modifiedCount };
+};
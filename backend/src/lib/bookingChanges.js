@@ -0,0 +1,544 @@
+import dayjs from 'dayjs';
+import utc from 'dayjs/plugin/utc.js';
+import Booking from '../models/Booking.js';
+import Coupon from '../models/Coupon.js';
+import { getRazorpay } from './razorpay.js';
+import { diffInventory, reserveUnitChanges, releaseUnits } from './inventory.js';
+import { calculateDiscount, applyDiscount } from './coupons.js';
+import { getHoldExpiry } from './holds.js';
+import { orderLedgerEntry, normalizePaymentMethod } from './payments.js';
+import { refundBookingChange } from './refunds.js';
+import { issueAdjustmentCreditNote } from './creditNotes.js';
+import { issueDebitNote } from './debitNotes.js';
+import { notifyBooking } from './notifications.js';
+import { offerReleasedNights } from './waitlist.js';
+
+dayjs.extend(utc);
+
+// ==================== BOOKING CHANGES ====================
+// A confirmed booking can move to new dates (lib/reschedules.js) or add and
+// remove rooms (lib/roomChanges.js). Those modules check their policy and
+// price the change; this one holds the units, settles the difference and
+// records it in booking.changes.
+//
+// Only the difference in units is taken from the ledger (see diffInventory),
+// so nights and rooms the booking already has never count against it.
+// Units it gives up are offered to the waitlist (lib/waitlist.js).
+//
+// Settling the difference against what was paid:
+//   refund   - paid more than the new total: the rest goes back now
+//   balance  - deposit booking: the unpaid balance grows or shrinks
+//   top_up   - fully paid and the new total is higher: the guest pays the
+//              difference through Razorpay. The change waits for it
+//              (pending_payment) with the extra units held; if it isn't
+//              paid before holdExpiresAt the change expires.
+//   none     - same total
+//
+// The invoice follows the new total: a debit note for an increase, a credit
+// note for a decrease (once the change is applied).
+//
+// Functions return { error, status } instead of throwing, like lib/quotes.js.
+
+// Notification sent when a change is applied, per kind
+const CHANGE_EVENTS = {
+    dates: 'booking_rescheduled',
+    rooms: 'booking_rooms_changed'
+};
+
+const formatDate = (date) => dayjs.utc(date).format('DD-MM-YYYY');
+
+/**
+ * One line describing a change (refund notes, credit / debit notes)
+ */
+const describeChange = (entry) => {
+    if (entry.kind === 'rooms') {
+        const rooms = entry.toRooms.map(room => `${room.quantity} × ${room.name}`).join(', ');
+        return `Rooms changed to ${rooms}`;
+    }
+
+    return `Dates changed to ${formatDate(entry.toCheckInDate)} - ${formatDate(entry.toCheckOutDate)}`;
+};
+
+// ==================== PRICE ====================
+
+/**
+ * New price of the stay with the booking's coupon applied again
+ * A coupon that has since been deleted keeps its old discount.
+ */
+export const applyBookingCoupon = async (booking, price) => {
+    const { couponId } = booking.pricing.coupon || {};
+
+    if (!couponId) {
+        return price;
+    }
+
+    const coupon = await Coupon.findById(couponId);
+    const discountAmount = coupon
+        ? calculateDiscount(coupon, price.subtotal)
+        : Math.min(booking.pricing.discountAmount || 0, price.subtotal);
+
+    return applyDiscount(price, discountAmount);
+};
+
+/**
+ * How the difference between the new total and what was paid is settled
+ */
+const getSettlement = (booking, newAmount) => {
+    const paidAmount = booking.pricing.paidAmount || 0;
+    const difference = newAmount - paidAmount;
+
+    if (difference < 0) {
+        return { type: 'refund', amount: -difference, paidAmount: newAmount };
+    }
+
+    if (booking.payment.status === 'partially_paid') {
+        return { type: 'balance', amount: newAmount - booking.pricing.finalAmount, paidAmount };
+    }
+
+    if (difference > 0) {
+        return { type: 'top_up', amount: difference, paidAmount: newAmount };
+    }
+
+    return { type: 'none', amount: 0, paidAmount };
+};
+
+/**
+ * Balance due date of a deposit booking checking in on checkInDate
+ * (due now when check-in is too close)
+ */
+const getBalanceDueDate = (pkg, checkInDate, now) => {
+    const daysBefore = pkg.pricing?.deposit?.balanceDueDaysBeforeCheckIn ?? 7;
+    const dueDate = dayjs(checkInDate).subtract(daysBefore, 'day');
+    return dueDate.isAfter(dayjs(now)) ? dueDate.toDate() : now;
+};
+
+/**
+ * Settlement of a new booking total and the payment fields that go with it
+ *
+ * @param {object} booking - Booking document (before the change)
+ * @param {object} pkg - Package document
+ * @param {number} newAmount - finalAmount after the change
+ * @param {object} options - { checkInDate (after the change), now }
+ * @returns {object} { settlement: { type, amount, paidAmount }, pricing, payment }
+ *          pricing / payment are Booking.pricing / Booking.payment fields to set
+ */
+export const settleNewTotal = (booking, pkg, newAmount, { checkInDate, now }) => {
+    const settlement = getSettlement(booking, newAmount);
+    const balanceAmount = newAmount - settlement.paidAmount;
+
+    return {
+        settlement,
+        pricing: {
+            finalAmount: newAmount,
+            paidAmount: settlement.paidAmount,
+            balanceAmount,
+            ...(balanceAmount > 0 && { balanceDueDate: getBalanceDueDate(pkg, checkInDate, now) })
+        },
+        payment: {
+            status: balanceAmount > 0 ? 'partially_paid' : 'paid'
+        }
+    };
+};
+
+/**
+ * Booking fields after the change, as $set paths
+ */
+const toSetUpdate = ({ pricing, payment, ...fields }) => ({
+    ...fields,
+    ...Object.fromEntries(Object.entries(pricing).map(([key, value]) => [`pricing.${key}`, value])),
+    ...Object.fromEntries(Object.entries(payment).map(([key, value]) => [`payment.${key}`, value]))
+});
+
+/**
+ * A changes entry as returned to the app (without the held units and pending update)
+ */
+export const formatBookingChange = (entry) => ({
+    id: entry._id,
+    kind: entry.kind,
+    status: entry.status,
+    fromCheckInDate: formatDate(entry.fromCheckInDate),
+    fromCheckOutDate: formatDate(entry.fromCheckOutDate),
+    toCheckInDate: formatDate(entry.toCheckInDate),
+    toCheckOutDate: formatDate(entry.toCheckOutDate),
+    ...(entry.kind === 'rooms' && {
+        fromRooms: entry.fromRooms.map(({ resource, name, quantity }) => ({ resourceId: resource, name, quantity })),
+        toRooms: entry.toRooms.map(({ resource, name, quantity }) => ({ resourceId: resource, name, quantity }))
+    }),
+    previousAmount: entry.previousAmount,
+    newAmount: entry.newAmount,
+    fee: entry.fee,
+    settlement: entry.settlement,
+    settlementAmount: entry.settlementAmount,
+    holdExpiresAt: entry.holdExpiresAt,
+    createdAt: entry.createdAt,
+    completedAt: entry.completedAt
+});
+
+// ==================== INVOICE TRAIL ====================
+
+/**
+ * Debit or credit the booking's invoice with the change in its total
+ * Fees are not invoiced, so only subtotal, discount and GST count. The
+ * change is already applied, so a failure here only gets logged.
+ */
+const adjustInvoice = async (before, after, entry) => {
+    const invoicedTotal = (pricing) => pricing.subtotal - (pricing.discountAmount || 0) + pricing.gst.amount;
+    const difference = invoicedTotal(after.pricing) - invoicedTotal(before.pricing);
+
+    const adjustment = {
+        amount: Math.abs(difference),
+        reason: entry.kind === 'rooms' ? 'Rooms changed' : 'Booking dates changed',
+        description: describeChange(entry)
+    };
+
+    try {
+        if (difference > 0) {
+            await issueDebitNote(after, adjustment);
+        } else if (difference < 0) {
+            await issueAdjustmentCreditNote(after, adjustment);
+        }
+    } catch (error) {
+        console.error(`Error adjusting invoice of booking ${after.bookingReferenceId}:`, error);
+    }
+};
+
+// ==================== APPLY ====================
+
+/**
+ * Expire a change still waiting for its top-up and give back its units
+ * The status check in the update makes this safe to race with the payment.
+ * @returns {Promise<boolean>} true if this call expired it
+ */
+export const expireBookingChange = async (bookingId, orderId) => {
+    const before = await Booking.findOneAndUpdate(
+        { _id: bookingId, changes: { $elemMatch: { orderId, status: 'pending_payment' } } },
+        {
+            $set: {
+                'changes.$[change].status': 'expired',
+                'changes.$[change].heldUnits': [],
+                'changes.$[change].bookingUpdate': null
+            }
+        },
+        { new: false, arrayFilters: [{ 'change.orderId': orderId }] }
+    );
+
+    if (!before) {
+        return false;
+    }
+
+    const entry = before.changes.find(item => item.orderId === orderId);
+    await releaseUnits(entry.heldUnits);
+    await offerReleasedNights(entry.heldUnits);
+    return true;
+};
+
+/**
+ * Change waiting for its top-up, if any (expiring it if its hold lapsed)
+ */
+const findPendingChange = async (booking, now) => {
+    const pending = (booking.changes || []).find(entry => entry.status === 'pending_payment');
+
+    if (pending && pending.holdExpiresAt <= now) {
+        await expireBookingChange(booking._id, pending.orderId);
+        return null;
+    }
+
+    return pending || null;
+};
+
+/**
+ * Apply a priced change to a booking
+ * Changes that cost more than a fully paid booking's total wait for the
+ * top-up: the result carries the Razorpay order, and the change is applied
+ * by completeChangePayment.
+ *
+ * @param {object} booking - Booking document
+ * @param {object} change - from quoteReschedule / quoteRoomChange:
+ *        { kind, previousAmount, newAmount, fee, settlement, units, bookingUpdate, details }
+ *        details: kind-specific fields of the changes entry (e.g. fromRooms / toRooms)
+ * @param {object} options - { requestedBy, now }
+ * @returns {Promise<object>} { booking, change, razorpay } or { error, status, unavailableResources }
+ *          change is the booking.changes entry; razorpay is null when nothing has to be paid
+ */
+export const applyBookingChange = async (booking, change, { requestedBy = 'user', now = new Date() } = {}) => {
+    if (await findPendingChange(booking, now)) {
+        return {
+            error: 'A change to this booking is waiting for payment. Please complete it or try again in a few minutes.',
+            status: 409
+        };
+    }
+
+    const { kind, settlement, units, bookingUpdate } = change;
+
+    // ==================== HOLD THE EXTRA UNITS ====================
+
+    const reservation = await reserveUnitChanges(units.add);
+
+    if (!reservation.reserved) {
+        return {
+            error: `${reservation.unavailable.name} is not available on ${reservation.unavailable.date}`,
+            status: 409,
+            unavailableResources: [reservation.unavailable]
+        };
+    }
+
+    const entry = {
+        kind,
+        requestedBy,
+        fromCheckInDate: booking.checkInDate,
+        fromCheckOutDate: booking.checkOutDate,
+        toCheckInDate: bookingUpdate.checkInDate || booking.checkInDate,
+        toCheckOutDate: bookingUpdate.checkOutDate || booking.checkOutDate,
+        ...change.details,
+        previousAmount: change.previousAmount,
+        newAmount: change.newAmount,
+        fee: change.fee || 0,
+        settlement: settlement.type,
+        settlementAmount: settlement.amount,
+        createdAt: now
+    };
+
+    // Only while the booking is still what this change was worked out from
+    const unchanged = {
+        _id: booking._id,
+        status: 'confirmed',
+        checkInDate: booking.checkInDate,
+        checkOutDate: booking.checkOutDate,
+        'pricing.finalAmount': booking.pricing.finalAmount,
+        'pricing.paidAmount': booking.pricing.paidAmount,
+        'changes.status': { $ne: 'pending_payment' }
+    };
+
+    const conflict = {
+        error: 'This booking was changed at the same time. Please try again.',
+        status: 409
+    };
+
+    // ==================== TOP-UP ====================
+
+    if (settlement.type === 'top_up') {
+        let updated;
+
+        try {
+            const razorpayOrder = await getRazorpay().orders.create({
+                amount: settlement.amount * 100, // Razorpay expects paise
+                currency: 'INR',
+                receipt: `topup_${booking.bookingReferenceId}_${Date.now()}`,
+                notes: {
+                    bookingId: booking._id.toString(),
+                    bookingReferenceId: booking.bookingReferenceId,
+                    paymentType: 'top_up'
+                }
+            });
+
+            updated = await Booking.findOneAndUpdate(
+                unchanged,
+                {
+                    $push: {
+                        changes: {
+                            ...entry,
+                            status: 'pending_payment',
+                            orderId: razorpayOrder.id,
+                            heldUnits: units.add.map(({ resource, date, quantity }) => ({ resource, date, quantity })),
+                            holdExpiresAt: getHoldExpiry(now),
+                            bookingUpdate
+                        },
+                        payments: orderLedgerEntry('top_up', razorpayOrder.id, settlement.amount)
+                    }
+                },
+                { new: true }
+            );
+        } catch (error) {
+            await releaseUnits(units.add);
+            throw error;
+        }
+
+        if (!updated) {
+            await releaseUnits(units.add);
+            return conflict;
+        }
+
+        const pending = updated.changes[updated.changes.length - 1];
+
+        return {
+            booking: updated,
+            change: pending,
+            razorpay: {
+                orderId: pending.orderId,
+                amount: settlement.amount,
+                currency: 'INR',
+                key: process.env.RAZORPAY_API_KEY
+            }
+        };
+    }
+
+    // ==================== APPLY NOW ====================
+
+    let updated = await Booking.findOneAndUpdate(
+        unchanged,
+        {
+            $set: toSetUpdate(bookingUpdate),
+            $push: { changes: { ...entry, status: 'completed', completedAt: now } }
+        },
+        { new: true }
+    );
+
+    if (!updated) {
+        await releaseUnits(units.add);
+        return conflict;
+    }
+
+    await releaseUnits(units.remove);
+
+    const applied = updated.changes[updated.changes.length - 1];
+
+    if (settlement.type === 'refund') {
+        const result = await refundBookingChange(updated, settlement.amount, {
+            reason: describeChange(applied)
+        });
+        updated = result.booking;
+    }
+
+    await adjustInvoice(booking, updated, applied);
+    await notifyBooking(CHANGE_EVENTS[kind], updated, { key: applied._id.toString(), change: applied });
+
+    // Nights or rooms the booking gave up go to the waitlist
+    await offerReleasedNights(units.remove);
+
+    return { booking: updated, change: applied, razorpay: null };
+};
+
+// ==================== TOP-UP PAYMENT ====================
+
+/**
+ * Record a top-up payment and apply its change
+ * Shared by verify-payment and the webhook - only the first caller applies it.
+ * A top-up paid after the change expired (or the booking was cancelled) is
+ * recorded and refunded in full.
+ *
+ * @param {object} booking - Booking document
+ * @param {object} details - { orderId, paymentId, method, paidAt }
+ * @returns {Promise<object|null>} updated booking, or null if the order is not a top-up
+ */
+export const completeChangePayment = async (booking, { orderId, paymentId, method = null, paidAt = new Date() }) => {
+    const entry = (booking.changes || []).find(item => item.orderId === orderId);
+
+    if (!entry) {
+        return null;
+    }
+
+    const paidUpdate = {
+        'payments.$[txn].status': 'paid',
+        'payments.$[txn].paymentId': paymentId,
+        'payments.$[txn].paymentMethod': normalizePaymentMethod(method),
+        'payments.$[txn].settledAt': paidAt
+    };
+    const txnFilter = { 'txn.orderId': orderId, 'txn.kind': 'payment' };
+
+    if (entry.status === 'pending_payment') {
+        const updated = await Booking.findOneAndUpdate(
+            {
+                _id: booking._id,
+                status: 'confirmed',
+                changes: { $elemMatch: { orderId, status: 'pending_payment' } }
+            },
+            {
+                $set: {
+                    ...toSetUpdate(entry.bookingUpdate),
+                    ...paidUpdate,
+                    'changes.$[change].status': 'completed',
+                    'changes.$[change].completedAt': paidAt,
+                    'changes.$[change].heldUnits': [],
+                    'changes.$[change].bookingUpdate': null
+                }
+            },
+            { new: true, arrayFilters: [txnFilter, { 'change.orderId': orderId }] }
+        );
+
+        if (updated) {
+            // The held extra units are the booking's now - give back what it left
+            const { remove } = diffInventory(
+                { items: booking.resources, checkInDate: booking.checkInDate, checkOutDate: booking.checkOutDate },
+                { items: updated.resources, checkInDate: updated.checkInDate, checkOutDate: updated.checkOutDate }
+            );
+            await releaseUnits(remove);
+
+            const applied = updated.changes.find(item => item.orderId === orderId);
+            await adjustInvoice(booking, updated, applied);
+            await notifyBooking(CHANGE_EVENTS[applied.kind], updated, { key: applied._id.toString(), change: applied });
+            await offerReleasedNights(remove);
+
+            return updated;
+        }
+
+        // The booking was cancelled while the guest paid - its units go back too
+        await expireBookingChange(booking._id, orderId);
+    }
+
+    // ==================== LATE TOP-UP ====================
+
+    const recorded = await Booking.findOneAndUpdate(
+        {
+            _id: booking._id,
+            payments: { $elemMatch: { orderId, kind: 'payment', status: { $ne: 'paid' } } }
+        },
+        {
+            $set: {
+                ...paidUpdate,
+                adminNotes: [
+                    booking.adminNotes,
+                    `Top-up payment ${paymentId} received after the change expired. Refunded in full.`
+                ].filter(Boolean).join('\n')
+            }
+        },
+        { new: true, arrayFilters: [txnFilter] }
+    );
+
+    // Already recorded (the other of app / webhook got here first)
+    if (!recorded) {
+        return Booking.findById(booking._id);
+    }
+
+    const result = await refundBookingChange(recorded, entry.settlementAmount, {
+        reason: 'Top-up paid after the change expired'
+    });
+
+    return result.booking;
+};
+
+/**
+ * Expire every change whose top-up hold has lapsed
+ * Orders Razorpay already marks as paid are skipped - the payment will
+ * apply the change instead.
+ * @returns {Promise<number>} number of changes expired
+ */
+export const expireStaleChanges = async (now = new Date()) => {
+    const bookings = await Booking.find({
+        changes: { $elemMatch: { status: 'pending_payment', holdExpiresAt: { $lte: now } } }
+    }).select('_id changes.orderId changes.status changes.holdExpiresAt');
+
+    let expiredCount = 0;
+
+    for (const booking of bookings) {
+        const stale = booking.changes.filter(entry => entry.status === 'pending_payment' && entry.holdExpiresAt <= now);
+
+        for (const entry of stale) {
+            try {
+                const order = await getRazorpay().orders.fetch(entry.orderId);
+                if (order.status === 'paid') {
+                    continue;
+                }
+            } catch (error) {
+                // Can't tell if the guest paid - try again on the next run
+                console.error(`Error fetching Razorpay order ${entry.orderId}:`, error.message || error);
+                continue;
+            }
+
+            if (await expireBookingChange(booking._id, entry.orderId)) {
+                expiredCount++;
+            }
+        }
+    }
+
+    return expiredCount;
+};
@@ -0,0 +1,176 @@
+import dayjs from 'dayjs';
+
+// ==================== CANCELLATION POLICY ENGINE ====================
+// Evaluates Package.bookingRules.refundPolicy for a booking:
+//
+//   refundable = paidAmount - nonRefundableAmount
+//   refund     = refundable × refundPercentage of the first tier where
+//                daysBeforeCheckIn >= minDaysBeforeCheckIn
+//
+// Tiers are checked from the largest minDaysBeforeCheckIn down.
+// Days are fractional (36 hours = 1.5 days), so a 2-day tier means 48 hours.
+
+// Used when a package has no refundPolicy. Matches the default
+// Package.bookingRules.cancellationPolicy text most packages already store
+// ("No refund within 7 days of check-in"); the app shows describeRefundPolicy.
+export const DEFAULT_REFUND_POLICY = {
+    tiers: [
+        { minDaysBeforeCheckIn: 7, refundPercentage: 100 },
+        { minDaysBeforeCheckIn: 0, refundPercentage: 0 }
+    ],
+    nonRefundableAmount: 0,
+    allowUserCancellation: true,
+    adminFullRefund: true
+};
+
+/**
+ * Refund policy of a package, falling back to the default for missing fields
+ * @param {object} pkg - Package document (or null)
+ */
+export const getRefundPolicy = (pkg) => {
+    const policy = pkg?.bookingRules?.refundPolicy;
+
+    if (!policy) {
+        return DEFAULT_REFUND_POLICY;
+    }
+
+    return {
+        tiers: policy.tiers?.length ? policy.tiers : DEFAULT_REFUND_POLICY.tiers,
+        nonRefundableAmount: policy.nonRefundableAmount ?? DEFAULT_REFUND_POLICY.nonRefundableAmount,
+        allowUserCancellation: policy.allowUserCancellation ?? DEFAULT_REFUND_POLICY.allowUserCancellation,
+        adminFullRefund: policy.adminFullRefund ?? DEFAULT_REFUND_POLICY.adminFullRefund
+    };
+};
+
+/**
+ * Validate a refund policy sent by an admin
+ * @returns {string|null} error message, or null if valid
+ */
+export const validateRefundPolicy = (policy) => {
+    if (!policy) {
+        return null;
+    }
+
+    if (policy.tiers !== undefined) {
+        if (!Array.isArray(policy.tiers) || policy.tiers.length === 0) {
+            return 'Refund policy must have at least one tier';
+        }
+
+        const seenDays = new Set();
+        for (const tier of policy.tiers) {
+            if (typeof tier.minDaysBeforeCheckIn !== 'number' || tier.minDaysBeforeCheckIn < 0) {
+                return 'Each tier needs minDaysBeforeCheckIn >= 0';
+            }
+            if (typeof tier.refundPercentage !== 'number' || tier.refundPercentage < 0 || tier.refundPercentage > 100) {
+                return 'Each tier needs refundPercentage between 0 and 100';
+            }
+            if (seenDays.has(tier.minDaysBeforeCheckIn)) {
+                return `Duplicate tier for ${tier.minDaysBeforeCheckIn} days before check-in`;
+            }
+            seenDays.add(tier.minDaysBeforeCheckIn);
+        }
+    }
+
+    if (policy.nonRefundableAmount !== undefined
+        && (typeof policy.nonRefundableAmount !== 'number' || policy.nonRefundableAmount < 0)) {
+        return 'Non-refundable amount must be 0 or greater';
+    }
+
+    return null;
+};
+
+/**
+ * Tiers sorted from the earliest cancellation window to the latest
+ */
+const sortTiers = (tiers) => {
+    return [...tiers].sort((a, b) => b.minDaysBeforeCheckIn - a.minDaysBeforeCheckIn);
+};
+
+/**
+ * Work out the refund for cancelling a booking now
+ *
+ * @param {object} booking - Booking document (needs checkInDate, pricing.paidAmount, payment.status)
+ *                           A deposit booking refunds from the deposit actually paid
+ * @param {object} policy - from getRefundPolicy
+ * @param {object} options - { cancelledBy: 'user' | 'admin', now }
+ * @returns {object} { canCancel, paidAmount, refundAmount, refundPercentage, nonRefundableAmount,
+ *                     daysBeforeCheckIn, tier, reason }
+ */
+export const evaluateCancellationPolicy = (booking, policy, { cancelledBy = 'user', now = new Date() } = {}) => {
+    const isPaid = ['paid', 'partially_paid'].includes(booking.payment?.status);
+    const paidAmount = isPaid ? (booking.pricing?.paidAmount || 0) : 0;
+    const hoursBeforeCheckIn = dayjs(booking.checkInDate).diff(dayjs(now), 'hour');
+    const daysBeforeCheckIn = Math.max(0, hoursBeforeCheckIn / 24);
+
+    const result = {
+        canCancel: true,
+        paidAmount,
+        refundAmount: 0,
+        refundPercentage: 0,
+        nonRefundableAmount: 0,
+        daysBeforeCheckIn: Math.round(daysBeforeCheckIn * 10) / 10,
+        tier: null,
+        reason: null
+    };
+
+    if (cancelledBy === 'user' && !policy.allowUserCancellation) {
+        return { ...result, canCancel: false, reason: 'This package cannot be cancelled online. Please contact the property.' };
+    }
+
+    if (paidAmount <= 0) {
+        return { ...result, reason: 'No payment has been made' };
+    }
+
+    // ==================== ADMIN OVERRIDE ====================
+
+    if (cancelledBy === 'admin' && policy.adminFullRefund) {
+        return { ...result, refundAmount: paidAmount, refundPercentage: 100, reason: 'Cancelled by property - full refund' };
+    }
+
+    // ==================== TIERS ====================
+
+    const tier = sortTiers(policy.tiers).find(t => daysBeforeCheckIn >= t.minDaysBeforeCheckIn) || null;
+    const refundPercentage = tier ? tier.refundPercentage : 0;
+    const nonRefundableAmount = Math.min(paidAmount, policy.nonRefundableAmount || 0);
+    const refundAmount = Math.round((paidAmount - nonRefundableAmount) * refundPercentage / 100);
+
+    return {
+        ...result,
+        refundAmount,
+        refundPercentage,
+        nonRefundableAmount: refundPercentage > 0 ? nonRefundableAmount : 0,
+        tier,
+        reason: refundAmount > 0
+            ? `${refundPercentage}% refund for cancelling ${tier.minDaysBeforeCheckIn}+ days before check-in`
+            : 'No refund applicable this close to check-in'
+    };
+};
+
+/**
+ * Human readable policy lines (for package details and old clients)
+ * e.g. ['100% refund if cancelled 7+ days before check-in', ...]
+ */
+export const describeRefundPolicy = (policy) => {
+    const tiers = sortTiers(policy.tiers);
+    const lines = tiers.map(tier => {
+        const refund = tier.refundPercentage > 0 ? `${tier.refundPercentage}% refund` : 'No refund';
+        return tier.minDaysBeforeCheckIn > 0
+            ? `${refund} if cancelled ${tier.minDaysBeforeCheckIn}+ days before check-in`
+            : `${refund} if cancelled later`;
+    });
+
+    // No tier down to 0 days means no refund after the last window
+    if (tiers[tiers.length - 1].minDaysBeforeCheckIn > 0) {
+        lines.push('No refund if cancelled later');
+    }
+
+    if (policy.nonRefundableAmount > 0) {
+        lines.push(`₹${policy.nonRefundableAmount} deposit is non-refundable`);
+    }
+
+    if (!policy.allowUserCancellation) {
+        lines.push('Cancellations only through the property');
+    }
+
+    return lines;
+};
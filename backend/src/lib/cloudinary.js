@@ -8,39 +8,132 @@ cloudinary.config({
     api_secret: process.env.CLOUDINARY_API_SECRET,
 });
 
+// One folder per kind of image
+// ID proofs are uploaded as "authenticated" - they can't be opened with a plain URL
+export const UPLOAD_FOLDERS = {
+    avatars: 'bhavan-booking/avatars',
+    rooms: 'bhavan-booking/rooms',
+    packages: 'bhavan-booking/packages',
+    id_proofs: 'bhavan-booking/id-proofs',
+};
+
+const PRIVATE_PURPOSES = ['id_proofs'];
+
 /**
  * Generate upload signature for secure frontend uploads
  * Frontend needs this to prove the upload is authorized
+ * @param {string} purpose - Key of UPLOAD_FOLDERS (default "rooms")
+ * @returns {object} { timestamp, signature, folder, type, apiKey, cloudName }
  */
-export const generateUploadSignature = () => {
+export const generateUploadSignature = (purpose = 'rooms') => {
+    const folder = UPLOAD_FOLDERS[purpose];
+    if (!folder) {
+        throw new Error(`Unknown upload purpose "${purpose}"`);
+    }
+
     const timestamp = Math.round(new Date().getTime() / 1000);
-    const signature = cloudinary.utils.api_sign_request(
-        {
-            timestamp: timestamp,
-            folder: 'bhavan-booking/rooms'
-        },
-        process.env.CLOUDINARY_API_SECRET
-    );
-    
-    return { 
-        timestamp, 
-        signature 
+    const params = { timestamp, folder };
+    if (PRIVATE_PURPOSES.includes(purpose)) {
+        params.type = 'authenticated';
+    }
+
+    const signature = cloudinary.utils.api_sign_request(params, process.env.CLOUDINARY_API_SECRET);
+
+    return {
+        ...params,
+        signature,
+        apiKey: process.env.CLOUDINARY_API_KEY,
+        cloudName: process.env.CLOUDINARY_CLOUD_NAME
     };
 };
 
+/**
+ * Upload an image from the server (e.g. a profile photo sent to the API)
+ * @param {Buffer} buffer - Image bytes
+ * @param {object} options - { purpose } key of UPLOAD_FOLDERS
+ * @returns {Promise<object>} { url, key } - key is the Cloudinary public_id
+ */
+export const uploadImage = (buffer, { purpose }) => {
+    const folder = UPLOAD_FOLDERS[purpose];
+    if (!folder) {
+        return Promise.reject(new Error(`Unknown upload purpose "${purpose}"`));
+    }
+
+    return new Promise((resolve, reject) => {
+        const stream = cloudinary.uploader.upload_stream(
+            {
+                folder,
+                resource_type: 'image',
+                type: PRIVATE_PURPOSES.includes(purpose) ? 'authenticated' : 'upload'
+            },
+            (error, result) => {
+                if (error) {
+                    return reject(error);
+                }
+                resolve({ url: result.secure_url, key: result.public_id });
+            }
+        );
+        stream.end(buffer);
+    });
+};
+
+/**
+ * Every image in a folder (used to find images nothing points to any more)
+ * @param {string} purpose - Key of UPLOAD_FOLDERS
+ * @returns {Promise<Array>} [{ key, createdAt }] - key is the public_id
+ */
+export const listImages = async (purpose) => {
+    const folder = UPLOAD_FOLDERS[purpose];
+    if (!folder) {
+        throw new Error(`Unknown upload purpose "${purpose}"`);
+    }
+
+    const images = [];
+    let nextCursor;
+
+    do {
+        const result = await cloudinary.api.resources({
+            resource_type: 'image',
+            type: PRIVATE_PURPOSES.includes(purpose) ? 'authenticated' : 'upload',
+            prefix: `${folder}/`,
+            max_results: 500,
+            next_cursor: nextCursor
+        });
+
+        for (const resource of result.resources) {
+            images.push({ key: resource.public_id, createdAt: new Date(resource.created_at) });
+        }
+        nextCursor = result.next_cursor;
+    } while (nextCursor);
+
+    return images;
+};
+
+/**
+ * public_id of a Cloudinary URL
+ * URL format: https://res.cloudinary.com/{cloud_name}/image/upload/v{version}/{folder}/{public_id}.{extension}
+ * (the folder can have several levels, e.g. bhavan-booking/rooms)
+ */
+export const getPublicIdFromUrl = (imageUrl) => {
+    const match = String(imageUrl).match(/\/image\/(?:upload|authenticated|private)\/(?:v\d+\/)?(.+?)(?:\.[a-z0-9]+)?$/i);
+    return match ? match[1] : null;
+};
+
 /**
  * Delete image from Cloudinary
- * Used when admin removes images or deletes rooms
+ * Used when admin removes images or deletes rooms, and when a profile photo is replaced
+ * @param {string} imageUrl - Image URL (or its public_id)
  */
 export const deleteImage = async (imageUrl) => {
     try {
-        // Extract public_id from Cloudinary URL
-        // URL format: https://res.cloudinary.com/{cloud_name}/image/upload/v{version}/{folder}/{public_id}.{extension}
-        const urlParts = imageUrl.split('/');
-        const publicIdWithExtension = urlParts.slice(-2).join('/'); // folder/filename.ext
-        const publicId = publicIdWithExtension.split('.')[0]; // folder/filename
-        
-        const result = await cloudinary.uploader.destroy(publicId);
+        const publicId = imageUrl.startsWith('http') ? getPublicIdFromUrl(imageUrl) : imageUrl;
+        if (!publicId) {
+            throw new Error(`Not a Cloudinary image URL: ${imageUrl}`);
+        }
+
+        const result = await cloudinary.uploader.destroy(publicId, {
+            type: publicId.startsWith(UPLOAD_FOLDERS.id_proofs) ? 'authenticated' : 'upload'
+        });
         return result;
     } catch (error) {
         console.error('Error deleting image from Cloudinary:', error);
@@ -48,4 +141,4 @@ export const deleteImage = async (imageUrl) => {
     }
 };
 
-export default cloudinary;
\ No newline at end of file
+export default cloudinary;
@@ -0,0 +1,277 @@
+import Coupon from '../models/Coupon.js';
+import CouponRedemption from '../models/CouponRedemption.js';
+import Booking from '../models/Booking.js';
+
+// ==================== COUPONS ====================
+// A coupon is checked twice: by POST /api/coupons/validate (to show the
+// discounted total) and again by create-order, which redeems it.
+//
+// Redeeming takes one of Coupon.usedCount atomically, like inventory holds,
+// and one of the guest's CouponRedemption.count for perUserLimit.
+// A booking that ends without ever being paid gives the redemption back.
+
+/**
+ * Normalise a code typed by a guest
+ */
+export const normalizeCouponCode = (code) => (typeof code === 'string' ? code.trim().toUpperCase() : '');
+
+/**
+ * Discount a coupon gives on a subtotal (rupees, never more than the subtotal)
+ */
+export const calculateDiscount = (coupon, subtotal) => {
+    let amount = coupon.discount.type === 'percentage'
+        ? Math.round((subtotal * coupon.discount.value) / 100)
+        : Math.round(coupon.discount.value);
+
+    if (coupon.maxDiscountAmount) {
+        amount = Math.min(amount, coupon.maxDiscountAmount);
+    }
+
+    return Math.max(0, Math.min(amount, subtotal));
+};
+
+/**
+ * Price after a discount - GST is charged on the discounted subtotal
+ *
+ * @param {object} price - from calculateBookingPrice
+ * @param {number} discountAmount
+ * @returns {object} price with discountAmount, gst and finalAmount updated
+ */
+export const applyDiscount = (price, discountAmount) => {
+    const taxableAmount = price.subtotal - discountAmount;
+    const gstAmount = Math.round((taxableAmount * price.gst.percentage) / 100);
+
+    return {
+        ...price,
+        discountAmount,
+        gst: {
+            percentage: price.gst.percentage,
+            amount: gstAmount
+        },
+        finalAmount: taxableAmount + gstAmount
+    };
+};
+
+/**
+ * Bookings of a user still holding a redemption of this coupon
+ */
+const countUserRedemptions = (couponId, userId) => {
+    return Booking.countDocuments({
+        userId,
+        'pricing.coupon.couponId': couponId,
+        'pricing.coupon.redeemed': true
+    });
+};
+
+/**
+ * Redemptions of a coupon a user holds
+ * Guests who redeemed before CouponRedemption existed are counted from their bookings.
+ */
+const getUserRedemptions = async (couponId, userId) => {
+    const redemption = await CouponRedemption.findOne({ coupon: couponId, userId });
+    return redemption ? redemption.count : countUserRedemptions(couponId, userId);
+};
+
+/**
+ * Create the user's redemption counter for a coupon, starting from their bookings
+ */
+const ensureUserRedemption = async (couponId, userId) => {
+    if (await CouponRedemption.exists({ coupon: couponId, userId })) {
+        return;
+    }
+
+    const count = await countUserRedemptions(couponId, userId);
+
+    try {
+        await CouponRedemption.create({ coupon: couponId, userId, count });
+    } catch (error) {
+        // Created at the same moment by another booking of the same guest
+        if (error.code !== 11000) {
+            throw error;
+        }
+    }
+};
+
+/**
+ * Give back one of the user's redemptions of a coupon
+ */
+const releaseUserRedemption = async (couponId, userId) => {
+    await CouponRedemption.updateOne(
+        { coupon: couponId, userId, count: { $gt: 0 } },
+        { $inc: { count: -1 } }
+    );
+};
+
+/**
+ * Check a coupon code against a booking
+ *
+ * @param {string} code
+ * @param {object} context - { userId, category, subtotal, now }
+ * @returns {Promise<object>} { coupon, discountAmount } or { error, status }
+ */
+export const evaluateCoupon = async (code, { userId, category, subtotal, now = new Date() }) => {
+    const normalized = normalizeCouponCode(code);
+
+    if (!normalized) {
+        return { error: 'Please enter a coupon code', status: 400 };
+    }
+
+    const coupon = await Coupon.findOne({ code: normalized, isActive: true });
+
+    if (!coupon) {
+        return { error: 'Invalid coupon code', status: 404 };
+    }
+
+    if (coupon.validFrom && now < coupon.validFrom) {
+        return { error: 'This coupon is not active yet', status: 400 };
+    }
+
+    if (coupon.validUntil && now > coupon.validUntil) {
+        return { error: 'This coupon has expired', status: 400 };
+    }
+
+    if (coupon.eligibleCategories.length > 0 && !coupon.eligibleCategories.includes(category)) {
+        return { error: 'This coupon is not valid for the selected package', status: 400 };
+    }
+
+    if (subtotal < (coupon.minOrderAmount || 0)) {
+        return { error: `This coupon needs a minimum booking amount of ₹${coupon.minOrderAmount}`, status: 400 };
+    }
+
+    if (coupon.usageLimit !== null && coupon.usedCount >= coupon.usageLimit) {
+        return { error: 'This coupon has been fully redeemed', status: 400 };
+    }
+
+    if (coupon.perUserLimit !== null) {
+        const used = await getUserRedemptions(coupon._id, userId);
+        if (used >= coupon.perUserLimit) {
+            return { error: 'You have already used this coupon', status: 400 };
+        }
+    }
+
+    const discountAmount = calculateDiscount(coupon, subtotal);
+
+    if (discountAmount <= 0) {
+        return { error: 'This coupon gives no discount on this booking', status: 400 };
+    }
+
+    // A flat coupon worth the whole booking would leave nothing to pay through Razorpay
+    if (discountAmount >= subtotal) {
+        return { error: 'This coupon cannot be used on a booking of this amount', status: 400 };
+    }
+
+    return { coupon, discountAmount };
+};
+
+/**
+ * Take one redemption of a coupon for a user
+ * The count conditions make this safe when many guests race for the last
+ * one, and when one guest books twice at once.
+ *
+ * @returns {Promise<object>} { redeemed: true } or { error, status }
+ */
+export const redeemCoupon = async (coupon, userId) => {
+    // ==================== PER GUEST ====================
+
+    await ensureUserRedemption(coupon._id, userId);
+
+    const userFilter = { coupon: coupon._id, userId };
+    if (coupon.perUserLimit !== null) {
+        userFilter.count = { $lt: coupon.perUserLimit };
+    }
+
+    const userUpdated = await CouponRedemption.updateOne(userFilter, { $inc: { count: 1 } });
+    if (userUpdated.modifiedCount === 0) {
+        return { error: 'You have already used this coupon', status: 409 };
+    }
+
+    // ==================== TOTAL ====================
+
+    const filter = { _id: coupon._id, isActive: true };
+
+    if (coupon.usageLimit !== null) {
+        filter.usedCount = { $lt: coupon.usageLimit };
+    }
+
+    const updated = await Coupon.updateOne(filter, { $inc: { usedCount: 1 } });
+    if (updated.modifiedCount === 0) {
+        await releaseUserRedemption(coupon._id, userId);
+        return { error: 'This coupon has been fully redeemed', status: 409 };
+    }
+
+    return { redeemed: true };
+};
+
+/**
+ * Give a user's redemption back without a booking (create-order failed half-way)
+ */
+export const unredeemCoupon = async (coupon, userId) => {
+    await Coupon.updateOne(
+        { _id: coupon._id, usedCount: { $gt: 0 } },
+        { $inc: { usedCount: -1 } }
+    );
+    await releaseUserRedemption(coupon._id, userId);
+};
+
+/**
+ * Give back the coupon redemption of a booking that was never paid
+ * Paid bookings keep their redemption, even if cancelled later.
+ * Safe to call more than once - only the first call releases.
+ * @returns {Promise<boolean>} true if this call released the redemption
+ */
+export const releaseBookingCoupon = async (booking) => {
+    if (!booking.pricing?.coupon?.couponId) {
+        return false;
+    }
+
+    const claimed = await Booking.updateOne(
+        { _id: booking._id, 'pricing.coupon.redeemed': true, 'pricing.paidAmount': { $lte: 0 } },
+        { $set: { 'pricing.coupon.redeemed': false } }
+    );
+
+    if (claimed.modifiedCount === 0) {
+        return false;
+    }
+
+    // Keep the in-memory document in sync so a later save() doesn't flip it back
+    booking.pricing.coupon.redeemed = false;
+
+    await unredeemCoupon({ _id: booking.pricing.coupon.couponId }, booking.userId);
+    return true;
+};
+
+/**
+ * Validate a coupon sent by an admin
+ * @returns {string|null} error message, or null if valid
+ */
+export const validateCouponInput = (input, categories) => {
+    if (input.discount !== undefined) {
+        const { type, value } = input.discount || {};
+        if (!['percentage', 'flat'].includes(type) || typeof value !== 'number' || value <= 0) {
+            return 'discount must be { type: "percentage" | "flat", value: number > 0 }';
+        }
+        // A booking always has something to pay - Razorpay can't take a 0 order
+        if (type === 'percentage' && value >= 100) {
+            return 'Percentage discount must be less than 100';
+        }
+    }
+
+    for (const field of ['maxDiscountAmount', 'minOrderAmount', 'usageLimit', 'perUserLimit']) {
+        const value = input[field];
+        if (value !== undefined && value !== null && (typeof value !== 'number' || value < 0)) {
+            return `${field} must be 0 or greater`;
+        }
+    }
+
+    if (input.eligibleCategories !== undefined) {
+        if (!Array.isArray(input.eligibleCategories)) {
+            return 'eligibleCategories must be an array';
+        }
+        const invalid = input.eligibleCategories.find(category => !categories.includes(category));
+        if (invalid) {
+            return `${invalid} is not a valid package category`;
+        }
+    }
+
+    return null;
+};
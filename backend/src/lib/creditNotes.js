@@ -0,0 +1,190 @@
+import Invoice from '../models/Invoice.js';
+import CreditNote from '../models/CreditNote.js';
+import {
+    getFinancialYear,
+    nextSequence,
+    releaseSequence,
+    getDocumentPrefix,
+    amountInWords,
+    splitGst
+} from './invoices.js';
+
+// ==================== GST CREDIT NOTES ====================
+// When a paid booking is cancelled, the part of the invoice the Bhavan
+// doesn't keep is reversed with a credit note against the original invoice:
+//
+//   credited = invoice total - (paid - refunded)
+//
+// so a fully paid booking is credited with its refund, and a deposit
+// booking is also credited with the balance that will never be paid.
+//
+// issueRefund() (lib/refunds.js) calls issueCreditNote after every refund
+// decision. Invoice.creditedAmount is the total credited so far; a later,
+// larger refund (e.g. an admin retry with a new amount) gets a second
+// credit note for the difference only.
+//
+// A change of dates or rooms that lowers a live booking's total is credited
+// straight away with issueAdjustmentCreditNote (lib/bookingChanges.js);
+// one that raises it gets a debit note (lib/debitNotes.js). Debit notes
+// count as invoiced when a later cancellation works out its credit.
+//
+// Credit notes are numbered PREFIX/CN/FY/NNNNN, their own series per
+// financial year.
+
+const CREDITABLE_STATUSES = ['cancelled', 'expired'];
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Total that should be credited against the invoice of a booking
+ */
+export const getCreditTarget = (booking, invoice) => {
+    if (!CREDITABLE_STATUSES.includes(booking.status)) {
+        return 0;
+    }
+
+    const invoiced = invoice.totalAmount + (invoice.debitedAmount || 0);
+    const retained = Math.max(0, (booking.pricing.paidAmount || 0) - (booking.cancellation?.refundAmount || 0));
+    return roundAmount(Math.min(invoiced, Math.max(0, invoiced - retained)));
+};
+
+/**
+ * Claim the credit from previouslyCredited up to target on the invoice and
+ * issue its credit note
+ * @returns {Promise<object|null>} CreditNote, or null if another call claimed it first
+ */
+const createCreditNote = async (invoice, booking, { previouslyCredited, target, reason, description }) => {
+    const totalAmount = roundAmount(target - previouslyCredited);
+
+    // ==================== CLAIM ====================
+
+    const claimed = await Invoice.updateOne(
+        { _id: invoice._id, creditedAmount: previouslyCredited },
+        { $set: { creditedAmount: target } }
+    );
+
+    if (claimed.modifiedCount === 0) {
+        return null;
+    }
+
+    // ==================== AMOUNTS ====================
+    // Split the credited total in the same taxable / tax ratio as the invoice
+
+    const taxableAmount = roundAmount((totalAmount * invoice.taxableAmount) / invoice.totalAmount);
+    const totalTax = roundAmount(totalAmount - taxableAmount);
+
+    const issuedAt = new Date();
+    const financialYear = getFinancialYear(issuedAt);
+
+    const sequenceKey = `credit_note:${financialYear}`;
+    let sequence = null;
+
+    try {
+        sequence = await nextSequence(sequenceKey);
+
+        return await CreditNote.create({
+            creditNoteNumber: `${getDocumentPrefix()}/CN/${financialYear}/${String(sequence).padStart(5, '0')}`,
+            financialYear,
+            sequence,
+            issuedAt,
+            reason,
+            invoice: invoice._id,
+            invoiceNumber: invoice.invoiceNumber,
+            invoiceDate: invoice.issuedAt,
+            booking: booking._id,
+            userId: invoice.userId,
+            bookingReferenceId: invoice.bookingReferenceId,
+            seller: invoice.seller,
+            customer: invoice.customer,
+            placeOfSupply: invoice.placeOfSupply,
+            lineItems: [{
+                description,
+                sacCode: invoice.lineItems[0]?.sacCode,
+                quantity: 1,
+                unitPrice: taxableAmount,
+                amount: taxableAmount
+            }],
+            taxableAmount,
+            gstRate: invoice.gstRate,
+            ...splitGst(invoice.gstRate, totalTax, invoice.seller.stateCode, invoice.placeOfSupply.stateCode),
+            totalTax,
+            totalAmount,
+            amountInWords: amountInWords(totalAmount)
+        });
+    } catch (error) {
+        // The number wasn't used - the next note takes it
+        if (sequence !== null) {
+            await releaseSequence(sequenceKey, sequence);
+        }
+
+        // Give the claim back so the next call issues it
+        await Invoice.updateOne(
+            { _id: invoice._id, creditedAmount: target },
+            { $set: { creditedAmount: previouslyCredited } }
+        );
+        throw error;
+    }
+};
+
+/**
+ * Issue a credit note for the part of a cancelled booking's invoice not
+ * credited yet
+ * Safe to call more than once - the Invoice.creditedAmount claim means the
+ * same amount is never credited twice.
+ *
+ * @param {object} booking - Booking document (after the refund amount is set)
+ * @param {object} options - { reason }
+ * @returns {Promise<object|null>} CreditNote, or null if nothing to credit
+ */
+export const issueCreditNote = async (booking, { reason } = {}) => {
+    const invoice = await Invoice.findOne({ booking: booking._id });
+
+    // Never invoiced (unpaid, or paid after the hold expired) - nothing to reverse
+    if (!invoice) {
+        return null;
+    }
+
+    const previouslyCredited = invoice.creditedAmount || 0;
+    const target = getCreditTarget(booking, invoice);
+
+    if (roundAmount(target - previouslyCredited) <= 0) {
+        return null;
+    }
+
+    return createCreditNote(invoice, booking, {
+        previouslyCredited,
+        target,
+        reason: reason || booking.cancellation?.reason || 'Booking cancelled',
+        description: `Cancellation of booking ${invoice.bookingReferenceId} (invoice ${invoice.invoiceNumber})`
+    });
+};
+
+/**
+ * Credit part of a live booking's invoice after a change lowered its total
+ *
+ * @param {object} booking - Booking document
+ * @param {object} adjustment - { amount (GST inclusive), reason, description }
+ * @returns {Promise<object|null>} CreditNote, or null if never invoiced
+ */
+export const issueAdjustmentCreditNote = async (booking, { amount, reason, description }) => {
+    const invoice = await Invoice.findOne({ booking: booking._id });
+
+    if (!invoice || amount <= 0) {
+        return null;
+    }
+
+    const previouslyCredited = invoice.creditedAmount || 0;
+    const invoiced = invoice.totalAmount + (invoice.debitedAmount || 0);
+    const target = roundAmount(Math.min(invoiced, previouslyCredited + amount));
+
+    if (target <= previouslyCredited) {
+        return null;
+    }
+
+    return createCreditNote(invoice, booking, {
+        previouslyCredited,
+        target,
+        reason,
+        description: `${description} - booking ${invoice.bookingReferenceId} (invoice ${invoice.invoiceNumber})`
+    });
+};
@@ -0,0 +1,112 @@
+import Invoice from '../models/Invoice.js';
+import DebitNote from '../models/DebitNote.js';
+import {
+    getFinancialYear,
+    nextSequence,
+    releaseSequence,
+    getDocumentPrefix,
+    amountInWords,
+    splitGst
+} from './invoices.js';
+
+// ==================== GST DEBIT NOTES ====================
+// A booking keeps its one tax invoice when a change of dates or rooms
+// (lib/bookingChanges.js) raises its total: the increase is charged with a
+// debit note against that invoice. Lower totals get a credit note instead
+// (issueAdjustmentCreditNote in lib/creditNotes.js).
+//
+// Invoice.debitedAmount is the total of the debit notes so far; cancellation
+// credit notes count it as invoiced.
+//
+// Debit notes are numbered PREFIX/DN/FY/NNNNN, their own series per
+// financial year.
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Charge the increase of a live booking's total against its invoice
+ *
+ * @param {object} booking - Booking document
+ * @param {object} adjustment - { amount (GST inclusive), reason, description }
+ * @returns {Promise<object|null>} DebitNote, or null if never invoiced
+ */
+export const issueDebitNote = async (booking, { amount, reason, description }) => {
+    const invoice = await Invoice.findOne({ booking: booking._id });
+
+    // Never invoiced - the invoice issued on payment already has the new total
+    if (!invoice || amount <= 0) {
+        return null;
+    }
+
+    const previouslyDebited = invoice.debitedAmount || 0;
+    const totalAmount = roundAmount(amount);
+
+    // ==================== CLAIM ====================
+
+    const claimed = await Invoice.updateOne(
+        { _id: invoice._id, debitedAmount: previouslyDebited },
+        { $set: { debitedAmount: roundAmount(previouslyDebited + totalAmount) } }
+    );
+
+    if (claimed.modifiedCount === 0) {
+        return null;
+    }
+
+    // ==================== AMOUNTS ====================
+    // Split the debited total in the same taxable / tax ratio as the invoice
+
+    const taxableAmount = roundAmount((totalAmount * invoice.taxableAmount) / invoice.totalAmount);
+    const totalTax = roundAmount(totalAmount - taxableAmount);
+
+    const issuedAt = new Date();
+    const financialYear = getFinancialYear(issuedAt);
+
+    const sequenceKey = `debit_note:${financialYear}`;
+    let sequence = null;
+
+    try {
+        sequence = await nextSequence(sequenceKey);
+
+        return await DebitNote.create({
+            debitNoteNumber: `${getDocumentPrefix()}/DN/${financialYear}/${String(sequence).padStart(5, '0')}`,
+            financialYear,
+            sequence,
+            issuedAt,
+            reason,
+            invoice: invoice._id,
+            invoiceNumber: invoice.invoiceNumber,
+            invoiceDate: invoice.issuedAt,
+            booking: booking._id,
+            userId: invoice.userId,
+            bookingReferenceId: invoice.bookingReferenceId,
+            seller: invoice.seller,
+            customer: invoice.customer,
+            placeOfSupply: invoice.placeOfSupply,
+            lineItems: [{
+                description: `${description} - booking ${invoice.bookingReferenceId} (invoice ${invoice.invoiceNumber})`,
+                sacCode: invoice.lineItems[0]?.sacCode,
+                quantity: 1,
+                unitPrice: taxableAmount,
+                amount: taxableAmount
+            }],
+            taxableAmount,
+            gstRate: invoice.gstRate,
+            ...splitGst(invoice.gstRate, totalTax, invoice.seller.stateCode, invoice.placeOfSupply.stateCode),
+            totalTax,
+            totalAmount,
+            amountInWords: amountInWords(totalAmount)
+        });
+    } catch (error) {
+        // The number wasn't used - the next note takes it
+        if (sequence !== null) {
+            await releaseSequence(sequenceKey, sequence);
+        }
+
+        // Give the claim back
+        await Invoice.updateOne(
+            { _id: invoice._id, debitedAmount: roundAmount(previouslyDebited + totalAmount) },
+            { $set: { debitedAmount: previouslyDebited } }
+        );
+        throw error;
+    }
+};
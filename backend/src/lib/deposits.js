@@ -0,0 +1,73 @@
+import dayjs from 'dayjs';
+
+// ==================== DEPOSIT (ADVANCE PAYMENT) ====================
+// Package.pricing.deposit decides how much create-order charges up front.
+// The balance is collected with POST /api/bookings/:bookingId/pay-balance
+// before balanceDueDate (balanceDueDaysBeforeCheckIn days before check-in).
+
+/**
+ * Work out the deposit for a booking
+ *
+ * @param {object} pkg - Package document
+ * @param {number} finalAmount - booking total in rupees
+ * @param {Date} checkInDate
+ * @param {object} options - { payInFull, now }
+ * @returns {object|null} { depositAmount, balanceAmount, balanceDueDate },
+ *                        or null when the booking must be paid in full
+ */
+export const getDepositPlan = (pkg, finalAmount, checkInDate, { payInFull = false, now = new Date() } = {}) => {
+    const rule = pkg?.pricing?.deposit;
+
+    if (payInFull || !rule || !rule.type || rule.type === 'none' || !rule.value) {
+        return null;
+    }
+
+    // Too close to check-in to leave a balance outstanding
+    const balanceDueDate = dayjs(checkInDate).subtract(rule.balanceDueDaysBeforeCheckIn ?? 7, 'day');
+    if (!balanceDueDate.isAfter(dayjs(now))) {
+        return null;
+    }
+
+    const depositAmount = rule.type === 'percentage'
+        ? Math.round((finalAmount * rule.value) / 100)
+        : Math.round(rule.value);
+
+    if (depositAmount <= 0 || depositAmount >= finalAmount) {
+        return null;
+    }
+
+    return {
+        depositAmount,
+        balanceAmount: finalAmount - depositAmount,
+        balanceDueDate: balanceDueDate.toDate()
+    };
+};
+
+/**
+ * Validate a deposit rule sent by an admin
+ * @returns {string|null} error message, or null if valid
+ */
+export const validateDepositRule = (rule) => {
+    if (!rule) {
+        return null;
+    }
+
+    if (rule.type !== undefined && !['none', 'percentage', 'fixed'].includes(rule.type)) {
+        return 'Deposit type must be none, percentage or fixed';
+    }
+
+    if (rule.value !== undefined && (typeof rule.value !== 'number' || rule.value < 0)) {
+        return 'Deposit value must be 0 or greater';
+    }
+
+    if (rule.type === 'percentage' && rule.value >= 100) {
+        return 'Deposit percentage must be less than 100';
+    }
+
+    if (rule.balanceDueDaysBeforeCheckIn !== undefined
+        && (typeof rule.balanceDueDaysBeforeCheckIn !== 'number' || rule.balanceDueDaysBeforeCheckIn < 0)) {
+        return 'balanceDueDaysBeforeCheckIn must be 0 or greater';
+    }
+
+    return null;
+};
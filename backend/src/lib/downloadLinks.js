@@ -0,0 +1,52 @@
+import jwt from 'jsonwebtoken';
+
+// ==================== DOWNLOAD LINKS ====================
+// The app opens PDFs (invoices, credit notes) in the system browser, which can't send the
+// Authorization header. Instead the app asks for a short-lived signed link
+// that works for one document of one booking (the invoice, or one credit or
+// debit note).
+
+const DOWNLOAD_LINK_TTL_SECONDS = 5 * 60;
+
+/**
+ * Sign a download link token
+ * @param {object} scope - { bookingId, document } e.g. document: "invoice", "credit_note:<id>" or "debit_note:<id>"
+ * @returns {object} { token, expiresAt }
+ */
+export const signDownloadToken = ({ bookingId, document }) => {
+    const token = jwt.sign(
+        { kind: 'document_download', bookingId: bookingId.toString(), document },
+        process.env.JWT_SECRET,
+        { expiresIn: DOWNLOAD_LINK_TTL_SECONDS }
+    );
+
+    return {
+        token,
+        expiresAt: new Date(Date.now() + DOWNLOAD_LINK_TTL_SECONDS * 1000)
+    };
+};
+
+/**
+ * Check a download link token
+ * @returns {object|null} { bookingId, document }, or null if invalid / expired
+ */
+export const verifyDownloadToken = (token) => {
+    try {
+        const payload = jwt.verify(token, process.env.JWT_SECRET);
+        if (payload.kind !== 'document_download') {
+            return null;
+        }
+        return { bookingId: payload.bookingId, document: payload.document };
+    } catch (error) {
+        return null;
+    }
+};
+
+/**
+ * Absolute URL of a download route with its token
+ * @param {object} req - Express request (for protocol and host)
+ * @param {string} path - e.g. "/api/bookings/<id>/invoice"
+ */
+export const buildDownloadUrl = (req, path, token) => {
+    return `${req.protocol}://${req.get('host')}${path}?token=${encodeURIComponent(token)}`;
+};
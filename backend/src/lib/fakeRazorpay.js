@@ -0,0 +1,76 @@
+// ==================== FAKE RAZORPAY CLIENT ====================
+// Offline stand-in for the Razorpay SDK - only the methods we call.
+// Every call is recorded in client.calls so scripts/tests can assert on it.
+//
+// Usage:
+//   import { setRazorpayClient } from './razorpay.js';
+//   const fake = createFakeRazorpayClient({ refundStatus: 'processed' });
+//   setRazorpayClient(fake);
+//
+// Or set RAZORPAY_FAKE=true in .env to use it for local development.
+
+/**
+ * @param {object} options
+ * @param {string} options.refundStatus - status new refunds come back with ('pending' | 'processed')
+ * @param {boolean} options.failRefunds - make payments.refund throw like a declined refund
+ * @param {string} options.orderStatus - status orders.fetch returns ('created' | 'attempted' | 'paid')
+ */
+export const createFakeRazorpayClient = ({
+    refundStatus = 'pending',
+    failRefunds = false,
+    orderStatus = 'created'
+} = {}) => {
+    let counter = 0;
+    const nextId = (prefix) => `${prefix}_fake_${Date.now()}_${++counter}`;
+
+    const orders = new Map();
+    const refunds = new Map();
+    const calls = [];
+
+    const record = (method, args) => calls.push({ method, args });
+
+    return {
+        calls,
+
+        orders: {
+            create: async (options) => {
+                record('orders.create', [options]);
+                const order = { id: nextId('order'), entity: 'order', status: 'created', ...options };
+                orders.set(order.id, order);
+                return order;
+            },
+            fetch: async (orderId) => {
+                record('orders.fetch', [orderId]);
+                return { ...(orders.get(orderId) || { id: orderId, entity: 'order' }), status: orderStatus };
+            }
+        },
+
+        payments: {
+            refund: async (paymentId, options) => {
+                record('payments.refund', [paymentId, options]);
+                if (failRefunds) {
+                    const error = new Error('The refund could not be processed');
+                    error.statusCode = 400;
+                    error.error = { code: 'BAD_REQUEST_ERROR', description: 'The refund could not be processed' };
+                    throw error;
+                }
+                const refund = {
+                    id: nextId('rfnd'),
+                    entity: 'refund',
+                    payment_id: paymentId,
+                    amount: options.amount,
+                    currency: 'INR',
+                    status: refundStatus,
+                    notes: options.notes || {},
+                    created_at: Math.floor(Date.now() / 1000)
+                };
+                refunds.set(refund.id, refund);
+                return refund;
+            },
+            fetchRefund: async (paymentId, refundId) => {
+                record('payments.fetchRefund', [paymentId, refundId]);
+                return refunds.get(refundId) || { id: refundId, payment_id: paymentId, status: refundStatus };
+            }
+        }
+    };
+};
@@ -0,0 +1,104 @@
+import dayjs from 'dayjs';
+import Booking from '../models/Booking.js';
+import { getRazorpay } from './razorpay.js';
+import { releaseBookingInventory } from './inventory.js';
+import { releaseBookingCoupon } from './coupons.js';
+import { lapseWaitlistBooking, offerReleasedUnits } from './waitlist.js';
+
+// ==================== PENDING BOOKING HOLDS ====================
+// A pending booking holds inventory while the guest is on the Razorpay checkout.
+// If payment isn't verified within the hold TTL, the booking expires and the
+// units go back to the ledger - and are offered to the waitlist.
+
+const DEFAULT_HOLD_TTL_MINUTES = 15;
+
+/**
+ * Hold TTL in minutes (BOOKING_HOLD_TTL_MINUTES env, default 15)
+ */
+export const getHoldTtlMinutes = () => {
+    const ttl = parseInt(process.env.BOOKING_HOLD_TTL_MINUTES, 10);
+    return ttl > 0 ? ttl : DEFAULT_HOLD_TTL_MINUTES;
+};
+
+/**
+ * When a hold created now should expire
+ */
+export const getHoldExpiry = (from = new Date()) => {
+    return dayjs(from).add(getHoldTtlMinutes(), 'minute').toDate();
+};
+
+/**
+ * Has this pending booking's hold lapsed?
+ */
+export const isHoldExpired = (booking, now = new Date()) => {
+    if (booking.status === 'expired') return true;
+    return booking.status === 'pending'
+        && !!booking.holdExpiresAt
+        && booking.holdExpiresAt <= now;
+};
+
+/**
+ * Expire a single pending booking and release its units (and coupon redemption)
+ * The status check in the update makes this safe to race with verify-payment.
+ * A booking made from a waitlist offer lapses that offer.
+ * @returns {Promise<object|null>} expired booking, or null if it was no longer pending
+ */
+export const expireBooking = async (bookingId) => {
+    const booking = await Booking.findOneAndUpdate(
+        { _id: bookingId, status: 'pending' },
+        {
+            $set: {
+                status: 'expired',
+                'payment.status': 'cancelled',
+                'payment.orderCancelledAt': new Date()
+            }
+        },
+        { new: true }
+    );
+
+    if (!booking) {
+        return null;
+    }
+
+    await releaseBookingInventory(booking);
+    await releaseBookingCoupon(booking);
+
+    await lapseWaitlistBooking(booking);
+    await offerReleasedUnits(booking.resources, booking.checkInDate, booking.checkOutDate);
+    return booking;
+};
+
+/**
+ * Expire every pending booking whose hold has lapsed
+ * Orders Razorpay already marks as paid are skipped - the payment will be
+ * confirmed by verify-payment instead of being thrown away.
+ * @returns {Promise<number>} number of bookings expired
+ */
+export const expireStaleBookings = async (now = new Date()) => {
+    const staleBookings = await Booking.find({
+        status: 'pending',
+        holdExpiresAt: { $lte: now }
+    }).select('_id payment.orderId');
+
+    let expiredCount = 0;
+
+    for (const stale of staleBookings) {
+        try {
+            const order = await getRazorpay().orders.fetch(stale.payment.orderId);
+            if (order.status === 'paid') {
+                continue;
+            }
+        } catch (error) {
+            // Can't tell if the guest paid - try again on the next run
+            console.error(`Error fetching Razorpay order ${stale.payment.orderId}:`, error.message || error);
+            continue;
+        }
+
+        const expired = await expireBooking(stale._id);
+        if (expired) {
+            expiredCount++;
+        }
+    }
+
+    return expiredCount;
+};
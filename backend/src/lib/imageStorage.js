@@ -0,0 +1,172 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import 'dotenv/config';
+import { UPLOAD_FOLDERS, uploadImage, deleteImage, generateUploadSignature, listImages } from './cloudinary.js';
+
+// ==================== IMAGE STORAGE ====================
+// Every storage has the same shape:
+//
+//   {
+//     name,
+//     upload: async (buffer, { purpose, contentType }) => ({ url, key }),
+//     remove: async (key) => {},
+//     list: async (purpose) => [{ key, createdAt }],
+//     signUpload: (purpose) => signature for a direct upload from the app, or null
+//   }
+//
+// purpose picks the folder (UPLOAD_FOLDERS in lib/cloudinary.js):
+// avatars, rooms, packages, id_proofs. Save `key` next to the URL - it is
+// what remove() needs.
+//
+// Chosen from env IMAGE_STORAGE (default "cloudinary"):
+//   cloudinary - Cloudinary (CLOUDINARY_* env)
+//   local      - files under LOCAL_UPLOAD_DIR (default ./uploads), served by
+//                the API at /uploads - for development and tests only
+
+export const MAX_IMAGE_BYTES = 5 * 1024 * 1024;
+
+const IMAGE_EXTENSIONS = {
+    'image/jpeg': 'jpg',
+    'image/png': 'png',
+    'image/webp': 'webp',
+};
+
+/**
+ * Content type from the first bytes of the file (the header sent by the client isn't trusted)
+ * @returns {string|null} "image/jpeg" | "image/png" | "image/webp", or null if it isn't one
+ */
+export const detectImageType = (buffer) => {
+    if (!Buffer.isBuffer(buffer) || buffer.length < 12) {
+        return null;
+    }
+    if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+        return 'image/jpeg';
+    }
+    if (buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) {
+        return 'image/png';
+    }
+    if (buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') {
+        return 'image/webp';
+    }
+    return null;
+};
+
+export const getLocalUploadDir = () => path.resolve(process.env.LOCAL_UPLOAD_DIR || 'uploads');
+
+const createCloudinaryStorage = () => ({
+    name: 'cloudinary',
+    upload: (buffer, { purpose }) => uploadImage(buffer, { purpose }),
+    remove: async (key) => {
+        await deleteImage(key);
+    },
+    list: (purpose) => listImages(purpose),
+    signUpload: (purpose) => generateUploadSignature(purpose)
+});
+
+const createLocalStorage = () => ({
+    name: 'local',
+    upload: async (buffer, { purpose, contentType }) => {
+        const folder = UPLOAD_FOLDERS[purpose];
+        if (!folder) {
+            throw new Error(`Unknown upload purpose "${purpose}"`);
+        }
+
+        const key = `${folder}/${crypto.randomUUID()}.${IMAGE_EXTENSIONS[contentType] || 'bin'}`;
+        const file = path.join(getLocalUploadDir(), key);
+
+        await fs.mkdir(path.dirname(file), { recursive: true });
+        await fs.writeFile(file, buffer);
+
+        const baseUrl = process.env.PUBLIC_BASE_URL || `http://localhost:${process.env.PORT || 3000}`;
+        return { url: `${baseUrl}/uploads/${key}`, key };
+    },
+    remove: async (key) => {
+        // Keys are created by upload() - never follow one outside the upload dir
+        const file = path.resolve(getLocalUploadDir(), key);
+        if (!file.startsWith(getLocalUploadDir() + path.sep)) {
+            throw new Error(`Invalid image key "${key}"`);
+        }
+
+        try {
+            await fs.unlink(file);
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                throw error;
+            }
+        }
+    },
+    list: async (purpose) => {
+        const folder = UPLOAD_FOLDERS[purpose];
+        if (!folder) {
+            throw new Error(`Unknown upload purpose "${purpose}"`);
+        }
+
+        let files;
+        try {
+            files = await fs.readdir(path.join(getLocalUploadDir(), folder));
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return [];
+            }
+            throw error;
+        }
+
+        return Promise.all(files.map(async (file) => {
+            const stats = await fs.stat(path.join(getLocalUploadDir(), folder, file));
+            return { key: `${folder}/${file}`, createdAt: stats.mtime };
+        }));
+    },
+    // The app can't upload straight to the local disk
+    signUpload: () => null
+});
+
+const STORAGE_FACTORIES = {
+    cloudinary: createCloudinaryStorage,
+    local: createLocalStorage
+};
+
+// Injected storage (tests)
+let override = null;
+
+/**
+ * Image storage chosen by IMAGE_STORAGE
+ */
+export const getImageStorage = () => {
+    if (override) {
+        return override;
+    }
+
+    const name = process.env.IMAGE_STORAGE || 'cloudinary';
+    const factory = STORAGE_FACTORIES[name];
+
+    if (!factory) {
+        throw new Error(`Unknown image storage "${name}"`);
+    }
+
+    return factory();
+};
+
+/**
+ * Replace the image storage (used for offline testing)
+ * Pass null to go back to the env setting.
+ */
+export const setImageStorage = (storage) => {
+    override = storage;
+};
+
+/**
+ * Remove an image that is no longer used, without failing the request
+ * (a leftover file is better than an error after the new image was saved)
+ */
+export const removeImageQuietly = async (key) => {
+    if (!key) {
+        return;
+    }
+
+    try {
+        await getImageStorage().remove(key);
+    } catch (error) {
+        console.error(`Error removing image ${key}:`, error.message || error);
+    }
+};
@@ -0,0 +1,262 @@
+import Resource from '../models/Resource.js';
+import Package from '../models/Package.js';
+import User from '../models/User.js';
+import { UPLOAD_FOLDERS } from './cloudinary.js';
+import { getImageStorage, removeImageQuietly } from './imageStorage.js';
+
+// ==================== IMAGE GALLERIES ====================
+// Resources and packages keep their photos in `gallery` (url, storage key,
+// caption, cover flag), in display order. The models copy it into the plain
+// `images` URL list on save - that's what the app shows.
+//
+// Admins upload straight to the image storage with a signed request
+// (GET /:id/images/signature), then attach what they uploaded here.
+// Only images in the owner's folder can be attached, so the key is always
+// ours to delete.
+
+export const MAX_GALLERY_IMAGES = 20;
+
+/**
+ * Resources and packages created before galleries existed only have URLs
+ * in `images` - turn them into gallery entries (with no storage key, so
+ * they are never deleted from the storage)
+ */
+const adoptLegacyImages = (doc) => {
+    if (doc.gallery.length > 0 || !doc.images?.length) {
+        return;
+    }
+
+    doc.images.forEach((url, index) => {
+        doc.gallery.push({ url, key: null, isCover: index === 0 });
+    });
+};
+
+const findImage = (doc, imageId) => {
+    adoptLegacyImages(doc);
+    return doc.gallery.find(image => image._id.toString() === String(imageId)) || null;
+};
+
+/**
+ * The gallery, with image IDs to use in the calls below
+ * (converts legacy images the first time)
+ * @returns {object} { gallery }
+ */
+export const getGallery = async (doc) => {
+    if (doc.gallery.length === 0 && doc.images?.length) {
+        adoptLegacyImages(doc);
+        await doc.save();
+    }
+
+    return { gallery: doc.gallery };
+};
+
+/**
+ * Attach images that were uploaded to the storage
+ * @param {object} doc - Resource or Package document
+ * @param {Array} images - [{ url, key, caption }]
+ * @param {string} purpose - "rooms" | "packages" (the folder they must be in)
+ * @returns {object} { gallery, added } or { error, status }
+ */
+export const addGalleryImages = async (doc, images, purpose) => {
+    if (!Array.isArray(images) || images.length === 0) {
+        return { error: 'Please provide images array with at least one image', status: 400 };
+    }
+
+    const folder = UPLOAD_FOLDERS[purpose];
+
+    for (const image of images) {
+        if (!image || typeof image.url !== 'string' || typeof image.key !== 'string') {
+            return { error: 'Each image must have url and key', status: 400 };
+        }
+        if (!image.key.startsWith(`${folder}/`) || !image.url.includes(image.key)) {
+            return { error: `Image ${image.key} was not uploaded to ${folder}`, status: 400 };
+        }
+        if (image.caption !== undefined && typeof image.caption !== 'string') {
+            return { error: 'Caption must be text', status: 400 };
+        }
+    }
+
+    adoptLegacyImages(doc);
+
+    const keys = new Set(doc.gallery.map(image => image.key));
+    const newImages = images.filter(image => !keys.has(image.key));
+
+    if (doc.gallery.length + newImages.length > MAX_GALLERY_IMAGES) {
+        return { error: `A maximum of ${MAX_GALLERY_IMAGES} images is allowed`, status: 400 };
+    }
+
+    const hasCover = doc.gallery.some(image => image.isCover);
+
+    newImages.forEach((image, index) => {
+        doc.gallery.push({
+            url: image.url,
+            key: image.key,
+            caption: image.caption || '',
+            isCover: !hasCover && index === 0
+        });
+    });
+
+    await doc.save();
+
+    return { gallery: doc.gallery, added: newImages.length };
+};
+
+/**
+ * Put the gallery in a new order
+ * @param {Array} imageIds - Every image ID of the gallery, in the new order
+ * @returns {object} { gallery } or { error, status }
+ */
+export const reorderGallery = async (doc, imageIds) => {
+    adoptLegacyImages(doc);
+
+    const currentIds = doc.gallery.map(image => image._id.toString());
+    const requestedIds = Array.isArray(imageIds) ? imageIds.map(String) : [];
+
+    if (requestedIds.length !== currentIds.length
+        || new Set(requestedIds).size !== requestedIds.length
+        || !requestedIds.every(id => currentIds.includes(id))) {
+        return { error: 'imageIds must list every image of the gallery exactly once', status: 400 };
+    }
+
+    const byId = new Map(doc.gallery.map(image => [image._id.toString(), image.toObject()]));
+    doc.gallery = requestedIds.map(id => byId.get(id));
+
+    await doc.save();
+
+    return { gallery: doc.gallery };
+};
+
+/**
+ * Change an image's caption
+ * @returns {object} { gallery } or { error, status }
+ */
+export const updateGalleryImage = async (doc, imageId, { caption }) => {
+    if (typeof caption !== 'string') {
+        return { error: 'Please provide caption', status: 400 };
+    }
+
+    const image = findImage(doc, imageId);
+    if (!image) {
+        return { error: 'Image not found', status: 404 };
+    }
+
+    image.caption = caption;
+    await doc.save();
+
+    return { gallery: doc.gallery };
+};
+
+/**
+ * Make an image the cover (shown first in the app)
+ * @returns {object} { gallery } or { error, status }
+ */
+export const setCoverImage = async (doc, imageId) => {
+    const image = findImage(doc, imageId);
+    if (!image) {
+        return { error: 'Image not found', status: 404 };
+    }
+
+    doc.gallery.forEach(item => {
+        item.isCover = item === image;
+    });
+    await doc.save();
+
+    return { gallery: doc.gallery };
+};
+
+/**
+ * Remove an image from the gallery and delete it from the storage
+ * If the storage delete fails, the orphan cleanup job removes it later.
+ * @returns {object} { gallery } or { error, status }
+ */
+export const removeGalleryImage = async (doc, imageId) => {
+    const image = findImage(doc, imageId);
+    if (!image) {
+        return { error: 'Image not found', status: 404 };
+    }
+
+    const { key, isCover } = image;
+
+    doc.gallery.pull(image._id);
+    if (isCover && doc.gallery.length > 0) {
+        doc.gallery[0].isCover = true;
+    }
+    await doc.save();
+
+    await removeImageQuietly(key);
+
+    return { gallery: doc.gallery };
+};
+
+// ==================== ORPHANED IMAGES ====================
+// Images in the storage that nothing points to: uploads that were never
+// attached, and deletes that failed. ID proofs aren't checked - they aren't
+// tracked anywhere yet.
+
+const ORPHAN_CHECK_PURPOSES = ['avatars', 'rooms', 'packages'];
+
+// Direct uploads are attached a moment after they land in the storage -
+// leave recent ones alone
+const ORPHAN_GRACE_HOURS = 24;
+
+/**
+ * Images in the storage that no resource, package or user refers to
+ * @param {object} options - { now, graceHours }
+ * @returns {Promise<Array>} [{ key, purpose, createdAt }]
+ */
+export const findOrphanedImages = async ({ now = new Date(), graceHours = ORPHAN_GRACE_HOURS } = {}) => {
+    const [resources, packages, users] = await Promise.all([
+        Resource.find({}).select('images gallery.key').lean(),
+        Package.find({}).select('images gallery.key').lean(),
+        User.find({ avatarKey: { $ne: null } }).select('avatarKey').lean()
+    ]);
+
+    const keys = new Set();
+    const urls = [];
+
+    for (const doc of [...resources, ...packages]) {
+        (doc.gallery || []).forEach(image => image.key && keys.add(image.key));
+        urls.push(...(doc.images || []));
+    }
+    users.forEach(user => keys.add(user.avatarKey));
+
+    // Legacy images only have a URL - it contains the key
+    const isReferenced = (key) => keys.has(key) || urls.some(url => url.includes(key));
+
+    const cutoff = new Date(now.getTime() - graceHours * 60 * 60 * 1000);
+    const storage = getImageStorage();
+    const orphans = [];
+
+    for (const purpose of ORPHAN_CHECK_PURPOSES) {
+        const stored = await storage.list(purpose);
+
+        for (const image of stored) {
+            if (image.createdAt < cutoff && !isReferenced(image.key)) {
+                orphans.push({ ...image, purpose });
+            }
+        }
+    }
+
+    return orphans;
+};
+
+/**
+ * Delete orphaned images from the storage (run by the cleanup job)
+ * @returns {Promise<number>} How many were deleted
+ */
+export const removeOrphanedImages = async (options) => {
+    const orphans = await findOrphanedImages(options);
+    const storage = getImageStorage();
+    let removed = 0;
+
+    for (const orphan of orphans) {
+        try {
+            await storage.remove(orphan.key);
+            removed++;
+        } catch (error) {
+            console.error(`Error removing orphaned image ${orphan.key}:`, error.message || error);
+        }
+    }
+
+    return removed;
+};
@@ -0,0 +1,338 @@
+import dayjs from 'dayjs';
+import utc from 'dayjs/plugin/utc.js';
+import ResourceInventory from '../models/ResourceInventory.js';
+import Booking from '../models/Booking.js';
+
+dayjs.extend(utc);
+
+// Booking statuses that hold inventory in the ledger
+export const INVENTORY_HOLDING_STATUSES = ['pending', 'confirmed', 'checked_in'];
+
+/**
+ * List every night between check-in (inclusive) and check-out (exclusive)
+ * @returns {Date[]} UTC start-of-day dates
+ */
+export const getNights = (checkInDate, checkOutDate) => {
+    const nights = [];
+    let night = dayjs.utc(checkInDate).startOf('day');
+    const end = dayjs.utc(checkOutDate).startOf('day');
+
+    while (night.isBefore(end)) {
+        nights.push(night.toDate());
+        night = night.add(1, 'day');
+    }
+    return nights;
+};
+
+/**
+ * Make sure a ledger row exists for every resource/night we are about to touch
+ * Concurrent upserts of the same row can race on the unique index - the loser
+ * gets a duplicate key error, which is fine because the row now exists.
+ */
+const ensureLedgerRows = async (resourceIds, nights) => {
+    const operations = [];
+    resourceIds.forEach(resource => {
+        nights.forEach(date => {
+            operations.push({
+                updateOne: {
+                    filter: { resource, date },
+                    update: { $setOnInsert: { reservedUnits: 0 } },
+                    upsert: true
+                }
+            });
+        });
+    });
+
+    try {
+        await ResourceInventory.bulkWrite(operations, { ordered: false });
+    } catch (error) {
+        if (error.code !== 11000 && !error.writeErrors?.every(e => e.code === 11000)) {
+            throw error;
+        }
+    }
+};
+
+/**
+ * Undo reservations that were already applied
+ */
+const rollback = async (applied) => {
+    for (const entry of applied) {
+        await ResourceInventory.updateOne(
+            { resource: entry.resource, date: entry.date },
+            { $inc: { reservedUnits: -entry.quantity } }
+        );
+    }
+};
+
+/**
+ * Atomically hold units, one ledger row at a time
+ * Either every entry is held, or nothing is held.
+ *
+ * @param {Array} entries - [{ resource, date, quantity, totalUnits, name }]
+ * @returns {Promise<{reserved: boolean, unavailable?: object}>}
+ */
+const reserveUnits = async (entries) => {
+    const resources = new Map(entries.map(entry => [entry.resource.toString(), entry.resource]));
+    const nights = new Map(entries.map(entry => [entry.date.getTime(), entry.date]));
+    await ensureLedgerRows([...resources.values()], [...nights.values()]);
+
+    const applied = [];
+
+    for (const entry of entries) {
+        // Only increments if enough units are still free for this night
+        const updated = await ResourceInventory.findOneAndUpdate(
+            {
+                resource: entry.resource,
+                date: entry.date,
+                reservedUnits: { $lte: entry.totalUnits - entry.quantity }
+            },
+            { $inc: { reservedUnits: entry.quantity } },
+            { new: true }
+        );
+
+        if (!updated) {
+            await rollback(applied);
+
+            const row = await ResourceInventory.findOne({ resource: entry.resource, date: entry.date });
+            return {
+                reserved: false,
+                unavailable: {
+                    resourceId: entry.resource,
+                    name: entry.name,
+                    date: dayjs.utc(entry.date).format('DD-MM-YYYY'),
+                    requested: entry.quantity,
+                    available: Math.max(0, entry.totalUnits - (row?.reservedUnits || 0))
+                }
+            };
+        }
+
+        applied.push({ resource: entry.resource, date: entry.date, quantity: entry.quantity });
+    }
+
+    return { reserved: true };
+};
+
+/**
+ * Atomically hold units of every resource for every night
+ * Either all units for all nights are held, or nothing is held.
+ *
+ * @param {Array} items - [{ resource, quantity, totalUnits, name }]
+ * @param {Date} checkInDate
+ * @param {Date} checkOutDate
+ * @returns {Promise<{reserved: boolean, unavailable?: object}>}
+ */
+export const reserveInventory = async (items, checkInDate, checkOutDate) => {
+    const nights = getNights(checkInDate, checkOutDate);
+    const entries = items.flatMap(item => nights.map(date => ({ ...item, date })));
+
+    return reserveUnits(entries);
+};
+
+/**
+ * Give held units back to the ledger
+ * @param {Array} items - [{ resource, quantity }] (Booking.resources works as-is)
+ */
+export const releaseInventory = async (items, checkInDate, checkOutDate) => {
+    const nights = getNights(checkInDate, checkOutDate);
+
+    for (const item of items) {
+        await ResourceInventory.updateMany(
+            {
+                resource: item.resource,
+                date: { $in: nights },
+                reservedUnits: { $gte: item.quantity }
+            },
+            { $inc: { reservedUnits: -item.quantity } }
+        );
+    }
+};
+
+/**
+ * Release a booking's units exactly once
+ * Safe to call from several places (user cancel, admin cancel, failed payment)
+ * @returns {Promise<boolean>} true if this call released the units
+ */
+export const releaseBookingInventory = async (booking) => {
+    const claimed = await Booking.updateOne(
+        { _id: booking._id, inventoryHeld: true },
+        { $set: { inventoryHeld: false } }
+    );
+
+    // Keep the in-memory document in sync so a later save() doesn't flip it back
+    booking.inventoryHeld = false;
+
+    if (claimed.modifiedCount === 0) {
+        return false;
+    }
+
+    await releaseInventory(booking.resources, booking.checkInDate, booking.checkOutDate);
+    return true;
+};
+
+// ==================== MOVING A BOOKING ====================
+// A booking moved to new dates (or given other rooms) only needs the
+// difference: nights both stays share keep their units, so a booking never
+// competes with itself for them.
+
+/**
+ * Units per resource and night of a stay, keyed "resourceId|time"
+ */
+const unitsByNight = (items, checkInDate, checkOutDate) => {
+    const units = new Map();
+    const nights = getNights(checkInDate, checkOutDate);
+
+    for (const item of items) {
+        const resource = item.resource._id || item.resource;
+        for (const date of nights) {
+            const key = `${resource}|${date.getTime()}`;
+            const current = units.get(key);
+            units.set(key, {
+                ...item,
+                resource,
+                date,
+                quantity: (current?.quantity || 0) + item.quantity
+            });
+        }
+    }
+
+    return units;
+};
+
+/**
+ * Units to take and to give back when a booking moves from one stay to another
+ *
+ * @param {object} from - { items: [{ resource, quantity }], checkInDate, checkOutDate } (Booking.resources works as-is)
+ * @param {object} to - { items: [{ resource, quantity, totalUnits, name }], checkInDate, checkOutDate }
+ * @returns {object} { add: [{ resource, date, quantity, totalUnits, name }], remove: [{ resource, date, quantity }] }
+ */
+export const diffInventory = (from, to) => {
+    const held = unitsByNight(from.items, from.checkInDate, from.checkOutDate);
+    const needed = unitsByNight(to.items, to.checkInDate, to.checkOutDate);
+
+    const add = [];
+    const remove = [];
+
+    for (const [key, entry] of needed) {
+        const extra = entry.quantity - (held.get(key)?.quantity || 0);
+        if (extra > 0) {
+            add.push({ resource: entry.resource, date: entry.date, quantity: extra, totalUnits: entry.totalUnits, name: entry.name });
+        }
+    }
+
+    for (const [key, entry] of held) {
+        const spare = entry.quantity - (needed.get(key)?.quantity || 0);
+        if (spare > 0) {
+            remove.push({ resource: entry.resource, date: entry.date, quantity: spare });
+        }
+    }
+
+    return { add, remove };
+};
+
+/**
+ * Hold the extra units of a move (see diffInventory)
+ * Either all are held, or nothing is held.
+ * @returns {Promise<{reserved: boolean, unavailable?: object}>}
+ */
+export const reserveUnitChanges = (add) => {
+    return add.length > 0 ? reserveUnits(add) : { reserved: true };
+};
+
+/**
+ * Give back units taken with reserveUnitChanges, or freed by a move
+ * @param {Array} entries - [{ resource, date, quantity }]
+ */
+export const releaseUnits = async (entries) => {
+    for (const entry of entries) {
+        await ResourceInventory.updateOne(
+            {
+                resource: entry.resource,
+                date: entry.date,
+                reservedUnits: { $gte: entry.quantity }
+            },
+            { $inc: { reservedUnits: -entry.quantity } }
+        );
+    }
+};
+
+/**
+ * First extra unit of a move that isn't free right now (nothing is held)
+ * @returns {Promise<object|null>} { resourceId, name, date, requested, available }
+ */
+export const findUnitShortage = async (add) => {
+    for (const entry of add) {
+        const row = await ResourceInventory.findOne({ resource: entry.resource, date: entry.date });
+        const available = Math.max(0, entry.totalUnits - (row?.reservedUnits || 0));
+
+        if (available < entry.quantity) {
+            return {
+                resourceId: entry.resource,
+                name: entry.name,
+                date: dayjs.utc(entry.date).format('DD-MM-YYYY'),
+                requested: entry.quantity,
+                available
+            };
+        }
+    }
+
+    return null;
+};
+
+/**
+ * Highest number of units reserved on any night in the range
+ */
+export const getReservedUnits = async (resourceId, checkInDate, checkOutDate) => {
+    const rows = await ResourceInventory.find({
+        resource: resourceId,
+        date: { $in: getNights(checkInDate, checkOutDate) }
+    });
+
+    return rows.reduce((max, row) => Math.max(max, row.reservedUnits), 0);
+};
+
+/**
+ * Bookings holding units of any of these resources on a night of the range
+ * (used to explain why a stay isn't available)
+ */
+export const findOverlappingBookings = (resourceIds, checkInDate, checkOutDate) => {
+    return Booking.find({
+        'resources.resource': { $in: resourceIds },
+        status: { $in: INVENTORY_HOLDING_STATUSES },
+        inventoryHeld: true,
+        checkInDate: { $lt: checkOutDate },
+        checkOutDate: { $gt: checkInDate }
+    })
+        .select('packageId category resources checkInDate checkOutDate isExclusive')
+        .populate('packageId', 'name');
+};
+
+/**
+ * Rebuild the whole ledger from bookings
+ * Used once to migrate bookings created before the ledger existed,
+ * or to repair the ledger after manual database edits.
+ */
+export const rebuildInventory = async () => {
+    await ResourceInventory.deleteMany({});
+    await Booking.updateMany({}, { $set: { inventoryHeld: false } });
+
+    const bookings = await Booking.find({
+        status: { $in: INVENTORY_HOLDING_STATUSES },
+        checkOutDate: { $gt: dayjs.utc().startOf('day').toDate() }
+    });
+
+    for (const booking of bookings) {
+        const nights = getNights(booking.checkInDate, booking.checkOutDate);
+        for (const item of booking.resources) {
+            for (const date of nights) {
+                await ResourceInventory.updateOne(
+                    { resource: item.resource, date },
+                    { $inc: { reservedUnits: item.quantity } },
+                    { upsert: true }
+                );
+            }
+        }
+        await Booking.updateOne({ _id: booking._id }, { $set: { inventoryHeld: true } });
+    }
+
+    return bookings.length;
+};
@@ -0,0 +1,216 @@
+import PDFDocument from 'pdfkit';
+import { formatDocumentDate as formatDate } from './invoices.js';
+
+// ==================== INVOICE PDF ====================
+// Renders an Invoice (models/Invoice.js), CreditNote (models/CreditNote.js)
+// or DebitNote (models/DebitNote.js) to an A4 PDF. All share the same layout.
+// The built-in PDF fonts have no ₹ glyph, so amounts are printed as "Rs.".
+
+const PAGE_MARGIN = 50;
+
+// Table columns: x position and width
+const COLUMNS = {
+    index: { x: 50, width: 25 },
+    description: { x: 75, width: 215 },
+    sac: { x: 290, width: 55 },
+    quantity: { x: 345, width: 40 },
+    rate: { x: 385, width: 75 },
+    amount: { x: 460, width: 85 }
+};
+
+const formatMoney = (amount) => {
+    return `Rs. ${Number(amount || 0).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+};
+
+/**
+ * Name / address / GSTIN block of a party
+ */
+const drawParty = (doc, title, party, x, y, width) => {
+    doc.font('Helvetica-Bold').fontSize(10).text(title, x, y, { width });
+    doc.font('Helvetica').fontSize(9);
+    doc.text(party.name || '', { width });
+    if (party.address) doc.text(party.address, { width });
+    if (party.gstin) doc.text(`GSTIN: ${party.gstin}`, { width });
+    if (party.stateName) doc.text(`State: ${party.stateName} (${party.stateCode})`, { width });
+    if (party.email) doc.text(party.email, { width });
+    if (party.phoneNumber) doc.text(party.phoneNumber, { width });
+    return doc.y;
+};
+
+const drawRow = (doc, y, cells, { bold = false } = {}) => {
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9);
+    let height = 0;
+
+    for (const [column, value] of Object.entries(cells)) {
+        const { x, width } = COLUMNS[column];
+        const align = ['quantity', 'rate', 'amount'].includes(column) ? 'right' : 'left';
+        doc.text(String(value), x, y, { width: width - 5, align });
+        height = Math.max(height, doc.y - y);
+    }
+
+    return y + height + 4;
+};
+
+/**
+ * Label / amount pair in the totals block
+ */
+const drawTotal = (doc, y, label, amount, { bold = false } = {}) => {
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9);
+    doc.text(label, 300, y, { width: 155, align: 'right' });
+    doc.text(formatMoney(amount), COLUMNS.amount.x, y, { width: COLUMNS.amount.width - 5, align: 'right' });
+    return y + 15;
+};
+
+/**
+ * Render a tax document (invoice or credit note) to PDF
+ *
+ * @param {object} invoice - Invoice, CreditNote or DebitNote
+ * @param {object} options - { title, headerLines: ["Invoice No: ...", ...] }
+ * @returns {Promise<Buffer>}
+ */
+const renderTaxDocument = (invoice, { title, headerLines }) => {
+    return new Promise((resolve, reject) => {
+        const doc = new PDFDocument({ size: 'A4', margin: PAGE_MARGIN });
+        const chunks = [];
+
+        doc.on('data', chunk => chunks.push(chunk));
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+
+        // ==================== HEADER ====================
+
+        doc.font('Helvetica-Bold').fontSize(16).text(title, PAGE_MARGIN, PAGE_MARGIN, { align: 'center' });
+        doc.moveDown(1);
+
+        const headerY = doc.y;
+        const sellerBottom = drawParty(doc, invoice.seller.name, { ...invoice.seller, name: '' }, PAGE_MARGIN, headerY, 250);
+
+        doc.font('Helvetica').fontSize(9);
+        headerLines.forEach((line, index) => {
+            if (index === 0) {
+                doc.text(line, 320, headerY, { width: 225, align: 'right' });
+            } else {
+                doc.text(line, { width: 225, align: 'right' });
+            }
+        });
+
+        // ==================== BILL TO ====================
+
+        let y = Math.max(sellerBottom, doc.y) + 15;
+        y = drawParty(doc, 'Bill To', invoice.customer, PAGE_MARGIN, y, 300) + 15;
+
+        // ==================== LINE ITEMS ====================
+
+        doc.moveTo(PAGE_MARGIN, y).lineTo(545, y).stroke();
+        y = drawRow(doc, y + 5, {
+            index: '#',
+            description: 'Description',
+            sac: 'SAC',
+            quantity: 'Qty',
+            rate: 'Rate',
+            amount: 'Amount'
+        }, { bold: true });
+        doc.moveTo(PAGE_MARGIN, y).lineTo(545, y).stroke();
+        y += 5;
+
+        invoice.lineItems.forEach((item, index) => {
+            y = drawRow(doc, y, {
+                index: index + 1,
+                description: item.description,
+                sac: item.sacCode,
+                quantity: item.quantity,
+                rate: formatMoney(item.unitPrice),
+                amount: formatMoney(item.amount)
+            });
+        });
+
+        doc.moveTo(PAGE_MARGIN, y).lineTo(545, y).stroke();
+        y += 10;
+
+        // ==================== TOTALS ====================
+
+        if (invoice.subtotal !== undefined) {
+            y = drawTotal(doc, y, 'Subtotal', invoice.subtotal);
+        }
+        if (invoice.discountAmount > 0) {
+            y = drawTotal(doc, y, 'Discount', -invoice.discountAmount);
+        }
+        y = drawTotal(doc, y, 'Taxable Value', invoice.taxableAmount);
+
+        if (invoice.supplyType === 'inter_state') {
+            y = drawTotal(doc, y, `IGST @ ${invoice.igst.rate}%`, invoice.igst.amount);
+        } else {
+            y = drawTotal(doc, y, `CGST @ ${invoice.cgst.rate}%`, invoice.cgst.amount);
+            y = drawTotal(doc, y, `SGST @ ${invoice.sgst.rate}%`, invoice.sgst.amount);
+        }
+
+        y = drawTotal(doc, y, 'Total', invoice.totalAmount, { bold: true });
+
+        doc.font('Helvetica').fontSize(9)
+            .text(`Amount in words: ${invoice.amountInWords}`, PAGE_MARGIN, y + 10, { width: 495 });
+
+        // ==================== FOOTER ====================
+
+        doc.fontSize(8).fillColor('#666666')
+            .text('This is a computer generated document and does not need a signature.', PAGE_MARGIN, doc.y + 30, {
+                width: 495,
+                align: 'center'
+            });
+
+        doc.end();
+    });
+};
+
+/**
+ * Render an invoice to PDF
+ * @returns {Promise<Buffer>}
+ */
+export const renderInvoicePdf = (invoice) => {
+    return renderTaxDocument(invoice, {
+        title: 'TAX INVOICE',
+        headerLines: [
+            `Invoice No: ${invoice.invoiceNumber}`,
+            `Date: ${formatDate(invoice.issuedAt)}`,
+            `Booking Ref: ${invoice.bookingReferenceId || ''}`,
+            `Place of Supply: ${invoice.placeOfSupply.stateName} (${invoice.placeOfSupply.stateCode})`
+        ]
+    });
+};
+
+/**
+ * Render a credit note to PDF
+ * @returns {Promise<Buffer>}
+ */
+export const renderCreditNotePdf = (creditNote) => {
+    return renderTaxDocument(creditNote, {
+        title: 'CREDIT NOTE',
+        headerLines: [
+            `Credit Note No: ${creditNote.creditNoteNumber}`,
+            `Date: ${formatDate(creditNote.issuedAt)}`,
+            `Against Invoice: ${creditNote.invoiceNumber}`,
+            `Invoice Date: ${creditNote.invoiceDate ? formatDate(creditNote.invoiceDate) : ''}`,
+            `Booking Ref: ${creditNote.bookingReferenceId || ''}`,
+            `Place of Supply: ${creditNote.placeOfSupply.stateName} (${creditNote.placeOfSupply.stateCode})`,
+            `Reason: ${creditNote.reason || ''}`
+        ]
+    });
+};
+
+/**
+ * Render a debit note to PDF
+ * @returns {Promise<Buffer>}
+ */
+export const renderDebitNotePdf = (debitNote) => {
+    return renderTaxDocument(debitNote, {
+        title: 'DEBIT NOTE',
+        headerLines: [
+            `Debit Note No: ${debitNote.debitNoteNumber}`,
+            `Date: ${formatDate(debitNote.issuedAt)}`,
+            `Against Invoice: ${debitNote.invoiceNumber}`,
+            `Invoice Date: ${debitNote.invoiceDate ? formatDate(debitNote.invoiceDate) : ''}`,
+            `Booking Ref: ${debitNote.bookingReferenceId || ''}`,
+            `Place of Supply: ${debitNote.placeOfSupply.stateName} (${debitNote.placeOfSupply.stateCode})`,
+            `Reason: ${debitNote.reason || ''}`
+        ]
+    });
+};
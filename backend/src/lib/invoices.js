@@ -0,0 +1,372 @@
+import dayjs from 'dayjs';
+import utc from 'dayjs/plugin/utc.js';
+import Invoice from '../models/Invoice.js';
+import Booking from '../models/Booking.js';
+import Counter from '../models/Counter.js';
+import Package from '../models/Package.js';
+
+dayjs.extend(utc);
+
+// ==================== GST TAX INVOICES ====================
+// issueInvoice() runs when a booking is confirmed (lib/payments.js).
+// Invoices are numbered PREFIX/FY/NNNNN with one running series per
+// financial year (April-March, Indian time). Cancellations and refunds
+// reverse them with credit notes (lib/creditNotes.js).
+//
+// The series must have no gaps, so a number is only taken by the request
+// that claimed the booking (Booking.invoiceClaimedAt), and a number whose
+// invoice could not be saved is given back (releaseSequence) for the next one.
+//
+// Seller details come from env:
+//   INVOICE_PREFIX, INVOICE_SELLER_NAME, INVOICE_SELLER_ADDRESS,
+//   INVOICE_SELLER_GSTIN, INVOICE_SELLER_STATE_CODE
+
+// GST state codes (first 2 digits of a GSTIN)
+export const GST_STATES = {
+    '01': 'Jammu and Kashmir', '02': 'Himachal Pradesh', '03': 'Punjab', '04': 'Chandigarh',
+    '05': 'Uttarakhand', '06': 'Haryana', '07': 'Delhi', '08': 'Rajasthan', '09': 'Uttar Pradesh',
+    '10': 'Bihar', '11': 'Sikkim', '12': 'Arunachal Pradesh', '13': 'Nagaland', '14': 'Manipur',
+    '15': 'Mizoram', '16': 'Tripura', '17': 'Meghalaya', '18': 'Assam', '19': 'West Bengal',
+    '20': 'Jharkhand', '21': 'Odisha', '22': 'Chhattisgarh', '23': 'Madhya Pradesh', '24': 'Gujarat',
+    '26': 'Dadra and Nagar Haveli and Daman and Diu', '27': 'Maharashtra', '29': 'Karnataka',
+    '30': 'Goa', '31': 'Lakshadweep', '32': 'Kerala', '33': 'Tamil Nadu', '34': 'Puducherry',
+    '35': 'Andaman and Nicobar Islands', '36': 'Telangana', '37': 'Andhra Pradesh', '38': 'Ladakh'
+};
+
+// SAC codes: 996311 = room accommodation, 997212 = rental of halls / venues
+const SAC_CODES = {
+    rooms_only: '996311',
+    default: '997212'
+};
+
+const GSTIN_PATTERN = /^\d{2}[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+
+const IST_OFFSET_MINUTES = 330;
+
+/**
+ * Is this a well-formed GSTIN (15 characters, valid state code)?
+ */
+export const isValidGstin = (gstin) => {
+    return typeof gstin === 'string'
+        && GSTIN_PATTERN.test(gstin.toUpperCase())
+        && !!GST_STATES[gstin.slice(0, 2)];
+};
+
+/**
+ * Financial year of a date in Indian time, e.g. "2025-26"
+ */
+export const getFinancialYear = (date = new Date()) => {
+    const ist = dayjs.utc(date).add(IST_OFFSET_MINUTES, 'minute');
+    const startYear = ist.month() >= 3 ? ist.year() : ist.year() - 1;
+    return `${startYear}-${String((startYear + 1) % 100).padStart(2, '0')}`;
+};
+
+/**
+ * Date of an invoice / credit note as printed (Indian time), e.g. "05-04-2025"
+ */
+export const formatDocumentDate = (date) => {
+    return dayjs.utc(date).add(IST_OFFSET_MINUTES, 'minute').format('DD-MM-YYYY');
+};
+
+/**
+ * Next number of a running series (atomic)
+ * A number given back by releaseSequence is handed out again first.
+ */
+export const nextSequence = async (key) => {
+    const reused = await Counter.findOneAndUpdate(
+        { key, 'released.0': { $exists: true } },
+        { $pop: { released: -1 } },
+        { new: false }
+    );
+
+    if (reused) {
+        return reused.released[0];
+    }
+
+    const counter = await Counter.findOneAndUpdate(
+        { key },
+        { $inc: { seq: 1 } },
+        { new: true, upsert: true }
+    );
+    return counter.seq;
+};
+
+/**
+ * Give back a number whose document could not be saved, so the series has no gap
+ */
+export const releaseSequence = async (key, sequence) => {
+    // Still the last number handed out - step the counter back
+    const stepped = await Counter.updateOne({ key, seq: sequence }, { $inc: { seq: -1 } });
+
+    if (stepped.modifiedCount === 0) {
+        await Counter.updateOne({ key }, { $push: { released: { $each: [sequence], $sort: 1 } } });
+    }
+};
+
+/**
+ * Prefix of invoice and credit note numbers
+ */
+export const getDocumentPrefix = () => process.env.INVOICE_PREFIX || 'BHV';
+
+/**
+ * The Bhavan's details printed on every invoice
+ */
+export const getSellerDetails = () => {
+    const stateCode = process.env.INVOICE_SELLER_STATE_CODE || '36';
+    return {
+        name: process.env.INVOICE_SELLER_NAME || 'Bhavan',
+        address: process.env.INVOICE_SELLER_ADDRESS || '',
+        gstin: process.env.INVOICE_SELLER_GSTIN || null,
+        stateCode,
+        stateName: GST_STATES[stateCode] || ''
+    };
+};
+
+// ==================== AMOUNT IN WORDS ====================
+
+const ONES = ['', 'One', 'Two', 'Three', 'Four', 'Five', 'Six', 'Seven', 'Eight', 'Nine', 'Ten',
+    'Eleven', 'Twelve', 'Thirteen', 'Fourteen', 'Fifteen', 'Sixteen', 'Seventeen', 'Eighteen', 'Nineteen'];
+const TENS = ['', '', 'Twenty', 'Thirty', 'Forty', 'Fifty', 'Sixty', 'Seventy', 'Eighty', 'Ninety'];
+
+const twoDigitsInWords = (n) => {
+    if (n < 20) return ONES[n];
+    return `${TENS[Math.floor(n / 10)]}${n % 10 ? ` ${ONES[n % 10]}` : ''}`;
+};
+
+const threeDigitsInWords = (n) => {
+    const hundreds = Math.floor(n / 100);
+    const rest = n % 100;
+    return [hundreds ? `${ONES[hundreds]} Hundred` : '', rest ? twoDigitsInWords(rest) : '']
+        .filter(Boolean)
+        .join(' ');
+};
+
+/**
+ * Whole number in words, Indian system (thousand, lakh, crore)
+ */
+const numberInWords = (n) => {
+    if (n === 0) return 'Zero';
+
+    const parts = [];
+    const crore = Math.floor(n / 10000000);
+    const lakh = Math.floor((n % 10000000) / 100000);
+    const thousand = Math.floor((n % 100000) / 1000);
+    const rest = n % 1000;
+
+    if (crore) parts.push(`${numberInWords(crore)} Crore`);
+    if (lakh) parts.push(`${twoDigitsInWords(lakh)} Lakh`);
+    if (thousand) parts.push(`${twoDigitsInWords(thousand)} Thousand`);
+    if (rest) parts.push(threeDigitsInWords(rest));
+
+    return parts.join(' ');
+};
+
+/**
+ * Rupee amount in words, e.g. 11800.5 -> "Rupees Eleven Thousand Eight Hundred and Fifty Paise Only"
+ */
+export const amountInWords = (amount) => {
+    const rupees = Math.floor(amount);
+    const paise = Math.round((amount - rupees) * 100);
+
+    let words = `Rupees ${numberInWords(rupees)}`;
+    if (paise > 0) {
+        words += ` and ${twoDigitsInWords(paise)} Paise`;
+    }
+    return `${words} Only`;
+};
+
+// ==================== TAX SPLIT ====================
+
+/**
+ * Split GST into CGST + SGST (same state) or IGST (different state)
+ * The total always equals gstAmount, so the invoice matches what was charged.
+ *
+ * @returns {object} { supplyType, cgst, sgst, igst }
+ */
+export const splitGst = (gstRate, gstAmount, sellerStateCode, placeOfSupplyStateCode) => {
+    if (sellerStateCode !== placeOfSupplyStateCode) {
+        return {
+            supplyType: 'inter_state',
+            cgst: { rate: 0, amount: 0 },
+            sgst: { rate: 0, amount: 0 },
+            igst: { rate: gstRate, amount: gstAmount }
+        };
+    }
+
+    const cgstAmount = Math.round((gstAmount / 2) * 100) / 100;
+    return {
+        supplyType: 'intra_state',
+        cgst: { rate: gstRate / 2, amount: cgstAmount },
+        sgst: { rate: gstRate / 2, amount: Math.round((gstAmount - cgstAmount) * 100) / 100 },
+        igst: { rate: 0, amount: 0 }
+    };
+};
+
+// ==================== LINE ITEMS ====================
+
+/**
+ * Invoice lines from the booking's nightly prices
+ * Nights with the same room type and unit price are grouped into one line.
+ */
+export const buildLineItems = (booking, pkg) => {
+    const sacCode = SAC_CODES[booking.category] || SAC_CODES.default;
+    const name = pkg?.name || 'Booking';
+    const stay = `${dayjs.utc(booking.checkInDate).format('DD-MM-YYYY')} to ${dayjs.utc(booking.checkOutDate).format('DD-MM-YYYY')}`;
+    const unitLabel = booking.category === 'rooms_only' ? 'room-night(s)' : 'day(s)';
+    const nights = booking.pricing.nights || [];
+
+    // Bookings priced before nightly pricing existed
+    if (nights.length === 0) {
+        return [{
+            description: `${name} (${stay})`,
+            sacCode,
+            quantity: booking.numberOfDays,
+            unitPrice: Math.round((booking.pricing.subtotal / booking.numberOfDays) * 100) / 100,
+            amount: booking.pricing.subtotal
+        }];
+    }
+
+    // One line per room type (rooms_only) and unit price
+    const groups = new Map();
+    for (const night of nights) {
+        const key = `${night.resourceName || ''}|${night.unitPrice}`;
+        const group = groups.get(key) || {
+            resourceName: night.resourceName,
+            unitPrice: night.unitPrice,
+            quantity: 0,
+            amount: 0
+        };
+        group.quantity += night.quantity;
+        group.amount += night.amount;
+        groups.set(key, group);
+    }
+
+    return [...groups.values()].map(group => ({
+        description: group.resourceName
+            ? `${name} - ${group.resourceName}, ${group.quantity} ${unitLabel} (${stay})`
+            : `${name} - ${group.quantity} ${unitLabel} (${stay})`,
+        sacCode,
+        quantity: group.quantity,
+        unitPrice: group.unitPrice,
+        amount: group.amount
+    }));
+};
+
+// ==================== ISSUE ====================
+
+// A claim held longer than this belongs to a request that died before the invoice was created
+const INVOICE_CLAIM_STALE_MINUTES = 5;
+
+/**
+ * Issue the tax invoice of a confirmed booking
+ * Safe to call more than once - a booking only ever gets one invoice.
+ * The booking is claimed before a number is taken, so calls that race
+ * (verify-payment and the webhook) leave no gaps in the invoice series.
+ *
+ * @param {object} booking - Booking document
+ * @returns {Promise<object|null>} Invoice document, or null while another request is issuing it
+ */
+export const issueInvoice = async (booking) => {
+    const existing = await Invoice.findOne({ booking: booking._id });
+    if (existing) {
+        return existing;
+    }
+
+    const pkg = await Package.findById(booking.packageId).select('name');
+    const seller = getSellerDetails();
+    const guest = booking.guestDetails;
+
+    // B2B: place of supply is the customer's GSTIN state; B2C: the Bhavan's state
+    const customerGstin = isValidGstin(guest.gstin) ? guest.gstin.toUpperCase() : null;
+    const placeOfSupplyCode = customerGstin ? customerGstin.slice(0, 2) : seller.stateCode;
+
+    const subtotal = booking.pricing.subtotal;
+    const discountAmount = booking.pricing.discountAmount || 0;
+    const gstRate = booking.pricing.gst.percentage;
+    const totalTax = booking.pricing.gst.amount;
+    const taxableAmount = subtotal - discountAmount;
+    const totalAmount = taxableAmount + totalTax;
+
+    // ==================== CLAIM ====================
+    // Only the request holding the claim takes a number
+
+    const staleBefore = new Date(Date.now() - INVOICE_CLAIM_STALE_MINUTES * 60 * 1000);
+    const claimed = await Booking.updateOne(
+        {
+            _id: booking._id,
+            $or: [
+                { invoiceClaimedAt: null },
+                { invoiceClaimedAt: { $lt: staleBefore } }
+            ]
+        },
+        { $set: { invoiceClaimedAt: new Date() } }
+    );
+
+    if (claimed.modifiedCount === 0) {
+        return Invoice.findOne({ booking: booking._id });
+    }
+
+    // Issued by the request whose stale claim was just taken over
+    const issued = await Invoice.findOne({ booking: booking._id });
+    if (issued) {
+        return issued;
+    }
+
+    // ==================== NUMBER ====================
+
+    const issuedAt = new Date();
+    const financialYear = getFinancialYear(issuedAt);
+    const sequenceKey = `invoice:${financialYear}`;
+    let sequence = null;
+
+    try {
+        sequence = await nextSequence(sequenceKey);
+
+        return await Invoice.create({
+            invoiceNumber: `${getDocumentPrefix()}/${financialYear}/${String(sequence).padStart(5, '0')}`,
+            financialYear,
+            sequence,
+            issuedAt,
+            booking: booking._id,
+            userId: booking.userId,
+            bookingReferenceId: booking.bookingReferenceId,
+            seller,
+            customer: {
+                name: guest.businessName || guest.fullName,
+                address: guest.address || '',
+                gstin: customerGstin,
+                stateCode: placeOfSupplyCode,
+                stateName: GST_STATES[placeOfSupplyCode] || '',
+                email: guest.email,
+                phoneNumber: guest.phoneNumber
+            },
+            placeOfSupply: {
+                stateCode: placeOfSupplyCode,
+                stateName: GST_STATES[placeOfSupplyCode] || ''
+            },
+            lineItems: buildLineItems(booking, pkg),
+            subtotal,
+            discountAmount,
+            taxableAmount,
+            gstRate,
+            ...splitGst(gstRate, totalTax, seller.stateCode, placeOfSupplyCode),
+            totalTax,
+            totalAmount,
+            amountInWords: amountInWords(totalAmount)
+        });
+    } catch (error) {
+        // The number wasn't used - the next invoice takes it
+        if (sequence !== null) {
+            await releaseSequence(sequenceKey, sequence);
+        }
+
+        // A stale claim taken over from a request that was only slow
+        if (error.code === 11000) {
+            return Invoice.findOne({ booking: booking._id });
+        }
+
+        // Give the claim back so the next call issues it
+        await Booking.updateOne({ _id: booking._id }, { $set: { invoiceClaimedAt: null } });
+        throw error;
+    }
+};
@@ -1,5 +1,11 @@
 import cron from "cron";
 import https from "https";
+import { expireStaleBookings } from "./holds.js";
+import { expireStaleChanges } from "./bookingChanges.js";
+import { refreshPendingRefunds } from "./refunds.js";
+import { processNotificationQueue, queueCheckInReminders } from "./notifications.js";
+import { removeOrphanedImages } from "./images.js";
+import { lapseStaleOffers, expirePastEntries, offerWaitlistedStays } from "./waitlist.js";
 
 const job = new cron.CronJob("*/14 * * * *", function () {
   https
@@ -12,6 +18,88 @@ const job = new cron.CronJob("*/14 * * * *", function () {
 
 export default job;
 
+// Every minute: expire pending bookings (and date / room changes waiting for
+// a top-up) whose payment hold has lapsed and give their units back to the
+// inventory ledger
+export const expireHoldsJob = new cron.CronJob("* * * * *", async function () {
+  try {
+    const expired = await expireStaleBookings();
+    if (expired > 0) console.log(`Expired ${expired} stale pending booking(s)`);
+
+    const expiredChanges = await expireStaleChanges();
+    if (expiredChanges > 0) console.log(`Expired ${expiredChanges} unpaid booking change(s)`);
+  } catch (e) {
+    console.error("Error while expiring pending bookings", e);
+  }
+});
+
+// Every minute: lapse waitlist offers that weren't taken up in time and offer
+// their units to the next guests on the waitlist
+export const waitlistOffersJob = new cron.CronJob("* * * * *", async function () {
+  try {
+    const lapsed = await lapseStaleOffers();
+    if (lapsed > 0) console.log(`Lapsed ${lapsed} waitlist offer(s)`);
+  } catch (e) {
+    console.error("Error while lapsing waitlist offers", e);
+  }
+});
+
+// Every 15 minutes: close waitlist entries whose dates have passed and offer
+// any free units to the rest (backup for units freed without a release hook,
+// e.g. a package switched back on)
+export const waitlistSweepJob = new cron.CronJob("*/15 * * * *", async function () {
+  try {
+    const expired = await expirePastEntries();
+    if (expired > 0) console.log(`Closed ${expired} past waitlist entries`);
+
+    const offered = await offerWaitlistedStays();
+    if (offered > 0) console.log(`Offered ${offered} waitlisted stay(s)`);
+  } catch (e) {
+    console.error("Error while sweeping the waitlist", e);
+  }
+});
+
+// Every 30 minutes: check Razorpay for refunds still pending
+// (backup for missed refund.processed / refund.failed webhooks)
+export const refreshRefundsJob = new cron.CronJob("*/30 * * * *", async function () {
+  try {
+    const updated = await refreshPendingRefunds();
+    if (updated > 0) console.log(`Updated ${updated} pending refund(s)`);
+  } catch (e) {
+    console.error("Error while refreshing pending refunds", e);
+  }
+});
+
+// Every minute: send queued emails / SMS (and retry failed sends)
+export const notificationQueueJob = new cron.CronJob("* * * * *", async function () {
+  try {
+    await processNotificationQueue();
+  } catch (e) {
+    console.error("Error while sending notifications", e);
+  }
+});
+
+// Every hour: remind guests checking in within the next 24 hours
+export const checkInRemindersJob = new cron.CronJob("0 * * * *", async function () {
+  try {
+    const reminded = await queueCheckInReminders();
+    if (reminded > 0) console.log(`Queued check-in reminders for ${reminded} booking(s)`);
+  } catch (e) {
+    console.error("Error while queueing check-in reminders", e);
+  }
+});
+
+// Every day at 3:30 AM: delete uploaded images that nothing refers to
+// (uploads never attached to a room/package, deletes that failed)
+export const orphanedImagesJob = new cron.CronJob("30 3 * * *", async function () {
+  try {
+    const removed = await removeOrphanedImages();
+    if (removed > 0) console.log(`Removed ${removed} orphaned image(s)`);
+  } catch (e) {
+    console.error("Error while removing orphaned images", e);
+  }
+});
+
 // CRON JOB EXPLANATION:
 // Cron jobs are scheduled tasks that run periodically at fixed intervals
 // we want to send 1 GET request for every 14 minutes
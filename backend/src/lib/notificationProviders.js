@@ -0,0 +1,224 @@
+import fs from 'fs/promises';
+import 'dotenv/config';
+
+// ==================== NOTIFICATION PROVIDERS ====================
+// Every provider has the same shape:
+//
+//   { name, send: async ({ to, subject, body, data }) => ({ messageId }) }
+//
+// send() throws on failure; the queue (lib/notifications.js) retries.
+// An error with `permanent: true` is not retried (e.g. an uninstalled app).
+//
+// Chosen per channel from env (default "console"):
+//   EMAIL_PROVIDER = console | file | sendgrid
+//   SMS_PROVIDER   = console | file | twilio
+//   PUSH_PROVIDER  = console | file | mock | expo
+//
+// console, file and mock are for local development and tests - nothing
+// leaves the machine. file appends one JSON line per message to
+// NOTIFICATION_OUTBOX_FILE (default ./notification-outbox.log); mock keeps
+// the payloads in memory (getMockPushes).
+
+/**
+ * Phone number in E.164 - bare 10-digit numbers are Indian
+ */
+export const normalizePhoneNumber = (phoneNumber) => {
+    const digits = String(phoneNumber).replace(/[^\d+]/g, '');
+    return /^\d{10}$/.test(digits) ? `+91${digits}` : digits;
+};
+
+/**
+ * Prints messages to the server log
+ */
+const createConsoleProvider = (channel) => ({
+    name: 'console',
+    send: async ({ to, subject, body }) => {
+        console.log(`[${channel}] to ${to}${subject ? ` - ${subject}` : ''}\n${body}`);
+        return { messageId: `console_${Date.now()}` };
+    }
+});
+
+/**
+ * Appends messages to a local file
+ */
+const createFileProvider = (channel) => ({
+    name: 'file',
+    send: async ({ to, subject, body, data }) => {
+        const messageId = `file_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+        const file = process.env.NOTIFICATION_OUTBOX_FILE || 'notification-outbox.log';
+        await fs.appendFile(file, `${JSON.stringify({ messageId, channel, to, subject, body, data, at: new Date() })}\n`);
+        return { messageId };
+    }
+});
+
+/**
+ * SendGrid v3 mail API
+ * Env: SENDGRID_API_KEY, EMAIL_FROM
+ */
+const createSendgridProvider = () => ({
+    name: 'sendgrid',
+    send: async ({ to, subject, body }) => {
+        const response = await fetch('https://api.sendgrid.com/v3/mail/send', {
+            method: 'POST',
+            headers: {
+                Authorization: `Bearer ${process.env.SENDGRID_API_KEY}`,
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                personalizations: [{ to: [{ email: to }] }],
+                from: { email: process.env.EMAIL_FROM },
+                subject,
+                content: [{ type: 'text/plain', value: body }]
+            })
+        });
+
+        if (!response.ok) {
+            throw new Error(`SendGrid responded ${response.status}: ${await response.text()}`);
+        }
+
+        return { messageId: response.headers.get('x-message-id') };
+    }
+});
+
+/**
+ * Twilio Programmable SMS
+ * Env: TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN, TWILIO_FROM_NUMBER
+ */
+const createTwilioProvider = () => ({
+    name: 'twilio',
+    send: async ({ to, body }) => {
+        const accountSid = process.env.TWILIO_ACCOUNT_SID;
+        const credentials = Buffer.from(`${accountSid}:${process.env.TWILIO_AUTH_TOKEN}`).toString('base64');
+
+        const response = await fetch(`https://api.twilio.com/2010-04-01/Accounts/${accountSid}/Messages.json`, {
+            method: 'POST',
+            headers: {
+                Authorization: `Basic ${credentials}`,
+                'Content-Type': 'application/x-www-form-urlencoded'
+            },
+            body: new URLSearchParams({ To: to, From: process.env.TWILIO_FROM_NUMBER, Body: body })
+        });
+
+        const result = await response.json();
+
+        if (!response.ok) {
+            throw new Error(`Twilio responded ${response.status}: ${result.message || 'unknown error'}`);
+        }
+
+        return { messageId: result.sid };
+    }
+});
+
+/**
+ * Expo push service (https://docs.expo.dev/push-notifications/sending-notifications/)
+ * Env: EXPO_ACCESS_TOKEN (optional, only if push security is enabled)
+ */
+const createExpoPushProvider = () => ({
+    name: 'expo',
+    send: async ({ to, subject, body, data }) => {
+        const headers = { 'Content-Type': 'application/json', Accept: 'application/json' };
+        if (process.env.EXPO_ACCESS_TOKEN) {
+            headers.Authorization = `Bearer ${process.env.EXPO_ACCESS_TOKEN}`;
+        }
+
+        const response = await fetch('https://exp.host/--/api/v2/push/send', {
+            method: 'POST',
+            headers,
+            body: JSON.stringify({ to, title: subject, body, data, sound: 'default' })
+        });
+
+        if (!response.ok) {
+            throw new Error(`Expo push responded ${response.status}: ${await response.text()}`);
+        }
+
+        const { data: ticket } = await response.json();
+
+        if (ticket?.status === 'error') {
+            const error = new Error(`Expo push error: ${ticket.message}`);
+            error.code = ticket.details?.error;
+            // The app was uninstalled or the token is no longer valid
+            error.permanent = error.code === 'DeviceNotRegistered';
+            throw error;
+        }
+
+        return { messageId: ticket?.id };
+    }
+});
+
+// Payloads sent through the mock push provider
+const mockPushes = [];
+
+/**
+ * Records push payloads in memory instead of sending them
+ */
+const createMockPushProvider = () => ({
+    name: 'mock',
+    send: async ({ to, subject, body, data }) => {
+        const messageId = `mock_${mockPushes.length + 1}`;
+        mockPushes.push({ messageId, to, title: subject, body, data });
+        return { messageId };
+    }
+});
+
+/**
+ * Push payloads recorded by the mock provider, oldest first
+ */
+export const getMockPushes = () => [...mockPushes];
+
+export const clearMockPushes = () => {
+    mockPushes.length = 0;
+};
+
+const PROVIDER_FACTORIES = {
+    email: {
+        console: () => createConsoleProvider('email'),
+        file: () => createFileProvider('email'),
+        sendgrid: createSendgridProvider
+    },
+    sms: {
+        console: () => createConsoleProvider('sms'),
+        file: () => createFileProvider('sms'),
+        twilio: createTwilioProvider
+    },
+    push: {
+        console: () => createConsoleProvider('push'),
+        file: () => createFileProvider('push'),
+        mock: createMockPushProvider,
+        expo: createExpoPushProvider
+    }
+};
+
+const ENV_KEYS = {
+    email: 'EMAIL_PROVIDER',
+    sms: 'SMS_PROVIDER',
+    push: 'PUSH_PROVIDER'
+};
+
+// Injected providers (tests), by channel
+const overrides = {};
+
+/**
+ * Provider for a channel ("email" | "sms" | "push")
+ */
+export const getNotificationProvider = (channel) => {
+    if (overrides[channel]) {
+        return overrides[channel];
+    }
+
+    const name = process.env[ENV_KEYS[channel]] || 'console';
+    const factory = PROVIDER_FACTORIES[channel][name];
+
+    if (!factory) {
+        throw new Error(`Unknown ${channel} provider "${name}"`);
+    }
+
+    return factory();
+};
+
+/**
+ * Replace the provider of a channel (used for offline testing)
+ * Pass null to go back to the env setting.
+ */
+export const setNotificationProvider = (channel, provider) => {
+    overrides[channel] = provider;
+};
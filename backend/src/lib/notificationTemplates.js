@@ -0,0 +1,329 @@
+import dayjs from 'dayjs';
+import utc from 'dayjs/plugin/utc.js';
+import { getSellerDetails } from './invoices.js';
+
+dayjs.extend(utc);
+
+// ==================== NOTIFICATION TEMPLATES ====================
+// One template per event. Each gets { booking, packageName, ...details }
+// (waitlist events get { waitlist, user, packageName, ...details } instead)
+// and returns the email (subject + body), SMS text and push notification.
+// SMS texts are kept short - one or two SMS segments.
+
+// Same as shown in the app (MyBookingDetailScreen)
+export const CHECK_IN_TIME = '3:00 PM';
+export const CHECK_OUT_TIME = '11:00 AM';
+
+const formatDate = (date) => dayjs.utc(date).format('ddd, D MMM YYYY');
+
+// Offer deadlines are shown in Indian time
+const IST_OFFSET_MINUTES = 330;
+const formatTime = (date) => dayjs.utc(date).utcOffset(IST_OFFSET_MINUTES).format('h:mm A, ddd D MMM');
+
+const formatAmount = (amount) => `₹${Number(amount || 0).toLocaleString('en-IN')}`;
+
+/**
+ * Lines describing the stay, shared by the emails
+ */
+const stayLines = ({ booking, packageName }) => [
+    `Booking ID: ${booking.bookingReferenceId}`,
+    `Package: ${packageName}`,
+    `Check-in: ${formatDate(booking.checkInDate)}, ${CHECK_IN_TIME}`,
+    `Check-out: ${formatDate(booking.checkOutDate)}, ${CHECK_OUT_TIME}`
+];
+
+/**
+ * How the difference of a date / room change was settled
+ */
+const changeSettlementLine = ({ booking, change }) => ({
+    refund: `The difference of ${formatAmount(change?.settlementAmount)} is being refunded and will reach you in 5-7 working days.`,
+    top_up: `We have received your payment of ${formatAmount(change?.settlementAmount)} for the change.`,
+    balance: `Balance due: ${formatAmount(booking.pricing.balanceAmount)}${booking.pricing.balanceDueDate ? ` by ${formatDate(booking.pricing.balanceDueDate)}` : ''}`,
+    none: null
+}[change?.settlement] || null);
+
+const signOff = () => `\nRegards,\n${getSellerDetails().name}`;
+
+const TEMPLATES = {
+    booking_confirmed: (context) => {
+        const { booking } = context;
+        const balanceDue = booking.pricing.balanceAmount > 0;
+
+        return {
+            email: {
+                subject: `Booking confirmed - ${booking.bookingReferenceId}`,
+                body: [
+                    `Dear ${booking.guestDetails.fullName},`,
+                    '',
+                    'Your booking is confirmed. We have received your payment.',
+                    '',
+                    ...stayLines(context),
+                    `Amount paid: ${formatAmount(booking.pricing.paidAmount)}`,
+                    ...(balanceDue
+                        ? [`Balance due: ${formatAmount(booking.pricing.balanceAmount)}${booking.pricing.balanceDueDate ? ` by ${formatDate(booking.pricing.balanceDueDate)}` : ''}`]
+                        : []),
+                    '',
+                    'Your tax invoice is available under My Bookings in the app.',
+                    signOff()
+                ].join('\n')
+            },
+            sms: {
+                body: `Booking ${booking.bookingReferenceId} confirmed for ${formatDate(booking.checkInDate)}. Paid ${formatAmount(booking.pricing.paidAmount)}${balanceDue ? `, balance ${formatAmount(booking.pricing.balanceAmount)}` : ''}. - ${getSellerDetails().name}`
+            },
+            push: {
+                title: 'Booking confirmed',
+                body: `${context.packageName} on ${formatDate(booking.checkInDate)} is confirmed. Booking ID ${booking.bookingReferenceId}.`
+            }
+        };
+    },
+
+    payment_failed: (context) => {
+        const { booking } = context;
+
+        return {
+            email: {
+                subject: `Payment failed - ${booking.bookingReferenceId}`,
+                body: [
+                    `Dear ${booking.guestDetails.fullName},`,
+                    '',
+                    'Your payment for the booking below did not go through. No money has been taken.',
+                    'You can try again from the app while your booking is on hold.',
+                    '',
+                    ...stayLines(context),
+                    signOff()
+                ].join('\n')
+            },
+            sms: {
+                body: `Payment for booking ${booking.bookingReferenceId} failed. Please retry from the app. - ${getSellerDetails().name}`
+            },
+            push: {
+                title: 'Payment failed',
+                body: `Your payment for booking ${booking.bookingReferenceId} did not go through. Tap to try again.`
+            }
+        };
+    },
+
+    booking_cancelled: (context) => {
+        const { booking } = context;
+        const refundAmount = context.refundAmount ?? booking.cancellation?.refundAmount ?? 0;
+        const refundLine = refundAmount > 0
+            ? `A refund of ${formatAmount(refundAmount)} has been initiated and will reach you in 5-7 working days.`
+            : 'No refund is applicable for this cancellation.';
+
+        return {
+            email: {
+                subject: `Booking cancelled - ${booking.bookingReferenceId}`,
+                body: [
+                    `Dear ${booking.guestDetails.fullName},`,
+                    '',
+                    'Your booking has been cancelled.',
+                    '',
+                    ...stayLines(context),
+                    ...(booking.cancellation?.reason ? [`Reason: ${booking.cancellation.reason}`] : []),
+                    '',
+                    refundLine,
+                    signOff()
+                ].join('\n')
+            },
+            sms: {
+                body: `Booking ${booking.bookingReferenceId} cancelled.${refundAmount > 0 ? ` Refund of ${formatAmount(refundAmount)} initiated.` : ''} - ${getSellerDetails().name}`
+            },
+            push: {
+                title: 'Booking cancelled',
+                body: `Booking ${booking.bookingReferenceId} has been cancelled.${refundAmount > 0 ? ` Refund of ${formatAmount(refundAmount)} initiated.` : ''}`
+            }
+        };
+    },
+
+    booking_rescheduled: (context) => {
+        const { booking, change } = context;
+        const settlementLine = changeSettlementLine(context);
+
+        return {
+            email: {
+                subject: `Booking dates changed - ${booking.bookingReferenceId}`,
+                body: [
+                    `Dear ${booking.guestDetails.fullName},`,
+                    '',
+                    'The dates of your booking have been changed. Your new stay:',
+                    '',
+                    ...stayLines(context),
+                    `Booking total: ${formatAmount(booking.pricing.finalAmount)}`,
+                    ...(change?.fee > 0 ? [`Date change fee: ${formatAmount(change.fee)} (included)`] : []),
+                    ...(settlementLine ? ['', settlementLine] : []),
+                    signOff()
+                ].join('\n')
+            },
+            sms: {
+                body: `Booking ${booking.bookingReferenceId} moved to ${formatDate(booking.checkInDate)} - ${formatDate(booking.checkOutDate)}. - ${getSellerDetails().name}`
+            },
+            push: {
+                title: 'Booking dates changed',
+                body: `${context.packageName} is now on ${formatDate(booking.checkInDate)}. Booking ID ${booking.bookingReferenceId}.`
+            }
+        };
+    },
+
+    booking_rooms_changed: (context) => {
+        const { booking, change } = context;
+        const settlementLine = changeSettlementLine(context);
+        const rooms = (change?.toRooms || [])
+            .filter(room => room.quantity > 0)
+            .map(room => `${room.quantity} × ${room.name}`)
+            .join(', ');
+
+        return {
+            email: {
+                subject: `Booking rooms changed - ${booking.bookingReferenceId}`,
+                body: [
+                    `Dear ${booking.guestDetails.fullName},`,
+                    '',
+                    'The rooms of your booking have been changed.',
+                    '',
+                    ...stayLines(context),
+                    ...(rooms ? [`Rooms: ${rooms}`] : []),
+                    `Booking total: ${formatAmount(booking.pricing.finalAmount)}`,
+                    ...(settlementLine ? ['', settlementLine] : []),
+                    signOff()
+                ].join('\n')
+            },
+            sms: {
+                body: `Booking ${booking.bookingReferenceId} rooms changed${rooms ? ` to ${rooms}` : ''}. - ${getSellerDetails().name}`
+            },
+            push: {
+                title: 'Booking rooms changed',
+                body: `${context.packageName}: your rooms are now ${rooms || 'updated'}. Booking ID ${booking.bookingReferenceId}.`
+            }
+        };
+    },
+
+    refund_processed: (context) => {
+        const { booking, refundAmount } = context;
+
+        return {
+            email: {
+                subject: `Refund processed - ${booking.bookingReferenceId}`,
+                body: [
+                    `Dear ${booking.guestDetails.fullName},`,
+                    '',
+                    `Your refund of ${formatAmount(refundAmount)} for booking ${booking.bookingReferenceId} has been processed.`,
+                    'It should show in your account within a few working days, depending on your bank.',
+                    signOff()
+                ].join('\n')
+            },
+            sms: {
+                body: `Refund of ${formatAmount(refundAmount)} for booking ${booking.bookingReferenceId} processed. - ${getSellerDetails().name}`
+            },
+            push: {
+                title: 'Refund processed',
+                body: `${formatAmount(refundAmount)} for booking ${booking.bookingReferenceId} is on its way to your account.`
+            }
+        };
+    },
+
+    check_in_reminder: (context) => {
+        const { booking } = context;
+
+        return {
+            email: {
+                subject: `Your upcoming stay - ${booking.bookingReferenceId}`,
+                body: [
+                    `Dear ${booking.guestDetails.fullName},`,
+                    '',
+                    'This is a reminder of your stay with us.',
+                    '',
+                    ...stayLines(context),
+                    ...(booking.pricing.balanceAmount > 0
+                        ? ['', `Balance due: ${formatAmount(booking.pricing.balanceAmount)}. You can pay it from the app.`]
+                        : []),
+                    '',
+                    'Please carry a valid photo ID for check-in.',
+                    signOff()
+                ].join('\n')
+            },
+            sms: {
+                body: `Reminder: check-in for booking ${booking.bookingReferenceId} is on ${formatDate(booking.checkInDate)} from ${CHECK_IN_TIME}. Please carry a photo ID. - ${getSellerDetails().name}`
+            },
+            push: {
+                title: 'Your stay is coming up',
+                body: `Check-in on ${formatDate(booking.checkInDate)} from ${CHECK_IN_TIME}. Booking ID ${booking.bookingReferenceId}.`
+            }
+        };
+    },
+
+    post_stay_thank_you: (context) => {
+        const { booking } = context;
+
+        return {
+            email: {
+                subject: `Thank you for staying with us - ${booking.bookingReferenceId}`,
+                body: [
+                    `Dear ${booking.guestDetails.fullName},`,
+                    '',
+                    `Thank you for choosing us for your ${context.packageName} booking. We hope you had a pleasant stay.`,
+                    'We look forward to welcoming you again.',
+                    signOff()
+                ].join('\n')
+            },
+            sms: {
+                body: `Thank you for staying with us! We hope to see you again. - ${getSellerDetails().name}`
+            },
+            push: {
+                title: 'Thank you for staying with us',
+                body: 'We hope you had a pleasant stay. See you again!'
+            }
+        };
+    },
+
+    waitlist_offer: (context) => {
+        const { waitlist, user, packageName } = context;
+        const stay = `${formatDate(waitlist.checkInDate)} - ${formatDate(waitlist.checkOutDate)}`;
+        const deadline = formatTime(waitlist.offerExpiresAt);
+
+        return {
+            email: {
+                subject: `${packageName} is available - complete your booking`,
+                body: [
+                    `Dear ${user.fullName || 'Guest'},`,
+                    '',
+                    `Good news - ${packageName} has become available for the dates you were waiting for.`,
+                    '',
+                    `Package: ${packageName}`,
+                    `Check-in: ${formatDate(waitlist.checkInDate)}, ${CHECK_IN_TIME}`,
+                    `Check-out: ${formatDate(waitlist.checkOutDate)}, ${CHECK_OUT_TIME}`,
+                    '',
+                    `We are holding it for you until ${deadline} (IST).`,
+                    'Open the app and complete the payment from My Bookings > Waitlist to confirm it.',
+                    'After that it will be offered to the next guest on the waitlist.',
+                    signOff()
+                ].join('\n')
+            },
+            sms: {
+                body: `${packageName} is available for ${stay}. Held for you until ${deadline} - book in the app. - ${getSellerDetails().name}`
+            },
+            push: {
+                title: 'Your waitlisted stay is available',
+                body: `${packageName} for ${stay} is held for you until ${deadline}. Tap to book.`
+            }
+        };
+    }
+};
+
+export const NOTIFICATION_EVENTS = Object.keys(TEMPLATES);
+
+/**
+ * Render the messages of an event
+ *
+ * @param {string} event - e.g. "booking_confirmed"
+ * @param {object} context - { booking, packageName, ...event details }
+ * @returns {object} { email: { subject, body }, sms: { body }, push: { title, body } }
+ */
+export const renderNotification = (event, context) => {
+    const template = TEMPLATES[event];
+
+    if (!template) {
+        throw new Error(`Unknown notification event "${event}"`);
+    }
+
+    return template(context);
+};
@@ -0,0 +1,314 @@
+import dayjs from 'dayjs';
+import Booking from '../models/Booking.js';
+import Package from '../models/Package.js';
+import User from '../models/User.js';
+import Notification from '../models/Notification.js';
+import { renderNotification } from './notificationTemplates.js';
+import { getNotificationProvider, normalizePhoneNumber } from './notificationProviders.js';
+
+// ==================== NOTIFICATIONS ====================
+// notifyBooking() only renders the messages and queues them in the
+// notifications collection - it never waits for a provider, so a slow email
+// or SMS API can't hold up verify-payment or a cancellation.
+//
+// The queue is worked straight after queueing and every minute by
+// notificationQueueJob (lib/job.js), which also picks up retries.
+// A failed send is retried with backoff (1, 2, 4, 8 minutes) and marked
+// failed after MAX_ATTEMPTS.
+//
+// Email and SMS go to the booking's guestDetails; push goes to every device
+// of the booking's user (User.pushTokens). Tapping a push opens the booking
+// in the app (data.screen / data.bookingId).
+//
+// Waitlist offers (notifyWaitlist) have no booking yet - they go to the
+// user's own email, phone and devices, and open the app's waitlist.
+
+const MAX_ATTEMPTS = 5;
+const SEND_LOCK_MINUTES = 5;
+const BATCH_SIZE = 20;
+
+// Check-in is at 3:00 PM Indian time (CHECK_IN_TIME in notificationTemplates.js)
+const CHECK_IN_OFFSET_MINUTES = 15 * 60 - 330;
+const REMINDER_HOURS_BEFORE = 24;
+
+/**
+ * Email, SMS and push recipients of a contact, as { channel, to }
+ */
+const toRecipients = ({ email, phoneNumber }, pushTokens = []) => {
+    const recipients = [];
+
+    if (email) {
+        recipients.push({ channel: 'email', to: email });
+    }
+
+    if (phoneNumber) {
+        recipients.push({ channel: 'sms', to: normalizePhoneNumber(phoneNumber) });
+    }
+
+    for (const { token } of pushTokens) {
+        recipients.push({ channel: 'push', to: token });
+    }
+
+    return recipients;
+};
+
+/**
+ * Everyone a booking event goes to, as { channel, to }
+ */
+const getRecipients = async (booking) => {
+    const user = await User.findById(booking.userId).select('pushTokens');
+    return toRecipients(booking.guestDetails || {}, user?.pushTokens);
+};
+
+/**
+ * Queue one rendered event for every recipient and start sending
+ * Duplicates (same dedupe key) are dropped.
+ *
+ * @param {object} options - { data (push only), booking, waitlist, dedupeParts }
+ * @returns {Promise<number>} number of messages queued
+ */
+const queueMessages = async (event, messages, recipients, { data, booking = null, waitlist = null, dedupeParts }) => {
+    let queued = 0;
+
+    for (const { channel, to } of recipients) {
+        try {
+            await Notification.create({
+                event,
+                channel,
+                to,
+                subject: channel === 'push' ? messages.push.title : messages[channel].subject,
+                body: messages[channel].body,
+                data: channel === 'push' ? data : null,
+                booking,
+                waitlist,
+                // One push per device
+                dedupeKey: [event, ...dedupeParts, channel, channel === 'push' && to].filter(Boolean).join(':')
+            });
+            queued++;
+        } catch (error) {
+            // Already queued (e.g. by the other of verify-payment / webhook)
+            if (error.code !== 11000) throw error;
+        }
+    }
+
+    if (queued > 0) {
+        setImmediate(() => {
+            processNotificationQueue().catch(error => console.error('Error processing notification queue:', error));
+        });
+    }
+
+    return queued;
+};
+
+/**
+ * Queue the email, SMS and push notifications of a booking event
+ * Safe to call more than once for the same event - duplicates are dropped.
+ * Never throws: a notification problem must not fail the booking flow.
+ *
+ * @param {string} event - e.g. "booking_confirmed" (see notificationTemplates.js)
+ * @param {object} booking - Booking document
+ * @param {object} details - extra template values; `key` makes an event repeatable
+ *                           (e.g. one refund_processed per refund)
+ * @returns {Promise<number>} number of messages queued
+ */
+export const notifyBooking = async (event, booking, { key = null, ...details } = {}) => {
+    try {
+        const packageName = booking.packageId?.name
+            || (await Package.findById(booking.packageId).select('name'))?.name
+            || 'Booking';
+
+        const messages = renderNotification(event, { booking, packageName, ...details });
+
+        const recipients = await getRecipients(booking);
+
+        return await queueMessages(event, messages, recipients, {
+            data: { screen: 'MyBookingDetail', bookingId: booking._id.toString(), event },
+            booking: booking._id,
+            dedupeParts: [booking._id, key]
+        });
+    } catch (error) {
+        console.error(`Error queueing ${event} notification:`, error);
+        return 0;
+    }
+};
+
+/**
+ * Queue the email, SMS and push notifications of a waitlist event
+ * Never throws, like notifyBooking.
+ *
+ * @param {string} event - e.g. "waitlist_offer"
+ * @param {object} waitlist - Waitlist document
+ * @param {object} details - extra template values; `key` makes an event repeatable
+ * @returns {Promise<number>} number of messages queued
+ */
+export const notifyWaitlist = async (event, waitlist, { key = null, ...details } = {}) => {
+    try {
+        const [pkg, user] = await Promise.all([
+            Package.findById(waitlist.packageId).select('name'),
+            User.findById(waitlist.userId).select('fullName email phoneNumber pushTokens')
+        ]);
+
+        if (!user) {
+            return 0;
+        }
+
+        const messages = renderNotification(event, {
+            waitlist,
+            user,
+            packageName: pkg?.name || 'Booking',
+            ...details
+        });
+
+        return await queueMessages(event, messages, toRecipients(user, user.pushTokens), {
+            data: { screen: 'Waitlist', waitlistId: waitlist._id.toString(), event },
+            waitlist: waitlist._id,
+            dedupeParts: [waitlist._id, key]
+        });
+    } catch (error) {
+        console.error(`Error queueing ${event} notification:`, error);
+        return 0;
+    }
+};
+
+// ==================== QUEUE WORKER ====================
+
+let processing = false;
+
+/**
+ * Take the next notification due for sending
+ * Also takes back sends whose worker stopped half-way (lock expired).
+ */
+const claimNextNotification = (now) => {
+    return Notification.findOneAndUpdate(
+        {
+            $or: [
+                { status: 'queued', nextAttemptAt: { $lte: now } },
+                { status: 'sending', lockedUntil: { $lte: now } }
+            ]
+        },
+        {
+            $set: {
+                status: 'sending',
+                lockedUntil: dayjs(now).add(SEND_LOCK_MINUTES, 'minute').toDate()
+            },
+            $inc: { attempts: 1 }
+        },
+        { new: true, sort: { nextAttemptAt: 1 } }
+    );
+};
+
+/**
+ * Send one claimed notification and record the result
+ * @returns {Promise<boolean>} true if sent
+ */
+const sendNotification = async (notification) => {
+    let provider = null;
+
+    try {
+        provider = getNotificationProvider(notification.channel);
+
+        const { messageId } = await provider.send({
+            to: notification.to,
+            subject: notification.subject,
+            body: notification.body,
+            data: notification.data
+        });
+
+        await Notification.updateOne(
+            { _id: notification._id },
+            {
+                $set: {
+                    status: 'sent',
+                    provider: provider.name,
+                    providerMessageId: messageId || null,
+                    sentAt: new Date(),
+                    lockedUntil: null,
+                    lastError: null
+                }
+            }
+        );
+        return true;
+
+    } catch (error) {
+        const giveUp = error.permanent || notification.attempts >= MAX_ATTEMPTS;
+        console.error(`Error sending ${notification.channel} notification ${notification._id}:`, error.message || error);
+
+        // App uninstalled - stop sending to this device
+        if (notification.channel === 'push' && error.code === 'DeviceNotRegistered') {
+            await User.updateMany(
+                { 'pushTokens.token': notification.to },
+                { $pull: { pushTokens: { token: notification.to } } }
+            );
+        }
+
+        await Notification.updateOne(
+            { _id: notification._id },
+            {
+                $set: {
+                    status: giveUp ? 'failed' : 'queued',
+                    provider: provider?.name || null,
+                    lastError: error.message || 'Send failed',
+                    lockedUntil: null,
+                    nextAttemptAt: dayjs().add(2 ** (notification.attempts - 1), 'minute').toDate()
+                }
+            }
+        );
+        return false;
+    }
+};
+
+/**
+ * Send the notifications that are due
+ * Only one run at a time per process; the claim keeps several servers apart.
+ * @returns {Promise<number>} number sent
+ */
+export const processNotificationQueue = async ({ limit = BATCH_SIZE } = {}) => {
+    if (processing) {
+        return 0;
+    }
+
+    processing = true;
+    let sent = 0;
+
+    try {
+        for (let i = 0; i < limit; i++) {
+            const notification = await claimNextNotification(new Date());
+            if (!notification) break;
+
+            if (await sendNotification(notification)) {
+                sent++;
+            }
+        }
+    } finally {
+        processing = false;
+    }
+
+    return sent;
+};
+
+// ==================== SCHEDULED NOTIFICATIONS ====================
+
+/**
+ * Queue check-in reminders for confirmed bookings checking in within the
+ * next 24 hours (run hourly - a booking is only ever reminded once)
+ * @returns {Promise<number>} number of bookings reminded
+ */
+export const queueCheckInReminders = async (now = new Date()) => {
+    // checkInDate is midnight UTC of the check-in day
+    const bookings = await Booking.find({
+        status: 'confirmed',
+        checkInDate: {
+            $gt: dayjs(now).subtract(CHECK_IN_OFFSET_MINUTES, 'minute').toDate(),
+            $lte: dayjs(now).add(REMINDER_HOURS_BEFORE, 'hour').subtract(CHECK_IN_OFFSET_MINUTES, 'minute').toDate()
+        }
+    }).populate('packageId', 'name');
+
+    let reminded = 0;
+    for (const booking of bookings) {
+        if (await notifyBooking('check_in_reminder', booking) > 0) {
+            reminded++;
+        }
+    }
+
+    return reminded;
+};
@@ -0,0 +1,209 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import OtpCode from '../models/OtpCode.js';
+import { getNotificationProvider, normalizePhoneNumber } from './notificationProviders.js';
+import { getSellerDetails } from './invoices.js';
+
+// ==================== ONE-TIME CODES ====================
+// 6-digit codes sent by SMS for password-less login, for verifying the
+// phone number at registration and for resetting a forgotten password
+// (which can also go by email).
+//
+// - Codes are stored as an HMAC, never in plain text
+// - A code expires after OTP_EXPIRY_MINUTES and works once
+// - Requesting a new code replaces the previous one
+// - One send per OTP_RESEND_SECONDS, at most MAX_OTPS_PER_HOUR per number,
+//   counted whether or not the number has an account
+// - MAX_VERIFY_ATTEMPTS wrong guesses use the code up
+//
+// The code goes straight through the SMS / email provider (SMS_PROVIDER,
+// EMAIL_PROVIDER, see lib/notificationProviders.js) instead of the
+// notification queue - the user is waiting for it. With the default
+// "console" provider the code is printed in the server log.
+
+const OTP_LENGTH = 6;
+const OTP_EXPIRY_MINUTES = 5;
+const OTP_RESEND_SECONDS = 60;
+const MAX_OTPS_PER_HOUR = 5;
+const MAX_VERIFY_ATTEMPTS = 5;
+const PHONE_VERIFICATION_TTL_SECONDS = 15 * 60;
+
+export const OTP_PURPOSES = ['login', 'register', 'reset_password'];
+
+const hashCode = (phoneNumber, purpose, code) => {
+    return crypto
+        .createHmac('sha256', process.env.OTP_SECRET || process.env.JWT_SECRET)
+        .update(`${purpose}:${phoneNumber}:${code}`)
+        .digest('hex');
+};
+
+const generateCode = () => {
+    return crypto.randomInt(0, 10 ** OTP_LENGTH).toString().padStart(OTP_LENGTH, '0');
+};
+
+/**
+ * Create a code and send it by SMS (or email)
+ * With deliver false (no account for the number) the request still counts
+ * towards the number's limits and answers the same, but no code goes out -
+ * otherwise the throttle tells who has an account.
+ * @param {string} phoneNumber - 10-digit phone number the code belongs to
+ * @param {string} purpose - "login" | "register" | "reset_password"
+ * @param {object} options - { email } sends the code to this address instead of the phone,
+ *                           { deliver: false } records the request without sending a code
+ * @returns {object} { expiresAt, resendAfter } or { error, status, retryAfter }
+ */
+export const requestOtp = async (phoneNumber, purpose, { email, deliver = true } = {}) => {
+    const now = new Date();
+
+    const latest = await OtpCode.findOne({ phoneNumber, purpose }).sort({ createdAt: -1 });
+    if (latest) {
+        const waitSeconds = Math.ceil(OTP_RESEND_SECONDS - (now - latest.createdAt) / 1000);
+        if (waitSeconds > 0) {
+            return {
+                error: `Please wait ${waitSeconds} seconds before requesting another code`,
+                status: 429,
+                retryAfter: waitSeconds
+            };
+        }
+    }
+
+    const sentLastHour = await OtpCode.countDocuments({
+        phoneNumber,
+        createdAt: { $gte: new Date(now.getTime() - 60 * 60 * 1000) }
+    });
+    if (sentLastHour >= MAX_OTPS_PER_HOUR) {
+        return { error: 'Too many codes requested. Please try again in an hour', status: 429 };
+    }
+
+    // Only the newest code works
+    await OtpCode.updateMany(
+        { phoneNumber, purpose, consumedAt: null, expiresAt: { $gt: now } },
+        { $set: { expiresAt: now } }
+    );
+
+    const code = generateCode();
+    const otp = await OtpCode.create({
+        phoneNumber,
+        purpose,
+        codeHash: hashCode(phoneNumber, purpose, code),
+        expiresAt: new Date(now.getTime() + OTP_EXPIRY_MINUTES * 60 * 1000)
+    });
+
+    if (!deliver) {
+        return { expiresAt: otp.expiresAt, resendAfter: OTP_RESEND_SECONDS };
+    }
+
+    const body = `${code} is your ${getSellerDetails().name} verification code. It expires in ${OTP_EXPIRY_MINUTES} minutes. Do not share it with anyone.`;
+
+    try {
+        if (email) {
+            await getNotificationProvider('email').send({
+                to: email,
+                subject: `Your ${getSellerDetails().name} verification code`,
+                body: `${body}\n\nIf you did not ask for this code, you can ignore this email.`
+            });
+        } else {
+            await getNotificationProvider('sms').send({ to: normalizePhoneNumber(phoneNumber), body });
+        }
+    } catch (error) {
+        console.error('Error sending OTP:', error);
+        await OtpCode.deleteOne({ _id: otp._id });
+        return { error: 'Could not send the code. Please try again', status: 502 };
+    }
+
+    return { expiresAt: otp.expiresAt, resendAfter: OTP_RESEND_SECONDS };
+};
+
+/**
+ * What requestOtp returns, for a request that sends no code and has no
+ * number to count it against (a reset by email for an unknown address)
+ * The response must look the same either way, or it tells who has an account.
+ * @returns {object} { expiresAt, resendAfter }
+ */
+export const unsentOtpResult = () => {
+    return {
+        expiresAt: new Date(Date.now() + OTP_EXPIRY_MINUTES * 60 * 1000),
+        resendAfter: OTP_RESEND_SECONDS
+    };
+};
+
+/**
+ * Check a code and use it up
+ * @returns {object} { verified: true } or { error, status, attemptsLeft }
+ */
+export const verifyOtp = async (phoneNumber, purpose, code) => {
+    const now = new Date();
+
+    // Count the attempt before comparing, so parallel guesses can't exceed the limit
+    const otp = await OtpCode.findOneAndUpdate(
+        {
+            phoneNumber,
+            purpose,
+            consumedAt: null,
+            expiresAt: { $gt: now },
+            attempts: { $lt: MAX_VERIFY_ATTEMPTS }
+        },
+        { $inc: { attempts: 1 } },
+        { sort: { createdAt: -1 }, new: true }
+    );
+
+    if (!otp) {
+        return { error: 'Code has expired or is no longer valid. Please request a new one', status: 400 };
+    }
+
+    const expected = Buffer.from(otp.codeHash, 'hex');
+    const actual = Buffer.from(hashCode(phoneNumber, purpose, String(code || '')), 'hex');
+
+    if (!crypto.timingSafeEqual(expected, actual)) {
+        const attemptsLeft = MAX_VERIFY_ATTEMPTS - otp.attempts;
+        return {
+            error: attemptsLeft > 0
+                ? `Incorrect code. ${attemptsLeft} attempt${attemptsLeft === 1 ? '' : 's'} left`
+                : 'Incorrect code. Please request a new one',
+            status: 400,
+            attemptsLeft
+        };
+    }
+
+    // Claim the code - a second request with the same code gets nothing
+    const claimed = await OtpCode.updateOne(
+        { _id: otp._id, consumedAt: null },
+        { $set: { consumedAt: now } }
+    );
+
+    if (claimed.modifiedCount === 0) {
+        return { error: 'Code has already been used. Please request a new one', status: 400 };
+    }
+
+    return { verified: true };
+};
+
+/**
+ * Proof that a phone number was verified, passed to POST /api/auth/register
+ * @returns {object} { token, expiresAt }
+ */
+export const signPhoneVerificationToken = (phoneNumber) => {
+    const token = jwt.sign(
+        { kind: 'phone_verification', phoneNumber },
+        process.env.JWT_SECRET,
+        { expiresIn: PHONE_VERIFICATION_TTL_SECONDS }
+    );
+
+    return {
+        token,
+        expiresAt: new Date(Date.now() + PHONE_VERIFICATION_TTL_SECONDS * 1000)
+    };
+};
+
+/**
+ * Check a phone verification token
+ * @returns {boolean} true if the token is valid for this phone number
+ */
+export const verifyPhoneVerificationToken = (token, phoneNumber) => {
+    try {
+        const payload = jwt.verify(token, process.env.JWT_SECRET);
+        return payload.kind === 'phone_verification' && payload.phoneNumber === phoneNumber;
+    } catch (error) {
+        return false;
+    }
+};
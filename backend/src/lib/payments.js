@@ -0,0 +1,439 @@
+import crypto from 'crypto';
+import 'dotenv/config';
+import Booking from '../models/Booking.js';
+import Package from '../models/Package.js';
+import Resource from '../models/Resource.js';
+import { reserveInventory, releaseInventory } from './inventory.js';
+import { issueRefund } from './refunds.js';
+import { issueInvoice } from './invoices.js';
+import { notifyBooking } from './notifications.js';
+
+// ==================== PAYMENT CONFIRMATION ====================
+// Shared by POST /api/bookings/verify-payment (app) and
+// POST /api/payments/webhook (Razorpay), so a booking ends up in the same
+// state whichever of the two arrives first.
+
+const PAYMENT_METHODS = ['card', 'upi', 'netbanking', 'wallet'];
+
+// payment.status values meaning money has been received
+export const PAID_PAYMENT_STATUSES = ['partially_paid', 'paid'];
+
+/**
+ * Constant-time comparison of two hex signatures
+ */
+const signaturesMatch = (expected, received) => {
+    if (!received || expected.length !== received.length) {
+        return false;
+    }
+    return crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(received));
+};
+
+/**
+ * Verify the signature the checkout returns to the app
+ * HMAC-SHA256 of "order_id|payment_id" with the API secret
+ */
+export const verifyPaymentSignature = (orderId, paymentId, signature) => {
+    const expected = crypto
+        .createHmac('sha256', process.env.RAZORPAY_SECRET_KEY)
+        .update(`${orderId}|${paymentId}`)
+        .digest('hex');
+
+    return signaturesMatch(expected, signature);
+};
+
+/**
+ * Verify the X-Razorpay-Signature header of a webhook
+ * HMAC-SHA256 of the raw request body with the webhook secret
+ */
+export const verifyWebhookSignature = (rawBody, signature) => {
+    if (!rawBody || !process.env.RAZORPAY_WEBHOOK_SECRET) {
+        return false;
+    }
+
+    const expected = crypto
+        .createHmac('sha256', process.env.RAZORPAY_WEBHOOK_SECRET)
+        .update(rawBody)
+        .digest('hex');
+
+    return signaturesMatch(expected, signature);
+};
+
+/**
+ * Map Razorpay's payment method to our enum
+ */
+export const normalizePaymentMethod = (method) => {
+    if (!method) return null;
+    return PAYMENT_METHODS.includes(method) ? method : 'other';
+};
+
+/**
+ * Amount the first order (create-order) charges
+ * Bookings made before deposits existed have no depositAmount and paid in full.
+ */
+export const getInitialPaymentAmount = (booking) => {
+    return booking.pricing.depositAmount ?? booking.pricing.finalAmount;
+};
+
+/**
+ * Find the booking a Razorpay order belongs to (first order or a balance order)
+ */
+export const findBookingByOrderId = (orderId) => {
+    return Booking.findOne({
+        $or: [
+            { 'payment.orderId': orderId },
+            { 'payments.orderId': orderId }
+        ]
+    });
+};
+
+/**
+ * Ledger row for a Razorpay order waiting to be paid
+ */
+export const orderLedgerEntry = (purpose, orderId, amount) => ({
+    kind: 'payment',
+    purpose,
+    amount,
+    status: 'created',
+    orderId,
+    createdAt: new Date()
+});
+
+/**
+ * Ledger row for an order in booking.payments
+ */
+const findOrderEntry = (booking, orderId) => {
+    return (booking.payments || []).find(txn => txn.kind === 'payment' && txn.orderId === orderId);
+};
+
+/**
+ * Update (or, for bookings older than the ledger, add) the paid ledger row of an order
+ * Returns the parts of a findOneAndUpdate - $set / $push and arrayFilters
+ */
+const paidLedgerUpdate = (booking, orderId, purpose, amount, { paymentId, method, paidAt }) => {
+    if (findOrderEntry(booking, orderId)) {
+        return {
+            set: {
+                'payments.$[txn].status': 'paid',
+                'payments.$[txn].paymentId': paymentId,
+                'payments.$[txn].paymentMethod': method || null,
+                'payments.$[txn].settledAt': paidAt
+            },
+            push: null,
+            arrayFilters: [{ 'txn.orderId': orderId, 'txn.kind': 'payment' }]
+        };
+    }
+
+    return {
+        set: {},
+        push: {
+            payments: {
+                ...orderLedgerEntry(purpose, orderId, amount),
+                status: 'paid',
+                paymentId,
+                paymentMethod: method || null,
+                settledAt: paidAt
+            }
+        },
+        arrayFilters: undefined
+    };
+};
+
+/**
+ * Mark a pending booking as paid (or deposit paid) and confirmed
+ * The conditional update means only the first caller (app or webhook) wins;
+ * the package bookingCount is incremented exactly once.
+ *
+ * @returns {Promise<object|null>} confirmed booking, or null if it was not pending/unpaid
+ */
+export const confirmBookingPayment = async (booking, { paymentId, signature = null, method = null, paidAt = new Date() }) => {
+    const amount = getInitialPaymentAmount(booking);
+    const isDeposit = amount < booking.pricing.finalAmount;
+    const ledger = paidLedgerUpdate(booking, booking.payment.orderId, isDeposit ? 'deposit' : 'full', amount, {
+        paymentId,
+        method: normalizePaymentMethod(method),
+        paidAt
+    });
+
+    const update = {
+        ...ledger.set,
+        'payment.paymentId': paymentId,
+        'payment.status': isDeposit ? 'partially_paid' : 'paid',
+        'payment.paidAt': paidAt,
+        'pricing.paidAmount': amount,
+        'pricing.balanceAmount': booking.pricing.finalAmount - amount,
+        status: 'confirmed',
+        holdExpiresAt: null
+    };
+
+    if (signature) update['payment.signature'] = signature;
+    if (method) update['payment.paymentMethod'] = normalizePaymentMethod(method);
+
+    const confirmed = await Booking.findOneAndUpdate(
+        { _id: booking._id, status: 'pending', 'payment.status': { $nin: PAID_PAYMENT_STATUSES } },
+        { $set: update, ...(ledger.push && { $push: ledger.push }) },
+        { new: true, arrayFilters: ledger.arrayFilters }
+    );
+
+    if (!confirmed) {
+        return null;
+    }
+
+    // Update package booking count
+    await Package.findByIdAndUpdate(
+        confirmed.packageId,
+        { $inc: { bookingCount: 1 } }
+    );
+
+    // The invoice can be issued again later (GET /:bookingId/invoice), so a
+    // failure here must not fail the payment
+    try {
+        await issueInvoice(confirmed);
+    } catch (error) {
+        console.error('Error issuing invoice:', error);
+    }
+
+    await notifyBooking('booking_confirmed', confirmed);
+
+    return confirmed;
+};
+
+/**
+ * Record the first payment of an expired / cancelled booking and refund it in full
+ * Only the first caller records it, and only while the booking is still
+ * expired / cancelled - a booking confirmed in the meantime is returned unchanged.
+ */
+const refundUnusedPayment = async (booking, paymentDetails, { note, reason }) => {
+    const current = await Booking.findById(booking._id);
+    if (!['expired', 'cancelled'].includes(current.status) || PAID_PAYMENT_STATUSES.includes(current.payment.status)) {
+        return current;
+    }
+
+    const amount = getInitialPaymentAmount(current);
+    const paidAt = paymentDetails.paidAt || new Date();
+    const ledger = paidLedgerUpdate(current, current.payment.orderId, amount < current.pricing.finalAmount ? 'deposit' : 'full', amount, {
+        paymentId: paymentDetails.paymentId,
+        method: normalizePaymentMethod(paymentDetails.method),
+        paidAt
+    });
+
+    const flagged = await Booking.findOneAndUpdate(
+        { _id: current._id, status: current.status, 'payment.status': { $nin: PAID_PAYMENT_STATUSES } },
+        {
+            $set: {
+                ...ledger.set,
+                'payment.paymentId': paymentDetails.paymentId,
+                'payment.status': amount < current.pricing.finalAmount ? 'partially_paid' : 'paid',
+                'payment.paidAt': paidAt,
+                'payment.paymentMethod': normalizePaymentMethod(paymentDetails.method),
+                'pricing.paidAmount': amount,
+                adminNotes: [current.adminNotes, note].filter(Boolean).join('\n')
+            },
+            ...(ledger.push && { $push: ledger.push })
+        },
+        { new: true, arrayFilters: ledger.arrayFilters }
+    );
+
+    if (!flagged) {
+        return Booking.findById(current._id);
+    }
+
+    return issueRefund(flagged, flagged.pricing.paidAmount, { reason });
+};
+
+/**
+ * Payment arrived after the hold expired (e.g. app crashed, webhook came late)
+ * Try to take the units again; if they're gone, record the payment and
+ * refund it in full.
+ * Safe to race between verify-payment and the webhook (or payment.captured
+ * and order.paid): units taken by a caller that doesn't win are given back,
+ * and the refund is only issued while the booking is still expired.
+ *
+ * @returns {Promise<object>} confirmed booking, the expired booking being
+ *          refunded, or the booking as another caller left it
+ */
+export const handleLatePayment = async (booking, paymentDetails) => {
+    let items = [];
+    for (const item of booking.resources) {
+        const resource = await Resource.findById(item.resource);
+
+        // Resource deleted since the booking was made - the stay can't be held again
+        if (!resource) {
+            items = null;
+            break;
+        }
+
+        items.push({
+            resource: item.resource,
+            quantity: item.quantity,
+            totalUnits: resource.totalUnits,
+            name: resource.name
+        });
+    }
+
+    const reservation = items
+        ? await reserveInventory(items, booking.checkInDate, booking.checkOutDate)
+        : { reserved: false };
+
+    if (reservation.reserved) {
+        const reopened = await Booking.findOneAndUpdate(
+            { _id: booking._id, status: 'expired' },
+            { $set: { status: 'pending', inventoryHeld: true } },
+            { new: true }
+        );
+
+        const confirmed = reopened && await confirmBookingPayment(reopened, paymentDetails);
+        if (confirmed) {
+            return confirmed;
+        }
+
+        // Lost the race - the payment was already recorded by the other caller
+        if (reopened) {
+            await Booking.findOneAndUpdate(
+                { _id: booking._id, status: 'pending' },
+                { $set: { status: 'expired', inventoryHeld: false } }
+            );
+        }
+        await releaseInventory(items, booking.checkInDate, booking.checkOutDate);
+    }
+
+    // Units were taken by someone else - record the payment and refund it in full
+    // (unless the other caller already confirmed or refunded it)
+    return refundUnusedPayment(booking, paymentDetails, {
+        note: `Payment ${paymentDetails.paymentId} received after the hold expired and the units were no longer available. Refunded in full.`,
+        reason: 'Payment received after booking hold expired'
+    });
+};
+
+/**
+ * Payment arrived for a booking cancelled while it was waiting for payment
+ * The booking stays cancelled; the payment is recorded and refunded in full.
+ *
+ * @returns {Promise<object>} the booking being refunded, or the booking as another caller left it
+ */
+export const handleCancelledPayment = (booking, paymentDetails) => {
+    return refundUnusedPayment(booking, paymentDetails, {
+        note: `Payment ${paymentDetails.paymentId} received after the booking was cancelled. Refunded in full.`,
+        reason: 'Payment received after booking was cancelled'
+    });
+};
+
+// ==================== BALANCE PAYMENT ====================
+
+/**
+ * Record the balance payment of a deposit booking
+ * Safe to race between verify-payment and the webhook - the ledger row
+ * can only flip to paid once.
+ * A balance paid after the booking was cancelled is recorded and refunded.
+ *
+ * @param {object} booking - Booking document
+ * @param {object} details - { orderId, paymentId, signature, method, paidAt }
+ * @returns {Promise<object|null>} updated booking, or null if the order is not a balance order
+ */
+export const confirmBalancePayment = async (booking, { orderId, paymentId, method = null, paidAt = new Date() }) => {
+    const entry = findOrderEntry(booking, orderId);
+
+    if (!entry || entry.purpose !== 'balance') {
+        return null;
+    }
+
+    const isFullyPaid = entry.amount >= booking.pricing.finalAmount - booking.pricing.paidAmount;
+    const paidUpdate = {
+        'payments.$[txn].status': 'paid',
+        'payments.$[txn].paymentId': paymentId,
+        'payments.$[txn].paymentMethod': normalizePaymentMethod(method),
+        'payments.$[txn].settledAt': paidAt
+    };
+    const arrayFilters = [{ 'txn.orderId': orderId, 'txn.kind': 'payment' }];
+
+    const updated = await Booking.findOneAndUpdate(
+        {
+            _id: booking._id,
+            status: { $in: ['confirmed', 'checked_in'] },
+            payments: { $elemMatch: { orderId, kind: 'payment', status: { $ne: 'paid' } } }
+        },
+        {
+            $set: {
+                ...paidUpdate,
+                'payment.status': isFullyPaid ? 'paid' : 'partially_paid'
+            },
+            $inc: {
+                'pricing.paidAmount': entry.amount,
+                'pricing.balanceAmount': -entry.amount
+            }
+        },
+        { new: true, arrayFilters }
+    );
+
+    if (updated) {
+        return updated;
+    }
+
+    // Already recorded (the other of app / webhook got here first)
+    const current = await Booking.findById(booking._id);
+    if (findOrderEntry(current, orderId)?.status === 'paid' || !['cancelled', 'expired'].includes(current.status)) {
+        return current;
+    }
+
+    // Booking was cancelled before the balance came in - keep the money on
+    // record and send it straight back
+    const recorded = await Booking.findOneAndUpdate(
+        {
+            _id: current._id,
+            payments: { $elemMatch: { orderId, kind: 'payment', status: { $ne: 'paid' } } }
+        },
+        {
+            $set: {
+                ...paidUpdate,
+                adminNotes: [
+                    current.adminNotes,
+                    `Balance payment ${paymentId} received after the booking was ${current.status}. Refunded in full.`
+                ].filter(Boolean).join('\n')
+            },
+            $inc: { 'pricing.paidAmount': entry.amount }
+        },
+        { new: true, arrayFilters }
+    );
+
+    if (!recorded) {
+        return Booking.findById(current._id);
+    }
+
+    return issueRefund(recorded, (recorded.cancellation?.refundAmount || 0) + entry.amount, {
+        reason: `Balance paid after booking was ${current.status}`
+    });
+};
+
+/**
+ * Record a failed payment attempt
+ * Razorpay lets the guest retry on the same order, so the booking stays
+ * pending (the hold expiry job releases it if they never succeed).
+ * A failed balance payment only marks its ledger row.
+ * The guest is notified once per order.
+ */
+export const markPaymentFailed = async (booking, { orderId = booking.payment.orderId } = {}) => {
+    const entry = findOrderEntry(booking, orderId);
+
+    if (orderId !== booking.payment.orderId) {
+        if (!entry || entry.status !== 'created') {
+            return null;
+        }
+
+        const updated = await Booking.findOneAndUpdate(
+            { _id: booking._id },
+            { $set: { 'payments.$[txn].status': 'failed' } },
+            { new: true, arrayFilters: [{ 'txn.orderId': orderId, 'txn.kind': 'payment', 'txn.status': 'created' }] }
+        );
+
+        if (updated) await notifyBooking('payment_failed', updated, { key: orderId });
+        return updated;
+    }
+
+    const updated = await Booking.findOneAndUpdate(
+        { _id: booking._id, status: 'pending', 'payment.status': 'pending' },
+        { $set: { 'payment.status': 'failed' } },
+        { new: true }
+    );
+
+    if (updated) await notifyBooking('payment_failed', updated, { key: orderId });
+    return updated;
+};
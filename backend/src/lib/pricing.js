@@ -0,0 +1,221 @@
+import dayjs from 'dayjs';
+import utc from 'dayjs/plugin/utc.js';
+import PricingRule from '../models/PricingRule.js';
+
+dayjs.extend(utc);
+
+// ==================== BOOKING PRICE ====================
+// One pricing function for calculate-price, check-availability and create-order.
+// Every night is priced separately:
+//
+//   unitPrice = basePrice + adjustments of the PricingRules matching that night
+//   amount    = unitPrice × quantity
+//
+// Percentage adjustments are taken of the base price (they add up, they don't
+// compound). An exclusive rule replaces every other rule for its night.
+
+/**
+ * Active rules that can affect a stay
+ * Resource rules only apply when pricing per resource (rooms_only).
+ *
+ * @param {object} scope - { packageId, resourceIds, checkIn, checkOut }
+ */
+export const loadPricingRules = async ({ packageId = null, resourceIds = [], checkIn, checkOut }) => {
+    const scopes = [{ package: null, resource: null }];
+    if (packageId) scopes.push({ package: packageId });
+    if (resourceIds.length > 0) scopes.push({ resource: { $in: resourceIds } });
+
+    return PricingRule.find({
+        isActive: true,
+        $and: [
+            { $or: scopes },
+            { $or: [{ startDate: null }, { startDate: { $lt: dayjs.utc(checkOut).toDate() } }] },
+            { $or: [{ endDate: null }, { endDate: { $gte: dayjs.utc(checkIn).toDate() } }] }
+        ]
+    }).sort({ priority: -1, createdAt: 1 });
+};
+
+/**
+ * Does a rule apply to the night starting at `night`?
+ * @param {object} rule - PricingRule
+ * @param {dayjs.Dayjs} night - UTC start of day
+ */
+export const ruleMatchesNight = (rule, night) => {
+    if (rule.startDate && night.isBefore(dayjs.utc(rule.startDate).startOf('day'))) {
+        return false;
+    }
+
+    if (rule.endDate && night.isAfter(dayjs.utc(rule.endDate).startOf('day'))) {
+        return false;
+    }
+
+    if (rule.daysOfWeek?.length > 0 && !rule.daysOfWeek.includes(night.day())) {
+        return false;
+    }
+
+    if (rule.specificDates?.length > 0
+        && !rule.specificDates.some(date => dayjs.utc(date).isSame(night, 'day'))) {
+        return false;
+    }
+
+    return true;
+};
+
+/**
+ * Price one night
+ * @param {number} basePrice - price per unit per night
+ * @param {Array} rules - sorted by priority (highest first)
+ * @param {dayjs.Dayjs} night
+ * @returns {object} { basePrice, adjustments: [{ rule, name, amount }], unitPrice }
+ */
+export const priceNight = (basePrice, rules, night) => {
+    const matching = rules.filter(rule => ruleMatchesNight(rule, night));
+    const exclusiveRule = matching.find(rule => rule.exclusive);
+    const applied = exclusiveRule ? [exclusiveRule] : matching;
+
+    const adjustments = applied.map(rule => ({
+        rule: rule._id,
+        name: rule.name,
+        amount: rule.adjustment.type === 'percentage'
+            ? Math.round((basePrice * rule.adjustment.value) / 100)
+            : rule.adjustment.value
+    }));
+
+    const adjustmentTotal = adjustments.reduce((sum, adjustment) => sum + adjustment.amount, 0);
+
+    return {
+        basePrice,
+        adjustments,
+        unitPrice: Math.max(0, basePrice + adjustmentTotal)
+    };
+};
+
+/**
+ * Per-night breakdown of a stay
+ *
+ * @param {object} options - { basePrice, quantity, checkIn, checkOut, rules }
+ * @returns {object} { nights: [{ date, basePrice, adjustments, unitPrice, quantity, amount }], subtotal }
+ */
+export const priceStay = ({ basePrice, quantity = 1, checkIn, checkOut, rules = [] }) => {
+    const nights = [];
+    const lastNight = dayjs.utc(checkOut).startOf('day');
+    let night = dayjs.utc(checkIn).startOf('day');
+
+    while (night.isBefore(lastNight)) {
+        const price = priceNight(basePrice, rules, night);
+        nights.push({
+            date: night.toDate(),
+            ...price,
+            quantity,
+            amount: price.unitPrice * quantity
+        });
+        night = night.add(1, 'day');
+    }
+
+    return {
+        nights,
+        subtotal: nights.reduce((sum, n) => sum + n.amount, 0)
+    };
+};
+
+/**
+ * Price a package booking
+ * rooms_only bookings price each room type separately (its own base price
+ * and resource rules); the nights of every type are listed one after another.
+ *
+ * @param {object} options
+ * @param {object} options.pkg - Package document
+ * @param {Array} options.rooms - rooms_only only: [{ resource: Resource document, quantity }]
+ * @param {Date|dayjs.Dayjs} options.checkIn
+ * @param {Date|dayjs.Dayjs} options.checkOut
+ * @returns {Promise<object>} { packageBasePrice, resourcePricing, subtotal, gst, finalAmount, nights, rooms }
+ *          Fields match Booking.pricing (rooms is the per-type summary, rooms_only only)
+ */
+export const calculateBookingPrice = async ({ pkg, rooms = null, checkIn, checkOut }) => {
+    const isRoomsOnly = pkg.category === 'rooms_only';
+
+    const rules = await loadPricingRules({
+        packageId: pkg._id,
+        resourceIds: isRoomsOnly ? rooms.map(room => room.resource._id) : [],
+        checkIn,
+        checkOut
+    });
+
+    let nights;
+    let roomSummary = null;
+
+    if (isRoomsOnly) {
+        nights = [];
+        roomSummary = [];
+
+        for (const room of rooms) {
+            // Resource rules only apply to their own room type
+            const roomRules = rules.filter(rule => !rule.resource || rule.resource.equals(room.resource._id));
+
+            const roomStay = priceStay({
+                basePrice: room.resource.basePrice,
+                quantity: room.quantity,
+                checkIn,
+                checkOut,
+                rules: roomRules
+            });
+
+            nights.push(...roomStay.nights.map(night => ({
+                ...night,
+                resource: room.resource._id,
+                resourceName: room.resource.name
+            })));
+
+            roomSummary.push({
+                resourceId: room.resource._id,
+                name: room.resource.name,
+                category: room.resource.category,
+                quantity: room.quantity,
+                pricePerRoom: room.resource.basePrice,
+                subtotal: roomStay.subtotal
+            });
+        }
+    } else {
+        nights = priceStay({
+            basePrice: pkg.pricing.basePrice,
+            quantity: 1,
+            checkIn,
+            checkOut,
+            rules
+        }).nights;
+    }
+
+    const subtotal = nights.reduce((sum, n) => sum + n.amount, 0);
+    const gstPercentage = pkg.pricing.gstPercentage ?? 18;
+    const gstAmount = Math.round((subtotal * gstPercentage) / 100);
+
+    return {
+        packageBasePrice: isRoomsOnly ? 0 : pkg.pricing.basePrice,
+        resourcePricing: isRoomsOnly ? subtotal : 0,
+        subtotal,
+        gst: {
+            percentage: gstPercentage,
+            amount: gstAmount
+        },
+        finalAmount: subtotal + gstAmount,
+        nights,
+        rooms: roomSummary
+    };
+};
+
+/**
+ * Per-night breakdown for API responses (dates as DD-MM-YYYY)
+ */
+export const formatNightlyBreakdown = (nights) => {
+    return nights.map(n => ({
+        date: dayjs.utc(n.date).format('DD-MM-YYYY'),
+        day: dayjs.utc(n.date).format('ddd'),
+        basePrice: n.basePrice,
+        adjustments: n.adjustments.map(a => ({ name: a.name, amount: a.amount })),
+        unitPrice: n.unitPrice,
+        quantity: n.quantity,
+        amount: n.amount,
+        // Room type (rooms_only)
+        ...(n.resourceName && { roomType: n.resourceName })
+    }));
+};
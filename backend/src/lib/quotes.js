@@ -0,0 +1,473 @@
+import jwt from 'jsonwebtoken';
+import dayjs from 'dayjs';
+import utc from 'dayjs/plugin/utc.js';
+import customParseFormat from 'dayjs/plugin/customParseFormat.js';
+import { calculateBookingPrice } from './pricing.js';
+import { getReservedUnits, findOverlappingBookings } from './inventory.js';
+
+dayjs.extend(utc);
+dayjs.extend(customParseFormat);
+
+// ==================== BOOKING QUOTES ====================
+// The one place that turns "package + dates (+ rooms)" into a bookable price.
+// calculate-price and check-availability return a signed quote token;
+// create-order only accepts a valid token, re-prices the stay and refuses to
+// charge if the price changed since the guest saw it.
+//
+// Functions return { error, status } instead of throwing, so routes can send
+// the message straight back to the app.
+
+const DEFAULT_QUOTE_TTL_MINUTES = 30;
+
+/**
+ * Quote token lifetime in minutes (BOOKING_QUOTE_TTL_MINUTES env, default 30)
+ */
+export const getQuoteTtlMinutes = () => {
+    const ttl = parseInt(process.env.BOOKING_QUOTE_TTL_MINUTES, 10);
+    return ttl > 0 ? ttl : DEFAULT_QUOTE_TTL_MINUTES;
+};
+
+/**
+ * Quote tokens get their own secret if set, so they can't be used as auth tokens
+ */
+const getQuoteSecret = () => process.env.QUOTE_TOKEN_SECRET || process.env.JWT_SECRET;
+
+// ==================== DATES AND RULES ====================
+
+/**
+ * Parse and sanity-check stay dates
+ *
+ * @param {string} checkInDate - "DD-MM-YYYY"
+ * @param {string} checkOutDate - "DD-MM-YYYY"
+ * @returns {object} { checkIn, checkOut, numberOfDays, daysUntilCheckIn } (dayjs UTC, start of day)
+ *                   or { error, status }
+ */
+export const parseStayDates = (checkInDate, checkOutDate, now = new Date()) => {
+    if (!checkInDate || !checkOutDate) {
+        return { error: 'Please provide checkInDate and checkOutDate in DD-MM-YYYY format', status: 400 };
+    }
+
+    const checkIn = dayjs.utc(checkInDate, 'DD-MM-YYYY').startOf('day');
+    const checkOut = dayjs.utc(checkOutDate, 'DD-MM-YYYY').startOf('day');
+
+    if (!checkIn.isValid() || !checkOut.isValid()) {
+        return { error: 'Invalid date format. Use DD-MM-YYYY (e.g., 15-12-2025)', status: 400 };
+    }
+
+    if (!checkOut.isAfter(checkIn)) {
+        return { error: 'Check-out date must be after check-in date', status: 400 };
+    }
+
+    const today = dayjs.utc(now).startOf('day');
+    if (checkIn.isBefore(today)) {
+        return { error: 'Check-in date cannot be in the past', status: 400 };
+    }
+
+    return {
+        checkIn,
+        checkOut,
+        numberOfDays: checkOut.diff(checkIn, 'day'),
+        daysUntilCheckIn: checkIn.diff(today, 'day')
+    };
+};
+
+/**
+ * Check min/max stay length and how far ahead the stay can be booked
+ *
+ * @param {string} name - package or resource name (for the message)
+ * @param {object} rules - { minDays, maxDays, advanceBookingDays }
+ * @param {object} stay - from parseStayDates
+ * @returns {string|null} error message, or null if allowed
+ */
+export const validateStayRules = (name, rules, stay) => {
+    const { numberOfDays, daysUntilCheckIn } = stay;
+
+    if (rules.minDays && numberOfDays < rules.minDays) {
+        return `${name} requires minimum ${rules.minDays} day(s) booking. You requested ${numberOfDays} day(s).`;
+    }
+
+    if (rules.maxDays && numberOfDays > rules.maxDays) {
+        return `${name} allows maximum ${rules.maxDays} day(s) booking. You requested ${numberOfDays} day(s).`;
+    }
+
+    if (rules.advanceBookingDays && daysUntilCheckIn > rules.advanceBookingDays) {
+        return `${name} can only be booked up to ${rules.advanceBookingDays} days in advance. You tried to book ${daysUntilCheckIn} days in advance.`;
+    }
+
+    return null;
+};
+
+// ==================== RESOURCES AND AVAILABILITY ====================
+// Two resource flags shape what can be sold together:
+//   isExclusive   - one booking at a time. A booking that includes an
+//                   exclusive resource (function hall, full venue) takes every
+//                   unit of everything it includes for the whole stay, so
+//                   nothing else can overlap it - and it can't start while
+//                   any of those units are held.
+//   canBookAlone  - false for resources that are only sold with another one
+//                   (e.g. the dining hall). A booking needs at least one
+//                   resource that can be booked alone next to them.
+
+/**
+ * Check that no resource is sold without its companions
+ *
+ * @param {Array} resources - Resource documents a booking (or package) sells
+ * @returns {string|null} error message, or null if allowed
+ */
+export const validateResourceCombination = (resources) => {
+    const dependent = resources.filter(resource => resource.canBookAlone === false);
+
+    if (dependent.length === 0 || resources.some(resource => resource.canBookAlone !== false)) {
+        return null;
+    }
+
+    const names = dependent.map(resource => resource.name).join(', ');
+    return dependent.length > 1
+        ? `${names} can't be booked on their own. Book them together with a room or hall.`
+        : `${names} can't be booked on its own. Book it together with a room or hall.`;
+};
+
+/**
+ * Exclusive bookings hold every unit of every resource they include
+ */
+const applyExclusiveUse = (items) => {
+    const isExclusive = items.some(item => item.resource.isExclusive);
+
+    return {
+        isExclusive,
+        items: isExclusive
+            ? items.map(item => ({ ...item, quantity: item.resource.totalUnits }))
+            : items
+    };
+};
+
+/**
+ * Room entries of a rooms_only package (one per room type, e.g. Deluxe and Standard)
+ */
+const getRoomEntries = (pkg) => pkg.includes.resources.filter(
+    entry => entry.resource?.facilityType === 'guest_room'
+);
+
+/**
+ * Rooms asked for in a rooms_only request, as { resourceId: quantity }
+ * Takes the per-type map (rooms) or, from older app versions, a single
+ * roomQuantity of the package's first room type.
+ *
+ * @returns {object|null}
+ */
+export const normalizeRoomSelection = (pkg, { rooms, roomQuantity }) => {
+    if (rooms && typeof rooms === 'object' && !Array.isArray(rooms)) {
+        return rooms;
+    }
+
+    if (roomQuantity !== undefined && roomQuantity !== null) {
+        const [firstEntry] = getRoomEntries(pkg);
+        return firstEntry ? { [firstEntry.resource._id.toString()]: Number(roomQuantity) } : {};
+    }
+
+    return null;
+};
+
+/**
+ * Resources a package booking needs
+ * Fixed packages book their configured quantities; rooms_only books the
+ * chosen number of each room type, each checked against that entry's
+ * minQuantity/maxQuantity. Exclusive bookings take every unit (see above).
+ *
+ * @param {object} pkg - Package with includes.resources.resource populated
+ * @param {object} roomSelection - rooms_only only: { resourceId: quantity } (see normalizeRoomSelection)
+ * @returns {object} { rooms, items: [{ resource, quantity }], isExclusive } or { error, status }
+ *                   rooms: [{ resource, quantity }] chosen room types (null for fixed packages)
+ */
+export const resolvePackageResources = (pkg, roomSelection) => {
+    if (pkg.category !== 'rooms_only') {
+        const items = pkg.includes.resources.map(item => ({
+            resource: item.resource,
+            quantity: item.quantity
+        }));
+
+        const combinationError = validateResourceCombination(items.map(item => item.resource));
+        if (combinationError) {
+            return { error: combinationError, status: 400 };
+        }
+
+        return {
+            rooms: null,
+            ...applyExclusiveUse(items)
+        };
+    }
+
+    if (!roomSelection || Object.keys(roomSelection).length === 0) {
+        return { error: 'Please provide rooms (number of rooms of each type to book)', status: 400 };
+    }
+
+    const roomEntries = getRoomEntries(pkg);
+
+    if (roomEntries.length === 0) {
+        return { error: 'Package configuration error: No room resource found', status: 500 };
+    }
+
+    const unknownId = Object.keys(roomSelection).find(
+        resourceId => !roomEntries.some(entry => entry.resource._id.toString() === resourceId)
+    );
+    if (unknownId) {
+        return { error: `Room type ${unknownId} is not part of this package`, status: 400 };
+    }
+
+    const rooms = [];
+
+    for (const entry of roomEntries) {
+        const { name, totalUnits } = entry.resource;
+        const quantity = Number(roomSelection[entry.resource._id.toString()] ?? 0);
+
+        if (!Number.isInteger(quantity) || quantity < 0) {
+            return { error: `Invalid number of rooms for ${name}`, status: 400 };
+        }
+
+        // Room types the guest didn't pick
+        if (quantity === 0) {
+            continue;
+        }
+
+        if (quantity > totalUnits) {
+            return {
+                error: `${name}: only ${totalUnits} rooms available. You requested ${quantity} rooms.`,
+                status: 400
+            };
+        }
+
+        if (entry.minQuantity && quantity < entry.minQuantity) {
+            return { error: `${name}: minimum ${entry.minQuantity} room(s) required`, status: 400 };
+        }
+
+        if (entry.maxQuantity && quantity > entry.maxQuantity) {
+            return { error: `${name}: maximum ${entry.maxQuantity} room(s) allowed`, status: 400 };
+        }
+
+        rooms.push({ resource: entry.resource, quantity });
+    }
+
+    if (rooms.length === 0) {
+        return { error: 'Please choose at least one room', status: 400 };
+    }
+
+    const combinationError = validateResourceCombination(rooms.map(room => room.resource));
+    if (combinationError) {
+        return { error: combinationError, status: 400 };
+    }
+
+    return {
+        rooms,
+        ...applyExclusiveUse(rooms)
+    };
+};
+
+/**
+ * Free units per resource for a stay, from the inventory ledger
+ * The ledger counts pending holds as well as confirmed bookings.
+ *
+ * @param {Array} items - [{ resource: Resource document, quantity }]
+ * @returns {Promise<Array>} [{ resourceId, name, requested, totalUnits, bookedUnits, available, isAvailable }]
+ */
+export const checkResourceAvailability = async (items, checkIn, checkOut) => {
+    const results = [];
+
+    for (const item of items) {
+        const bookedUnits = await getReservedUnits(item.resource._id, checkIn.toDate(), checkOut.toDate());
+        const available = Math.max(0, item.resource.totalUnits - bookedUnits);
+
+        results.push({
+            resourceId: item.resource._id,
+            name: item.resource.name,
+            requested: item.quantity,
+            totalUnits: item.resource.totalUnits,
+            bookedUnits,
+            available,
+            isAvailable: available >= item.quantity
+        });
+    }
+
+    return results;
+};
+
+/**
+ * Why resources aren't available for a stay, and the bookings in the way
+ * Only package names and dates are given out - never who booked.
+ *
+ * @param {Array} unavailable - Failed results of checkResourceAvailability
+ * @returns {Promise<object>} { unavailableResources: [{ name, requested, available, reason }], conflicts }
+ */
+const explainUnavailable = async (pkg, isExclusive, unavailable, checkIn, checkOut) => {
+    const bookings = await findOverlappingBookings(
+        unavailable.map(result => result.resourceId),
+        checkIn.toDate(),
+        checkOut.toDate()
+    );
+
+    const formatDates = (booking) =>
+        `${dayjs.utc(booking.checkInDate).format('DD-MM-YYYY')} to ${dayjs.utc(booking.checkOutDate).format('DD-MM-YYYY')}`;
+
+    const unavailableResources = unavailable.map(result => {
+        const exclusiveHolder = bookings.find(booking => booking.isExclusive
+            && booking.resources.some(item => item.resource.equals(result.resourceId)));
+
+        let reason;
+        if (exclusiveHolder) {
+            const holderName = exclusiveHolder.packageId?.name ? `a ${exclusiveHolder.packageId.name} booking` : 'another booking';
+            reason = `${result.name} is reserved for exclusive use by ${holderName} (${formatDates(exclusiveHolder)})`;
+        } else if (isExclusive) {
+            reason = `${pkg.name} needs every ${result.name} (${result.totalUnits}) for exclusive use, but ${result.bookedUnits} already booked for these dates`;
+        } else {
+            reason = `Only ${result.available} ${result.name} available for these dates, ${result.requested} requested`;
+        }
+
+        return { name: result.name, requested: result.requested, available: result.available, reason };
+    });
+
+    const conflicts = bookings.map(booking => ({
+        packageName: booking.packageId?.name || null,
+        category: booking.category,
+        checkInDate: dayjs.utc(booking.checkInDate).format('DD-MM-YYYY'),
+        checkOutDate: dayjs.utc(booking.checkOutDate).format('DD-MM-YYYY'),
+        isExclusive: booking.isExclusive || false
+    }));
+
+    return { unavailableResources, conflicts };
+};
+
+// ==================== QUOTE ====================
+
+/**
+ * Validate, price and check availability of a package stay
+ *
+ * @param {object} pkg - Package with includes.resources.resource populated
+ * @param {object} request - { checkInDate, checkOutDate, rooms, roomQuantity, now }
+ *                  rooms (rooms_only): { resourceId: quantity } - or roomQuantity for a single room type
+ * @returns {Promise<object>} { quote } or { error, status }
+ *          quote: { pkg, checkIn, checkOut, numberOfDays, roomQuantity, rooms,
+ *                   items, isExclusive, price, available, unavailableResources, conflicts }
+ *          roomQuantity is the total number of rooms (rooms_only)
+ */
+export const buildPackageQuote = async (pkg, { checkInDate, checkOutDate, rooms, roomQuantity, now = new Date() }) => {
+    if (!pkg || !pkg.isActive) {
+        return { error: 'Package not found or not active', status: 404 };
+    }
+
+    const stay = parseStayDates(checkInDate, checkOutDate, now);
+    if (stay.error) {
+        return stay;
+    }
+
+    const ruleError = validateStayRules(pkg.name, pkg.bookingRules || {}, stay);
+    if (ruleError) {
+        return { error: ruleError, status: 400 };
+    }
+
+    const isRoomsOnly = pkg.category === 'rooms_only';
+    const resolved = resolvePackageResources(
+        pkg,
+        isRoomsOnly ? normalizeRoomSelection(pkg, { rooms, roomQuantity }) : null
+    );
+    if (resolved.error) {
+        return resolved;
+    }
+
+    const price = await calculateBookingPrice({
+        pkg,
+        rooms: resolved.rooms,
+        checkIn: stay.checkIn,
+        checkOut: stay.checkOut
+    });
+
+    const availability = await checkResourceAvailability(resolved.items, stay.checkIn, stay.checkOut);
+    const unavailable = availability.filter(result => !result.isAvailable);
+
+    const { unavailableResources, conflicts } = unavailable.length > 0
+        ? await explainUnavailable(pkg, resolved.isExclusive, unavailable, stay.checkIn, stay.checkOut)
+        : { unavailableResources: [], conflicts: [] };
+
+    return {
+        quote: {
+            pkg,
+            checkIn: stay.checkIn,
+            checkOut: stay.checkOut,
+            numberOfDays: stay.numberOfDays,
+            roomQuantity: isRoomsOnly ? resolved.rooms.reduce((sum, room) => sum + room.quantity, 0) : null,
+            rooms: resolved.rooms,
+            items: resolved.items,
+            isExclusive: resolved.isExclusive,
+            price,
+            available: unavailableResources.length === 0,
+            unavailableResources,
+            conflicts
+        }
+    };
+};
+
+// ==================== QUOTE TOKEN ====================
+
+/**
+ * Sign a quote for one user
+ * The token carries the request and the price the user was shown.
+ *
+ * @returns {object} { token, expiresAt }
+ */
+export const signQuoteToken = (quote, userId) => {
+    const expiresAt = dayjs().add(getQuoteTtlMinutes(), 'minute');
+
+    const token = jwt.sign({
+        kind: 'booking_quote',
+        userId: userId.toString(),
+        packageId: quote.pkg._id.toString(),
+        checkInDate: quote.checkIn.format('DD-MM-YYYY'),
+        checkOutDate: quote.checkOut.format('DD-MM-YYYY'),
+        roomQuantity: quote.roomQuantity,
+        rooms: quote.rooms
+            ? Object.fromEntries(quote.rooms.map(room => [room.resource._id.toString(), room.quantity]))
+            : null,
+        finalAmount: quote.price.finalAmount
+    }, getQuoteSecret(), { expiresIn: getQuoteTtlMinutes() * 60 });
+
+    return { token, expiresAt: expiresAt.toDate() };
+};
+
+/**
+ * Check a quote token presented to create-order
+ *
+ * @returns {object} { request: { packageId, checkInDate, checkOutDate, rooms, roomQuantity, finalAmount } }
+ *                   or { error, status, quoteExpired }
+ */
+export const verifyQuoteToken = (token, userId) => {
+    if (!token) {
+        return { error: 'Please provide quoteToken from check-availability', status: 400 };
+    }
+
+    let payload;
+    try {
+        payload = jwt.verify(token, getQuoteSecret());
+    } catch (error) {
+        if (error.name === 'TokenExpiredError') {
+            return {
+                error: 'Your price quote has expired. Please check availability again.',
+                status: 410,
+                quoteExpired: true
+            };
+        }
+        return { error: 'Invalid quote token', status: 400 };
+    }
+
+    if (payload.kind !== 'booking_quote' || payload.userId !== userId.toString()) {
+        return { error: 'Invalid quote token', status: 400 };
+    }
+
+    return {
+        request: {
+            packageId: payload.packageId,
+            checkInDate: payload.checkInDate,
+            checkOutDate: payload.checkOutDate,
+            rooms: payload.rooms || null,
+            roomQuantity: payload.roomQuantity,
+            finalAmount: payload.finalAmount
+        }
+    };
+};
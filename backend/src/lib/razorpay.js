@@ -0,0 +1,32 @@
+import Razorpay from 'razorpay';
+import 'dotenv/config';
+import { createFakeRazorpayClient } from './fakeRazorpay.js';
+
+// Shared Razorpay client
+// Created lazily so scripts/tests can inject a fake client before any route uses it
+
+let razorpayClient = null;
+
+/**
+ * Get the Razorpay client (creates the real one on first use)
+ * RAZORPAY_FAKE=true uses the offline fake client (see lib/fakeRazorpay.js)
+ */
+export const getRazorpay = () => {
+    if (!razorpayClient) {
+        razorpayClient = process.env.RAZORPAY_FAKE === 'true'
+            ? createFakeRazorpayClient()
+            : new Razorpay({
+                key_id: process.env.RAZORPAY_API_KEY,
+                key_secret: process.env.RAZORPAY_SECRET_KEY,
+            });
+    }
+    return razorpayClient;
+};
+
+/**
+ * Replace the Razorpay client (used for offline testing)
+ * Fake client only needs the methods we call, e.g. { orders: { create } }
+ */
+export const setRazorpayClient = (client) => {
+    razorpayClient = client;
+};
@@ -0,0 +1,613 @@
+import Booking from '../models/Booking.js';
+import Package from '../models/Package.js';
+import { getRazorpay } from './razorpay.js';
+import { getRefundPolicy, evaluateCancellationPolicy } from './cancellationPolicy.js';
+import { issueCreditNote } from './creditNotes.js';
+import { notifyBooking } from './notifications.js';
+
+// ==================== REFUND SERVICE ====================
+// Issues Razorpay refunds for cancelled bookings and tracks them in
+// Booking.cancellation:
+//
+//   approved → pending → processed
+//                     ↘ failed (admin can retry)
+//
+// approved is a claim held while the Razorpay calls run. A claim older than
+// REFUND_CLAIM_STALE_MINUTES belongs to a request that died half way, so the
+// next issueRefund (or an admin retry) takes it over.
+//
+// A booking paid in parts (deposit + balance) is refunded per Razorpay
+// payment, newest first; every refund is a 'refund' row in booking.payments.
+// cancellation.refundAmount is the total to give back, so calling
+// issueRefund again only refunds what hasn't been refunded yet.
+//
+// refund.processed / refund.failed webhooks (or refreshPendingRefunds)
+// move a refund out of pending.
+//
+// Every issueRefund call also reverses the invoiced GST the Bhavan no longer
+// keeps with a credit note (lib/creditNotes.js).
+//
+// A booking change (new dates or rooms, lib/bookingChanges.js) that costs
+// less than was paid refunds the difference with refundBookingChange:
+// 'change_refund' rows in booking.payments that never touch cancellation.*
+// (the booking stays confirmed).
+
+// A refund claim held longer than this was abandoned (server restart, crash)
+export const REFUND_CLAIM_STALE_MINUTES = 15;
+
+const staleClaimCutoff = () => new Date(Date.now() - REFUND_CLAIM_STALE_MINUTES * 60 * 1000);
+
+/**
+ * Whether a refund is stuck at approved by a request that never finished
+ * Claims made before refundClaimedAt existed count as stale.
+ */
+export const isRefundClaimStale = (booking) => {
+    if (booking.cancellation?.refundStatus !== 'approved') {
+        return false;
+    }
+
+    const claimedAt = booking.cancellation.refundClaimedAt;
+    return !claimedAt || claimedAt < staleClaimCutoff();
+};
+
+/**
+ * Check a refund amount against what the guest has paid
+ * Callers check this before saving a cancellation, so a bad amount is a 400
+ * and not a cancelled booking with a refund that can never be sent.
+ *
+ * @returns {string|null} error message, or null if the amount is fine
+ */
+export const getRefundAmountError = (booking, amount) => {
+    const paidAmount = booking.pricing?.paidAmount || 0;
+
+    if (typeof amount !== 'number' || Number.isNaN(amount) || amount < 0) {
+        return 'Refund amount must be a positive number';
+    }
+
+    if (amount > paidAmount) {
+        return `Refund amount ₹${amount} exceeds paid amount ₹${paidAmount}`;
+    }
+
+    return null;
+};
+
+/**
+ * Evaluate the package's cancellation policy for a booking
+ * Loads the package unless booking.packageId is already populated.
+ *
+ * @param {object} booking - Booking document
+ * @param {object} options - { cancelledBy: 'user' | 'admin', now }
+ * @returns {Promise<object>} see evaluateCancellationPolicy
+ */
+export const getCancellationQuote = async (booking, options = {}) => {
+    const pkg = booking.packageId?.bookingRules
+        ? booking.packageId
+        : await Package.findById(booking.packageId).select('bookingRules');
+
+    return evaluateCancellationPolicy(booking, getRefundPolicy(pkg), options);
+};
+
+/**
+ * How much of the paid amount goes back to the guest
+ * @returns {Promise<number>} refund amount in rupees
+ */
+export const calculateRefundAmount = async (booking, options = {}) => {
+    const quote = await getCancellationQuote(booking, options);
+    return quote.refundAmount;
+};
+
+/**
+ * History entry for Booking.cancellation.refundHistory
+ */
+const historyEntry = (status, { amount, refundId, note } = {}) => ({
+    status,
+    amount,
+    refundId,
+    note,
+    at: new Date()
+});
+
+/**
+ * payment.status once a refund has settled
+ */
+const refundedPaymentStatus = (booking, totalRefunded) => {
+    return totalRefunded >= booking.pricing.paidAmount ? 'refunded' : 'partially_refunded';
+};
+
+const isChangeRefund = (txn) => txn.purpose === 'change_refund';
+
+/**
+ * Refund rows of booking.payments for the cancellation
+ * Bookings refunded before the ledger existed get one row built from
+ * cancellation.refundId.
+ */
+const getRefundEntries = (booking) => {
+    const entries = (booking.payments || []).filter(txn => txn.kind === 'refund' && !isChangeRefund(txn));
+
+    if (entries.length === 0 && booking.cancellation?.refundId) {
+        return [{
+            kind: 'refund',
+            amount: booking.cancellation.refundAmount,
+            status: booking.cancellation.refundStatus === 'processed' ? 'processed' : 'pending',
+            paymentId: booking.payment.paymentId,
+            refundId: booking.cancellation.refundId,
+            legacy: true
+        }];
+    }
+
+    return entries;
+};
+
+/**
+ * Refund rows of booking.payments for booking changes
+ */
+const getChangeRefunds = (booking) => {
+    return (booking.payments || []).filter(txn => txn.kind === 'refund' && isChangeRefund(txn));
+};
+
+/**
+ * Razorpay payments on the booking with how much of each can still be refunded
+ * Newest first, so a balance payment is refunded before the deposit.
+ */
+const getRefundablePayments = (booking) => {
+    const changeRefunds = getChangeRefunds(booking).filter(txn => txn.status !== 'failed');
+
+    let paid = (booking.payments || [])
+        .filter(txn => txn.kind === 'payment' && txn.status === 'paid' && txn.paymentId)
+        .map(txn => ({ paymentId: txn.paymentId, amount: txn.amount }));
+
+    // Paid before the ledger existed (paidAmount is already net of change refunds)
+    if (paid.length === 0 && booking.payment?.paymentId && booking.pricing?.paidAmount > 0) {
+        const changeRefunded = changeRefunds.reduce((sum, txn) => sum + txn.amount, 0);
+        paid = [{ paymentId: booking.payment.paymentId, amount: booking.pricing.paidAmount + changeRefunded }];
+    }
+
+    const refunds = [...getRefundEntries(booking), ...changeRefunds].filter(txn => txn.status !== 'failed');
+
+    return paid
+        .map(payment => {
+            const refunded = refunds
+                .filter(txn => txn.paymentId === payment.paymentId)
+                .reduce((sum, txn) => sum + txn.amount, 0);
+            return { ...payment, available: payment.amount - refunded };
+        })
+        .filter(payment => payment.available > 0)
+        .reverse();
+};
+
+/**
+ * Totals of the refund rows and the resulting cancellation.refundStatus
+ * @param {number} target - total that should be refunded
+ */
+const summarizeRefunds = (booking, target) => {
+    const refunds = getRefundEntries(booking);
+    const processed = refunds.filter(txn => txn.status === 'processed').reduce((sum, txn) => sum + txn.amount, 0);
+    const inFlight = refunds.filter(txn => txn.status === 'pending').reduce((sum, txn) => sum + txn.amount, 0);
+
+    let status = 'failed';
+    if (inFlight > 0) {
+        status = 'pending';
+    } else if (processed >= target) {
+        status = 'processed';
+    }
+
+    return { processed, inFlight, status };
+};
+
+/**
+ * Ledger row for a refund
+ */
+const refundLedgerEntry = (amount, paymentId, { refundId = null, status, note = null, purpose = 'refund' }) => ({
+    kind: 'refund',
+    purpose,
+    amount,
+    status,
+    paymentId,
+    refundId,
+    note,
+    createdAt: new Date(),
+    settledAt: status === 'processed' ? new Date() : null
+});
+
+/**
+ * Refund a cancelled booking through Razorpay (see issueRefund)
+ */
+const refundBooking = async (booking, amount, { reason } = {}) => {
+    // ==================== NOTHING TO REFUND ====================
+
+    const hasPayments = getRefundablePayments(booking).length > 0 || getRefundEntries(booking).length > 0;
+
+    if (!amount || amount <= 0 || !hasPayments) {
+        return Booking.findByIdAndUpdate(
+            booking._id,
+            {
+                $set: {
+                    'cancellation.refundAmount': 0,
+                    'cancellation.refundStatus': 'not_applicable'
+                },
+                $push: {
+                    'cancellation.refundHistory': historyEntry('not_applicable', { amount: 0, note: reason })
+                }
+            },
+            { new: true }
+        );
+    }
+
+    // Routes check this before the cancellation is saved (getRefundAmountError)
+    const amountError = getRefundAmountError(booking, amount);
+    if (amountError) {
+        throw new Error(amountError);
+    }
+
+    // ==================== CLAIM ====================
+    // Only one request may talk to Razorpay for this booking at a time, and
+    // only a booking that is no longer live can be refunded in full.
+    // A stale claim is taken over (see REFUND_CLAIM_STALE_MINUTES).
+
+    const claimed = await Booking.findOneAndUpdate(
+        {
+            _id: booking._id,
+            status: { $in: ['cancelled', 'expired'] },
+            $or: [
+                { 'cancellation.refundStatus': { $ne: 'approved' } },
+                { 'cancellation.refundClaimedAt': { $not: { $gte: staleClaimCutoff() } } }
+            ]
+        },
+        {
+            $set: {
+                'cancellation.refundAmount': amount,
+                'cancellation.refundStatus': 'approved',
+                'cancellation.refundClaimedAt': new Date(),
+                'cancellation.refundError': null
+            },
+            $push: {
+                'cancellation.refundHistory': historyEntry('approved', { amount, note: reason })
+            }
+        },
+        { new: true }
+    );
+
+    if (!claimed) {
+        return Booking.findById(booking._id);
+    }
+
+    // ==================== RAZORPAY REFUNDS ====================
+
+    const alreadyRefunded = getRefundEntries(claimed)
+        .filter(txn => txn.status !== 'failed')
+        .reduce((sum, txn) => sum + txn.amount, 0);
+    let remaining = amount - alreadyRefunded;
+
+    const entries = [];
+    const history = [];
+    let refundError = null;
+
+    for (const payment of getRefundablePayments(claimed)) {
+        if (remaining <= 0) break;
+
+        const refundAmount = Math.min(remaining, payment.available);
+
+        try {
+            const refund = await getRazorpay().payments.refund(payment.paymentId, {
+                amount: Math.round(refundAmount * 100), // Razorpay expects paise
+                speed: 'normal',
+                receipt: `refund_${claimed.bookingReferenceId}_${claimed.payments.length + entries.length}`,
+                notes: {
+                    bookingId: claimed._id.toString(),
+                    bookingReferenceId: claimed.bookingReferenceId,
+                    reason: reason || 'Booking cancelled'
+                }
+            });
+
+            const status = refund.status === 'processed' ? 'processed' : 'pending';
+            entries.push(refundLedgerEntry(refundAmount, payment.paymentId, { refundId: refund.id, status }));
+            history.push(historyEntry(status, { amount: refundAmount, refundId: refund.id }));
+            remaining -= refundAmount;
+
+        } catch (error) {
+            refundError = error.error?.description || error.message || 'Refund request failed';
+            console.error(`Error refunding booking ${claimed.bookingReferenceId}:`, refundError);
+
+            entries.push(refundLedgerEntry(refundAmount, payment.paymentId, { status: 'failed', note: refundError }));
+            history.push(historyEntry('failed', { amount: refundAmount, note: refundError }));
+            break;
+        }
+    }
+
+    // ==================== SETTLE STATUS ====================
+
+    const summary = summarizeRefunds({ ...claimed.toObject(), payments: [...claimed.payments, ...entries] }, amount);
+    const lastRefund = [...entries].reverse().find(txn => txn.refundId);
+    const update = {
+        'cancellation.refundStatus': refundError ? 'failed' : summary.status,
+        'cancellation.refundError': refundError
+    };
+
+    if (lastRefund) {
+        update['cancellation.refundId'] = lastRefund.refundId;
+        update['cancellation.refundInitiatedAt'] = new Date();
+    }
+
+    if (update['cancellation.refundStatus'] === 'processed') {
+        update['cancellation.refundProcessedAt'] = new Date();
+        update['payment.status'] = refundedPaymentStatus(claimed, summary.processed);
+    }
+
+    return Booking.findByIdAndUpdate(
+        claimed._id,
+        {
+            $set: update,
+            $push: {
+                payments: { $each: entries },
+                'cancellation.refundHistory': { $each: history }
+            }
+        },
+        { new: true }
+    );
+};
+
+/**
+ * Tell the guest their refund has settled
+ * Keyed by the refunded total, so a later top-up refund is notified again.
+ */
+const notifyRefundProcessed = async (booking) => {
+    if (booking?.cancellation?.refundStatus !== 'processed') {
+        return;
+    }
+
+    const refundAmount = booking.cancellation.refundAmount;
+    await notifyBooking('refund_processed', booking, { key: String(refundAmount), refundAmount });
+};
+
+/**
+ * Refund a cancelled booking through Razorpay and issue its credit note
+ * Safe to call twice - only one caller can claim the refund, and only the
+ * part of `amount` not refunded yet is sent to Razorpay.
+ * Never throws for Razorpay errors: the refund is marked failed instead,
+ * so the cancellation itself still goes through.
+ *
+ * @param {object} booking - Booking document
+ * @param {number} amount - total to refund in rupees
+ * @param {object} options - { reason }
+ * @returns {Promise<object>} updated booking
+ */
+export const issueRefund = async (booking, amount, options = {}) => {
+    const updated = await refundBooking(booking, amount, options);
+
+    // The credit note can be issued again by the next refund call, so a
+    // failure here must not fail the cancellation
+    try {
+        await issueCreditNote(updated, { reason: options.reason });
+    } catch (error) {
+        console.error(`Error issuing credit note for booking ${updated.bookingReferenceId}:`, error);
+    }
+
+    await notifyRefundProcessed(updated);
+
+    return updated;
+};
+
+/**
+ * Refund part of a live booking after a change of dates or rooms made it cheaper
+ * Refunds the newest payments first, like a cancellation. Never throws for
+ * Razorpay errors: the row is marked failed and the admin refunds it by hand.
+ *
+ * @param {object} booking - Booking document (already showing the new price)
+ * @param {number} amount - rupees to give back
+ * @param {object} options - { reason }
+ * @returns {Promise<object>} { booking, refunded, error }
+ */
+export const refundBookingChange = async (booking, amount, { reason } = {}) => {
+    const entries = [];
+    let remaining = amount;
+    let refundError = null;
+
+    for (const payment of getRefundablePayments(booking)) {
+        if (remaining <= 0) break;
+
+        const refundAmount = Math.min(remaining, payment.available);
+
+        try {
+            const refund = await getRazorpay().payments.refund(payment.paymentId, {
+                amount: Math.round(refundAmount * 100), // Razorpay expects paise
+                speed: 'normal',
+                receipt: `change_${booking.bookingReferenceId}_${booking.payments.length + entries.length}`,
+                notes: {
+                    bookingId: booking._id.toString(),
+                    bookingReferenceId: booking.bookingReferenceId,
+                    reason: reason || 'Booking changed'
+                }
+            });
+
+            const status = refund.status === 'processed' ? 'processed' : 'pending';
+            entries.push(refundLedgerEntry(refundAmount, payment.paymentId, {
+                refundId: refund.id,
+                status,
+                note: reason,
+                purpose: 'change_refund'
+            }));
+            remaining -= refundAmount;
+
+        } catch (error) {
+            refundError = error.error?.description || error.message || 'Refund request failed';
+            console.error(`Error refunding change of booking ${booking.bookingReferenceId}:`, refundError);
+
+            entries.push(refundLedgerEntry(refundAmount, payment.paymentId, {
+                status: 'failed',
+                note: refundError,
+                purpose: 'change_refund'
+            }));
+            break;
+        }
+    }
+
+    const refunded = amount - remaining;
+    const update = { $push: { payments: { $each: entries } } };
+
+    if (remaining > 0) {
+        update.$set = {
+            adminNotes: [
+                booking.adminNotes,
+                `Change refund of ₹${remaining} could not be sent${refundError ? ` (${refundError})` : ''}. Please refund it manually.`
+            ].filter(Boolean).join('\n')
+        };
+    }
+
+    const updated = await Booking.findByIdAndUpdate(booking._id, update, { new: true });
+
+    for (const entry of entries.filter(txn => txn.status === 'processed')) {
+        await notifyBooking('refund_processed', updated, { key: entry.refundId, refundAmount: entry.amount });
+    }
+
+    return { booking: updated, refunded, error: refundError };
+};
+
+/**
+ * Apply a settled refund (processed / failed) to the ledger and recompute
+ * cancellation.refundStatus
+ */
+const settleRefund = async (booking, { refundId, amount, status, note = null }) => {
+    const entry = (booking.payments || []).find(txn => txn.kind === 'refund' && txn.refundId === refundId);
+
+    if (entry?.status === status) {
+        return booking;
+    }
+
+    // Change refund - the booking is still live, only the ledger row changes
+    if (entry && isChangeRefund(entry)) {
+        return Booking.findByIdAndUpdate(
+            booking._id,
+            {
+                $set: {
+                    'payments.$[txn].status': status,
+                    'payments.$[txn].settledAt': new Date(),
+                    ...(note && { 'payments.$[txn].note': note })
+                }
+            },
+            { new: true, arrayFilters: [{ 'txn.refundId': refundId }] }
+        );
+    }
+
+    // Refund issued before the ledger existed (or from the Razorpay dashboard)
+    const ledgerUpdate = entry
+        ? {
+            $set: {
+                'payments.$[txn].status': status,
+                'payments.$[txn].settledAt': new Date(),
+                ...(note && { 'payments.$[txn].note': note })
+            }
+        }
+        : {
+            $push: {
+                payments: refundLedgerEntry(amount ?? booking.cancellation?.refundAmount ?? 0, booking.payment.paymentId, { refundId, status, note })
+            }
+        };
+
+    const updated = await Booking.findByIdAndUpdate(
+        booking._id,
+        ledgerUpdate,
+        { new: true, arrayFilters: entry ? [{ 'txn.refundId': refundId }] : undefined }
+    );
+
+    const target = updated.cancellation?.refundAmount || 0;
+    const summary = summarizeRefunds(updated, target);
+    const update = {
+        'cancellation.refundStatus': summary.status
+    };
+
+    if (summary.status === 'processed') {
+        update['cancellation.refundProcessedAt'] = new Date();
+    }
+
+    if (summary.processed > 0) {
+        update['payment.status'] = refundedPaymentStatus(updated, summary.processed);
+    }
+
+    if (status === 'failed') {
+        update['cancellation.refundError'] = note || 'Refund failed';
+    }
+
+    return Booking.findByIdAndUpdate(
+        updated._id,
+        {
+            $set: update,
+            $push: {
+                'cancellation.refundHistory': historyEntry(status, { amount: entry?.amount ?? amount, refundId, note })
+            }
+        },
+        { new: true }
+    );
+};
+
+/**
+ * Refund settled (refund.processed webhook or status refresh)
+ * @param {object} refund - { refundId, amount } in rupees
+ */
+export const markRefundProcessed = async (booking, { refundId, amount }) => {
+    const updated = await settleRefund(booking, { refundId, amount, status: 'processed' });
+
+    const entry = (updated.payments || []).find(txn => txn.refundId === refundId);
+    if (entry && isChangeRefund(entry)) {
+        await notifyBooking('refund_processed', updated, { key: refundId, refundAmount: entry.amount });
+    } else {
+        await notifyRefundProcessed(updated);
+    }
+
+    return updated;
+};
+
+/**
+ * Refund failed at the bank / Razorpay (refund.failed webhook or status refresh)
+ * The failed amount counts as not refunded, so an admin retry with
+ * issueRefund sends it again.
+ */
+export const markRefundFailed = async (booking, { refundId, amount, reason }) => {
+    return settleRefund(booking, { refundId, amount, status: 'failed', note: reason || 'Refund failed' });
+};
+
+/**
+ * Poll Razorpay for refunds still pending
+ * Backup for missed refund.processed / refund.failed webhooks.
+ * @returns {Promise<number>} number of refunds that changed status
+ */
+export const refreshPendingRefunds = async () => {
+    const bookings = await Booking.find({
+        $or: [
+            { payments: { $elemMatch: { kind: 'refund', status: 'pending' } } },
+            { 'cancellation.refundStatus': 'pending', 'cancellation.refundId': { $ne: null } }
+        ]
+    });
+
+    let updatedCount = 0;
+
+    for (const booking of bookings) {
+        const pending = [...getRefundEntries(booking), ...getChangeRefunds(booking)]
+            .filter(txn => txn.status === 'pending' && txn.refundId);
+        let current = booking;
+
+        for (const entry of pending) {
+            try {
+                const refund = await getRazorpay().payments.fetchRefund(entry.paymentId, entry.refundId);
+
+                if (refund.status === 'processed') {
+                    current = await markRefundProcessed(current, {
+                        refundId: refund.id,
+                        amount: refund.amount / 100
+                    });
+                    updatedCount++;
+                } else if (refund.status === 'failed') {
+                    current = await markRefundFailed(current, {
+                        refundId: refund.id,
+                        amount: refund.amount / 100,
+                        reason: 'Refund failed at Razorpay'
+                    });
+                    updatedCount++;
+                }
+            } catch (error) {
+                console.error(`Error fetching refund ${entry.refundId}:`, error.message || error);
+            }
+        }
+    }
+
+    return updatedCount;
+};
@@ -0,0 +1,341 @@
+import dayjs from 'dayjs';
+import utc from 'dayjs/plugin/utc.js';
+import Package from '../models/Package.js';
+import { diffInventory, findUnitShortage } from './inventory.js';
+import { buildPackageQuote } from './quotes.js';
+import { formatNightlyBreakdown } from './pricing.js';
+import { applyBookingCoupon, settleNewTotal, applyBookingChange } from './bookingChanges.js';
+
+dayjs.extend(utc);
+
+// ==================== DATE CHANGES (RESCHEDULE) ====================
+// A confirmed booking can move to new dates. The new stay is priced under
+// today's pricing rules (the booking's coupon is applied again) and the
+// package's reschedulePolicy decides how often, how late and at what fee.
+//
+// The difference to what was paid is settled by lib/bookingChanges.js
+// (top-up, refund or deposit balance), which also keeps booking.changes.
+//
+// Functions return { error, status } instead of throwing, like lib/quotes.js.
+
+// Used when a package has no reschedulePolicy
+export const DEFAULT_RESCHEDULE_POLICY = {
+    allowUserReschedule: true,
+    maxReschedules: 1,
+    minDaysBeforeCheckIn: 2,
+    fee: { type: 'none', value: 0 }
+};
+
+/**
+ * Reschedule policy of a package, falling back to the default for missing fields
+ * @param {object} pkg - Package document (or null)
+ */
+export const getReschedulePolicy = (pkg) => {
+    const policy = pkg?.bookingRules?.reschedulePolicy;
+
+    if (!policy) {
+        return DEFAULT_RESCHEDULE_POLICY;
+    }
+
+    return {
+        allowUserReschedule: policy.allowUserReschedule ?? DEFAULT_RESCHEDULE_POLICY.allowUserReschedule,
+        maxReschedules: policy.maxReschedules ?? DEFAULT_RESCHEDULE_POLICY.maxReschedules,
+        minDaysBeforeCheckIn: policy.minDaysBeforeCheckIn ?? DEFAULT_RESCHEDULE_POLICY.minDaysBeforeCheckIn,
+        fee: {
+            type: policy.fee?.type || DEFAULT_RESCHEDULE_POLICY.fee.type,
+            value: policy.fee?.value ?? DEFAULT_RESCHEDULE_POLICY.fee.value
+        }
+    };
+};
+
+/**
+ * Validate a reschedule policy sent by an admin
+ * @returns {string|null} error message, or null if valid
+ */
+export const validateReschedulePolicy = (policy) => {
+    if (!policy) {
+        return null;
+    }
+
+    if (policy.maxReschedules !== undefined
+        && (!Number.isInteger(policy.maxReschedules) || policy.maxReschedules < 0)) {
+        return 'maxReschedules must be a whole number, 0 or greater';
+    }
+
+    if (policy.minDaysBeforeCheckIn !== undefined
+        && (typeof policy.minDaysBeforeCheckIn !== 'number' || policy.minDaysBeforeCheckIn < 0)) {
+        return 'Reschedule minDaysBeforeCheckIn must be 0 or greater';
+    }
+
+    if (policy.fee) {
+        if (policy.fee.type !== undefined && !['none', 'percentage', 'fixed'].includes(policy.fee.type)) {
+            return 'Reschedule fee type must be none, percentage or fixed';
+        }
+
+        if (policy.fee.value !== undefined && (typeof policy.fee.value !== 'number' || policy.fee.value < 0)) {
+            return 'Reschedule fee value must be 0 or greater';
+        }
+
+        if (policy.fee.type === 'percentage' && policy.fee.value > 100) {
+            return 'Reschedule fee percentage must be 100 or less';
+        }
+    }
+
+    return null;
+};
+
+/**
+ * Human readable policy lines (for package details)
+ */
+export const describeReschedulePolicy = (policy) => {
+    if (!policy.allowUserReschedule || policy.maxReschedules === 0) {
+        return ['Date changes only through the property'];
+    }
+
+    const lines = [
+        policy.maxReschedules === 1
+            ? 'Dates can be changed once'
+            : `Dates can be changed up to ${policy.maxReschedules} times`,
+        policy.minDaysBeforeCheckIn > 0
+            ? `Changes allowed until ${policy.minDaysBeforeCheckIn} day(s) before check-in`
+            : 'Changes allowed until check-in'
+    ];
+
+    if (policy.fee.type === 'percentage' && policy.fee.value > 0) {
+        lines.push(`${policy.fee.value}% of the booking total is charged per change`);
+    } else if (policy.fee.type === 'fixed' && policy.fee.value > 0) {
+        lines.push(`₹${policy.fee.value} is charged per change`);
+    }
+
+    return lines;
+};
+
+/**
+ * Fee for one date change
+ * @param {number} bookingTotal - finalAmount before the change
+ */
+export const calculateRescheduleFee = (policy, bookingTotal) => {
+    const { type, value } = policy.fee;
+
+    if (type === 'percentage') {
+        return Math.round((bookingTotal * value) / 100);
+    }
+
+    return type === 'fixed' ? Math.round(value) : 0;
+};
+
+/**
+ * Why the booking's dates can't be changed now, if they can't
+ * @returns {string|null}
+ */
+const checkReschedulable = (booking, policy, { requestedBy, now }) => {
+    if (booking.status !== 'confirmed') {
+        return `Dates of a ${booking.status.replace('_', ' ')} booking cannot be changed`;
+    }
+
+    if (requestedBy === 'user' && (!policy.allowUserReschedule || policy.maxReschedules === 0)) {
+        return 'Dates of this package cannot be changed online. Please contact the property.';
+    }
+
+    const changes = (booking.changes || []).filter(entry => entry.kind === 'dates' && entry.status === 'completed').length;
+    if (requestedBy === 'user' && changes >= policy.maxReschedules) {
+        return policy.maxReschedules === 1
+            ? 'The dates of this booking have already been changed once'
+            : `The dates of this booking can only be changed ${policy.maxReschedules} times`;
+    }
+
+    const daysBeforeCheckIn = dayjs(booking.checkInDate).diff(dayjs(now), 'hour') / 24;
+    if (requestedBy === 'user' && daysBeforeCheckIn < policy.minDaysBeforeCheckIn) {
+        return `Dates can only be changed up to ${policy.minDaysBeforeCheckIn} day(s) before check-in`;
+    }
+
+    return null;
+};
+
+/**
+ * Rooms of each type the booking has (rooms_only keeps its rooms when moving)
+ */
+const getBookedRooms = (booking) => {
+    const rooms = booking.resources.filter(item => item.facilityType === 'guest_room');
+    return rooms.length > 0
+        ? Object.fromEntries(rooms.map(item => [item.resource.toString(), item.quantity]))
+        : null;
+};
+
+// ==================== QUOTE ====================
+
+/**
+ * Validate, price and work out the settlement of moving a booking
+ * Nothing is held or changed.
+ *
+ * @param {object} booking - Booking document
+ * @param {object} request - { checkInDate, checkOutDate ("DD-MM-YYYY"), requestedBy, now }
+ * @returns {Promise<object>} { change } or { error, status }
+ *          change: { kind, pkg, quote, price, fee, previousAmount, newAmount, settlement, units, bookingUpdate }
+ *          (see applyBookingChange)
+ */
+export const quoteReschedule = async (booking, { checkInDate, checkOutDate, requestedBy = 'user', now = new Date() }) => {
+    const pkg = await Package.findById(booking.packageId?._id || booking.packageId)
+        .populate('includes.resources.resource');
+
+    if (!pkg) {
+        return { error: 'Package not found', status: 404 };
+    }
+
+    const policy = getReschedulePolicy(pkg);
+    const reason = checkReschedulable(booking, policy, { requestedBy, now });
+    if (reason) {
+        return { error: reason, status: 400 };
+    }
+
+    const { quote, error, status } = await buildPackageQuote(pkg, {
+        checkInDate,
+        checkOutDate,
+        rooms: pkg.category === 'rooms_only' ? getBookedRooms(booking) : null,
+        now
+    });
+
+    if (error) {
+        return { error, status };
+    }
+
+    if (quote.checkIn.isSame(dayjs.utc(booking.checkInDate)) && quote.checkOut.isSame(dayjs.utc(booking.checkOutDate))) {
+        return { error: 'Please choose dates different from your current booking', status: 400 };
+    }
+
+    // ==================== PRICE ====================
+
+    const price = await applyBookingCoupon(booking, quote.price);
+    const previousAmount = booking.pricing.finalAmount;
+    const fee = calculateRescheduleFee(policy, previousAmount);
+    const rescheduleFees = (booking.pricing.rescheduleFees || 0) + fee;
+    const newAmount = price.finalAmount + rescheduleFees;
+    const { settlement, pricing, payment } = settleNewTotal(booking, pkg, newAmount, {
+        checkInDate: quote.checkIn.toDate(),
+        now
+    });
+
+    // ==================== UNITS ====================
+
+    const items = quote.items.map(item => ({
+        resource: item.resource._id,
+        quantity: item.quantity,
+        totalUnits: item.resource.totalUnits,
+        name: item.resource.name
+    }));
+
+    const units = diffInventory(
+        { items: booking.resources, checkInDate: booking.checkInDate, checkOutDate: booking.checkOutDate },
+        { items, checkInDate: quote.checkIn.toDate(), checkOutDate: quote.checkOut.toDate() }
+    );
+
+    const bookingUpdate = {
+        checkInDate: quote.checkIn.toDate(),
+        checkOutDate: quote.checkOut.toDate(),
+        numberOfDays: quote.numberOfDays,
+        resources: quote.items.map(item => ({
+            resource: item.resource._id,
+            facilityType: item.resource.facilityType,
+            name: item.resource.name,
+            category: item.resource.category,
+            quantity: item.quantity,
+            capacity: item.resource.capacity * item.quantity
+        })),
+        isExclusive: quote.isExclusive,
+        pricing: {
+            packageBasePrice: price.packageBasePrice,
+            resourcePricing: price.resourcePricing,
+            nights: price.nights,
+            subtotal: price.subtotal,
+            discountAmount: price.discountAmount || 0,
+            gst: price.gst,
+            rescheduleFees,
+            ...pricing
+        },
+        payment
+    };
+
+    return {
+        change: {
+            kind: 'dates',
+            pkg,
+            quote,
+            price,
+            fee,
+            previousAmount,
+            newAmount,
+            settlement,
+            units,
+            bookingUpdate
+        }
+    };
+};
+
+/**
+ * What the app shows before the guest confirms a date change
+ */
+export const formatRescheduleQuote = (booking, change, shortage = null) => ({
+    checkInDate: change.quote.checkIn.format('DD-MM-YYYY'),
+    checkOutDate: change.quote.checkOut.format('DD-MM-YYYY'),
+    numberOfDays: change.quote.numberOfDays,
+    available: !shortage,
+    unavailableResources: shortage ? [shortage] : [],
+    pricing: {
+        subtotal: change.price.subtotal,
+        discountAmount: change.price.discountAmount || 0,
+        gst: change.price.gst,
+        fee: change.fee,
+        finalAmount: change.newAmount,
+        nightlyBreakdown: formatNightlyBreakdown(change.price.nights)
+    },
+    previousAmount: change.previousAmount,
+    paidAmount: booking.pricing.paidAmount,
+    difference: change.newAmount - change.previousAmount,
+    settlement: {
+        type: change.settlement.type,
+        amount: change.settlement.amount
+    },
+    balanceAmount: change.bookingUpdate.pricing.balanceAmount
+});
+
+/**
+ * Quote a date change and check the extra units are free (ignoring the
+ * booking's own units)
+ * @returns {Promise<object>} { preview } or { error, status }
+ */
+export const previewReschedule = async (booking, request) => {
+    const { change, error, status } = await quoteReschedule(booking, request);
+
+    if (error) {
+        return { error, status };
+    }
+
+    const shortage = await findUnitShortage(change.units.add);
+
+    return { preview: formatRescheduleQuote(booking, change, shortage) };
+};
+
+// ==================== CHANGE ====================
+
+/**
+ * Move a booking to new dates
+ * Changes that cost more than a fully paid booking's total wait for the
+ * top-up (see applyBookingChange).
+ *
+ * @param {object} booking - Booking document
+ * @param {object} request - { checkInDate, checkOutDate, requestedBy, now }
+ * @returns {Promise<object>} { booking, change, razorpay } or { error, status, unavailableResources }
+ *          razorpay is null when nothing has to be paid
+ */
+export const rescheduleBooking = async (booking, request) => {
+    const now = request.now || new Date();
+    const requestedBy = request.requestedBy || 'user';
+
+    const { change, error, status } = await quoteReschedule(booking, { ...request, now, requestedBy });
+
+    if (error) {
+        return { error, status };
+    }
+
+    return applyBookingChange(booking, change, { requestedBy, now });
+};
@@ -0,0 +1,375 @@
+import dayjs from 'dayjs';
+import utc from 'dayjs/plugin/utc.js';
+import Package from '../models/Package.js';
+import { diffInventory, findUnitShortage } from './inventory.js';
+import { resolvePackageResources } from './quotes.js';
+import { calculateBookingPrice, formatNightlyBreakdown } from './pricing.js';
+import { applyBookingCoupon, settleNewTotal, applyBookingChange } from './bookingChanges.js';
+
+dayjs.extend(utc);
+
+// ==================== ROOM CHANGES ====================
+// A confirmed rooms_only booking can add or remove rooms of a type it has
+// booked, for the whole stay. The change is prorated per room-night:
+//   added rooms   - priced night by night under today's rules
+//   removed rooms - come off at the price they were booked at (the most
+//                   recently added first)
+// so the rooms the guest keeps never change price. The booking's coupon is
+// applied again to the new subtotal.
+//
+// The package's roomChangePolicy sets the cut-offs. The difference to what
+// was paid is settled by lib/bookingChanges.js (top-up, refund or deposit
+// balance), which also keeps booking.changes.
+//
+// Functions return { error, status } instead of throwing, like lib/quotes.js.
+
+// Used when a package has no roomChangePolicy
+export const DEFAULT_ROOM_CHANGE_POLICY = {
+    allowUserChanges: true,
+    addCutoffDays: 0,
+    removeCutoffDays: 7
+};
+
+/**
+ * Room change policy of a package, falling back to the default for missing fields
+ * @param {object} pkg - Package document (or null)
+ */
+export const getRoomChangePolicy = (pkg) => {
+    const policy = pkg?.bookingRules?.roomChangePolicy;
+
+    if (!policy) {
+        return DEFAULT_ROOM_CHANGE_POLICY;
+    }
+
+    return {
+        allowUserChanges: policy.allowUserChanges ?? DEFAULT_ROOM_CHANGE_POLICY.allowUserChanges,
+        addCutoffDays: policy.addCutoffDays ?? DEFAULT_ROOM_CHANGE_POLICY.addCutoffDays,
+        removeCutoffDays: policy.removeCutoffDays ?? DEFAULT_ROOM_CHANGE_POLICY.removeCutoffDays
+    };
+};
+
+/**
+ * Validate a room change policy sent by an admin
+ * @returns {string|null} error message, or null if valid
+ */
+export const validateRoomChangePolicy = (policy) => {
+    if (!policy) {
+        return null;
+    }
+
+    for (const field of ['addCutoffDays', 'removeCutoffDays']) {
+        if (policy[field] !== undefined && (typeof policy[field] !== 'number' || policy[field] < 0)) {
+            return `Room change ${field} must be 0 or greater`;
+        }
+    }
+
+    return null;
+};
+
+/**
+ * Human readable policy lines (for package details)
+ */
+export const describeRoomChangePolicy = (policy) => {
+    if (!policy.allowUserChanges) {
+        return ['Rooms can only be changed through the property'];
+    }
+
+    return [
+        policy.addCutoffDays > 0
+            ? `Rooms can be added until ${policy.addCutoffDays} day(s) before check-in, subject to availability`
+            : 'Rooms can be added until check-in, subject to availability',
+        policy.removeCutoffDays > 0
+            ? `Rooms can be removed until ${policy.removeCutoffDays} day(s) before check-in`
+            : 'Rooms can be removed until check-in'
+    ];
+};
+
+/**
+ * Why the booking's rooms can't be changed this way now, if they can't
+ * @returns {string|null}
+ */
+const checkRoomsChangeable = (booking, pkg, policy, { adding, requestedBy, now }) => {
+    if (booking.status !== 'confirmed') {
+        return `Rooms of a ${booking.status.replace('_', ' ')} booking cannot be changed`;
+    }
+
+    if (pkg.category !== 'rooms_only') {
+        return 'Rooms can only be changed on room bookings. Please contact the property.';
+    }
+
+    if (dayjs.utc(booking.checkInDate).isBefore(dayjs.utc(now).startOf('day'))) {
+        return 'Rooms cannot be changed after check-in';
+    }
+
+    if (requestedBy !== 'user') {
+        return null;
+    }
+
+    if (!policy.allowUserChanges) {
+        return 'Rooms of this package cannot be changed online. Please contact the property.';
+    }
+
+    const cutoffDays = adding ? policy.addCutoffDays : policy.removeCutoffDays;
+    const daysBeforeCheckIn = dayjs(booking.checkInDate).diff(dayjs(now), 'hour') / 24;
+    if (daysBeforeCheckIn < cutoffDays) {
+        return adding
+            ? `Rooms can only be added up to ${cutoffDays} day(s) before check-in`
+            : `Rooms can only be removed up to ${cutoffDays} day(s) before check-in`;
+    }
+
+    return null;
+};
+
+/**
+ * Take rooms of one type off the booked nights, the most recently added first
+ * (added rooms can have their own price line for the same night)
+ */
+const removeRoomNights = (nights, resourceId, quantity) => {
+    const remaining = new Map();
+    const result = [];
+
+    for (const night of [...nights].reverse()) {
+        const isRoom = night.resource?.toString() === resourceId;
+        const key = dayjs.utc(night.date).format('YYYY-MM-DD');
+        const toRemove = isRoom ? (remaining.has(key) ? remaining.get(key) : quantity) : 0;
+        const removed = Math.min(toRemove, night.quantity);
+
+        if (isRoom) {
+            remaining.set(key, toRemove - removed);
+        }
+
+        if (night.quantity > removed) {
+            const left = night.quantity - removed;
+            result.unshift({ ...night, quantity: left, amount: night.unitPrice * left });
+        }
+    }
+
+    return result;
+};
+
+// ==================== QUOTE ====================
+
+/**
+ * Validate, price and work out the settlement of changing the number of
+ * rooms of one booked type
+ * Nothing is held or changed.
+ *
+ * @param {object} booking - Booking document
+ * @param {object} request - { resourceId, quantity (new number of rooms of that type), requestedBy, now }
+ * @returns {Promise<object>} { change } or { error, status }
+ *          change: { kind, pkg, price, previousAmount, newAmount, settlement, units, bookingUpdate, details }
+ *          (see applyBookingChange)
+ */
+export const quoteRoomChange = async (booking, { resourceId, quantity, requestedBy = 'user', now = new Date() }) => {
+    const pkg = await Package.findById(booking.packageId?._id || booking.packageId)
+        .populate('includes.resources.resource');
+
+    if (!pkg) {
+        return { error: 'Package not found', status: 404 };
+    }
+
+    const booked = booking.resources.find(item => item.facilityType === 'guest_room'
+        && item.resource.toString() === String(resourceId));
+
+    if (!booked) {
+        return { error: 'This room type is not part of the booking', status: 400 };
+    }
+
+    const newQuantity = Number(quantity);
+
+    if (!Number.isInteger(newQuantity) || newQuantity < 0) {
+        return { error: 'Number of rooms must be a whole number, 0 or greater', status: 400 };
+    }
+
+    if (newQuantity === booked.quantity) {
+        return { error: `The booking already has ${booked.quantity} ${booked.name} room(s)`, status: 400 };
+    }
+
+    const adding = newQuantity > booked.quantity;
+    const policy = getRoomChangePolicy(pkg);
+    const reason = checkRoomsChangeable(booking, pkg, policy, { adding, requestedBy, now });
+    if (reason) {
+        return { error: reason, status: 400 };
+    }
+
+    // Same min / max / at least one room checks as a new booking
+    const bookedRooms = booking.resources.filter(item => item.facilityType === 'guest_room');
+    const roomSelection = Object.fromEntries(bookedRooms.map(item => [item.resource.toString(), item.quantity]));
+    roomSelection[booked.resource.toString()] = newQuantity;
+
+    const resolved = resolvePackageResources(pkg, roomSelection);
+    if (resolved.error) {
+        return { error: resolved.error, status: resolved.status };
+    }
+
+    // ==================== PRICE ====================
+
+    const bookedNights = (booking.pricing.nights || []).map(night => night.toObject?.() || night);
+    let nights;
+
+    if (bookedNights.length === 0) {
+        // Priced before nightly pricing existed - price every room under today's rules
+        nights = (await calculateBookingPrice({
+            pkg,
+            rooms: resolved.rooms,
+            checkIn: booking.checkInDate,
+            checkOut: booking.checkOutDate
+        })).nights;
+    } else if (adding) {
+        const room = resolved.rooms.find(item => item.resource._id.equals(booked.resource));
+        const added = await calculateBookingPrice({
+            pkg,
+            rooms: [{ resource: room.resource, quantity: newQuantity - booked.quantity }],
+            checkIn: booking.checkInDate,
+            checkOut: booking.checkOutDate
+        });
+        nights = [...bookedNights, ...added.nights];
+    } else {
+        nights = removeRoomNights(bookedNights, booked.resource.toString(), booked.quantity - newQuantity);
+    }
+
+    const subtotal = nights.reduce((sum, night) => sum + night.amount, 0);
+    const gstPercentage = booking.pricing.gst.percentage;
+    const gstAmount = Math.round((subtotal * gstPercentage) / 100);
+
+    const price = await applyBookingCoupon(booking, {
+        packageBasePrice: 0,
+        resourcePricing: subtotal,
+        subtotal,
+        gst: { percentage: gstPercentage, amount: gstAmount },
+        finalAmount: subtotal + gstAmount,
+        nights
+    });
+
+    const previousAmount = booking.pricing.finalAmount;
+    const newAmount = price.finalAmount + (booking.pricing.rescheduleFees || 0);
+    const { settlement, pricing, payment } = settleNewTotal(booking, pkg, newAmount, {
+        checkInDate: booking.checkInDate,
+        now
+    });
+
+    // ==================== UNITS ====================
+
+    const items = resolved.items.map(item => ({
+        resource: item.resource._id,
+        quantity: item.quantity,
+        totalUnits: item.resource.totalUnits,
+        name: item.resource.name
+    }));
+
+    const units = diffInventory(
+        { items: booking.resources, checkInDate: booking.checkInDate, checkOutDate: booking.checkOutDate },
+        { items, checkInDate: booking.checkInDate, checkOutDate: booking.checkOutDate }
+    );
+
+    const bookingUpdate = {
+        resources: resolved.items.map(item => ({
+            resource: item.resource._id,
+            facilityType: item.resource.facilityType,
+            name: item.resource.name,
+            category: item.resource.category,
+            quantity: item.quantity,
+            capacity: item.resource.capacity * item.quantity
+        })),
+        isExclusive: resolved.isExclusive,
+        pricing: {
+            packageBasePrice: price.packageBasePrice,
+            resourcePricing: price.resourcePricing,
+            nights: price.nights,
+            subtotal: price.subtotal,
+            discountAmount: price.discountAmount || 0,
+            gst: price.gst,
+            ...pricing
+        },
+        payment
+    };
+
+    return {
+        change: {
+            kind: 'rooms',
+            pkg,
+            price,
+            fee: 0,
+            previousAmount,
+            newAmount,
+            settlement,
+            units,
+            bookingUpdate,
+            details: {
+                fromRooms: bookedRooms.map(({ resource, name, quantity }) => ({ resource, name, quantity })),
+                toRooms: resolved.rooms.map(({ resource, quantity }) => ({ resource: resource._id, name: resource.name, quantity }))
+            }
+        }
+    };
+};
+
+/**
+ * What the app shows before the guest confirms a room change
+ */
+export const formatRoomChangeQuote = (booking, change, shortage = null) => ({
+    rooms: change.details.toRooms.map(room => ({
+        resourceId: room.resource,
+        name: room.name,
+        quantity: room.quantity
+    })),
+    numberOfDays: booking.numberOfDays,
+    available: !shortage,
+    unavailableResources: shortage ? [shortage] : [],
+    pricing: {
+        subtotal: change.price.subtotal,
+        discountAmount: change.price.discountAmount || 0,
+        gst: change.price.gst,
+        finalAmount: change.newAmount,
+        nightlyBreakdown: formatNightlyBreakdown(change.price.nights)
+    },
+    previousAmount: change.previousAmount,
+    paidAmount: booking.pricing.paidAmount,
+    difference: change.newAmount - change.previousAmount,
+    settlement: {
+        type: change.settlement.type,
+        amount: change.settlement.amount
+    },
+    balanceAmount: change.bookingUpdate.pricing.balanceAmount
+});
+
+/**
+ * Quote a room change and check the extra rooms are free (ignoring the
+ * booking's own units)
+ * @returns {Promise<object>} { preview } or { error, status }
+ */
+export const previewRoomChange = async (booking, request) => {
+    const { change, error, status } = await quoteRoomChange(booking, request);
+
+    if (error) {
+        return { error, status };
+    }
+
+    const shortage = await findUnitShortage(change.units.add);
+
+    return { preview: formatRoomChangeQuote(booking, change, shortage) };
+};
+
+// ==================== CHANGE ====================
+
+/**
+ * Change the number of rooms of one booked type
+ * Changes that cost more than a fully paid booking's total wait for the
+ * top-up (see applyBookingChange).
+ *
+ * @param {object} booking - Booking document
+ * @param {object} request - { resourceId, quantity, requestedBy, now }
+ * @returns {Promise<object>} { booking, change, razorpay } or { error, status, unavailableResources }
+ *          razorpay is null when nothing has to be paid
+ */
+export const changeBookingRooms = async (booking, request) => {
+    const now = request.now || new Date();
+    const requestedBy = request.requestedBy || 'user';
+
+    const { change, error, status } = await quoteRoomChange(booking, { ...request, now, requestedBy });
+
+    if (error) {
+        return { error, status };
+    }
+
+    return applyBookingChange(booking, change, { requestedBy, now });
+};
@@ -0,0 +1,180 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
+import Session from '../models/Session.js';
+import User from '../models/User.js';
+
+// ==================== SESSIONS ====================
+// Login hands out two tokens:
+//
+//   access token  - JWT, ACCESS_TOKEN_TTL, sent as "Authorization: Bearer"
+//   refresh token - "<sessionId>.<random>", REFRESH_TOKEN_DAYS, only sent to
+//                   POST /api/auth/refresh
+//
+// Every refresh replaces the refresh token (rotation). Using an old one
+// again means someone copied it, so the whole session is revoked.
+// protectRoute checks the access token's session on every request, so
+// revoking a session (logout, logout everywhere, password reset) locks the
+// device out straight away.
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_DAYS = 30;
+
+const hashRefreshToken = (refreshToken) => {
+    return crypto.createHash('sha256').update(refreshToken).digest('hex');
+};
+
+const newRefreshSecret = () => crypto.randomBytes(32).toString('hex');
+
+const refreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000);
+
+/**
+ * Short-lived JWT for one session
+ * v = user.tokenVersion (legacy tokens without a session are checked against it)
+ */
+export const signAccessToken = (user, sessionId) => {
+    return jwt.sign(
+        { id: user._id, v: user.tokenVersion || 0, sid: sessionId.toString() },
+        process.env.JWT_SECRET,
+        { expiresIn: ACCESS_TOKEN_TTL }
+    );
+};
+
+/**
+ * Start a session for a device
+ * @param {object} user - User document
+ * @param {object} req - Express request (user agent, IP, optional body.deviceName / body.platform)
+ * @returns {object} { token, refreshToken, session }
+ */
+export const createSession = async (user, req) => {
+    const { deviceName, platform } = req.body || {};
+    const sessionId = new mongoose.Types.ObjectId();
+    const refreshToken = `${sessionId}.${newRefreshSecret()}`;
+
+    const session = await Session.create({
+        _id: sessionId,
+        userId: user._id,
+        refreshTokenHash: hashRefreshToken(refreshToken),
+        deviceName: deviceName ? String(deviceName).slice(0, 100) : null,
+        platform: ['ios', 'android', 'web'].includes(platform) ? platform : undefined,
+        userAgent: req.get('user-agent') || null,
+        ipAddress: req.ip || null,
+        expiresAt: refreshExpiry()
+    });
+
+    return { token: signAccessToken(user, sessionId), refreshToken, session };
+};
+
+/**
+ * Swap a refresh token for a new access token and refresh token
+ * @param {string} refreshToken
+ * @returns {object} { token, refreshToken, session } or { error, status }
+ */
+export const rotateSession = async (refreshToken) => {
+    const [sessionId] = String(refreshToken || '').split('.');
+
+    if (!mongoose.Types.ObjectId.isValid(sessionId)) {
+        return { error: 'Invalid refresh token', status: 401 };
+    }
+
+    const now = new Date();
+    const tokenHash = hashRefreshToken(refreshToken);
+    const nextRefreshToken = `${sessionId}.${newRefreshSecret()}`;
+
+    // Claim the rotation - only one request can swap a given refresh token
+    const session = await Session.findOneAndUpdate(
+        { _id: sessionId, refreshTokenHash: tokenHash, revokedAt: null, expiresAt: { $gt: now } },
+        {
+            $set: {
+                refreshTokenHash: hashRefreshToken(nextRefreshToken),
+                previousRefreshTokenHash: tokenHash,
+                lastUsedAt: now,
+                expiresAt: refreshExpiry()
+            }
+        },
+        { new: true }
+    );
+
+    if (!session) {
+        // A rotated-out token coming back means it was stolen - end the session for both holders
+        const reused = await Session.updateOne(
+            { _id: sessionId, previousRefreshTokenHash: tokenHash, revokedAt: null },
+            { $set: { revokedAt: now, revokedReason: 'refresh_token_reuse' } }
+        );
+
+        if (reused.modifiedCount > 0) {
+            console.warn(`Refresh token reused for session ${sessionId} - session revoked`);
+        }
+
+        return { error: 'Session expired, please log in again', status: 401 };
+    }
+
+    const user = await User.findById(session.userId).select('tokenVersion');
+    if (!user) {
+        return { error: 'Session expired, please log in again', status: 401 };
+    }
+
+    return { token: signAccessToken(user, session._id), refreshToken: nextRefreshToken, session };
+};
+
+/**
+ * Session a refresh token belongs to (if the token is current)
+ */
+export const findSessionByRefreshToken = async (refreshToken) => {
+    const [sessionId] = String(refreshToken || '').split('.');
+
+    if (!mongoose.Types.ObjectId.isValid(sessionId)) {
+        return null;
+    }
+
+    return Session.findOne({ _id: sessionId, refreshTokenHash: hashRefreshToken(refreshToken) });
+};
+
+/**
+ * Whether an access token's session can still be used
+ */
+export const isSessionActive = async (sessionId, userId) => {
+    if (!mongoose.Types.ObjectId.isValid(sessionId)) {
+        return false;
+    }
+
+    const session = await Session.exists({ _id: sessionId, userId, revokedAt: null });
+    return Boolean(session);
+};
+
+/**
+ * End one session of a user
+ * @returns {boolean} false if there was no such active session
+ */
+export const revokeSession = async (sessionId, userId, reason = 'revoked') => {
+    const result = await Session.updateOne(
+        { _id: sessionId, userId, revokedAt: null },
+        { $set: { revokedAt: new Date(), revokedReason: reason } }
+    );
+    return result.modifiedCount > 0;
+};
+
+/**
+ * End every session of a user
+ * @param {object} options - { exceptSessionId } keeps the current device logged in
+ * @returns {number} sessions revoked
+ */
+export const revokeAllSessions = async (userId, reason, { exceptSessionId } = {}) => {
+    const filter = { userId, revokedAt: null };
+    if (exceptSessionId) {
+        filter._id = { $ne: exceptSessionId };
+    }
+
+    const result = await Session.updateMany(filter, { $set: { revokedAt: new Date(), revokedReason: reason } });
+    return result.modifiedCount;
+};
+
+/**
+ * Active sessions of a user, most recently used first
+ */
+export const listSessions = async (userId) => {
+    return Session.find({ userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+        .select('deviceName platform userAgent ipAddress createdAt lastUsedAt expiresAt')
+        .sort({ lastUsedAt: -1 })
+        .lean();
+};
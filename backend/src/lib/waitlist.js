@@ -0,0 +1,574 @@
+import dayjs from 'dayjs';
+import utc from 'dayjs/plugin/utc.js';
+import mongoose from 'mongoose';
+import Waitlist from '../models/Waitlist.js';
+import Package from '../models/Package.js';
+import { reserveInventory, releaseInventory } from './inventory.js';
+import { buildPackageQuote } from './quotes.js';
+import { notifyWaitlist } from './notifications.js';
+
+dayjs.extend(utc);
+
+// ==================== WAITLIST ====================
+// A guest can wait for a sold-out package stay. Whenever units go back to
+// the inventory ledger (cancellation, expired payment hold, date / room
+// change, an admin adding units) the waitlist for those resources and nights
+// is offered the stay, oldest entry first: the first guest whose whole stay
+// fits again gets its units held for the offer TTL and a notification.
+//
+// The guest books the held stay through POST /api/waitlist/:waitlistId/quote
+// and create-order with the waitlistId - the pending booking takes over the
+// offer's units. An offer that lapses gives them back, which offers them to
+// the next guest on the list.
+//
+// Held offers are not rebuilt by rebuildInventory (like pending date / room
+// changes); they lapse within the offer TTL.
+//
+// Functions return { error, status } instead of throwing, like lib/quotes.js.
+
+const DEFAULT_OFFER_TTL_MINUTES = 120;
+
+// Entries looked at per release - the oldest ones get the offer anyway
+const OFFER_BATCH_SIZE = 50;
+
+/**
+ * How long an offer holds the units (WAITLIST_OFFER_TTL_MINUTES env, default 120)
+ */
+export const getOfferTtlMinutes = () => {
+    const ttl = parseInt(process.env.WAITLIST_OFFER_TTL_MINUTES, 10);
+    return ttl > 0 ? ttl : DEFAULT_OFFER_TTL_MINUTES;
+};
+
+/**
+ * Package with the resources quotes need
+ */
+const loadPackage = (packageId) => {
+    return Package.findById(packageId).populate('includes.resources.resource');
+};
+
+/**
+ * The stay of an entry as a buildPackageQuote request
+ */
+const toStayRequest = (entry) => ({
+    checkInDate: dayjs.utc(entry.checkInDate).format('DD-MM-YYYY'),
+    checkOutDate: dayjs.utc(entry.checkOutDate).format('DD-MM-YYYY'),
+    rooms: entry.rooms?.length > 0
+        ? Object.fromEntries(entry.rooms.map(room => [room.resource.toString(), room.quantity]))
+        : null
+});
+
+/**
+ * Units of a quote, as stored on the entry
+ */
+const toUnits = (quote) => quote.items.map(item => ({
+    resource: item.resource._id,
+    name: item.resource.name,
+    quantity: item.quantity
+}));
+
+/**
+ * Does the quote need exactly the units the offer holds?
+ */
+const matchesUnits = (units, quote) => {
+    const needed = toUnits(quote);
+
+    return needed.length === units.length && needed.every(item => units.some(
+        unit => unit.resource.toString() === item.resource.toString() && unit.quantity === item.quantity
+    ));
+};
+
+/**
+ * Earliest and latest night of per-night ledger entries, as a stay
+ */
+const spanOfNights = (entries) => {
+    const times = entries.map(entry => new Date(entry.date).getTime());
+
+    return {
+        checkInDate: new Date(Math.min(...times)),
+        checkOutDate: dayjs.utc(Math.max(...times)).add(1, 'day').toDate()
+    };
+};
+
+// ==================== JOINING ====================
+
+/**
+ * Put a user on the waitlist for a package stay that is sold out
+ *
+ * @param {string} userId
+ * @param {object} request - { packageId, checkInDate, checkOutDate ("DD-MM-YYYY"), rooms, roomQuantity, now }
+ * @returns {Promise<object>} { entry } or { error, status }
+ */
+export const joinWaitlist = async (userId, { packageId, checkInDate, checkOutDate, rooms, roomQuantity, now = new Date() }) => {
+    if (!mongoose.Types.ObjectId.isValid(packageId)) {
+        return { error: 'Invalid package ID', status: 400 };
+    }
+
+    const pkg = await loadPackage(packageId);
+
+    // Same dates, rules and rooms checks as check-availability
+    const { quote, error, status } = await buildPackageQuote(pkg, {
+        checkInDate,
+        checkOutDate,
+        rooms,
+        roomQuantity,
+        now
+    });
+
+    if (error) {
+        return { error, status };
+    }
+
+    if (quote.available) {
+        return { error: 'This package is available for these dates - you can book it now', status: 400 };
+    }
+
+    const existing = await Waitlist.findOne({
+        userId,
+        packageId: pkg._id,
+        checkInDate: quote.checkIn.toDate(),
+        checkOutDate: quote.checkOut.toDate(),
+        status: { $in: ['waiting', 'offered'] }
+    });
+
+    if (existing) {
+        return { error: 'You are already on the waitlist for these dates', status: 409 };
+    }
+
+    const entry = await Waitlist.create({
+        userId,
+        packageId: pkg._id,
+        checkInDate: quote.checkIn.toDate(),
+        checkOutDate: quote.checkOut.toDate(),
+        numberOfDays: quote.numberOfDays,
+        rooms: (quote.rooms || []).map(room => ({
+            resource: room.resource._id,
+            name: room.resource.name,
+            quantity: room.quantity
+        })),
+        units: toUnits(quote)
+    });
+
+    return { entry };
+};
+
+/**
+ * Place in the queue of a waiting entry (1 = next to be offered)
+ * Counts older entries waiting for the same package on overlapping dates.
+ */
+export const getWaitlistPosition = async (entry) => {
+    if (entry.status !== 'waiting') {
+        return null;
+    }
+
+    const ahead = await Waitlist.countDocuments({
+        packageId: entry.packageId._id || entry.packageId,
+        status: 'waiting',
+        createdAt: { $lt: entry.createdAt },
+        checkInDate: { $lt: entry.checkOutDate },
+        checkOutDate: { $gt: entry.checkInDate }
+    });
+
+    return ahead + 1;
+};
+
+/**
+ * What the app shows for a waitlist entry
+ */
+export const formatWaitlistEntry = (entry, position = null) => ({
+    id: entry._id,
+    package: entry.packageId?.name
+        ? { id: entry.packageId._id, name: entry.packageId.name, category: entry.packageId.category, images: entry.packageId.images }
+        : { id: entry.packageId },
+    checkInDate: dayjs.utc(entry.checkInDate).format('DD-MM-YYYY'),
+    checkOutDate: dayjs.utc(entry.checkOutDate).format('DD-MM-YYYY'),
+    numberOfDays: entry.numberOfDays,
+    rooms: (entry.rooms || []).map(room => ({
+        resourceId: room.resource,
+        name: room.name,
+        quantity: room.quantity
+    })),
+    status: entry.status,
+    position,
+    offerExpiresAt: entry.status === 'offered' ? entry.offerExpiresAt : null,
+    bookingId: entry.booking || null,
+    closedReason: entry.closedReason || null,
+    createdAt: entry.createdAt
+});
+
+// ==================== OFFERS ====================
+
+/**
+ * Hold the stay of a waiting entry and offer it to the guest, if it fits
+ * @returns {Promise<boolean>} true if offered
+ */
+const offerStay = async (entry, now) => {
+    const pkg = await loadPackage(entry.packageId);
+    const { quote, error, status } = await buildPackageQuote(pkg, { ...toStayRequest(entry), now });
+
+    if (error) {
+        // The stay can't be booked any more (package withdrawn, rules or rooms changed)
+        if (status < 500) {
+            await Waitlist.updateOne(
+                { _id: entry._id, status: 'waiting' },
+                { $set: { status: 'expired', closedReason: error, closedAt: now } }
+            );
+        }
+        return false;
+    }
+
+    if (!quote.available) {
+        return false;
+    }
+
+    // ==================== HOLD ====================
+
+    const items = quote.items.map(item => ({
+        resource: item.resource._id,
+        quantity: item.quantity,
+        totalUnits: item.resource.totalUnits,
+        name: item.resource.name
+    }));
+
+    const reservation = await reserveInventory(items, quote.checkIn.toDate(), quote.checkOut.toDate());
+
+    if (!reservation.reserved) {
+        return false;
+    }
+
+    const offered = await Waitlist.findOneAndUpdate(
+        { _id: entry._id, status: 'waiting' },
+        {
+            $set: {
+                status: 'offered',
+                offeredAt: now,
+                offerExpiresAt: dayjs(now).add(getOfferTtlMinutes(), 'minute').toDate(),
+                units: toUnits(quote)
+            }
+        },
+        { new: true }
+    );
+
+    // Left the waitlist meanwhile
+    if (!offered) {
+        await releaseInventory(items, quote.checkIn.toDate(), quote.checkOut.toDate());
+        return false;
+    }
+
+    await notifyWaitlist('waitlist_offer', offered);
+    return true;
+};
+
+/**
+ * Offer freed units to the waitlist, oldest entry first
+ * Without a filter every waiting entry is tried (the periodic sweep).
+ *
+ * @param {object} filter - { resourceIds, checkInDate, checkOutDate } of the units given back
+ * @returns {Promise<number>} number of offers made
+ */
+export const offerWaitlistedStays = async ({ resourceIds = null, checkInDate = null, checkOutDate = null } = {}, now = new Date()) => {
+    const query = {
+        status: 'waiting',
+        checkInDate: { $gte: dayjs.utc(now).startOf('day').toDate() }
+    };
+
+    if (resourceIds) {
+        query['units.resource'] = { $in: resourceIds };
+    }
+
+    if (checkInDate && checkOutDate) {
+        query.checkInDate.$lt = checkOutDate;
+        query.checkOutDate = { $gt: checkInDate };
+    }
+
+    const entries = await Waitlist.find(query)
+        .sort({ createdAt: 1 })
+        .limit(OFFER_BATCH_SIZE);
+
+    let offered = 0;
+
+    for (const entry of entries) {
+        try {
+            if (await offerStay(entry, now)) {
+                offered++;
+            }
+        } catch (error) {
+            console.error(`Error offering waitlist entry ${entry._id}:`, error);
+        }
+    }
+
+    return offered;
+};
+
+/**
+ * Offer units that were just given back to the ledger
+ * Safe to call from any release point - never throws, so a waitlist problem
+ * can't fail a cancellation or an expiry.
+ *
+ * @param {Array} items - [{ resource }] (Booking.resources works as-is)
+ * @param {Date} checkInDate - omit both dates for every stay of these resources
+ * @param {Date} checkOutDate
+ * @returns {Promise<number>} number of offers made
+ */
+export const offerReleasedUnits = async (items, checkInDate = null, checkOutDate = null) => {
+    try {
+        if (items.length === 0) {
+            return 0;
+        }
+
+        return await offerWaitlistedStays({
+            resourceIds: items.map(item => item.resource._id || item.resource),
+            checkInDate,
+            checkOutDate
+        });
+    } catch (error) {
+        console.error('Error offering released units to the waitlist:', error);
+        return 0;
+    }
+};
+
+/**
+ * offerReleasedUnits for per-night ledger entries (see releaseUnits)
+ * @param {Array} entries - [{ resource, date, quantity }]
+ */
+export const offerReleasedNights = (entries) => {
+    if (entries.length === 0) {
+        return 0;
+    }
+
+    const { checkInDate, checkOutDate } = spanOfNights(entries);
+    return offerReleasedUnits(entries, checkInDate, checkOutDate);
+};
+
+// ==================== TAKING UP AN OFFER ====================
+
+/**
+ * Load an entry of this user that has an open offer
+ * @returns {Promise<object>} { entry } or { error, status }
+ */
+const findOpenOffer = async (waitlistId, userId, now) => {
+    if (!mongoose.Types.ObjectId.isValid(waitlistId)) {
+        return { error: 'Invalid waitlist ID', status: 400 };
+    }
+
+    const entry = await Waitlist.findOne({ _id: waitlistId, userId });
+
+    if (!entry) {
+        return { error: 'Waitlist entry not found', status: 404 };
+    }
+
+    if (entry.status !== 'offered' || entry.offerExpiresAt <= now) {
+        return {
+            error: entry.status === 'waiting'
+                ? 'Your stay has not become available yet'
+                : 'This waitlist offer is no longer open',
+            status: 410
+        };
+    }
+
+    return { entry };
+};
+
+/**
+ * Price the held stay of an open offer (for the quote token create-order needs)
+ * Availability is not checked - the offer already holds the units.
+ *
+ * @returns {Promise<object>} { entry, quote } or { error, status }
+ */
+export const quoteWaitlistOffer = async (waitlistId, userId, now = new Date()) => {
+    const { entry, error, status } = await findOpenOffer(waitlistId, userId, now);
+
+    if (error) {
+        return { error, status };
+    }
+
+    const pkg = await loadPackage(entry.packageId);
+    const quoted = await buildPackageQuote(pkg, { ...toStayRequest(entry), now });
+
+    if (quoted.error) {
+        return { error: quoted.error, status: quoted.status };
+    }
+
+    if (!matchesUnits(entry.units, quoted.quote)) {
+        return { error: 'This package has changed since your stay was offered. Please contact the property.', status: 409 };
+    }
+
+    return { entry, quote: quoted.quote };
+};
+
+/**
+ * Hand an offer's held units to the pending booking create-order is making
+ * The quote must be for exactly the offered stay.
+ *
+ * @returns {Promise<object>} { entry } or { error, status }
+ */
+export const claimWaitlistOffer = async (waitlistId, userId, quote, now = new Date()) => {
+    const { entry, error, status } = await findOpenOffer(waitlistId, userId, now);
+
+    if (error) {
+        return { error, status };
+    }
+
+    const sameStay = entry.packageId.toString() === quote.pkg._id.toString()
+        && quote.checkIn.isSame(dayjs.utc(entry.checkInDate))
+        && quote.checkOut.isSame(dayjs.utc(entry.checkOutDate))
+        && matchesUnits(entry.units, quote);
+
+    if (!sameStay) {
+        return { error: 'This quote is not for your waitlisted stay', status: 400 };
+    }
+
+    const claimed = await Waitlist.findOneAndUpdate(
+        { _id: entry._id, status: 'offered', offerExpiresAt: { $gt: now } },
+        { $set: { status: 'booked' } },
+        { new: true }
+    );
+
+    if (!claimed) {
+        return { error: 'This waitlist offer is no longer open', status: 410 };
+    }
+
+    return { entry: claimed };
+};
+
+/**
+ * Undo claimWaitlistOffer when the booking couldn't be created
+ * The offer keeps holding the units until it lapses.
+ */
+export const returnWaitlistOffer = (entry) => {
+    return Waitlist.updateOne(
+        { _id: entry._id, status: 'booked', booking: null },
+        { $set: { status: 'offered' } }
+    );
+};
+
+/**
+ * Record the pending booking made from an offer
+ */
+export const linkWaitlistBooking = (entry, booking) => {
+    return Waitlist.updateOne({ _id: entry._id }, { $set: { booking: booking._id } });
+};
+
+/**
+ * A pending booking made from an offer expired unpaid - the offer lapsed
+ * (its units were given back with the booking's)
+ */
+export const lapseWaitlistBooking = (booking, now = new Date()) => {
+    return Waitlist.updateOne(
+        { booking: booking._id, status: 'booked' },
+        { $set: { status: 'lapsed', closedReason: 'Payment was not completed', closedAt: now } }
+    );
+};
+
+// ==================== CLOSING ====================
+
+/**
+ * Close an entry whose offer was open and pass its units down the list
+ */
+const releaseOffer = async (entry) => {
+    await releaseInventory(entry.units, entry.checkInDate, entry.checkOutDate);
+    await offerReleasedUnits(entry.units, entry.checkInDate, entry.checkOutDate);
+};
+
+/**
+ * Leave the waitlist (an open offer goes to the next guest)
+ * @returns {Promise<object>} { entry } or { error, status }
+ */
+export const leaveWaitlist = async (waitlistId, userId, now = new Date()) => {
+    if (!mongoose.Types.ObjectId.isValid(waitlistId)) {
+        return { error: 'Invalid waitlist ID', status: 400 };
+    }
+
+    // The entry as it was - tells whether it held units
+    const previous = await Waitlist.findOneAndUpdate(
+        { _id: waitlistId, userId, status: { $in: ['waiting', 'offered'] } },
+        { $set: { status: 'cancelled', closedReason: 'Left the waitlist', closedAt: now } }
+    );
+
+    if (!previous) {
+        const exists = await Waitlist.exists({ _id: waitlistId, userId });
+        return exists
+            ? { error: 'This waitlist entry is already closed', status: 400 }
+            : { error: 'Waitlist entry not found', status: 404 };
+    }
+
+    if (previous.status === 'offered') {
+        await releaseOffer(previous);
+    }
+
+    return { entry: await Waitlist.findById(waitlistId) };
+};
+
+/**
+ * Close every open entry of a user (account deleted)
+ * Open offers go to the next guests, like leaveWaitlist.
+ * @returns {Promise<number>} number of entries closed
+ */
+export const closeUserWaitlist = async (userId, reason, now = new Date()) => {
+    const entries = await Waitlist.find({ userId, status: { $in: ['waiting', 'offered'] } });
+
+    let closed = 0;
+
+    for (const entry of entries) {
+        const previous = await Waitlist.findOneAndUpdate(
+            { _id: entry._id, status: { $in: ['waiting', 'offered'] } },
+            { $set: { status: 'cancelled', closedReason: reason, closedAt: now } }
+        );
+
+        if (!previous) {
+            continue;
+        }
+
+        if (previous.status === 'offered') {
+            await releaseOffer(previous);
+        }
+        closed++;
+    }
+
+    return closed;
+};
+
+/**
+ * Lapse offers that weren't taken up in time and offer their units to the
+ * next guests
+ * @returns {Promise<number>} number of offers lapsed
+ */
+export const lapseStaleOffers = async (now = new Date()) => {
+    const stale = await Waitlist.find({
+        status: 'offered',
+        offerExpiresAt: { $lte: now }
+    });
+
+    let lapsed = 0;
+
+    for (const entry of stale) {
+        const claimed = await Waitlist.updateOne(
+            { _id: entry._id, status: 'offered' },
+            { $set: { status: 'lapsed', closedReason: 'Offer was not taken up in time', closedAt: now } }
+        );
+
+        if (claimed.modifiedCount === 0) {
+            continue;
+        }
+
+        await releaseOffer(entry);
+        lapsed++;
+    }
+
+    return lapsed;
+};
+
+/**
+ * Close waiting entries whose check-in date has passed
+ * @returns {Promise<number>} number of entries closed
+ */
+export const expirePastEntries = async (now = new Date()) => {
+    const result = await Waitlist.updateMany(
+        {
+            status: 'waiting',
+            checkInDate: { $lt: dayjs.utc(now).startOf('day').toDate() }
+        },
+        { $set: { status: 'expired', closedReason: 'Check-in date has passed', closedAt: now } }
+    );
+
+    return result.modifiedCount;
+};
@@ -1,5 +1,6 @@
 import User from "../models/User.js";
 import jwt from 'jsonwebtoken';
+import { isSessionActive } from '../lib/sessions.js';
 import 'dotenv/config';
 
 const protectRoute = async (req, res, next) => {
@@ -14,7 +15,16 @@ const protectRoute = async (req, res, next) => {
         if (!user) {
             return res.status(401).json({ message: "Unauthorized" });
         }
+        // Token issued before the sessions were revoked (e.g. password reset)
+        if ((decoded.v || 0) !== (user.tokenVersion || 0)) {
+            return res.status(401).json({ message: "Unauthorized - Session expired, please log in again" });
+        }
+        // Access tokens belong to a device session - a revoked session is locked out at once
+        if (decoded.sid && !(await isSessionActive(decoded.sid, user._id))) {
+            return res.status(401).json({ message: "Unauthorized - Session expired, please log in again" });
+        }
         req.user = user;
+        req.sessionId = decoded.sid || null;
         next();
     } catch (error) {
         console.log(error, 'Error in Protect Route');
@@ -0,0 +1,32 @@
+import protectRoute from './auth.middleware.js';
+import { verifyDownloadToken } from '../lib/downloadLinks.js';
+
+// ==================== DOCUMENT DOWNLOADS ====================
+// Accepts either a normal Bearer token (protectRoute) or a signed download
+// link (?token=..., see lib/downloadLinks.js).
+//
+// With a link, req.user is not set and req.download = { bookingId, document }.
+// The route must check that the link is for the booking and document requested.
+//
+// Usage:
+//   router.get('/:bookingId/invoice', protectDownload('invoice'), handler)
+//   router.get('/:bookingId/credit-notes/:creditNoteId',
+//       protectDownload(req => `credit_note:${req.params.creditNoteId}`), handler)
+
+export const protectDownload = (document) => {
+    return (req, res, next) => {
+        if (!req.query.token) {
+            return protectRoute(req, res, next);
+        }
+
+        const download = verifyDownloadToken(req.query.token);
+        const expected = typeof document === 'function' ? document(req) : document;
+
+        if (!download || download.document !== expected || download.bookingId !== req.params.bookingId) {
+            return res.status(401).json({ message: "Unauthorized - Invalid or expired download link" });
+        }
+
+        req.download = download;
+        next();
+    };
+};
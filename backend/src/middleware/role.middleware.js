@@ -0,0 +1,89 @@
+// ==================== ROLE-BASED ACCESS CONTROL ====================
+// Must be used AFTER protectRoute (relies on req.user)
+//
+// Usage:
+//   router.get('/admin/all', protectRoute, requireAdmin, handler)
+//   router.patch('/admin/:id/check-in', protectRoute, requirePermission('bookings:check_in'), handler)
+
+export const ROLES = ['customer', 'staff', 'admin', 'super_admin'];
+
+const STAFF_PERMISSIONS = [
+    'bookings:read_all',
+    'bookings:check_in',
+];
+
+const ADMIN_PERMISSIONS = [
+    ...STAFF_PERMISSIONS,
+    'bookings:cancel_any',
+    'bookings:stats',
+    'packages:manage',
+    'resources:manage',
+    'pricing:manage',
+    'coupons:manage',
+    'accounting:export',
+];
+
+export const ROLE_PERMISSIONS = {
+    customer: [],
+    staff: STAFF_PERMISSIONS,
+    admin: ADMIN_PERMISSIONS,
+    super_admin: [...ADMIN_PERMISSIONS, 'users:manage_roles'],
+};
+
+/**
+ * Check whether a user has a given permission
+ * @param {object} user - User document (req.user)
+ * @param {string} permission - e.g. 'packages:manage'
+ * @returns {boolean}
+ */
+export const hasPermission = (user, permission) => {
+    if (!user) return false;
+    const permissions = ROLE_PERMISSIONS[user.role] || [];
+    return permissions.includes(permission);
+};
+
+/**
+ * Admin check used by routes that show extra data to admins
+ * (e.g. inactive packages, other users' bookings)
+ */
+export const isAdmin = (user) => {
+    return !!user && ['admin', 'super_admin'].includes(user.role);
+};
+
+/**
+ * Allow only the given roles
+ */
+export const requireRole = (...roles) => {
+    return (req, res, next) => {
+        if (!req.user) {
+            return res.status(401).json({ message: "Unauthorized" });
+        }
+        if (!roles.includes(req.user.role)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Forbidden - You do not have access to this resource'
+            });
+        }
+        next();
+    };
+};
+
+/**
+ * Allow only users whose role grants the given permission
+ */
+export const requirePermission = (permission) => {
+    return (req, res, next) => {
+        if (!req.user) {
+            return res.status(401).json({ message: "Unauthorized" });
+        }
+        if (!hasPermission(req.user, permission)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Forbidden - You do not have permission to perform this action'
+            });
+        }
+        next();
+    };
+};
+
+export const requireAdmin = requireRole('admin', 'super_admin');
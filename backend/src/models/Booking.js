@@ -78,6 +78,12 @@ const bookingSchema = new mongoose.Schema({
         _id: false
     }],
 
+    isExclusive: {
+        type: Boolean,
+        default: false,
+        // Includes an exclusive resource - holds every unit of its resources (see lib/quotes.js)
+    },
+
     // ==================== DATE INFORMATION ====================
     checkInDate: {
         type: Date,
@@ -136,6 +142,16 @@ const bookingSchema = new mongoose.Schema({
         idProofNumber: {
             type: String,
             trim: true
+        },
+        // For a B2B tax invoice (optional)
+        gstin: {
+            type: String,
+            trim: true,
+            uppercase: true
+        },
+        businessName: {
+            type: String,
+            trim: true
         }
     },
 
@@ -170,12 +186,69 @@ const bookingSchema = new mongoose.Schema({
             // Only used for rooms_only category
         },
 
+        // Per-night prices after PricingRule adjustments (see lib/pricing.js)
+        nights: [{
+            date: Date,
+            resource: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'Resource',
+                // Room type this night is for (rooms_only - priced per type)
+            },
+            resourceName: String,
+            basePrice: Number,
+            adjustments: [{
+                rule: {
+                    type: mongoose.Schema.Types.ObjectId,
+                    ref: 'PricingRule'
+                },
+                name: String,
+                amount: Number,
+                _id: false
+            }],
+            unitPrice: Number,
+            quantity: Number,
+            amount: Number,
+            // unitPrice × quantity
+            _id: false
+        }],
+
         // Subtotal before GST
         subtotal: {
             type: Number,
             required: true,
-            // For fixed packages: packageBasePrice × numberOfDays
-            // For rooms_only: resourcePricing
+            // Sum of nights[].amount
+            // (packageBasePrice × numberOfDays when no pricing rule applies)
+        },
+
+        // Date change fees charged so far (see lib/reschedules.js)
+        rescheduleFees: {
+            type: Number,
+            default: 0,
+            // Included in finalAmount
+        },
+
+        // Coupon discount (see lib/coupons.js)
+        discountAmount: {
+            type: Number,
+            default: 0,
+            // Taken off the subtotal before GST
+        },
+
+        coupon: {
+            couponId: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'Coupon',
+                default: null
+            },
+            code: {
+                type: String,
+                default: null
+            },
+            redeemed: {
+                type: Boolean,
+                default: false
+                // true while this booking holds one of Coupon.usedCount
+            }
         },
 
         // GST calculation
@@ -189,15 +262,15 @@ const bookingSchema = new mongoose.Schema({
             amount: {
                 type: Number,
                 required: true,
-                // (subtotal × gst.percentage) / 100
+                // ((subtotal - discountAmount) × gst.percentage) / 100
             }
         },
 
-        // Final amount (subtotal + GST)
+        // Final amount (subtotal - discount + GST + date change fees)
         finalAmount: {
             type: Number,
             required: true,
-            // subtotal + gst.amount
+            // subtotal - discountAmount + gst.amount + rescheduleFees
         },
 
         // Amount paid by customer
@@ -211,6 +284,18 @@ const bookingSchema = new mongoose.Schema({
             type: Number,
             default: 0,
             // finalAmount - paidAmount
+        },
+
+        // Amount charged by create-order (deposit, or finalAmount when paying in full)
+        depositAmount: {
+            type: Number,
+            default: null
+        },
+
+        // Balance must be paid by this date (only for deposit bookings)
+        balanceDueDate: {
+            type: Date,
+            default: null
         }
     },
 
@@ -245,7 +330,9 @@ const bookingSchema = new mongoose.Schema({
         // Payment status
         status: {
             type: String,
-            enum: ['pending', 'paid', 'failed', 'refunded', 'partially_refunded'],
+            enum: ['pending', 'partially_paid', 'paid', 'failed', 'cancelled', 'refunded', 'partially_refunded'],
+            // partially_paid = deposit paid, balance outstanding
+            // cancelled = order abandoned (booking hold expired before payment)
             default: 'pending',
             index: true
         },
@@ -254,9 +341,73 @@ const bookingSchema = new mongoose.Schema({
         paidAt: {
             type: Date,
             default: null
+        },
+
+        // When the order was abandoned because the hold expired
+        orderCancelledAt: {
+            type: Date,
+            default: null
         }
     },
 
+    // ==================== PAYMENTS LEDGER ====================
+    // Every Razorpay transaction on this booking, oldest first
+    // payment.* above describes the first (deposit / full) payment
+    payments: [{
+        kind: {
+            type: String,
+            enum: ['payment', 'refund'],
+            required: true
+        },
+        purpose: {
+            type: String,
+            enum: ['full', 'deposit', 'balance', 'top_up', 'refund', 'change_refund'],
+            // top_up / change_refund settle a change of dates or rooms (see lib/bookingChanges.js)
+            required: true
+        },
+        amount: {
+            type: Number,
+            required: true,
+            // Rupees
+        },
+        status: {
+            type: String,
+            enum: ['created', 'paid', 'failed', 'pending', 'processed'],
+            // payment: created → paid | failed
+            // refund:  pending → processed | failed
+            required: true
+        },
+        orderId: {
+            type: String,
+            default: null
+        },
+        paymentId: {
+            type: String,
+            default: null,
+            // For refunds: the payment being refunded
+        },
+        refundId: {
+            type: String,
+            default: null
+        },
+        paymentMethod: {
+            type: String,
+            default: null
+        },
+        note: {
+            type: String,
+            default: null
+        },
+        createdAt: {
+            type: Date,
+            default: Date.now
+        },
+        settledAt: {
+            type: Date,
+            default: null
+        }
+    }],
+
     // ==================== BOOKING STATUS ====================
     status: {
         type: String,
@@ -266,12 +417,40 @@ const bookingSchema = new mongoose.Schema({
             'checked_in',   // Guest has checked in
             'checked_out',  // Guest has checked out
             'cancelled',    // Booking cancelled
+            'expired',      // Payment not completed before the hold expired
             'no_show'       // Guest didn't show up
         ],
         default: 'pending',
         index: true
     },
 
+    // Pending bookings hold inventory only until this time (see lib/holds.js)
+    holdExpiresAt: {
+        type: Date,
+        default: null
+    },
+
+    // true while this booking's units are counted in the ResourceInventory ledger
+    // Flipped to false exactly once when the units are released (see lib/inventory.js)
+    inventoryHeld: {
+        type: Boolean,
+        default: false
+    },
+
+    // Set when the user deleted their account and guestDetails were scrubbed (see lib/accounts.js)
+    // The booking itself is kept for the tax records
+    anonymisedAt: {
+        type: Date,
+        default: null
+    },
+
+    // Set by the request issuing the GST invoice, before it takes an invoice number
+    // (see lib/invoices.js) - so two requests never both use up a number
+    invoiceClaimedAt: {
+        type: Date,
+        default: null
+    },
+
     // ==================== CANCELLATION ====================
     cancellation: {
         cancelledBy: {
@@ -291,13 +470,138 @@ const bookingSchema = new mongoose.Schema({
         },
         refundStatus: {
             type: String,
-            enum: ['pending', 'approved', 'processed', 'rejected']
+            enum: ['pending', 'approved', 'processed', 'failed', 'rejected', 'not_applicable']
+            // pending = refund requested from Razorpay, waiting for it to settle
+            // not_applicable = nothing to refund (unpaid, or policy gives 0)
+        },
+        refundId: {
+            type: String,
+            // Razorpay refund ID (rfnd_xxx)
+        },
+        // When a refund request last claimed the booking (refundStatus approved)
+        refundClaimedAt: {
+            type: Date
+        },
+        refundInitiatedAt: {
+            type: Date
         },
         refundProcessedAt: {
             type: Date
-        }
+        },
+        refundError: {
+            type: String,
+            // Razorpay error description when refundStatus is failed
+        },
+        // Every refund status change, oldest first (see lib/refunds.js)
+        refundHistory: [{
+            status: String,
+            amount: Number,
+            refundId: String,
+            note: String,
+            at: {
+                type: Date,
+                default: Date.now
+            },
+            _id: false
+        }]
     },
 
+    // ==================== CHANGES ====================
+    // Every change of dates (lib/reschedules.js) or rooms (lib/roomChanges.js),
+    // oldest first. A change that costs more than was paid waits for its
+    // top-up payment (pending_payment) with the extra units held until
+    // holdExpiresAt (see lib/bookingChanges.js).
+    changes: [{
+        kind: {
+            type: String,
+            enum: ['dates', 'rooms'],
+            required: true
+        },
+        status: {
+            type: String,
+            enum: ['pending_payment', 'completed', 'expired'],
+            required: true
+        },
+        requestedBy: {
+            type: String,
+            enum: ['user', 'admin'],
+            default: 'user'
+        },
+        fromCheckInDate: Date,
+        fromCheckOutDate: Date,
+        toCheckInDate: Date,
+        toCheckOutDate: Date,
+        // Rooms of each type before / after (room changes)
+        fromRooms: [{
+            resource: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'Resource'
+            },
+            name: String,
+            quantity: Number,
+            _id: false
+        }],
+        toRooms: [{
+            resource: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'Resource'
+            },
+            name: String,
+            quantity: Number,
+            _id: false
+        }],
+        previousAmount: Number,
+        // finalAmount before the change
+        newAmount: Number,
+        // finalAmount after the change (fee included)
+        fee: {
+            type: Number,
+            default: 0
+        },
+        settlement: {
+            type: String,
+            enum: ['none', 'top_up', 'refund', 'balance'],
+            // balance = added to / taken off the unpaid balance of a deposit booking
+            required: true
+        },
+        settlementAmount: {
+            type: Number,
+            default: 0
+        },
+        orderId: {
+            type: String,
+            default: null
+            // Razorpay order of the top-up (refunds are change_refund rows in payments)
+        },
+        // Extra units held while the top-up is paid: [{ resource, date, quantity }]
+        heldUnits: [{
+            resource: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'Resource'
+            },
+            date: Date,
+            quantity: Number,
+            _id: false
+        }],
+        holdExpiresAt: {
+            type: Date,
+            default: null
+        },
+        // Booking fields to $set once the top-up is paid (cleared afterwards)
+        bookingUpdate: {
+            type: mongoose.Schema.Types.Mixed,
+            default: null
+        },
+        createdAt: {
+            type: Date,
+            default: Date.now
+        },
+        completedAt: {
+            type: Date,
+            default: null
+        }
+    }],
+
     // ==================== ADMIN NOTES ====================
     adminNotes: {
         type: String,
@@ -314,7 +618,13 @@ bookingSchema.index({ 'resources.resource': 1, checkInDate: 1, checkOutDate: 1,
 bookingSchema.index({ category: 1, status: 1 });
 bookingSchema.index({ 'payment.status': 1 });
 bookingSchema.index({ status: 1, checkInDate: 1 });
+bookingSchema.index({ status: 1, holdExpiresAt: 1 });
+bookingSchema.index({ 'payments.orderId': 1 });
+bookingSchema.index({ 'payments.paymentId': 1 });
+bookingSchema.index({ 'payments.refundId': 1 });
 bookingSchema.index({ checkInDate: 1, checkOutDate: 1 });
+bookingSchema.index({ 'pricing.coupon.couponId': 1, userId: 1 });
+bookingSchema.index({ 'changes.status': 1, 'changes.holdExpiresAt': 1 });
 
 // ==================== PRE-SAVE HOOK ====================
 bookingSchema.pre('save', async function (next) {
@@ -0,0 +1,29 @@
+import mongoose from 'mongoose';
+
+// ==================== SEQUENCE COUNTERS ====================
+// Running numbers, e.g. one invoice series per financial year
+// seq and released are only ever changed atomically (see lib/invoices.js)
+
+const counterSchema = new mongoose.Schema({
+    key: {
+        type: String,
+        required: true,
+        unique: true,
+        // e.g. "invoice:2025-26"
+    },
+
+    seq: {
+        type: Number,
+        default: 0,
+        // Last number handed out
+    },
+
+    released: {
+        type: [Number],
+        default: [],
+        // Numbers given back by a failed insert, smallest first - handed out again before seq moves on
+    }
+}, { timestamps: true });
+
+const Counter = mongoose.model('Counter', counterSchema);
+export default Counter;
@@ -0,0 +1,100 @@
+import mongoose from 'mongoose';
+
+// ==================== COUPONS / PROMO CODES ====================
+// Member discounts and festival offers applied at create-order (see lib/coupons.js)
+//
+// The discount comes off the subtotal; GST is charged on what is left.
+
+const couponSchema = new mongoose.Schema({
+    // ==================== BASIC INFO ====================
+    code: {
+        type: String,
+        required: [true, 'Coupon code is required'],
+        unique: true,
+        uppercase: true,
+        trim: true,
+        match: [/^[A-Z0-9_-]{3,20}$/, 'Coupon code must be 3-20 letters, numbers, - or _'],
+    },
+
+    description: {
+        type: String,
+        trim: true,
+        // Shown to the guest, e.g. "10% off for trust members"
+    },
+
+    // ==================== DISCOUNT ====================
+    discount: {
+        type: {
+            type: String,
+            enum: ['percentage', 'flat'],
+            required: true,
+        },
+        value: {
+            type: Number,
+            required: true,
+            min: [0, 'Discount value cannot be negative'],
+            // percentage: 10 = 10% off the subtotal
+            // flat: ₹ off the subtotal
+        }
+    },
+
+    maxDiscountAmount: {
+        type: Number,
+        default: null,
+        // Cap for percentage coupons (null = no cap)
+    },
+
+    minOrderAmount: {
+        type: Number,
+        default: 0,
+        // Subtotal needed before the coupon applies
+    },
+
+    // ==================== VALIDITY ====================
+    validFrom: {
+        type: Date,
+        default: null,
+    },
+
+    validUntil: {
+        type: Date,
+        default: null,
+        // Inclusive - the coupon works until the end of this instant
+    },
+
+    eligibleCategories: {
+        type: [String],
+        default: [],
+        // Package categories the coupon works for (empty = all packages)
+    },
+
+    // ==================== USAGE CAPS ====================
+    usageLimit: {
+        type: Number,
+        default: null,
+        // Total redemptions across all guests (null = unlimited)
+    },
+
+    perUserLimit: {
+        type: Number,
+        default: 1,
+        // Redemptions per guest (null = unlimited)
+    },
+
+    usedCount: {
+        type: Number,
+        default: 0,
+        // Bookings holding a redemption - incremented at create-order,
+        // given back if the booking expires unpaid
+    },
+
+    // ==================== METADATA ====================
+    isActive: {
+        type: Boolean,
+        default: true,
+        index: true,
+    }
+}, { timestamps: true });
+
+const Coupon = mongoose.model('Coupon', couponSchema);
+export default Coupon;
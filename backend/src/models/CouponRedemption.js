@@ -0,0 +1,31 @@
+import mongoose from 'mongoose';
+
+// ==================== COUPON REDEMPTIONS PER GUEST ====================
+// How many redemptions of a coupon a guest holds, for Coupon.perUserLimit
+// count is only ever changed with a conditional $inc (see lib/coupons.js),
+// so two bookings made at once can't both take a guest's last use.
+
+const couponRedemptionSchema = new mongoose.Schema({
+    coupon: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Coupon',
+        required: true
+    },
+
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+
+    count: {
+        type: Number,
+        default: 0,
+        // Bookings of this guest holding a redemption - given back like usedCount
+    }
+}, { timestamps: true });
+
+couponRedemptionSchema.index({ coupon: 1, userId: 1 }, { unique: true });
+
+const CouponRedemption = mongoose.model('CouponRedemption', couponRedemptionSchema);
+export default CouponRedemption;
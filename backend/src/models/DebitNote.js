@@ -0,0 +1,152 @@
+import mongoose from 'mongoose';
+
+// ==================== GST DEBIT NOTES ====================
+// Add to a tax invoice when a change of dates or rooms makes a booking cost
+// more than was invoiced (see lib/debitNotes.js). A booking can have
+// several - one per change that raised its total.
+
+const partySchema = new mongoose.Schema({
+    name: String,
+    address: String,
+    gstin: {
+        type: String,
+        default: null
+    },
+    stateCode: String,
+    stateName: String,
+    email: String,
+    phoneNumber: String
+}, { _id: false });
+
+const debitNoteSchema = new mongoose.Schema({
+    // ==================== NUMBERING ====================
+    debitNoteNumber: {
+        type: String,
+        required: true,
+        unique: true,
+        // e.g. "BHV/DN/2025-26/00003"
+    },
+
+    financialYear: {
+        type: String,
+        required: true,
+    },
+
+    sequence: {
+        type: Number,
+        required: true,
+        // Running number within the financial year (own series, not shared with invoices)
+    },
+
+    issuedAt: {
+        type: Date,
+        default: Date.now
+    },
+
+    reason: {
+        type: String,
+        trim: true
+    },
+
+    // ==================== REFERENCES ====================
+    invoice: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Invoice',
+        required: true,
+        index: true
+    },
+
+    invoiceNumber: {
+        type: String,
+        required: true,
+        // Original invoice, printed on the debit note
+    },
+
+    invoiceDate: Date,
+
+    booking: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Booking',
+        required: true,
+        index: true
+    },
+
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+
+    bookingReferenceId: String,
+
+    // ==================== PARTIES ====================
+    // Copied from the invoice - a debit note must match the supply it adds to
+    seller: partySchema,
+    customer: partySchema,
+
+    placeOfSupply: {
+        stateCode: String,
+        stateName: String
+    },
+
+    // ==================== LINE ITEMS ====================
+    lineItems: [{
+        description: String,
+        sacCode: String,
+        quantity: Number,
+        unitPrice: Number,
+        amount: Number,
+        _id: false
+    }],
+
+    // ==================== AMOUNTS ====================
+    taxableAmount: {
+        type: Number,
+        required: true,
+    },
+
+    gstRate: {
+        type: Number,
+        required: true,
+    },
+
+    supplyType: {
+        type: String,
+        enum: ['intra_state', 'inter_state'],
+        required: true
+    },
+
+    cgst: {
+        rate: { type: Number, default: 0 },
+        amount: { type: Number, default: 0 }
+    },
+
+    sgst: {
+        rate: { type: Number, default: 0 },
+        amount: { type: Number, default: 0 }
+    },
+
+    igst: {
+        rate: { type: Number, default: 0 },
+        amount: { type: Number, default: 0 }
+    },
+
+    totalTax: {
+        type: Number,
+        required: true,
+    },
+
+    totalAmount: {
+        type: Number,
+        required: true,
+        // taxableAmount + totalTax
+    },
+
+    amountInWords: String
+}, { timestamps: true });
+
+// ==================== INDEXES ====================
+debitNoteSchema.index({ financialYear: 1, sequence: 1 });
+
+const DebitNote = mongoose.model('DebitNote', debitNoteSchema);
+export default DebitNote;
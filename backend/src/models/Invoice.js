@@ -0,0 +1,161 @@
+import mongoose from 'mongoose';
+
+// ==================== GST TAX INVOICES ====================
+// One invoice per confirmed booking (see lib/invoices.js)
+// Amounts are a snapshot taken at issue time - they never change afterwards.
+
+const partySchema = new mongoose.Schema({
+    name: String,
+    address: String,
+    gstin: {
+        type: String,
+        default: null
+    },
+    stateCode: String,
+    // 2-digit GST state code, e.g. "36" (Telangana)
+    stateName: String,
+    email: String,
+    phoneNumber: String
+}, { _id: false });
+
+const invoiceSchema = new mongoose.Schema({
+    // ==================== NUMBERING ====================
+    invoiceNumber: {
+        type: String,
+        required: true,
+        unique: true,
+        // e.g. "BHV/2025-26/00042"
+    },
+
+    financialYear: {
+        type: String,
+        required: true,
+        // April-March, e.g. "2025-26"
+    },
+
+    sequence: {
+        type: Number,
+        required: true,
+        // Running number within the financial year
+    },
+
+    issuedAt: {
+        type: Date,
+        default: Date.now
+    },
+
+    // ==================== REFERENCES ====================
+    booking: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Booking',
+        required: true
+    },
+
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+
+    bookingReferenceId: String,
+
+    // ==================== PARTIES ====================
+    seller: partySchema,
+    customer: partySchema,
+
+    placeOfSupply: {
+        stateCode: String,
+        stateName: String
+    },
+
+    // ==================== LINE ITEMS ====================
+    lineItems: [{
+        description: String,
+        sacCode: String,
+        // Services Accounting Code (HSN for services)
+        quantity: Number,
+        unitPrice: Number,
+        amount: Number,
+        // quantity × unitPrice (before discount)
+        _id: false
+    }],
+
+    // ==================== AMOUNTS ====================
+    subtotal: {
+        type: Number,
+        required: true,
+    },
+
+    discountAmount: {
+        type: Number,
+        default: 0,
+    },
+
+    taxableAmount: {
+        type: Number,
+        required: true,
+        // subtotal - discountAmount
+    },
+
+    gstRate: {
+        type: Number,
+        required: true,
+        // Total GST %, e.g. 18
+    },
+
+    // Intra-state: CGST + SGST (half the rate each). Inter-state: IGST.
+    supplyType: {
+        type: String,
+        enum: ['intra_state', 'inter_state'],
+        required: true
+    },
+
+    cgst: {
+        rate: { type: Number, default: 0 },
+        amount: { type: Number, default: 0 }
+    },
+
+    sgst: {
+        rate: { type: Number, default: 0 },
+        amount: { type: Number, default: 0 }
+    },
+
+    igst: {
+        rate: { type: Number, default: 0 },
+        amount: { type: Number, default: 0 }
+    },
+
+    totalTax: {
+        type: Number,
+        required: true,
+    },
+
+    totalAmount: {
+        type: Number,
+        required: true,
+        // taxableAmount + totalTax (= Booking.pricing.finalAmount)
+    },
+
+    amountInWords: String,
+
+    // ==================== CREDIT / DEBIT NOTES ====================
+    creditedAmount: {
+        type: Number,
+        default: 0,
+        // Total of the credit notes issued against this invoice (lib/creditNotes.js)
+    },
+
+    debitedAmount: {
+        type: Number,
+        default: 0,
+        // Total of the debit notes issued against this invoice (lib/debitNotes.js)
+    }
+}, { timestamps: true });
+
+// ==================== INDEXES ====================
+invoiceSchema.index({ booking: 1 }, { unique: true });
+invoiceSchema.index({ financialYear: 1, sequence: 1 });
+
+const Invoice = mongoose.model('Invoice', invoiceSchema);
+export default Invoice;
@@ -0,0 +1,114 @@
+import mongoose from 'mongoose';
+
+// ==================== NOTIFICATION QUEUE ====================
+// One email, SMS or push notification to send (see lib/notifications.js)
+//
+//   queued → sending → sent
+//        ↖ (retry)  ↘ failed (after MAX_ATTEMPTS)
+//
+// The message is rendered when it is queued, so it shows the booking as it
+// was at that moment even if the send is retried later.
+
+const notificationSchema = new mongoose.Schema({
+    event: {
+        type: String,
+        required: true,
+        enum: [
+            'booking_confirmed',
+            'payment_failed',
+            'booking_cancelled',
+            'booking_rescheduled',
+            'booking_rooms_changed',
+            'refund_processed',
+            'check_in_reminder',
+            'post_stay_thank_you',
+            'waitlist_offer'
+        ]
+    },
+
+    channel: {
+        type: String,
+        enum: ['email', 'sms', 'push'],
+        required: true
+    },
+
+    // Email address, phone number or Expo push token
+    to: {
+        type: String,
+        required: true
+    },
+
+    subject: String,
+    // Email subject / push title
+
+    data: {
+        type: mongoose.Schema.Types.Mixed,
+        default: null
+        // Push only - read by the app when the notification is tapped,
+        // e.g. { screen: "MyBookingDetail", bookingId } or { screen: "Waitlist", waitlistId }
+    },
+
+    body: {
+        type: String,
+        required: true
+    },
+
+    booking: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Booking',
+        index: true
+    },
+
+    // Waitlist events have no booking yet
+    waitlist: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Waitlist',
+        default: null
+    },
+
+    // Stops the same message being queued twice (e.g. verify-payment and the webhook)
+    dedupeKey: {
+        type: String,
+        required: true,
+        unique: true
+        // e.g. "booking_confirmed:<bookingId>:email"
+    },
+
+    // ==================== DELIVERY ====================
+    status: {
+        type: String,
+        enum: ['queued', 'sending', 'sent', 'failed'],
+        default: 'queued'
+    },
+
+    attempts: {
+        type: Number,
+        default: 0
+    },
+
+    nextAttemptAt: {
+        type: Date,
+        default: Date.now
+    },
+
+    lockedUntil: {
+        type: Date,
+        default: null
+        // A 'sending' notification past this is picked up again (worker crashed mid-send)
+    },
+
+    provider: String,
+    // Provider that sent it, e.g. "console", "sendgrid"
+
+    providerMessageId: String,
+
+    lastError: String,
+
+    sentAt: Date
+}, { timestamps: true });
+
+// ==================== INDEXES ====================
+notificationSchema.index({ status: 1, nextAttemptAt: 1 });
+
+const Notification = mongoose.model('Notification', notificationSchema);
+export default Notification;
@@ -0,0 +1,51 @@
+import mongoose from 'mongoose';
+
+// ==================== OTP CODES ====================
+// One-time codes sent by SMS (see lib/otp.js)
+// Only a hash of the code is stored. Old codes are kept for a day so the
+// hourly send limit can count them, then removed by the TTL index.
+
+const otpCodeSchema = new mongoose.Schema({
+    phoneNumber: {
+        type: String,
+        required: true,
+        // 10 digits, as stored on the user - codes are keyed by phone even when sent by email
+    },
+
+    purpose: {
+        type: String,
+        enum: ['login', 'register', 'reset_password'],
+        required: true,
+        // login = sign in without a password
+        // register = prove the phone number before creating the account
+        // reset_password = forgot password (the code may go by email instead)
+    },
+
+    codeHash: {
+        type: String,
+        required: true,
+    },
+
+    expiresAt: {
+        type: Date,
+        required: true,
+    },
+
+    attempts: {
+        type: Number,
+        default: 0,
+        // Wrong guesses so far
+    },
+
+    consumedAt: {
+        type: Date,
+        default: null,
+        // Set once the code is used - a code works only once
+    }
+}, { timestamps: true });
+
+otpCodeSchema.index({ phoneNumber: 1, purpose: 1, createdAt: -1 });
+otpCodeSchema.index({ createdAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+const OtpCode = mongoose.model('OtpCode', otpCodeSchema);
+export default OtpCode;
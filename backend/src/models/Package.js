@@ -47,7 +47,33 @@ const packageSchema = new mongoose.Schema({
     images: {
         type: [String],
         default: [],
+        // URLs in display order, cover first - kept in step with `gallery` on save
+        // (edit images through /packages/:id/images, not directly)
     },
+    gallery: [{
+        url: {
+            type: String,
+            required: true,
+        },
+        key: {
+            type: String,
+            default: null,
+            // Image storage key (Cloudinary public_id) - null for URLs added before the gallery existed
+        },
+        caption: {
+            type: String,
+            trim: true,
+            default: '',
+        },
+        isCover: {
+            type: Boolean,
+            default: false,
+        },
+        uploadedAt: {
+            type: Date,
+            default: Date.now,
+        }
+    }],
 
     // ==================== RESOURCE INCLUSION ====================
     includes: {
@@ -116,6 +142,28 @@ const packageSchema = new mongoose.Schema({
             default: 18,
             min: 0,
             max: 100
+        },
+
+        // Advance payment rule (see lib/deposits.js)
+        // create-order charges only the deposit; the rest is paid through pay-balance
+        deposit: {
+            type: {
+                type: String,
+                enum: ['none', 'percentage', 'fixed'],
+                default: 'none',
+            },
+            value: {
+                type: Number,
+                default: 0,
+                min: 0,
+                // percentage: % of finalAmount, fixed: ₹ amount
+            },
+            balanceDueDaysBeforeCheckIn: {
+                type: Number,
+                default: 7,
+                min: 0,
+                // Bookings made closer to check-in than this pay in full
+            }
         }
     },
 
@@ -141,6 +189,106 @@ const packageSchema = new mongoose.Schema({
         cancellationPolicy: {
             type: String,
             default: 'No refund within 7 days of check-in',
+            // Display text only - refunds are computed from refundPolicy
+        },
+
+        // Evaluated by lib/cancellationPolicy.js when a booking is cancelled
+        // Missing fields fall back to DEFAULT_REFUND_POLICY
+        refundPolicy: {
+            tiers: [{
+                _id: false,
+                minDaysBeforeCheckIn: {
+                    type: Number,
+                    required: true,
+                    min: 0,
+                },
+                refundPercentage: {
+                    type: Number,
+                    required: true,
+                    min: 0,
+                    max: 100,
+                }
+            }],
+
+            nonRefundableAmount: {
+                type: Number,
+                default: 0,
+                min: 0,
+                // Flat deposit (₹) kept on every cancellation
+            },
+
+            allowUserCancellation: {
+                type: Boolean,
+                default: true,
+                // false = only admin can cancel
+            },
+
+            adminFullRefund: {
+                type: Boolean,
+                default: true,
+                // Admin cancellations refund the full paid amount, ignoring tiers
+            }
+        },
+
+        // Date changes of confirmed bookings (see lib/reschedules.js)
+        // Missing fields fall back to DEFAULT_RESCHEDULE_POLICY
+        reschedulePolicy: {
+            allowUserReschedule: {
+                type: Boolean,
+                default: true,
+            },
+
+            maxReschedules: {
+                type: Number,
+                default: 1,
+                min: 0,
+                // Date changes allowed per booking
+            },
+
+            minDaysBeforeCheckIn: {
+                type: Number,
+                default: 2,
+                min: 0,
+                // No changes closer to the (current) check-in than this
+            },
+
+            fee: {
+                type: {
+                    type: String,
+                    enum: ['none', 'percentage', 'fixed'],
+                    default: 'none',
+                },
+                value: {
+                    type: Number,
+                    default: 0,
+                    min: 0,
+                    // percentage of the booking total, or flat amount in ₹
+                }
+            }
+        },
+
+        // Adding / removing rooms on confirmed rooms_only bookings (see lib/roomChanges.js)
+        // Missing fields fall back to DEFAULT_ROOM_CHANGE_POLICY
+        roomChangePolicy: {
+            allowUserChanges: {
+                type: Boolean,
+                default: true,
+                // false = only admin can change rooms
+            },
+
+            addCutoffDays: {
+                type: Number,
+                default: 0,
+                min: 0,
+                // Rooms can be added until this many days before check-in
+            },
+
+            removeCutoffDays: {
+                type: Number,
+                default: 7,
+                min: 0,
+                // Rooms can be removed (and refunded) until this many days before check-in
+            }
         }
     },
 
@@ -179,6 +327,19 @@ packageSchema.virtual('url').get(function () {
     return `/packages/${this.slug}`;
 });
 
+// ==================== IMAGES ====================
+// Keep the plain `images` list (what the app shows) in step with the gallery
+packageSchema.pre('save', function (next) {
+    if (this.isModified('gallery')) {
+        const cover = this.gallery.find(image => image.isCover);
+        this.images = [
+            ...(cover ? [cover.url] : []),
+            ...this.gallery.filter(image => image !== cover).map(image => image.url)
+        ];
+    }
+    next();
+});
+
 // ==================== PRE-SAVE VALIDATION ====================
 packageSchema.pre('save', async function(next) {
     try {
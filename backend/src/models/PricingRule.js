@@ -0,0 +1,123 @@
+import mongoose from 'mongoose';
+
+// ==================== DYNAMIC PRICING RULES ====================
+// Adjust the nightly price of a package or resource (see lib/pricing.js)
+//
+// A rule matches a night when every condition it sets matches:
+//   startDate/endDate  - night falls in the range (e.g. wedding season)
+//   daysOfWeek         - weekday of the night (e.g. [5, 6] = Fri, Sat nights)
+//   specificDates      - exact dates (e.g. festivals)
+// A rule without conditions matches every night.
+
+const pricingRuleSchema = new mongoose.Schema({
+    // ==================== BASIC INFO ====================
+    name: {
+        type: String,
+        required: [true, 'Rule name is required'],
+        trim: true,
+    },
+
+    description: {
+        type: String,
+        trim: true,
+    },
+
+    // ==================== SCOPE ====================
+    // Set one of package / resource (neither = applies to everything)
+    package: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Package',
+        default: null,
+        index: true,
+    },
+
+    resource: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Resource',
+        default: null,
+        index: true,
+        // Only used for per-resource pricing (rooms_only bookings)
+    },
+
+    // ==================== CONDITIONS ====================
+    startDate: {
+        type: Date,
+        default: null,
+        // First night the rule applies to (UTC start of day)
+    },
+
+    endDate: {
+        type: Date,
+        default: null,
+        // Last night the rule applies to (inclusive)
+    },
+
+    daysOfWeek: {
+        type: [Number],
+        default: [],
+        validate: {
+            validator: (days) => days.every(day => Number.isInteger(day) && day >= 0 && day <= 6),
+            message: 'daysOfWeek must contain numbers 0 (Sunday) to 6 (Saturday)'
+        },
+    },
+
+    specificDates: {
+        type: [Date],
+        default: [],
+        // Festival / muhurat dates (UTC start of day)
+    },
+
+    // ==================== ADJUSTMENT ====================
+    adjustment: {
+        type: {
+            type: String,
+            enum: ['percentage', 'absolute'],
+            required: true,
+        },
+        value: {
+            type: Number,
+            required: true,
+            // percentage: +25 = 25% more, -10 = 10% discount (of the base price)
+            // absolute: ₹ added to (or, if negative, taken off) the nightly price
+        }
+    },
+
+    priority: {
+        type: Number,
+        default: 0,
+        // Higher first; matters only for exclusive rules
+    },
+
+    exclusive: {
+        type: Boolean,
+        default: false,
+        // true = when this rule matches, no other rule applies to that night
+        // (e.g. a festival rate replacing the season + weekend markups)
+    },
+
+    // ==================== METADATA ====================
+    isActive: {
+        type: Boolean,
+        default: true,
+        index: true,
+    }
+}, { timestamps: true });
+
+// ==================== INDEXES ====================
+pricingRuleSchema.index({ isActive: 1, startDate: 1, endDate: 1 });
+
+// ==================== PRE-SAVE VALIDATION ====================
+pricingRuleSchema.pre('save', function (next) {
+    if (this.package && this.resource) {
+        return next(new Error('A pricing rule can be scoped to a package or a resource, not both'));
+    }
+
+    if (this.startDate && this.endDate && this.endDate < this.startDate) {
+        return next(new Error('endDate must be on or after startDate'));
+    }
+
+    next();
+});
+
+const PricingRule = mongoose.model('PricingRule', pricingRuleSchema);
+export default PricingRule;
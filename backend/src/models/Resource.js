@@ -24,7 +24,33 @@ const resourceSchema = new mongoose.Schema({
         type: [String],
         // required: true,
         // validate: [arrayMinLength, 'Resource must have at least one image']
+        // URLs in display order, cover first - kept in step with `gallery` on save
+        // (edit images through /resources/:id/images, not directly)
     },
+    gallery: [{
+        url: {
+            type: String,
+            required: true,
+        },
+        key: {
+            type: String,
+            default: null,
+            // Image storage key (Cloudinary public_id) - null for URLs added before the gallery existed
+        },
+        caption: {
+            type: String,
+            trim: true,
+            default: '',
+        },
+        isCover: {
+            type: Boolean,
+            default: false,
+        },
+        uploadedAt: {
+            type: Date,
+            default: Date.now,
+        }
+    }],
     // ==============Resource Classifications==============
     facilityType: {
         type: String,
@@ -126,5 +152,18 @@ resourceSchema.index({ category: 1, isActive: 1 });
 resourceSchema.index({ basePrice: 1 });
 resourceSchema.index({ name: 'text', description: 'text' }); // For text search
 
+// ==================== IMAGES ====================
+// Keep the plain `images` list (what the app shows) in step with the gallery
+resourceSchema.pre('save', function (next) {
+    if (this.isModified('gallery')) {
+        const cover = this.gallery.find(image => image.isCover);
+        this.images = [
+            ...(cover ? [cover.url] : []),
+            ...this.gallery.filter(image => image !== cover).map(image => image.url)
+        ];
+    }
+    next();
+});
+
 const Resource = mongoose.model('Resource', resourceSchema);
 export default Resource;
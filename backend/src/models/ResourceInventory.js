@@ -0,0 +1,33 @@
+import mongoose from 'mongoose';
+
+// ==================== RESERVATION LEDGER ====================
+// One document per resource per night
+// reservedUnits is only ever changed with conditional $inc updates (see lib/inventory.js)
+// so two bookings can never both take the last unit of a night
+
+const resourceInventorySchema = new mongoose.Schema({
+    resource: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Resource',
+        required: true
+    },
+
+    date: {
+        type: Date,
+        required: true,
+        // Night starting at this date (UTC start of day)
+    },
+
+    reservedUnits: {
+        type: Number,
+        default: 0,
+        min: 0,
+        // Units held by pending + confirmed + checked_in bookings
+    }
+}, { timestamps: true });
+
+// ==================== INDEXES ====================
+resourceInventorySchema.index({ resource: 1, date: 1 }, { unique: true });
+
+const ResourceInventory = mongoose.model('ResourceInventory', resourceInventorySchema);
+export default ResourceInventory;
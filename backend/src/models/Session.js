@@ -0,0 +1,78 @@
+import mongoose from 'mongoose';
+
+// ==================== SESSIONS ====================
+// One per logged-in device (see lib/sessions.js)
+// The app holds a short-lived access token (JWT, carries the session id as "sid")
+// and a refresh token. Only a hash of the refresh token is stored; it is
+// replaced on every refresh.
+
+const sessionSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true,
+    },
+
+    refreshTokenHash: {
+        type: String,
+        required: true,
+        // sha256 of the current refresh token
+    },
+
+    previousRefreshTokenHash: {
+        type: String,
+        default: null,
+        // The token it replaced - if that one is used again, it was copied and the session is revoked
+    },
+
+    deviceName: {
+        type: String,
+        default: null,
+        // e.g. "Pixel 7", sent by the app at login
+    },
+
+    platform: {
+        type: String,
+        enum: ['ios', 'android', 'web'],
+    },
+
+    userAgent: {
+        type: String,
+        default: null,
+    },
+
+    ipAddress: {
+        type: String,
+        default: null,
+    },
+
+    lastUsedAt: {
+        type: Date,
+        default: Date.now,
+        // Last login or refresh
+    },
+
+    expiresAt: {
+        type: Date,
+        required: true,
+        // Refresh tokens stop working after this; every refresh extends it
+    },
+
+    revokedAt: {
+        type: Date,
+        default: null,
+    },
+
+    revokedReason: {
+        type: String,
+        enum: ['logout', 'logout_all', 'revoked', 'password_reset', 'password_change', 'account_deleted', 'refresh_token_reuse'],
+    }
+}, { timestamps: true });
+
+sessionSchema.index({ userId: 1, revokedAt: 1, expiresAt: 1 });
+// Keep ended sessions for a month, then drop them
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+const Session = mongoose.model('Session', sessionSchema);
+export default Session;
@@ -12,6 +12,15 @@ const userSchema = new mongoose.Schema({
         required: true,
         unique: true,
     },
+    // Set when the user proves the number with an SMS code (lib/otp.js)
+    phoneVerified: {
+        type: Boolean,
+        default: false,
+    },
+    phoneVerifiedAt: {
+        type: Date,
+        default: null,
+    },
     email: {
         type: String,
         unique: true,
@@ -19,9 +28,55 @@ const userSchema = new mongoose.Schema({
     },
     password: {
         type: String,
-        required: true,
+        // Optional for accounts registered with an SMS code - they log in by OTP
+        required: function () {
+            return !this.phoneVerified;
+        },
         minlength: 8,
     },
+    role: {
+        type: String,
+        enum: ['customer', 'staff', 'admin', 'super_admin'],
+        default: 'customer',
+        index: true,
+        // customer = guests booking the Bhavan
+        // staff = front desk (check-in / check-out, view bookings)
+        // admin = manages packages, resources and bookings
+        // super_admin = admin + can assign roles
+    },
+    // Profile photo (see PUT /api/auth/avatar and lib/imageStorage.js)
+    avatarUrl: {
+        type: String,
+        default: null,
+    },
+    avatarKey: {
+        type: String,
+        default: null,
+        // Storage key of the photo, used to delete it when replaced
+    },
+    // Bumped to log out every device (password reset) - JWTs carry it as "v"
+    tokenVersion: {
+        type: Number,
+        default: 0,
+    },
+    // Expo push tokens, one per device the user is logged in on
+    // (see POST /api/auth/push-tokens and lib/notifications.js)
+    pushTokens: [{
+        token: {
+            type: String,
+            required: true,
+            // e.g. "ExponentPushToken[xxxxxxxxxxxxxxxxxxxxxx]"
+        },
+        platform: {
+            type: String,
+            enum: ['ios', 'android', 'web'],
+        },
+        updatedAt: {
+            type: Date,
+            default: Date.now,
+        },
+        _id: false,
+    }],
     createdAt: {
         type: Date,
         default: Date.now,
@@ -32,8 +87,11 @@ const userSchema = new mongoose.Schema({
     },
 })
 
+// Find the user of a push token (moving a device to another account, dropping dead tokens)
+userSchema.index({ 'pushTokens.token': 1 });
+
 userSchema.pre('save', async function(next){
-    if(!this.isModified('password')){
+    if(!this.isModified('password') || !this.password){
         return next();
     }
     const salt = await bcrypt.genSalt(10);
@@ -42,6 +100,9 @@ userSchema.pre('save', async function(next){
 })
 
 userSchema.methods.comparePassword = async function(password){
+    if(!this.password){
+        return false;
+    }
     return await bcrypt.compare(password, this.password);
 }
 
@@ -0,0 +1,125 @@
+import mongoose from 'mongoose';
+
+// ==================== WAITLIST ====================
+// A guest waiting for a package stay that is sold out (see lib/waitlist.js)
+//
+//   waiting → offered → booked
+//      ↓         ↘ lapsed (offer not taken up in time - the next guest gets it)
+//   expired / cancelled
+//
+// An offer holds the stay's units in the inventory ledger until
+// offerExpiresAt; create-order with the waitlistId takes them over for the
+// pending booking.
+
+const waitlistSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'User ID is required'],
+        index: true
+    },
+
+    packageId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Package',
+        required: [true, 'Package ID is required']
+    },
+
+    // ==================== STAY ====================
+    checkInDate: {
+        type: Date,
+        required: true
+    },
+
+    checkOutDate: {
+        type: Date,
+        required: true
+    },
+
+    numberOfDays: {
+        type: Number,
+        required: true
+    },
+
+    // rooms_only: rooms of each type asked for (empty for fixed packages)
+    rooms: [{
+        resource: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Resource',
+            required: true
+        },
+        name: String,
+        quantity: {
+            type: Number,
+            required: true,
+            min: 1
+        },
+        _id: false
+    }],
+
+    // Units the stay needs every night (exclusive packages take every unit)
+    // Matched against units given back, and held while an offer is open
+    units: [{
+        resource: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Resource',
+            required: true
+        },
+        name: String,
+        quantity: {
+            type: Number,
+            required: true,
+            min: 1
+        },
+        _id: false
+    }],
+
+    // ==================== STATUS ====================
+    status: {
+        type: String,
+        enum: ['waiting', 'offered', 'booked', 'lapsed', 'expired', 'cancelled'],
+        default: 'waiting'
+    },
+
+    // ==================== OFFER ====================
+    offeredAt: {
+        type: Date,
+        default: null
+    },
+
+    offerExpiresAt: {
+        type: Date,
+        default: null
+        // The units go back (and to the next guest) after this
+    },
+
+    // Pending booking created from the offer
+    booking: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Booking',
+        default: null
+    },
+
+    // Why the entry was closed without a booking (e.g. the package was withdrawn)
+    closedReason: {
+        type: String,
+        default: null
+    },
+
+    closedAt: {
+        type: Date,
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+// ==================== INDEXES ====================
+// Oldest first within a stay's resources - the order offers go out in
+waitlistSchema.index({ status: 1, 'units.resource': 1, createdAt: 1 });
+waitlistSchema.index({ status: 1, offerExpiresAt: 1 });
+waitlistSchema.index({ status: 1, checkInDate: 1 });
+waitlistSchema.index({ packageId: 1, status: 1, createdAt: 1 });
+
+const Waitlist = mongoose.model('Waitlist', waitlistSchema);
+export default Waitlist;
@@ -0,0 +1,37 @@
+import mongoose from 'mongoose';
+
+// Razorpay webhook events we have already handled
+// Razorpay retries deliveries, so every event is processed at most once
+
+const webhookEventSchema = new mongoose.Schema({
+    eventId: {
+        type: String,
+        required: true,
+        unique: true,
+        // X-Razorpay-Event-Id header
+    },
+
+    event: {
+        type: String,
+        required: true,
+        // e.g. "payment.captured", "refund.processed"
+    },
+
+    orderId: {
+        type: String,
+        default: null
+    },
+
+    paymentId: {
+        type: String,
+        default: null
+    },
+
+    result: {
+        type: String,
+        // What we did with it, e.g. "confirmed", "ignored: no booking"
+    }
+}, { timestamps: true });
+
+const WebhookEvent = mongoose.model('WebhookEvent', webhookEventSchema);
+export default WebhookEvent;
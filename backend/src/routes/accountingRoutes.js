@@ -0,0 +1,82 @@
+import express from 'express';
+import dayjs from 'dayjs';
+import utc from 'dayjs/plugin/utc.js';
+import customParseFormat from 'dayjs/plugin/customParseFormat.js';
+import protectRoute from '../middleware/auth.middleware.js';
+import { requirePermission } from '../middleware/role.middleware.js';
+import { buildGstRegister, toCsv, GST_REGISTER_COLUMNS } from '../lib/accounting.js';
+
+dayjs.extend(utc);
+dayjs.extend(customParseFormat);
+
+const router = express.Router();
+
+const IST_OFFSET_MINUTES = 330;
+
+// ==================== ADMIN ROUTES ====================
+// These routes require the 'accounting:export' permission (admin, super_admin)
+
+/**
+ * @route   GET /api/accounting/gst-register
+ * @desc    Export the invoices and credit notes issued in a period
+ * @access  Admin only
+ * @query   from, to - "DD-MM-YYYY" (inclusive, Indian time)
+ *          format (optional) - "csv" (default) or "json"
+ * @note    Credit notes are negative, so the totals are net of refunds
+ */
+router.get('/gst-register', protectRoute, requirePermission('accounting:export'), async (req, res) => {
+    try {
+        const { from, to, format = 'csv' } = req.query;
+
+        const fromDate = dayjs.utc(from, 'DD-MM-YYYY', true);
+        const toDate = dayjs.utc(to, 'DD-MM-YYYY', true);
+
+        if (!fromDate.isValid() || !toDate.isValid()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Please provide from and to dates in DD-MM-YYYY format'
+            });
+        }
+
+        if (toDate.isBefore(fromDate)) {
+            return res.status(400).json({
+                success: false,
+                message: 'to must be on or after from'
+            });
+        }
+
+        // Whole days in Indian time
+        const { rows, totals } = await buildGstRegister(
+            fromDate.startOf('day').subtract(IST_OFFSET_MINUTES, 'minute').toDate(),
+            toDate.endOf('day').subtract(IST_OFFSET_MINUTES, 'minute').toDate()
+        );
+
+        if (format === 'json') {
+            return res.status(200).json({
+                success: true,
+                data: rows,
+                totals,
+                count: rows.length,
+                message: 'GST register fetched successfully'
+            });
+        }
+
+        const filename = `gst-register-${fromDate.format('YYYYMMDD')}-${toDate.format('YYYYMMDD')}.csv`;
+
+        res.set({
+            'Content-Type': 'text/csv; charset=utf-8',
+            'Content-Disposition': `attachment; filename="${filename}"`
+        });
+        return res.status(200).send(toCsv(rows, GST_REGISTER_COLUMNS));
+
+    } catch (error) {
+        console.error('Error exporting GST register:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error exporting GST register',
+            error: error.message
+        });
+    }
+});
+
+export default router;
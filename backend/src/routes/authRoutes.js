@@ -1,8 +1,32 @@
 import express from 'express';
-import jwt from 'jsonwebtoken';
 import User from '../models/User.js';
 import rateLimit from 'express-rate-limit';
 import protectRoute from '../middleware/auth.middleware.js';
+import { requirePermission, ROLES } from '../middleware/role.middleware.js';
+import mongoose from 'mongoose';
+import {
+    requestOtp,
+    unsentOtpResult,
+    verifyOtp,
+    signPhoneVerificationToken,
+    verifyPhoneVerificationToken
+} from '../lib/otp.js';
+import { deleteAccount } from '../lib/accounts.js';
+import {
+    MAX_IMAGE_BYTES,
+    detectImageType,
+    getImageStorage,
+    removeImageQuietly
+} from '../lib/imageStorage.js';
+import {
+    createSession,
+    signAccessToken,
+    rotateSession,
+    findSessionByRefreshToken,
+    revokeSession,
+    revokeAllSessions,
+    listSessions
+} from '../lib/sessions.js';
 
 const router = express.Router();
 const authLimiter = rateLimit({
@@ -12,20 +36,44 @@ const authLimiter = rateLimit({
     standardHeaders: true,
     legacyHeaders: false,
 });
+// Per-number limits are in lib/otp.js; this one stops one client cycling through numbers
+const otpLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 10,
+    message: "Too many requests, please try again later.",
+    standardHeaders: true,
+    legacyHeaders: false,
+});
+
+// reset_password codes are only used by /forgot-password and /reset-password
+const OTP_PURPOSES = ['login', 'register'];
+
+const EXPO_PUSH_TOKEN_PATTERN = /^Expo(nent)?PushToken\[.+\]$/;
+const MAX_PUSH_TOKENS = 10;
 
-const generateToken = (id) => {
-    return jwt.sign({ id }, process.env.JWT_SECRET, { expiresIn: '10h' });
-}
 
 router.post("/register", authLimiter, async (req, res) => {
     try {
-        const { fullName, phoneNumber, email, password } = req.body;
+        const { fullName, phoneNumber, email, password, phoneVerificationToken } = req.body;
+
+        // Token from POST /otp/verify (purpose "register") proving the phone number
+        const phoneVerified = Boolean(phoneVerificationToken)
+            && verifyPhoneVerificationToken(phoneVerificationToken, phoneNumber);
+
+        if (phoneVerificationToken && !phoneVerified) {
+            return res.status(400).json({ message: "Phone verification has expired. Please verify your phone number again" });
+        }
+
+        if (process.env.REQUIRE_PHONE_VERIFICATION === 'true' && !phoneVerified) {
+            return res.status(400).json({ message: "Please verify your phone number" });
+        }
 
-        if (!fullName || !phoneNumber || !password) {
+        // A verified phone can sign in by OTP, so the password is optional then
+        if (!fullName || !phoneNumber || (!password && !phoneVerified)) {
             return res.status(400).json({ message: "Provide all required fields" });
         }
 
-        if (password.length < 8) {
+        if (password && password.length < 8) {
             return res.status(400).json({ message: "Password must be at least 8 characters long" });
         }
         if (fullName.length < 3) {
@@ -56,12 +104,14 @@ router.post("/register", authLimiter, async (req, res) => {
             fullName, 
             phoneNumber, 
             email: email || null, 
-            password 
+            password: password || undefined,
+            phoneVerified,
+            phoneVerifiedAt: phoneVerified ? new Date() : null
         });
 
         await user.save();
 
-        const token = generateToken(user._id);
+        const { token, refreshToken } = await createSession(user, req);
         return res.status(201).json({
             message: "User created successfully", 
             user: {
@@ -69,8 +119,12 @@ router.post("/register", authLimiter, async (req, res) => {
                 fullName: user.fullName,
                 phoneNumber: user.phoneNumber,
                 email: user.email || null,
+                phoneVerified: user.phoneVerified,
+                avatarUrl: user.avatarUrl || null,
+                role: user.role,
             }, 
-            token
+            token,
+            refreshToken
         });
 
     } catch (error) {
@@ -98,7 +152,7 @@ router.post("/login", authLimiter, async (req, res) => {
             return res.status(400).json({ message: "Invalid credentials" });
         }
         
-        const token = generateToken(user._id);
+        const { token, refreshToken } = await createSession(user, req);
         return res.status(200).json({
             message: "Login successful", 
             user: {
@@ -106,8 +160,12 @@ router.post("/login", authLimiter, async (req, res) => {
                 fullName: user.fullName,
                 phoneNumber: user.phoneNumber,
                 email: user.email || null,
+                phoneVerified: user.phoneVerified,
+                avatarUrl: user.avatarUrl || null,
+                role: user.role,
             }, 
-            token
+            token,
+            refreshToken
         });
 
     } catch (error) {
@@ -116,6 +174,360 @@ router.post("/login", authLimiter, async (req, res) => {
     }
 });
 
+// POST /api/auth/otp/request - Send a one-time code by SMS
+// Body: { phoneNumber, purpose: "login" | "register" }
+// login only sends a code to an existing account, but answers and throttles the
+// same either way; register needs a number that is not registered yet
+router.post('/otp/request', otpLimiter, async (req, res) => {
+    try {
+        const { phoneNumber, purpose = 'login' } = req.body;
+
+        if (!phoneNumber || !/^[0-9]{10}$/.test(phoneNumber)) {
+            return res.status(400).json({ message: "Phone number must be exactly 10 digits" });
+        }
+
+        if (!OTP_PURPOSES.includes(purpose)) {
+            return res.status(400).json({ message: `Invalid purpose. Must be one of: ${OTP_PURPOSES.join(', ')}` });
+        }
+
+        const existingUser = await User.findOne({ phoneNumber }).select('_id');
+
+        if (purpose === 'register' && existingUser) {
+            return res.status(400).json({ message: "Phone number already exists" });
+        }
+
+        const result = await requestOtp(phoneNumber, purpose, {
+            deliver: purpose !== 'login' || Boolean(existingUser)
+        });
+
+        if (result.error) {
+            if (result.retryAfter) {
+                res.set('Retry-After', String(result.retryAfter));
+            }
+            return res.status(result.status).json({ message: result.error, retryAfter: result.retryAfter });
+        }
+
+        return res.status(200).json({
+            success: true,
+            message: "Verification code sent",
+            expiresAt: result.expiresAt,
+            resendAfter: result.resendAfter
+        });
+
+    } catch (error) {
+        console.log(error, 'Error in Request OTP');
+        return res.status(500).json({ message: "Internal server error" });
+    }
+});
+
+// POST /api/auth/otp/verify - Check a one-time code
+// Body: { phoneNumber, code, purpose: "login" | "register" }
+// login returns { user, token } like /login; register returns a phoneVerificationToken
+// to send with /register
+router.post('/otp/verify', otpLimiter, async (req, res) => {
+    try {
+        const { phoneNumber, code, purpose = 'login' } = req.body;
+
+        if (!phoneNumber || !code) {
+            return res.status(400).json({ message: "Phone number and code are required" });
+        }
+
+        if (!OTP_PURPOSES.includes(purpose)) {
+            return res.status(400).json({ message: `Invalid purpose. Must be one of: ${OTP_PURPOSES.join(', ')}` });
+        }
+
+        const result = await verifyOtp(phoneNumber, purpose, code);
+
+        if (result.error) {
+            return res.status(result.status).json({ message: result.error, attemptsLeft: result.attemptsLeft });
+        }
+
+        if (purpose === 'register') {
+            const verification = signPhoneVerificationToken(phoneNumber);
+            return res.status(200).json({
+                success: true,
+                message: "Phone number verified",
+                phoneVerificationToken: verification.token,
+                expiresAt: verification.expiresAt
+            });
+        }
+
+        const user = await User.findOne({ phoneNumber });
+        if (!user) {
+            return res.status(404).json({ message: "No account found with this phone number" });
+        }
+
+        if (!user.phoneVerified) {
+            user.phoneVerified = true;
+            user.phoneVerifiedAt = new Date();
+            await user.save();
+        }
+
+        const { token, refreshToken } = await createSession(user, req);
+        return res.status(200).json({
+            message: "Login successful",
+            user: {
+                id: user._id,
+                fullName: user.fullName,
+                phoneNumber: user.phoneNumber,
+                email: user.email || null,
+                phoneVerified: user.phoneVerified,
+                avatarUrl: user.avatarUrl || null,
+                role: user.role,
+            },
+            token,
+            refreshToken
+        });
+
+    } catch (error) {
+        console.log(error, 'Error in Verify OTP');
+        return res.status(500).json({ message: "Internal server error" });
+    }
+});
+
+// POST /api/auth/forgot-password - Send a password reset code
+// Body: { phoneNumber } (code by SMS) or { email } (code by email)
+// Answers and throttles a phone number the same whether or not there is an account -
+// only an account gets a code
+router.post('/forgot-password', otpLimiter, async (req, res) => {
+    try {
+        const { phoneNumber, email } = req.body;
+
+        if (!phoneNumber && !email) {
+            return res.status(400).json({ message: "Phone number or email is required" });
+        }
+
+        const user = phoneNumber
+            ? await User.findOne({ phoneNumber }).select('phoneNumber email')
+            : await User.findOne({ email: String(email).trim() }).select('phoneNumber email');
+
+        let result;
+        if (user) {
+            result = await requestOtp(user.phoneNumber, 'reset_password', phoneNumber ? {} : { email: user.email });
+        } else if (phoneNumber && /^[0-9]{10}$/.test(phoneNumber)) {
+            // Throttled like a number with an account, so the limit gives nothing away
+            result = await requestOtp(phoneNumber, 'reset_password', { deliver: false });
+        } else {
+            result = unsentOtpResult();
+        }
+
+        if (result.error) {
+            if (result.retryAfter) {
+                res.set('Retry-After', String(result.retryAfter));
+            }
+            return res.status(result.status).json({ message: result.error, retryAfter: result.retryAfter });
+        }
+
+        return res.status(200).json({
+            success: true,
+            message: phoneNumber
+                ? "If an account uses this phone number, a reset code has been sent by SMS"
+                : "If an account uses this email, a reset code has been sent by email",
+            expiresAt: result.expiresAt,
+            resendAfter: result.resendAfter
+        });
+
+    } catch (error) {
+        console.log(error, 'Error in Forgot Password');
+        return res.status(500).json({ message: "Internal server error" });
+    }
+});
+
+// POST /api/auth/reset-password - Set a new password with the reset code
+// Body: { phoneNumber or email, code, newPassword }
+// Logs out every device and returns a fresh { user, token, refreshToken }
+router.post('/reset-password', otpLimiter, async (req, res) => {
+    try {
+        const { phoneNumber, email, code, newPassword } = req.body;
+
+        if ((!phoneNumber && !email) || !code || !newPassword) {
+            return res.status(400).json({ message: "Provide all required fields" });
+        }
+
+        if (newPassword.length < 8) {
+            return res.status(400).json({ message: "Password must be at least 8 characters long" });
+        }
+
+        const user = phoneNumber
+            ? await User.findOne({ phoneNumber })
+            : await User.findOne({ email: String(email).trim() });
+
+        if (!user) {
+            return res.status(400).json({ message: "Invalid or expired code" });
+        }
+
+        const result = await verifyOtp(user.phoneNumber, 'reset_password', code);
+
+        if (result.error) {
+            return res.status(result.status).json({ message: result.error, attemptsLeft: result.attemptsLeft });
+        }
+
+        user.password = newPassword;
+        // Log out every device, including tokens from before sessions existed
+        user.tokenVersion = (user.tokenVersion || 0) + 1;
+        // Devices that were logged in should stop getting this account's pushes
+        user.pushTokens = [];
+        // A code sent by SMS proves the phone number as well
+        if (phoneNumber && !user.phoneVerified) {
+            user.phoneVerified = true;
+            user.phoneVerifiedAt = new Date();
+        }
+        // Saved first - if it fails, the old password still works and so do the sessions
+        await user.save();
+        await revokeAllSessions(user._id, 'password_reset');
+
+        const { token, refreshToken } = await createSession(user, req);
+        return res.status(200).json({
+            success: true,
+            message: "Password reset successfully",
+            user: {
+                id: user._id,
+                fullName: user.fullName,
+                phoneNumber: user.phoneNumber,
+                email: user.email || null,
+                phoneVerified: user.phoneVerified,
+                avatarUrl: user.avatarUrl || null,
+                role: user.role,
+            },
+            token,
+            refreshToken
+        });
+
+    } catch (error) {
+        console.log(error, 'Error in Reset Password');
+        return res.status(500).json({ message: "Internal server error" });
+    }
+});
+
+// POST /api/auth/refresh - New access token for a refresh token
+// Body: { refreshToken }
+// The refresh token is replaced - the app must store the new one (an old one can't be used twice)
+router.post('/refresh', async (req, res) => {
+    try {
+        const { refreshToken } = req.body;
+
+        if (!refreshToken) {
+            return res.status(400).json({ message: "Refresh token is required" });
+        }
+
+        const result = await rotateSession(refreshToken);
+
+        if (result.error) {
+            return res.status(result.status).json({ message: result.error });
+        }
+
+        return res.status(200).json({
+            success: true,
+            token: result.token,
+            refreshToken: result.refreshToken
+        });
+
+    } catch (error) {
+        console.log(error, 'Error in Refresh Token');
+        return res.status(500).json({ message: "Internal server error" });
+    }
+});
+
+// POST /api/auth/logout - End this device's session
+// Body: { refreshToken } - works with an expired access token too
+router.post('/logout', async (req, res) => {
+    try {
+        const { refreshToken } = req.body;
+
+        if (!refreshToken) {
+            return res.status(400).json({ message: "Refresh token is required" });
+        }
+
+        const session = await findSessionByRefreshToken(refreshToken);
+        if (session) {
+            await revokeSession(session._id, session.userId, 'logout');
+        }
+
+        // Already logged out is still a successful logout
+        return res.status(200).json({
+            success: true,
+            message: "Logged out"
+        });
+
+    } catch (error) {
+        console.log(error, 'Error in Logout');
+        return res.status(500).json({ message: "Internal server error" });
+    }
+});
+
+// POST /api/auth/logout-all - Log out every device, this one included
+router.post('/logout-all', protectRoute, async (req, res) => {
+    try {
+        const revoked = await revokeAllSessions(req.user._id, 'logout_all');
+
+        // Also ends access tokens issued before sessions existed, and stops pushes
+        await User.updateOne(
+            { _id: req.user._id },
+            { $inc: { tokenVersion: 1 }, $set: { pushTokens: [] } }
+        );
+
+        return res.status(200).json({
+            success: true,
+            message: "Logged out of all devices",
+            revoked
+        });
+
+    } catch (error) {
+        console.log(error, 'Error in Logout All');
+        return res.status(500).json({ message: "Internal server error" });
+    }
+});
+
+// GET /api/auth/sessions - Devices the user is logged in on
+router.get('/sessions', protectRoute, async (req, res) => {
+    try {
+        const sessions = await listSessions(req.user._id);
+
+        return res.status(200).json({
+            success: true,
+            sessions: sessions.map(session => ({
+                id: session._id,
+                deviceName: session.deviceName,
+                platform: session.platform || null,
+                userAgent: session.userAgent,
+                ipAddress: session.ipAddress,
+                createdAt: session.createdAt,
+                lastUsedAt: session.lastUsedAt,
+                current: session._id.toString() === req.sessionId
+            }))
+        });
+
+    } catch (error) {
+        console.log(error, 'Error in Get Sessions');
+        return res.status(500).json({ message: "Internal server error" });
+    }
+});
+
+// DELETE /api/auth/sessions/:sessionId - Log out one device
+router.delete('/sessions/:sessionId', protectRoute, async (req, res) => {
+    try {
+        const { sessionId } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(sessionId)) {
+            return res.status(400).json({ message: "Invalid session ID" });
+        }
+
+        const revoked = await revokeSession(sessionId, req.user._id, 'revoked');
+        if (!revoked) {
+            return res.status(404).json({ message: "Session not found" });
+        }
+
+        return res.status(200).json({
+            success: true,
+            message: "Session revoked"
+        });
+
+    } catch (error) {
+        console.log(error, 'Error in Revoke Session');
+        return res.status(500).json({ message: "Internal server error" });
+    }
+});
+
 // GET /api/auth/me - Verify token and get current user
 // This endpoint checks if the JWT token is still valid and returns user info
 router.get('/me', protectRoute, async (req, res) => {
@@ -134,6 +546,8 @@ router.get('/me', protectRoute, async (req, res) => {
                 fullName: user.fullName,
                 email: user.email || null,
                 phoneNumber: user.phoneNumber,
+                phoneVerified: user.phoneVerified,
+                avatarUrl: user.avatarUrl || null,
                 role: user.role,
                 createdAt: user.createdAt
             }
@@ -182,12 +596,20 @@ router.put('/update-profile', protectRoute, async (req, res) => {
                 return res.status(400).json({ message: "Phone number must be exactly 10 digits" });
             }
             
+            // Accounts without a password can only sign in with a code sent to this number
+            if (!user.password) {
+                return res.status(400).json({ message: "Set a password before changing your phone number" });
+            }
+
             // Check if phone number is already taken
             const existingPhone = await User.findOne({ phoneNumber, _id: { $ne: user._id } });
             if (existingPhone) {
                 return res.status(400).json({ message: "Phone number already exists" });
             }
             user.phoneNumber = phoneNumber;
+            // The new number has not been verified
+            user.phoneVerified = false;
+            user.phoneVerifiedAt = null;
         }
         
         await user.save();
@@ -200,6 +622,8 @@ router.put('/update-profile', protectRoute, async (req, res) => {
                 fullName: user.fullName,
                 email: user.email || null,
                 phoneNumber: user.phoneNumber,
+                phoneVerified: user.phoneVerified,
+                avatarUrl: user.avatarUrl || null,
                 role: user.role,
                 createdAt: user.createdAt
             }
@@ -211,5 +635,289 @@ router.put('/update-profile', protectRoute, async (req, res) => {
     }
 });
 
+// POST /api/auth/change-password - Change password (logged in)
+// Body: { currentPassword, newPassword }
+// currentPassword is not needed by accounts registered with an SMS code that have no password yet.
+// Other devices are logged out; this one gets a new access token.
+router.post('/change-password', protectRoute, async (req, res) => {
+    try {
+        const { currentPassword, newPassword } = req.body;
+
+        const user = await User.findById(req.user._id);
+        if (!user) {
+            return res.status(404).json({ message: "User not found" });
+        }
+
+        if (!newPassword || newPassword.length < 8) {
+            return res.status(400).json({ message: "Password must be at least 8 characters long" });
+        }
+
+        if (user.password) {
+            if (!currentPassword) {
+                return res.status(400).json({ message: "Current password is required" });
+            }
+
+            const isMatch = await user.comparePassword(currentPassword);
+            if (!isMatch) {
+                return res.status(400).json({ message: "Current password is incorrect" });
+            }
+
+            if (currentPassword === newPassword) {
+                return res.status(400).json({ message: "New password must be different from the current password" });
+            }
+        }
+
+        user.password = newPassword;
+        // Also ends access tokens issued before sessions existed
+        user.tokenVersion = (user.tokenVersion || 0) + 1;
+        await user.save();
+
+        const revoked = await revokeAllSessions(user._id, 'password_change', { exceptSessionId: req.sessionId });
+
+        // The bumped tokenVersion ends this device's access token too - hand out a new one
+        let token;
+        let refreshToken;
+        if (req.sessionId) {
+            token = signAccessToken(user, req.sessionId);
+        } else {
+            ({ token, refreshToken } = await createSession(user, req));
+        }
+
+        return res.status(200).json({
+            success: true,
+            message: "Password changed successfully",
+            revokedSessions: revoked,
+            token,
+            refreshToken
+        });
+
+    } catch (error) {
+        console.log(error, 'Error in Change Password');
+        return res.status(500).json({ message: "Internal server error" });
+    }
+});
+
+// DELETE /api/auth/account - Delete the account
+// Body: { password } (not needed by accounts without a password)
+// Past bookings are kept for tax records with guest details anonymised.
+// Refused (409) while there is an upcoming confirmed booking.
+router.delete('/account', protectRoute, async (req, res) => {
+    try {
+        const { password } = req.body || {};
+
+        const user = await User.findById(req.user._id);
+        if (!user) {
+            return res.status(404).json({ message: "User not found" });
+        }
+
+        if (user.password) {
+            const isMatch = password ? await user.comparePassword(password) : false;
+            if (!isMatch) {
+                return res.status(400).json({ message: "Password is incorrect" });
+            }
+        }
+
+        // Staff accounts are removed by a super admin changing the role first
+        if (user.role !== 'customer') {
+            return res.status(403).json({ message: "Staff and admin accounts can't be deleted from the app" });
+        }
+
+        const result = await deleteAccount(user);
+
+        if (result.error) {
+            return res.status(result.status).json({ message: result.error });
+        }
+
+        return res.status(200).json({
+            success: true,
+            message: "Account deleted",
+            anonymisedBookings: result.anonymisedBookings
+        });
+
+    } catch (error) {
+        console.log(error, 'Error in Delete Account');
+        return res.status(500).json({ message: "Internal server error" });
+    }
+});
+
+// PUT /api/auth/avatar - Upload a profile photo
+// Body: the image itself (JPEG, PNG or WebP, up to 5 MB), Content-Type: image/jpeg etc.
+// The previous photo is deleted once the new one is saved.
+router.put('/avatar', protectRoute, express.raw({ type: 'image/*', limit: MAX_IMAGE_BYTES }), async (req, res) => {
+    try {
+        const contentType = detectImageType(req.body);
+        if (!contentType) {
+            return res.status(400).json({ message: "Upload a JPEG, PNG or WebP image" });
+        }
+
+        const user = await User.findById(req.user._id);
+        if (!user) {
+            return res.status(404).json({ message: "User not found" });
+        }
+
+        const uploaded = await getImageStorage().upload(req.body, { purpose: 'avatars', contentType });
+        const previousKey = user.avatarKey;
+
+        user.avatarUrl = uploaded.url;
+        user.avatarKey = uploaded.key;
+        await user.save();
+
+        await removeImageQuietly(previousKey);
+
+        return res.status(200).json({
+            success: true,
+            message: "Profile photo updated",
+            avatarUrl: user.avatarUrl
+        });
+
+    } catch (error) {
+        console.log(error, 'Error in Upload Avatar');
+        return res.status(500).json({ message: "Internal server error" });
+    }
+});
+
+// DELETE /api/auth/avatar - Remove the profile photo
+router.delete('/avatar', protectRoute, async (req, res) => {
+    try {
+        const user = await User.findById(req.user._id);
+        if (!user) {
+            return res.status(404).json({ message: "User not found" });
+        }
+
+        const previousKey = user.avatarKey;
+
+        user.avatarUrl = null;
+        user.avatarKey = null;
+        await user.save();
+
+        await removeImageQuietly(previousKey);
+
+        return res.status(200).json({
+            success: true,
+            message: "Profile photo removed"
+        });
+
+    } catch (error) {
+        console.log(error, 'Error in Remove Avatar');
+        return res.status(500).json({ message: "Internal server error" });
+    }
+});
+
+// PATCH /api/auth/users/:userId/role - Assign a role to a user (super admin only)
+router.patch('/users/:userId/role', protectRoute, requirePermission('users:manage_roles'), async (req, res) => {
+    try {
+        const { userId } = req.params;
+        const { role } = req.body;
+
+        if (!mongoose.Types.ObjectId.isValid(userId)) {
+            return res.status(400).json({ message: "Invalid user ID" });
+        }
+
+        if (!ROLES.includes(role)) {
+            return res.status(400).json({ message: `Invalid role. Must be one of: ${ROLES.join(', ')}` });
+        }
+
+        // Prevent the last super admin from locking everyone out
+        if (userId === req.user._id.toString() && role !== 'super_admin') {
+            return res.status(400).json({ message: "You cannot remove your own super admin role" });
+        }
+
+        const user = await User.findById(userId).select('-password');
+        if (!user) {
+            return res.status(404).json({ message: "User not found" });
+        }
+
+        user.role = role;
+        await user.save();
+
+        return res.status(200).json({
+            success: true,
+            message: "Role updated successfully",
+            user: {
+                id: user._id,
+                fullName: user.fullName,
+                phoneNumber: user.phoneNumber,
+                role: user.role
+            }
+        });
+
+    } catch (error) {
+        console.log(error, 'Error in Update Role');
+        return res.status(500).json({ message: "Internal server error" });
+    }
+});
+
+// POST /api/auth/push-tokens - Register this device for push notifications
+// Body: { token: "ExponentPushToken[...]", platform: "ios" | "android", previousToken }
+// Called by the app after every login. Each device has one token; previousToken
+// (the app's last token, if it changed on reinstall) is replaced.
+router.post('/push-tokens', protectRoute, async (req, res) => {
+    try {
+        const { token, platform, previousToken } = req.body;
+
+        if (!token || !EXPO_PUSH_TOKEN_PATTERN.test(token)) {
+            return res.status(400).json({ message: "A valid Expo push token is required" });
+        }
+
+        if (platform && !['ios', 'android', 'web'].includes(platform)) {
+            return res.status(400).json({ message: "Platform must be ios, android or web" });
+        }
+
+        // A device logged in to a new account stops getting the old account's pushes
+        await User.updateMany(
+            { _id: { $ne: req.user._id }, 'pushTokens.token': token },
+            { $pull: { pushTokens: { token } } }
+        );
+
+        const user = await User.findById(req.user._id);
+        if (!user) {
+            return res.status(404).json({ message: "User not found" });
+        }
+
+        const others = user.pushTokens.filter(entry => ![token, previousToken].includes(entry.token));
+
+        user.pushTokens = [
+            ...others,
+            { token, platform: platform || undefined, updatedAt: new Date() }
+        ].slice(-MAX_PUSH_TOKENS);
+
+        await user.save();
+
+        return res.status(200).json({
+            success: true,
+            message: "Push token registered"
+        });
+
+    } catch (error) {
+        console.log(error, 'Error in Register Push Token');
+        return res.status(500).json({ message: "Internal server error" });
+    }
+});
+
+// DELETE /api/auth/push-tokens - Stop push notifications to this device (on logout)
+// Body: { token }
+router.delete('/push-tokens', protectRoute, async (req, res) => {
+    try {
+        const { token } = req.body;
+
+        if (!token) {
+            return res.status(400).json({ message: "Token is required" });
+        }
+
+        await User.updateOne(
+            { _id: req.user._id },
+            { $pull: { pushTokens: { token } } }
+        );
+
+        return res.status(200).json({
+            success: true,
+            message: "Push token removed"
+        });
+
+    } catch (error) {
+        console.log(error, 'Error in Remove Push Token');
+        return res.status(500).json({ message: "Internal server error" });
+    }
+});
 
 export default router;
\ No newline at end of file
@@ -1,13 +1,63 @@
 import express from 'express';
 import mongoose from 'mongoose';
-import Razorpay from 'razorpay';
-import crypto from 'crypto';
 import dayjs from 'dayjs';
 import utc from 'dayjs/plugin/utc.js';
 import Booking from '../models/Booking.js';
 import Package from '../models/Package.js';
-import Resource from '../models/Resource.js';
+import Invoice from '../models/Invoice.js';
+import CreditNote from '../models/CreditNote.js';
+import DebitNote from '../models/DebitNote.js';
 import protectRoute from '../middleware/auth.middleware.js';
+import { requirePermission, hasPermission } from '../middleware/role.middleware.js';
+import { getRazorpay } from '../lib/razorpay.js';
+import { reserveInventory, releaseInventory, releaseBookingInventory } from '../lib/inventory.js';
+import { getHoldExpiry, isHoldExpired, expireBooking } from '../lib/holds.js';
+import {
+    PAID_PAYMENT_STATUSES,
+    verifyPaymentSignature,
+    confirmBookingPayment,
+    confirmBalancePayment,
+    handleLatePayment,
+    markPaymentFailed,
+    orderLedgerEntry
+} from '../lib/payments.js';
+import { getDepositPlan } from '../lib/deposits.js';
+import { formatNightlyBreakdown } from '../lib/pricing.js';
+import { buildPackageQuote, signQuoteToken, verifyQuoteToken } from '../lib/quotes.js';
+import { evaluateCoupon, applyDiscount, redeemCoupon, unredeemCoupon, releaseBookingCoupon } from '../lib/coupons.js';
+import {
+    calculateRefundAmount,
+    getCancellationQuote,
+    getRefundAmountError,
+    isRefundClaimStale,
+    issueRefund
+} from '../lib/refunds.js';
+import { getRefundPolicy, describeRefundPolicy } from '../lib/cancellationPolicy.js';
+import { isValidGstin, issueInvoice } from '../lib/invoices.js';
+import { renderInvoicePdf, renderCreditNotePdf, renderDebitNotePdf } from '../lib/invoicePdf.js';
+import { signDownloadToken, buildDownloadUrl } from '../lib/downloadLinks.js';
+import { protectDownload } from '../middleware/download.middleware.js';
+import { notifyBooking } from '../lib/notifications.js';
+import {
+    getReschedulePolicy,
+    describeReschedulePolicy,
+    previewReschedule,
+    rescheduleBooking
+} from '../lib/reschedules.js';
+import {
+    getRoomChangePolicy,
+    describeRoomChangePolicy,
+    previewRoomChange,
+    changeBookingRooms
+} from '../lib/roomChanges.js';
+import { completeChangePayment, formatBookingChange } from '../lib/bookingChanges.js';
+import {
+    claimWaitlistOffer,
+    returnWaitlistOffer,
+    linkWaitlistBooking,
+    lapseWaitlistBooking,
+    offerReleasedUnits
+} from '../lib/waitlist.js';
 import customParseFormat from 'dayjs/plugin/customParseFormat.js';
 import isSameOrBefore from 'dayjs/plugin/isSameOrBefore.js';
 import isSameOrAfter from 'dayjs/plugin/isSameOrAfter.js';
@@ -18,11 +68,63 @@ dayjs.extend(isSameOrBefore);
 dayjs.extend(isSameOrAfter);
 const router = express.Router();
 
-//Initialize Razorpay client
+/**
+ * User-facing message for the refund state after a cancellation
+ */
+const refundMessage = (booking) => {
+    const { refundStatus, refundAmount } = booking.cancellation || {};
+
+    switch (refundStatus) {
+        case 'not_applicable':
+            return 'No refund is applicable as per the cancellation policy.';
+        case 'failed':
+            return `Refund of ₹${refundAmount} could not be initiated automatically. Our team will process it shortly.`;
+        case 'processed':
+            return `Refund of ₹${refundAmount} has been processed.`;
+        default:
+            return `Refund of ₹${refundAmount} has been initiated and will reach you in 5-7 working days.`;
+    }
+};
+
+/**
+ * Cancel a booking only if it is still as it was when the refund was worked out
+ * A payment confirmed meanwhile (webhook or verify-payment) changes its status
+ * or payment fields, and the cancel has to be tried again.
+ * @returns {Promise<object|null>} the cancelled booking, or null if it changed
+ */
+const claimCancellation = (booking, cancellation) => {
+    return Booking.findOneAndUpdate(
+        {
+            _id: booking._id,
+            status: booking.status,
+            'payment.status': booking.payment.status,
+            'pricing.paidAmount': booking.pricing.paidAmount
+        },
+        { $set: { status: 'cancelled', cancellation } },
+        { new: true }
+    );
+};
 
-const razorpay = new Razorpay({
-    key_id: process.env.RAZORPAY_API_KEY,
-    key_secret: process.env.RAZORPAY_SECRET_KEY,
+/**
+ * Booking summary returned after a successful payment
+ */
+const formatConfirmedBooking = (booking) => ({
+    bookingId: booking._id,
+    bookingReferenceId: booking.bookingReferenceId,
+    status: booking.status,
+    checkInDate: dayjs(booking.checkInDate).format('DD-MM-YYYY'),
+    checkOutDate: dayjs(booking.checkOutDate).format('DD-MM-YYYY'),
+    finalAmount: booking.pricing.finalAmount,
+    paidAmount: booking.pricing.paidAmount,
+    balanceAmount: booking.pricing.balanceAmount,
+    balanceDueDate: booking.pricing.balanceDueDate
+        ? dayjs(booking.pricing.balanceDueDate).format('DD-MM-YYYY')
+        : null,
+    guestDetails: {
+        fullName: booking.guestDetails.fullName,
+        phoneNumber: booking.guestDetails.phoneNumber,
+        email: booking.guestDetails.email
+    }
 });
 
 // ==================== PUBLIC ROUTES (USER) ====================
@@ -35,13 +137,16 @@ const razorpay = new Razorpay({
  *            packageId: ObjectId,
  *            checkInDate: "DD-MM-YYYY",
  *            checkOutDate: "DD-MM-YYYY",
- *            roomQuantity: 2 (only for rooms_only category)
+ *            rooms: { "<deluxeResourceId>": 2, "<standardResourceId>": 3 } (only for rooms_only category),
+ *            roomQuantity: 2 (older app versions - rooms of the package's first room type)
  *          }
+ * @returns { pricing, quote: { token, expiresAt } }
+ *          or 400 with unavailableResources and canJoinWaitlist when sold out
  */
 
 router.post('/check-availability', protectRoute, async (req, res) => {
     try {
-        const { packageId, checkInDate, checkOutDate, roomQuantity } = req.body;
+        const { packageId, checkInDate, checkOutDate, rooms, roomQuantity } = req.body;
 
         // ==================== VALIDATION ====================
 
@@ -64,166 +169,38 @@ router.post('/check-availability', protectRoute, async (req, res) => {
         const bookingPackage = await Package.findById(packageId)
             .populate('includes.resources.resource');
 
-        if (!bookingPackage || !bookingPackage.isActive) {
-            return res.status(404).json({
-                success: false,
-                message: 'Package not found or not active'
-            });
-        }
-
-        // Parse and validate dates
-        const checkIn = dayjs.utc(checkInDate, 'DD-MM-YYYY').startOf('day');
-        const checkOut = dayjs.utc(checkOutDate, 'DD-MM-YYYY').startOf('day');
-
-        if (!checkIn.isValid() || !checkOut.isValid()) {
-            return res.status(400).json({
-                success: false,
-                message: 'Invalid date format. Use DD-MM-YYYY'
-            });
-        }
-
-        if (checkOut.isSameOrBefore(checkIn)) {
-            return res.status(400).json({
-                success: false,
-                message: 'Check-out date must be after check-in date'
-            });
-        }
-
-        const today = dayjs.utc().startOf('day');
-        if (checkIn.isBefore(today)) {
-            return res.status(400).json({
-                success: false,
-                message: 'Check-in date cannot be in the past'
-            });
-        }
-
-        const numberOfDays = checkOut.diff(checkIn, 'day');
+        // ==================== QUOTE ====================
+        // Dates, booking rules, availability (incl. pending holds) and pricing
+        // all come from lib/quotes.js - the same checks create-order runs
 
-        // Validate booking rules
-        if (numberOfDays < bookingPackage.bookingRules.minDays) {
-            return res.status(400).json({
-                success: false,
-                message: `Minimum ${bookingPackage.bookingRules.minDays} day(s) required`
-            });
-        }
+        const { quote, error, status } = await buildPackageQuote(bookingPackage, {
+            checkInDate,
+            checkOutDate,
+            rooms,
+            roomQuantity
+        });
 
-        if (numberOfDays > bookingPackage.bookingRules.maxDays) {
-            return res.status(400).json({
+        if (error) {
+            return res.status(status).json({
                 success: false,
-                message: `Maximum ${bookingPackage.bookingRules.maxDays} day(s) allowed`
-            });
-        }
-
-        // ==================== AVAILABILITY CHECK ====================
-
-        const checkInDate_obj = checkIn.toDate();
-        const checkOutDate_obj = checkOut.toDate();
-
-        // Determine which resources to check based on category
-        let resourcesToBook = [];
-
-        if (bookingPackage.category === 'rooms_only') {
-            // For rooms_only, user specifies quantity
-            if (!roomQuantity || roomQuantity < 1) {
-                return res.status(400).json({
-                    success: false,
-                    message: 'Please provide roomQuantity for room bookings'
-                });
-            }
-
-            const roomResource = bookingPackage.includes.resources.find(
-                r => r.resource.facilityType === 'guest_room'
-            );
-
-            if (!roomResource) {
-                return res.status(500).json({
-                    success: false,
-                    message: 'Package configuration error'
-                });
-            }
-
-            // Validate quantity
-            if (roomQuantity > roomResource.resource.totalUnits) {
-                return res.status(400).json({
-                    success: false,
-                    message: `Only ${roomResource.resource.totalUnits} rooms available`
-                });
-            }
-
-            resourcesToBook = [{
-                resourceId: roomResource.resource._id,
-                quantity: roomQuantity,
-                totalUnits: roomResource.resource.totalUnits
-            }];
-
-        } else {
-            // For fixed packages, use package configuration
-            resourcesToBook = bookingPackage.includes.resources.map(item => ({
-                resourceId: item.resource._id,
-                quantity: item.quantity,
-                totalUnits: item.resource.totalUnits
-            }));
-        }
-
-        // Check availability for each resource
-        let allAvailable = true;
-        const unavailableResources = [];
-
-        for (const resourceItem of resourcesToBook) {
-            // Find overlapping bookings for this resource
-            const overlappingBookings = await Booking.find({
-                'resources.resource': resourceItem.resourceId,
-                status: { $in: ['confirmed', 'checked_in'] },
-                checkInDate: { $lt: checkOutDate_obj },
-                checkOutDate: { $gt: checkInDate_obj }
-            });
-
-            // Calculate total booked units
-            let bookedUnits = 0;
-            overlappingBookings.forEach(booking => {
-                booking.resources.forEach(res => {
-                    if (res.resource.toString() === resourceItem.resourceId.toString()) {
-                        bookedUnits += res.quantity;
-                    }
-                });
+                message: error
             });
-
-            const availableUnits = resourceItem.totalUnits - bookedUnits;
-
-            if (availableUnits < resourceItem.quantity) {
-                allAvailable = false;
-                const resource = await Resource.findById(resourceItem.resourceId);
-                unavailableResources.push({
-                    name: resource.name,
-                    requested: resourceItem.quantity,
-                    available: availableUnits
-                });
-            }
         }
 
-        if (!allAvailable) {
+        if (!quote.available) {
             return res.status(400).json({
                 success: false,
-                message: 'Selected package is not available for the chosen dates',
-                unavailableResources
+                message: `Selected package is not available for the chosen dates. ${quote.unavailableResources.map(r => r.reason).join('. ')}`,
+                unavailableResources: quote.unavailableResources,
+                // Other bookings in the way (package and dates only)
+                conflicts: quote.conflicts,
+                // Sold out - the same body can be sent to POST /api/waitlist
+                canJoinWaitlist: true
             });
         }
 
-        // ==================== CALCULATE PRICING ====================
-
-        let subtotal = 0;
-        let resourcePricing = 0;
-
-        if (bookingPackage.category === 'rooms_only') {
-            const roomResource = bookingPackage.includes.resources[0].resource;
-            resourcePricing = roomResource.basePrice * roomQuantity * numberOfDays;
-            subtotal = resourcePricing;
-        } else {
-            subtotal = bookingPackage.pricing.basePrice * numberOfDays;
-        }
-
-        const gstAmount = Math.round((subtotal * bookingPackage.pricing.gstPercentage) / 100);
-        const finalAmount = subtotal + gstAmount;
+        const { price } = quote;
+        const quoteToken = signQuoteToken(quote, req.user._id);
 
         return res.status(200).json({
             success: true,
@@ -234,20 +211,22 @@ router.post('/check-availability', protectRoute, async (req, res) => {
                 category: bookingPackage.category
             },
             dates: {
-                checkInDate: checkIn.format('DD-MM-YYYY'),
-                checkOutDate: checkOut.format('DD-MM-YYYY'),
-                numberOfDays
+                checkInDate: quote.checkIn.format('DD-MM-YYYY'),
+                checkOutDate: quote.checkOut.format('DD-MM-YYYY'),
+                numberOfDays: quote.numberOfDays
             },
             pricing: {
-                packageBasePrice: bookingPackage.pricing.basePrice,
-                resourcePricing: resourcePricing,
-                subtotal,
-                gst: {
-                    percentage: bookingPackage.pricing.gstPercentage,
-                    amount: gstAmount
-                },
-                finalAmount
+                packageBasePrice: price.packageBasePrice,
+                resourcePricing: price.resourcePricing,
+                // rooms_only: price of each room type
+                rooms: price.rooms,
+                subtotal: price.subtotal,
+                gst: price.gst,
+                finalAmount: price.finalAmount,
+                nightlyBreakdown: formatNightlyBreakdown(price.nights)
             },
+            // Present quote.token to create-order to book at this price
+            quote: quoteToken,
             message: 'Package is available for the selected dates'
         });
 
@@ -264,33 +243,41 @@ router.post('/check-availability', protectRoute, async (req, res) => {
 /**
  * @route   POST /api/bookings/create-order
  * @desc    Create Razorpay order and pending booking
+ *          (units are held until holdExpiresAt, see lib/holds.js)
  * @access  Private (authenticated users)
  * @body    {
- *            packageId: ObjectId,
- *            checkInDate: "DD-MM-YYYY",
- *            checkOutDate: "DD-MM-YYYY",
- *            roomQuantity: 2 (for rooms_only),
+ *            quoteToken: "..." (quote.token from check-availability or calculate-price),
+ *            couponCode: "FESTIVE10" (optional),
  *            numberOfGuests: 10 (optional),
  *            guestDetails: { fullName, phoneNumber, email, ... },
- *            specialRequests: "..."
+ *              (gstin, businessName optional - printed on the tax invoice)
+ *            specialRequests: "...",
+ *            payInFull: true (optional - skip the package deposit),
+ *            waitlistId: ObjectId (optional - book a stay offered from the waitlist,
+ *                        quoted by POST /api/waitlist/:waitlistId/quote)
  *          }
+ * @note    Package, dates and room quantity come from the quote token.
+ *          An expired token gets 410; a price that changed since the quote
+ *          gets 409 with the new price and a fresh quote.
+ * @note    Packages with a deposit rule are charged only the deposit here;
+ *          the balance is paid through POST /:bookingId/pay-balance
  */
 
 router.post('/create-order', protectRoute, async (req, res) => {
     try {
         const {
-            packageId,
-            checkInDate,
-            checkOutDate,
-            roomQuantity,
+            quoteToken,
+            couponCode,
             numberOfGuests,
             guestDetails,
-            specialRequests
+            specialRequests,
+            payInFull,
+            waitlistId
         } = req.body;
 
         // ==================== VALIDATION ====================
 
-        if (!packageId || !checkInDate || !checkOutDate || !guestDetails) {
+        if (!quoteToken || !guestDetails) {
             return res.status(400).json({
                 success: false,
                 message: 'Please provide all required fields'
@@ -304,167 +291,255 @@ router.post('/create-order', protectRoute, async (req, res) => {
             });
         }
 
-        // Find package
+        if (guestDetails.gstin && !isValidGstin(guestDetails.gstin)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid GSTIN'
+            });
+        }
+
+        // ==================== VERIFY QUOTE ====================
+
+        const verified = verifyQuoteToken(quoteToken, req.user._id);
+
+        if (verified.error) {
+            return res.status(verified.status).json({
+                success: false,
+                message: verified.error,
+                quoteExpired: verified.quoteExpired || false
+            });
+        }
+
+        const { packageId } = verified.request;
+
         const bookingPackage = await Package.findById(packageId)
             .populate('includes.resources.resource');
 
-        if (!bookingPackage || !bookingPackage.isActive) {
-            return res.status(404).json({
+        // Same checks and pricing as the quote - rules or dates may have moved on since
+        const { quote, error, status } = await buildPackageQuote(bookingPackage, verified.request);
+
+        if (error) {
+            return res.status(status).json({
                 success: false,
-                message: 'Package not found or not active'
+                message: error
             });
         }
 
-        // Parse dates
-        const checkIn = dayjs.utc(checkInDate, 'DD-MM-YYYY').startOf('day');
-        const checkOut = dayjs.utc(checkOutDate, 'DD-MM-YYYY').startOf('day');
+        const { checkIn, checkOut, numberOfDays } = quote;
 
-        if (!checkIn.isValid() || !checkOut.isValid()) {
-            return res.status(400).json({
+        // ==================== PRICE CHECK ====================
+        // Never charge a different amount than the guest was shown
+
+        if (quote.price.finalAmount !== verified.request.finalAmount) {
+            return res.status(409).json({
                 success: false,
-                message: 'Invalid date format. Use DD-MM-YYYY'
+                priceChanged: true,
+                message: `The price for these dates has changed from ₹${verified.request.finalAmount} to ₹${quote.price.finalAmount}. Please review the new price.`,
+                pricing: {
+                    subtotal: quote.price.subtotal,
+                    gst: quote.price.gst,
+                    finalAmount: quote.price.finalAmount,
+                    nightlyBreakdown: formatNightlyBreakdown(quote.price.nights)
+                },
+                quote: signQuoteToken(quote, req.user._id)
+            });
+        }
+
+        // ==================== COUPON ====================
+        // Checked again here - it may have run out since /api/coupons/validate
+
+        let price = quote.price;
+        let coupon = null;
+
+        if (couponCode) {
+            const couponResult = await evaluateCoupon(couponCode, {
+                userId: req.user._id,
+                category: bookingPackage.category,
+                subtotal: price.subtotal
             });
+
+            if (couponResult.error) {
+                return res.status(couponResult.status).json({
+                    success: false,
+                    message: couponResult.error,
+                    couponInvalid: true
+                });
+            }
+
+            coupon = couponResult.coupon;
+            price = applyDiscount(price, couponResult.discountAmount);
         }
 
-        const numberOfDays = checkOut.diff(checkIn, 'day');
+        const { finalAmount } = price;
+
+        // Pricing rules that add up to the whole price leave nothing to pay - Razorpay can't take a 0 order
+        if (finalAmount <= 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'This stay cannot be booked online. Please contact the property.'
+            });
+        }
 
-        // ==================== RE-CHECK AVAILABILITY ====================
-        // (Same logic as check-availability route)
+        // ==================== RESOLVE RESOURCES ====================
 
         const checkInDate_obj = checkIn.toDate();
         const checkOutDate_obj = checkOut.toDate();
 
-        let resourcesToBook = [];
+        const resourcesToBook = quote.items.map(item => ({
+            resource: item.resource._id,
+            facilityType: item.resource.facilityType,
+            name: item.resource.name,
+            category: item.resource.category,
+            quantity: item.quantity,
+            capacity: item.resource.capacity * item.quantity
+        }));
+
+        // Deposit rule of the package (null = pay in full now)
+        const depositPlan = getDepositPlan(bookingPackage, finalAmount, checkInDate_obj, {
+            payInFull: payInFull === true
+        });
+        const amountToCharge = depositPlan ? depositPlan.depositAmount : finalAmount;
 
-        if (bookingPackage.category === 'rooms_only') {
-            if (!roomQuantity || roomQuantity < 1) {
-                return res.status(400).json({
+        // ==================== RESERVE INVENTORY ====================
+        // Holds every unit for every night atomically (see lib/inventory.js)
+        // Two guests paying at the same moment can't both get the last unit
+
+        const inventoryItems = quote.items.map(item => ({
+            resource: item.resource._id,
+            quantity: item.quantity,
+            totalUnits: item.resource.totalUnits,
+            name: item.resource.name
+        }));
+
+        // A waitlist offer already holds the units - the booking takes them over
+        let waitlistEntry = null;
+
+        if (waitlistId) {
+            const claimed = await claimWaitlistOffer(waitlistId, req.user._id, quote);
+
+            if (claimed.error) {
+                return res.status(claimed.status).json({
                     success: false,
-                    message: 'Please provide roomQuantity'
+                    message: claimed.error
                 });
             }
 
-            const roomResource = bookingPackage.includes.resources[0];
-            resourcesToBook = [{
-                resource: roomResource.resource._id,
-                facilityType: roomResource.resource.facilityType,
-                name: roomResource.resource.name,
-                category: roomResource.resource.category,
-                quantity: roomQuantity,
-                capacity: roomResource.resource.capacity * roomQuantity
-            }];
+            waitlistEntry = claimed.entry;
         } else {
-            resourcesToBook = bookingPackage.includes.resources.map(item => ({
-                resource: item.resource._id,
-                facilityType: item.resource.facilityType,
-                name: item.resource.name,
-                category: item.resource.category,
-                quantity: item.quantity,
-                capacity: item.resource.capacity * item.quantity
-            }));
-        }
-
-        // Check availability
-        for (const resourceItem of resourcesToBook) {
-            const overlappingBookings = await Booking.find({
-                'resources.resource': resourceItem.resource,
-                status: { $in: ['confirmed', 'checked_in', 'pending'] },
-                checkInDate: { $lt: checkOutDate_obj },
-                checkOutDate: { $gt: checkInDate_obj }
-            });
-
-            let bookedUnits = 0;
-            overlappingBookings.forEach(booking => {
-                booking.resources.forEach(res => {
-                    if (res.resource.toString() === resourceItem.resource.toString()) {
-                        bookedUnits += res.quantity;
-                    }
-                });
-            });
+            const reservation = await reserveInventory(inventoryItems, checkInDate_obj, checkOutDate_obj);
 
-            const resource = await Resource.findById(resourceItem.resource);
-            const availableUnits = resource.totalUnits - bookedUnits;
+            if (!reservation.reserved) {
+                return res.status(409).json({
+                    success: false,
+                    message: `${reservation.unavailable.name} is no longer available for the selected dates`,
+                    unavailableResources: [reservation.unavailable]
+                });
+            }
+        }
 
-            if (availableUnits < resourceItem.quantity) {
-                return res.status(400).json({
+        // Undo the hold (an offer keeps holding its units until it lapses)
+        const releaseHold = () => waitlistEntry
+            ? returnWaitlistOffer(waitlistEntry)
+            : releaseInventory(inventoryItems, checkInDate_obj, checkOutDate_obj);
+
+        // Coupon redemptions are capped too - take one only once the units are held
+        if (coupon) {
+            const redemption = await redeemCoupon(coupon, req.user._id);
+            if (redemption.error) {
+                await releaseHold();
+                return res.status(redemption.status).json({
                     success: false,
-                    message: `${resource.name} is no longer available for the selected dates`
+                    message: redemption.error,
+                    couponInvalid: true
                 });
             }
         }
 
-        // ==================== CALCULATE PRICING ====================
+        // Anything failing after this point must give the units back
+        let razorpayOrder;
+        let booking;
 
-        let packageBasePrice = bookingPackage.pricing.basePrice;
-        let resourcePricingAmount = 0;
-        let subtotal = 0;
+        try {
+            // ==================== CREATE RAZORPAY ORDER ====================
 
-        if (bookingPackage.category === 'rooms_only') {
-            const roomResource = bookingPackage.includes.resources[0].resource;
-            resourcePricingAmount = roomResource.basePrice * roomQuantity * numberOfDays;
-            subtotal = resourcePricingAmount;
-            packageBasePrice = 0;
-        } else {
-            subtotal = packageBasePrice * numberOfDays;
-        }
+            razorpayOrder = await getRazorpay().orders.create({
+                amount: amountToCharge * 100, // Razorpay expects paise
+                currency: 'INR',
+                receipt: `booking_${Date.now()}`,
+                notes: {
+                    packageId: packageId,
+                    packageName: bookingPackage.name,
+                    checkInDate: checkIn.format('DD-MM-YYYY'),
+                    checkOutDate: checkOut.format('DD-MM-YYYY'),
+                    paymentType: depositPlan ? 'deposit' : 'full'
+                }
+            });
 
-        const gstPercentage = bookingPackage.pricing.gstPercentage || 18;
-        const gstAmount = Math.round((subtotal * gstPercentage) / 100);
-        const finalAmount = subtotal + gstAmount;
+            // ==================== CREATE PENDING BOOKING ====================
 
-        // ==================== CREATE RAZORPAY ORDER ====================
-    
-        const razorpayOrder = await razorpay.orders.create({
-            amount: finalAmount * 100, // Razorpay expects paise
-            currency: 'INR',
-            receipt: `booking_${Date.now()}`,
-            notes: {
+            booking = await Booking.create({
+                userId: req.user._id,
                 packageId: packageId,
-                packageName: bookingPackage.name,
-                checkInDate: checkIn.format('DD-MM-YYYY'),
-                checkOutDate: checkOut.format('DD-MM-YYYY')
+                category: bookingPackage.category,
+                resources: resourcesToBook,
+                isExclusive: quote.isExclusive,
+                checkInDate: checkInDate_obj,
+                checkOutDate: checkOutDate_obj,
+                numberOfDays,
+                numberOfGuests: numberOfGuests || null,
+                guestDetails: {
+                    fullName: guestDetails.fullName,
+                    phoneNumber: guestDetails.phoneNumber,
+                    email: guestDetails.email,
+                    alternatePhone: guestDetails.alternatePhone || null,
+                    address: guestDetails.address || null,
+                    idProofType: guestDetails.idProofType || null,
+                    idProofNumber: guestDetails.idProofNumber || null,
+                    gstin: guestDetails.gstin || null,
+                    businessName: guestDetails.businessName || null
+                },
+                specialRequests: specialRequests || null,
+                pricing: {
+                    packageBasePrice: price.packageBasePrice,
+                    resourcePricing: price.resourcePricing,
+                    nights: price.nights,
+                    subtotal: price.subtotal,
+                    discountAmount: price.discountAmount || 0,
+                    coupon: {
+                        couponId: coupon ? coupon._id : null,
+                        code: coupon ? coupon.code : null,
+                        redeemed: !!coupon
+                    },
+                    gst: price.gst,
+                    finalAmount,
+                    paidAmount: 0,
+                    balanceAmount: finalAmount,
+                    depositAmount: amountToCharge,
+                    balanceDueDate: depositPlan ? depositPlan.balanceDueDate : null
+                },
+                payment: {
+                    orderId: razorpayOrder.id,
+                    status: 'pending'
+                },
+                payments: [
+                    orderLedgerEntry(depositPlan ? 'deposit' : 'full', razorpayOrder.id, amountToCharge)
+                ],
+                status: 'pending',
+                holdExpiresAt: getHoldExpiry(),
+                inventoryHeld: true
+            });
+
+        } catch (error) {
+            await releaseHold();
+            if (coupon) {
+                await unredeemCoupon(coupon, req.user._id);
             }
-        });
+            throw error;
+        }
 
-        // ==================== CREATE PENDING BOOKING ====================
-
-        const booking = await Booking.create({
-            userId: req.user._id,
-            packageId: packageId,
-            category: bookingPackage.category,
-            resources: resourcesToBook,
-            checkInDate: checkInDate_obj,
-            checkOutDate: checkOutDate_obj,
-            numberOfDays,
-            numberOfGuests: numberOfGuests || null,
-            guestDetails: {
-                fullName: guestDetails.fullName,
-                phoneNumber: guestDetails.phoneNumber,
-                email: guestDetails.email,
-                alternatePhone: guestDetails.alternatePhone || null,
-                address: guestDetails.address || null,
-                idProofType: guestDetails.idProofType || null,
-                idProofNumber: guestDetails.idProofNumber || null
-            },
-            specialRequests: specialRequests || null,
-            pricing: {
-                packageBasePrice,
-                resourcePricing: resourcePricingAmount,
-                subtotal,
-                gst: {
-                    percentage: gstPercentage,
-                    amount: gstAmount
-                },
-                finalAmount,
-                paidAmount: 0,
-                balanceAmount: finalAmount
-            },
-            payment: {
-                orderId: razorpayOrder.id,
-                status: 'pending'
-            },
-            status: 'pending'
-        });
+        if (waitlistEntry) {
+            await linkWaitlistBooking(waitlistEntry, booking);
+        }
 
         // ==================== RETURN ORDER DETAILS ====================
 
@@ -474,14 +549,29 @@ router.post('/create-order', protectRoute, async (req, res) => {
             booking: {
                 bookingId: booking._id,
                 bookingReferenceId: booking.bookingReferenceId,
-                status: booking.status
+                status: booking.status,
+                holdExpiresAt: booking.holdExpiresAt
             },
             razorpay: {
                 orderId: razorpayOrder.id,
-                amount: finalAmount,
+                amount: amountToCharge,
                 currency: 'INR',
                 key: process.env.RAZORPAY_API_KEY
             },
+            deposit: depositPlan ? {
+                depositAmount: depositPlan.depositAmount,
+                balanceAmount: depositPlan.balanceAmount,
+                balanceDueDate: dayjs(depositPlan.balanceDueDate).format('DD-MM-YYYY'),
+                finalAmount
+            } : null,
+            pricing: {
+                subtotal: price.subtotal,
+                discountAmount: price.discountAmount || 0,
+                couponCode: coupon ? coupon.code : null,
+                gst: price.gst,
+                finalAmount,
+                nightlyBreakdown: formatNightlyBreakdown(price.nights)
+            },
             package: {
                 name: bookingPackage.name,
                 category: bookingPackage.category
@@ -506,6 +596,8 @@ router.post('/create-order', protectRoute, async (req, res) => {
 /**
  * @route   POST /api/bookings/verify-payment
  * @desc    Verify Razorpay payment and confirm booking
+ *          (also verifies balance payments of orders created by pay-balance,
+ *          and top-ups of date / room changes made with reschedule or rooms)
  * @access  Private (authenticated users)
  * @body    {
  *            bookingId: ObjectId,
@@ -533,7 +625,7 @@ router.post('/verify-payment', protectRoute, async (req, res) => {
         }
 
         // Find booking
-        const booking = await Booking.findById(bookingId).populate('packageId');
+        let booking = await Booking.findById(bookingId);
 
         if (!booking) {
             return res.status(404).json({
@@ -550,8 +642,87 @@ router.post('/verify-payment', protectRoute, async (req, res) => {
             });
         }
 
+        // ==================== BALANCE / TOP-UP PAYMENT ====================
+        // Orders created by pay-balance, reschedule or rooms - the booking is already confirmed
+
+        if (razorpay_order_id !== booking.payment.orderId) {
+            const laterOrder = booking.payments.find(txn =>
+                ['balance', 'top_up'].includes(txn.purpose) && txn.orderId === razorpay_order_id
+            );
+
+            if (!laterOrder) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Order ID does not match this booking'
+                });
+            }
+
+            if (!verifyPaymentSignature(razorpay_order_id, razorpay_payment_id, razorpay_signature)) {
+                await markPaymentFailed(booking, { orderId: razorpay_order_id });
+
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid payment signature. Payment verification failed.'
+                });
+            }
+
+            if (laterOrder.purpose === 'top_up') {
+                booking = await completeChangePayment(booking, {
+                    orderId: razorpay_order_id,
+                    paymentId: razorpay_payment_id
+                });
+
+                const change = booking.changes.find(entry => entry.orderId === razorpay_order_id);
+
+                if (change.status !== 'completed') {
+                    return res.status(410).json({
+                        success: false,
+                        message: 'Your booking change expired before the payment arrived. The amount will be refunded.'
+                    });
+                }
+
+                return res.status(200).json({
+                    success: true,
+                    message: change.kind === 'rooms'
+                        ? 'Payment verified successfully. Your rooms have been updated!'
+                        : 'Payment verified successfully. Your booking dates have been changed!',
+                    booking: formatConfirmedBooking(booking)
+                });
+            }
+
+            // Shared with the webhook - whichever arrives first records it
+            booking = await confirmBalancePayment(booking, {
+                orderId: razorpay_order_id,
+                paymentId: razorpay_payment_id
+            });
+
+            if (!['confirmed', 'checked_in'].includes(booking.status)) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Booking is ${booking.status}. The balance payment will be refunded.`
+                });
+            }
+
+            return res.status(200).json({
+                success: true,
+                message: booking.pricing.balanceAmount > 0
+                    ? 'Payment verified successfully.'
+                    : 'Balance paid successfully. Your booking is fully paid!',
+                booking: formatConfirmedBooking(booking)
+            });
+        }
+
+        // Razorpay webhook may have confirmed this exact payment already
+        if (booking.status === 'confirmed' && booking.payment.paymentId === razorpay_payment_id) {
+            return res.status(200).json({
+                success: true,
+                message: 'Payment verified successfully. Booking confirmed!',
+                booking: formatConfirmedBooking(booking)
+            });
+        }
+
         // Check if payment already verified
-        if (booking.payment.status === 'paid') {
+        if (PAID_PAYMENT_STATUSES.includes(booking.payment.status)) {
             return res.status(400).json({
                 success: false,
                 message: 'Payment already verified'
@@ -559,42 +730,88 @@ router.post('/verify-payment', protectRoute, async (req, res) => {
         }
 
         // ==================== VERIFY SIGNATURE ====================
+        // Checked before anything else touches the booking
+
+        if (!verifyPaymentSignature(razorpay_order_id, razorpay_payment_id, razorpay_signature)) {
+            if (booking.status === 'pending' && !isHoldExpired(booking)) {
+                // Invalid signature - mark as failed
+                booking.payment.status = 'failed';
+                booking.status = 'cancelled';
+                await releaseBookingInventory(booking);
+                await releaseBookingCoupon(booking);
+                await booking.save();
+
+                // Booked from a waitlist offer - the stay goes to the next guest
+                await lapseWaitlistBooking(booking);
+                await offerReleasedUnits(booking.resources, booking.checkInDate, booking.checkOutDate);
+            }
+
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid payment signature. Payment verification failed.'
+            });
+        }
+
+        // ==================== LATE PAYMENT ====================
+        // The inventory hold has lapsed (the cron job may not have run yet).
+        // Shared with the webhook: the units are taken again if they're still
+        // free, otherwise the payment is refunded in full.
 
-        const generatedSignature = crypto
-            .createHmac('sha256', process.env.RAZORPAY_SECRET_KEY)
-            .update(`${razorpay_order_id}|${razorpay_payment_id}`)
-            .digest('hex');
+        if (isHoldExpired(booking)) {
+            if (booking.status === 'pending') {
+                await expireBooking(booking._id);
+            }
+
+            // The webhook may have confirmed it in the meantime
+            booking = await Booking.findById(bookingId);
+            if (booking.status === 'expired') {
+                booking = await handleLatePayment(booking, {
+                    paymentId: razorpay_payment_id,
+                    signature: razorpay_signature
+                });
+            }
 
-        if (generatedSignature !== razorpay_signature) {
-            // Invalid signature - mark as failed
-            booking.payment.status = 'failed';
-            booking.status = 'cancelled';
-            await booking.save();
+            if (booking.status === 'confirmed') {
+                return res.status(200).json({
+                    success: true,
+                    message: 'Payment verified successfully. Booking confirmed!',
+                    booking: formatConfirmedBooking(booking)
+                });
+            }
+
+            return res.status(410).json({
+                success: false,
+                message: 'Your booking hold expired and the rooms are no longer available. The amount paid will be refunded.'
+            });
+        }
 
+        if (booking.status !== 'pending') {
             return res.status(400).json({
                 success: false,
-                message: 'Invalid payment signature. Payment verification failed.'
+                message: `Cannot verify payment for a ${booking.status} booking`
             });
         }
 
         // ==================== UPDATE BOOKING ====================
+        // Shared with the Razorpay webhook - if the webhook got here first,
+        // the booking is already confirmed and we just return it
 
-        booking.payment.paymentId = razorpay_payment_id;
-        booking.payment.signature = razorpay_signature;
-        booking.payment.status = 'paid';
-        booking.payment.paidAt = new Date();
-        booking.pricing.paidAmount = booking.pricing.finalAmount;
-        booking.pricing.balanceAmount = 0;
-        booking.status = 'confirmed';
+        const confirmed = await confirmBookingPayment(booking, {
+            paymentId: razorpay_payment_id,
+            signature: razorpay_signature
+        });
 
-        await booking.save();
+        if (confirmed) {
+            booking = confirmed;
+        } else {
+            booking = await Booking.findById(bookingId);
+        }
 
-        // Update package booking count
-        if (booking.packageId) {
-            await Package.findByIdAndUpdate(
-                booking.packageId._id,
-                { $inc: { bookingCount: 1 } }
-            );
+        if (booking.status !== 'confirmed') {
+            return res.status(400).json({
+                success: false,
+                message: `Cannot confirm a ${booking.status} booking`
+            });
         }
 
         // ==================== RETURN SUCCESS ====================
@@ -602,19 +819,7 @@ router.post('/verify-payment', protectRoute, async (req, res) => {
         return res.status(200).json({
             success: true,
             message: 'Payment verified successfully. Booking confirmed!',
-            booking: {
-                bookingId: booking._id,
-                bookingReferenceId: booking.bookingReferenceId,
-                status: booking.status,
-                checkInDate: dayjs(booking.checkInDate).format('DD-MM-YYYY'),
-                checkOutDate: dayjs(booking.checkOutDate).format('DD-MM-YYYY'),
-                finalAmount: booking.pricing.finalAmount,
-                guestDetails: {
-                    fullName: booking.guestDetails.fullName,
-                    phoneNumber: booking.guestDetails.phoneNumber,
-                    email: booking.guestDetails.email
-                }
-            }
+            booking: formatConfirmedBooking(booking)
         });
 
 
@@ -674,7 +879,7 @@ router.get('/my-bookings', protectRoute, async (req, res) => {
 /**
  * @route   GET /api/bookings/:bookingId
  * @desc    Get single booking details
- * @access  Private (authenticated users - own bookings or admin)
+ * @access  Private (authenticated users - own bookings, or staff/admin)
  */
 router.get('/:bookingId', protectRoute, async (req, res) => {
     try {
@@ -690,7 +895,7 @@ router.get('/:bookingId', protectRoute, async (req, res) => {
         const booking = await Booking.findById(bookingId)
             .populate('packageId')
             .populate('resources.resource')
-            .select('-payment.signature -__v');
+            .select('-payment.signature -changes.bookingUpdate -changes.heldUnits -__v');
         
         if (!booking) {
             return res.status(404).json({
@@ -699,8 +904,8 @@ router.get('/:bookingId', protectRoute, async (req, res) => {
             });
         }
         
-        // Check authorization (user owns booking or is admin)
-        if (booking.userId.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+        // Check authorization (user owns booking or is staff/admin)
+        if (booking.userId.toString() !== req.user._id.toString() && !hasPermission(req.user, 'bookings:read_all')) {
             return res.status(403).json({
                 success: false,
                 message: 'Unauthorized access'
@@ -711,6 +916,18 @@ router.get('/:bookingId', protectRoute, async (req, res) => {
         const bookingObj = booking.toObject();
         bookingObj.checkInDate = dayjs(bookingObj.checkInDate).format('DD-MM-YYYY');
         bookingObj.checkOutDate = dayjs(bookingObj.checkOutDate).format('DD-MM-YYYY');
+
+        // Tax documents the guest can download
+        const [invoice, creditNotes, debitNotes] = await Promise.all([
+            Invoice.findOne({ booking: booking._id }).select('invoiceNumber issuedAt totalAmount'),
+            CreditNote.find({ booking: booking._id }).select('creditNoteNumber issuedAt totalAmount').sort({ issuedAt: 1 }),
+            DebitNote.find({ booking: booking._id }).select('debitNoteNumber issuedAt totalAmount').sort({ issuedAt: 1 })
+        ]);
+        bookingObj.documents = { invoice, creditNotes, debitNotes };
+        bookingObj.reschedulePolicy = describeReschedulePolicy(getReschedulePolicy(booking.packageId));
+        if (booking.packageId?.category === 'rooms_only') {
+            bookingObj.roomChangePolicy = describeRoomChangePolicy(getRoomChangePolicy(booking.packageId));
+        }
         
         return res.status(200).json({
             success: true,
@@ -728,41 +945,605 @@ router.get('/:bookingId', protectRoute, async (req, res) => {
     }
 });
 
+// ==================== TAX INVOICE ====================
+
+// Bookings that have an invoice (money received and the stay went ahead)
+const INVOICEABLE_STATUSES = ['confirmed', 'checked_in', 'checked_out'];
+
 /**
- * @route   POST /api/bookings/:bookingId/cancel
- * @desc    User cancels their booking
- * @access  Private (authenticated users)
- * @body    { reason: String }
+ * Invoice of a booking, issuing it now if the booking was confirmed before
+ * invoicing existed (or the issue at confirmation failed)
+ * @returns {Promise<object|null>} Invoice, or null if the booking has none
  */
+const findOrIssueInvoice = async (booking) => {
+    const invoice = await Invoice.findOne({ booking: booking._id });
+    if (invoice) {
+        return invoice;
+    }
 
-router.post('/:bookingId/cancel', protectRoute, async (req, res) => {
+    if (!INVOICEABLE_STATUSES.includes(booking.status) || !PAID_PAYMENT_STATUSES.includes(booking.payment.status)) {
+        return null;
+    }
+
+    return issueInvoice(booking);
+};
+
+/**
+ * @route   GET /api/bookings/:bookingId/invoice
+ * @desc    Download the GST tax invoice of a booking (PDF)
+ * @access  Private (own bookings, or staff/admin), or a signed link from /invoice/link
+ * @query   format (optional) - "json" for the invoice data instead of the PDF
+ */
+router.get('/:bookingId/invoice', protectDownload('invoice'), async (req, res) => {
     try {
         const { bookingId } = req.params;
-        const { reason } = req.body;
-        
+
         if (!mongoose.Types.ObjectId.isValid(bookingId)) {
             return res.status(400).json({
                 success: false,
                 message: 'Invalid booking ID'
             });
         }
-        
+
         const booking = await Booking.findById(bookingId);
-        
+
         if (!booking) {
             return res.status(404).json({
                 success: false,
                 message: 'Booking not found'
             });
         }
-        // Verify ownership
-        if (booking.userId.toString() !== req.user._id.toString()) {
+
+        // A signed link was already checked against this booking by protectDownload
+        if (!req.download && booking.userId.toString() !== req.user._id.toString() && !hasPermission(req.user, 'bookings:read_all')) {
             return res.status(403).json({
                 success: false,
                 message: 'Unauthorized access'
             });
         }
-        
+
+        const invoice = await findOrIssueInvoice(booking);
+
+        if (!invoice) {
+            return res.status(404).json({
+                success: false,
+                message: 'No invoice has been issued for this booking'
+            });
+        }
+
+        if (req.query.format === 'json') {
+            return res.status(200).json({
+                success: true,
+                data: invoice,
+                message: 'Invoice fetched successfully'
+            });
+        }
+
+        const pdf = await renderInvoicePdf(invoice);
+        const filename = `invoice-${invoice.invoiceNumber.replace(/\//g, '-')}.pdf`;
+
+        res.set({
+            'Content-Type': 'application/pdf',
+            'Content-Disposition': `inline; filename="${filename}"`,
+            'Content-Length': pdf.length
+        });
+        return res.status(200).send(pdf);
+
+    } catch (error) {
+        console.error('Error fetching invoice:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching invoice',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * @route   GET /api/bookings/:bookingId/invoice/link
+ * @desc    Short-lived download link for the invoice PDF
+ *          (for opening it in the browser, which can't send the auth header)
+ * @access  Private (own bookings, or staff/admin)
+ */
+router.get('/:bookingId/invoice/link', protectRoute, async (req, res) => {
+    try {
+        const { bookingId } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(bookingId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid booking ID'
+            });
+        }
+
+        const booking = await Booking.findById(bookingId);
+
+        if (!booking) {
+            return res.status(404).json({
+                success: false,
+                message: 'Booking not found'
+            });
+        }
+
+        if (booking.userId.toString() !== req.user._id.toString() && !hasPermission(req.user, 'bookings:read_all')) {
+            return res.status(403).json({
+                success: false,
+                message: 'Unauthorized access'
+            });
+        }
+
+        const invoice = await findOrIssueInvoice(booking);
+
+        if (!invoice) {
+            return res.status(404).json({
+                success: false,
+                message: 'No invoice has been issued for this booking'
+            });
+        }
+
+        const { token, expiresAt } = signDownloadToken({ bookingId: booking._id, document: 'invoice' });
+
+        return res.status(200).json({
+            success: true,
+            data: {
+                invoiceNumber: invoice.invoiceNumber,
+                url: buildDownloadUrl(req, `/api/bookings/${booking._id}/invoice`, token),
+                expiresAt
+            },
+            message: 'Invoice link created successfully'
+        });
+
+    } catch (error) {
+        console.error('Error creating invoice link:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error creating invoice link',
+            error: error.message
+        });
+    }
+});
+
+// ==================== CREDIT NOTES ====================
+
+/**
+ * Booking and credit note for the credit note routes
+ * @returns {Promise<object>} { booking, creditNote } or { error, status }
+ */
+const findCreditNote = async (req) => {
+    const { bookingId, creditNoteId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(bookingId) || !mongoose.Types.ObjectId.isValid(creditNoteId)) {
+        return { error: 'Invalid booking or credit note ID', status: 400 };
+    }
+
+    const booking = await Booking.findById(bookingId).select('userId');
+
+    if (!booking) {
+        return { error: 'Booking not found', status: 404 };
+    }
+
+    // A signed link was already checked against this credit note by protectDownload
+    if (!req.download && booking.userId.toString() !== req.user._id.toString() && !hasPermission(req.user, 'bookings:read_all')) {
+        return { error: 'Unauthorized access', status: 403 };
+    }
+
+    const creditNote = await CreditNote.findOne({ _id: creditNoteId, booking: booking._id });
+
+    if (!creditNote) {
+        return { error: 'Credit note not found', status: 404 };
+    }
+
+    return { booking, creditNote };
+};
+
+/**
+ * @route   GET /api/bookings/:bookingId/credit-notes/:creditNoteId
+ * @desc    Download a GST credit note of a cancelled / refunded booking (PDF)
+ * @access  Private (own bookings, or staff/admin), or a signed link from /link
+ * @query   format (optional) - "json" for the credit note data instead of the PDF
+ */
+router.get('/:bookingId/credit-notes/:creditNoteId', protectDownload(req => `credit_note:${req.params.creditNoteId}`), async (req, res) => {
+    try {
+        const { creditNote, error, status } = await findCreditNote(req);
+
+        if (error) {
+            return res.status(status).json({
+                success: false,
+                message: error
+            });
+        }
+
+        if (req.query.format === 'json') {
+            return res.status(200).json({
+                success: true,
+                data: creditNote,
+                message: 'Credit note fetched successfully'
+            });
+        }
+
+        const pdf = await renderCreditNotePdf(creditNote);
+        const filename = `credit-note-${creditNote.creditNoteNumber.replace(/\//g, '-')}.pdf`;
+
+        res.set({
+            'Content-Type': 'application/pdf',
+            'Content-Disposition': `inline; filename="${filename}"`,
+            'Content-Length': pdf.length
+        });
+        return res.status(200).send(pdf);
+
+    } catch (error) {
+        console.error('Error fetching credit note:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching credit note',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * @route   GET /api/bookings/:bookingId/credit-notes/:creditNoteId/link
+ * @desc    Short-lived download link for a credit note PDF
+ * @access  Private (own bookings, or staff/admin)
+ */
+router.get('/:bookingId/credit-notes/:creditNoteId/link', protectRoute, async (req, res) => {
+    try {
+        const { booking, creditNote, error, status } = await findCreditNote(req);
+
+        if (error) {
+            return res.status(status).json({
+                success: false,
+                message: error
+            });
+        }
+
+        const { token, expiresAt } = signDownloadToken({
+            bookingId: booking._id,
+            document: `credit_note:${creditNote._id}`
+        });
+
+        return res.status(200).json({
+            success: true,
+            data: {
+                creditNoteNumber: creditNote.creditNoteNumber,
+                url: buildDownloadUrl(req, `/api/bookings/${booking._id}/credit-notes/${creditNote._id}`, token),
+                expiresAt
+            },
+            message: 'Credit note link created successfully'
+        });
+
+    } catch (error) {
+        console.error('Error creating credit note link:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error creating credit note link',
+            error: error.message
+        });
+    }
+});
+
+// ==================== DEBIT NOTES ====================
+
+/**
+ * Booking and debit note for the debit note routes
+ * @returns {Promise<object>} { booking, debitNote } or { error, status }
+ */
+const findDebitNote = async (req) => {
+    const { bookingId, debitNoteId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(bookingId) || !mongoose.Types.ObjectId.isValid(debitNoteId)) {
+        return { error: 'Invalid booking or debit note ID', status: 400 };
+    }
+
+    const booking = await Booking.findById(bookingId).select('userId');
+
+    if (!booking) {
+        return { error: 'Booking not found', status: 404 };
+    }
+
+    // A signed link was already checked against this debit note by protectDownload
+    if (!req.download && booking.userId.toString() !== req.user._id.toString() && !hasPermission(req.user, 'bookings:read_all')) {
+        return { error: 'Unauthorized access', status: 403 };
+    }
+
+    const debitNote = await DebitNote.findOne({ _id: debitNoteId, booking: booking._id });
+
+    if (!debitNote) {
+        return { error: 'Debit note not found', status: 404 };
+    }
+
+    return { booking, debitNote };
+};
+
+/**
+ * @route   GET /api/bookings/:bookingId/debit-notes/:debitNoteId
+ * @desc    Download a GST debit note of a booking whose dates or rooms were changed (PDF)
+ * @access  Private (own bookings, or staff/admin), or a signed link from /link
+ * @query   format (optional) - "json" for the debit note data instead of the PDF
+ */
+router.get('/:bookingId/debit-notes/:debitNoteId', protectDownload(req => `debit_note:${req.params.debitNoteId}`), async (req, res) => {
+    try {
+        const { debitNote, error, status } = await findDebitNote(req);
+
+        if (error) {
+            return res.status(status).json({
+                success: false,
+                message: error
+            });
+        }
+
+        if (req.query.format === 'json') {
+            return res.status(200).json({
+                success: true,
+                data: debitNote,
+                message: 'Debit note fetched successfully'
+            });
+        }
+
+        const pdf = await renderDebitNotePdf(debitNote);
+        const filename = `debit-note-${debitNote.debitNoteNumber.replace(/\//g, '-')}.pdf`;
+
+        res.set({
+            'Content-Type': 'application/pdf',
+            'Content-Disposition': `inline; filename="${filename}"`,
+            'Content-Length': pdf.length
+        });
+        return res.status(200).send(pdf);
+
+    } catch (error) {
+        console.error('Error fetching debit note:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching debit note',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * @route   GET /api/bookings/:bookingId/debit-notes/:debitNoteId/link
+ * @desc    Short-lived download link for a debit note PDF
+ * @access  Private (own bookings, or staff/admin)
+ */
+router.get('/:bookingId/debit-notes/:debitNoteId/link', protectRoute, async (req, res) => {
+    try {
+        const { booking, debitNote, error, status } = await findDebitNote(req);
+
+        if (error) {
+            return res.status(status).json({
+                success: false,
+                message: error
+            });
+        }
+
+        const { token, expiresAt } = signDownloadToken({
+            bookingId: booking._id,
+            document: `debit_note:${debitNote._id}`
+        });
+
+        return res.status(200).json({
+            success: true,
+            data: {
+                debitNoteNumber: debitNote.debitNoteNumber,
+                url: buildDownloadUrl(req, `/api/bookings/${booking._id}/debit-notes/${debitNote._id}`, token),
+                expiresAt
+            },
+            message: 'Debit note link created successfully'
+        });
+
+    } catch (error) {
+        console.error('Error creating debit note link:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error creating debit note link',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * @route   POST /api/bookings/:bookingId/pay-balance
+ * @desc    Create a Razorpay order for the balance of a deposit booking
+ *          (pay it, then send the result to POST /verify-payment)
+ * @access  Private
+ */
+router.post('/:bookingId/pay-balance', protectRoute, async (req, res) => {
+    try {
+        const { bookingId } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(bookingId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid booking ID'
+            });
+        }
+
+        const booking = await Booking.findById(bookingId).populate('packageId', 'name');
+
+        if (!booking) {
+            return res.status(404).json({
+                success: false,
+                message: 'Booking not found'
+            });
+        }
+
+        if (booking.userId.toString() !== req.user._id.toString()) {
+            return res.status(403).json({
+                success: false,
+                message: 'Unauthorized access'
+            });
+        }
+
+        if (!['confirmed', 'checked_in'].includes(booking.status)) {
+            return res.status(400).json({
+                success: false,
+                message: `Cannot pay balance for a ${booking.status} booking`
+            });
+        }
+
+        if (booking.payment.status !== 'partially_paid' || booking.pricing.balanceAmount <= 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'No balance is due on this booking'
+            });
+        }
+
+        // Reuse an unpaid balance order for the same amount (guest retrying checkout)
+        let balanceOrder = booking.payments.find(txn =>
+            txn.purpose === 'balance'
+            && ['created', 'failed'].includes(txn.status)
+            && txn.amount === booking.pricing.balanceAmount
+        );
+
+        if (!balanceOrder) {
+            const razorpayOrder = await getRazorpay().orders.create({
+                amount: booking.pricing.balanceAmount * 100, // Razorpay expects paise
+                currency: 'INR',
+                receipt: `balance_${booking.bookingReferenceId}_${Date.now()}`,
+                notes: {
+                    bookingId: booking._id.toString(),
+                    bookingReferenceId: booking.bookingReferenceId,
+                    paymentType: 'balance'
+                }
+            });
+
+            balanceOrder = orderLedgerEntry('balance', razorpayOrder.id, booking.pricing.balanceAmount);
+
+            await Booking.updateOne(
+                { _id: booking._id },
+                { $push: { payments: balanceOrder } }
+            );
+        }
+
+        return res.status(201).json({
+            success: true,
+            message: 'Balance order created. Please complete payment.',
+            booking: {
+                bookingId: booking._id,
+                bookingReferenceId: booking.bookingReferenceId,
+                finalAmount: booking.pricing.finalAmount,
+                paidAmount: booking.pricing.paidAmount,
+                balanceAmount: booking.pricing.balanceAmount,
+                balanceDueDate: booking.pricing.balanceDueDate
+                    ? dayjs(booking.pricing.balanceDueDate).format('DD-MM-YYYY')
+                    : null
+            },
+            razorpay: {
+                orderId: balanceOrder.orderId,
+                amount: balanceOrder.amount,
+                currency: 'INR',
+                key: process.env.RAZORPAY_API_KEY
+            },
+            package: {
+                name: booking.packageId?.name
+            }
+        });
+
+    } catch (error) {
+        console.error('Error creating balance order:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error creating balance order',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * @route   GET /api/bookings/:bookingId/cancellation-preview
+ * @desc    Refund the user would get if they cancelled now (package cancellation policy)
+ * @access  Private
+ */
+router.get('/:bookingId/cancellation-preview', protectRoute, async (req, res) => {
+    try {
+        const { bookingId } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(bookingId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid booking ID'
+            });
+        }
+
+        const booking = await Booking.findById(bookingId).populate('packageId', 'name bookingRules');
+
+        if (!booking) {
+            return res.status(404).json({
+                success: false,
+                message: 'Booking not found'
+            });
+        }
+
+        if (booking.userId.toString() !== req.user._id.toString()) {
+            return res.status(403).json({
+                success: false,
+                message: 'Unauthorized access'
+            });
+        }
+
+        if (!['pending', 'confirmed'].includes(booking.status)) {
+            return res.status(400).json({
+                success: false,
+                message: `Booking is ${booking.status} and cannot be cancelled`
+            });
+        }
+
+        const quote = await getCancellationQuote(booking, { cancelledBy: 'user' });
+        const policy = getRefundPolicy(booking.packageId);
+
+        return res.status(200).json({
+            success: true,
+            data: {
+                ...quote,
+                policy: describeRefundPolicy(policy)
+            }
+        });
+
+    } catch (error) {
+        console.error('Error previewing cancellation:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error previewing cancellation',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * @route   POST /api/bookings/:bookingId/cancel
+ * @desc    User cancels their booking
+ * @access  Private (authenticated users)
+ * @body    { reason: String }
+ */
+
+router.post('/:bookingId/cancel', protectRoute, async (req, res) => {
+    try {
+        const { bookingId } = req.params;
+        const { reason } = req.body;
+        
+        if (!mongoose.Types.ObjectId.isValid(bookingId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid booking ID'
+            });
+        }
+        
+        const booking = await Booking.findById(bookingId);
+        
+        if (!booking) {
+            return res.status(404).json({
+                success: false,
+                message: 'Booking not found'
+            });
+        }
+        // Verify ownership
+        if (booking.userId.toString() !== req.user._id.toString()) {
+            return res.status(403).json({
+                success: false,
+                message: 'Unauthorized access'
+            });
+        }
+        
         // Check if already cancelled
         if (booking.status === 'cancelled') {
             return res.status(400).json({
@@ -770,6 +1551,13 @@ router.post('/:bookingId/cancel', protectRoute, async (req, res) => {
                 message: 'Booking already cancelled'
             });
         }
+
+        if (booking.status === 'expired') {
+            return res.status(400).json({
+                success: false,
+                message: 'Booking hold has already expired'
+            });
+        }
         
         // Check if already checked in or checked out
         if (['checked_in', 'checked_out'].includes(booking.status)) {
@@ -779,22 +1567,54 @@ router.post('/:bookingId/cancel', protectRoute, async (req, res) => {
             });
         }
 
-        // Update booking
-        booking.status = 'cancelled';
-        booking.cancellation = {
+        const quote = await getCancellationQuote(booking, { cancelledBy: 'user' });
+
+        if (!quote.canCancel) {
+            return res.status(400).json({
+                success: false,
+                message: quote.reason
+            });
+        }
+
+        const refundAmountError = getRefundAmountError(booking, quote.refundAmount);
+        if (refundAmountError) {
+            return res.status(400).json({
+                success: false,
+                message: refundAmountError
+            });
+        }
+
+        // Same paid state as the quote, so its refund amount holds for the claimed booking
+        const claimed = await claimCancellation(booking, {
             cancelledBy: 'user',
             cancelledAt: new Date(),
-            reason: reason || 'Cancelled by user',
-            refundAmount: 0, // Admin will process refund
-            refundStatus: 'pending'
-        };
+            reason: reason || 'Cancelled by user'
+        });
 
-        await booking.save();
+        if (!claimed) {
+            return res.status(409).json({
+                success: false,
+                message: 'This booking was updated at the same time. Please try again.'
+            });
+        }
+
+        await releaseBookingInventory(claimed);
+        await releaseBookingCoupon(claimed);
+
+        await notifyBooking('booking_cancelled', claimed, { refundAmount: quote.refundAmount });
+
+        // The freed units go to the waitlist
+        await offerReleasedUnits(claimed.resources, claimed.checkInDate, claimed.checkOutDate);
+
+        // Refund through Razorpay (a rejected refund is marked failed for admin retry)
+        const cancelledBooking = await issueRefund(claimed, quote.refundAmount, {
+            reason: claimed.cancellation.reason
+        });
         
         return res.status(200).json({
             success: true,
-            message: 'Booking cancelled successfully. Refund will be processed by admin.',
-            data: booking
+            message: `Booking cancelled successfully. ${refundMessage(cancelledBooking)}`,
+            data: cancelledBooking
         });
 
 
@@ -808,19 +1628,275 @@ router.post('/:bookingId/cancel', protectRoute, async (req, res) => {
     }
 })
 
+// ==================== DATE AND ROOM CHANGES ====================
+
+/**
+ * Load a booking for a date or room change request and check the user owns it
+ * @returns {Promise<object>} { booking } or { error, status }
+ */
+const findOwnBooking = async (bookingId, user) => {
+    if (!mongoose.Types.ObjectId.isValid(bookingId)) {
+        return { error: 'Invalid booking ID', status: 400 };
+    }
+
+    const booking = await Booking.findById(bookingId).populate('packageId', 'name bookingRules');
+
+    if (!booking) {
+        return { error: 'Booking not found', status: 404 };
+    }
+
+    if (booking.userId.toString() !== user._id.toString()) {
+        return { error: 'Unauthorized access', status: 403 };
+    }
+
+    return { booking };
+};
+
+/**
+ * What happens to the difference of an applied change, for the response message
+ */
+const getSettlementMessage = (change, booking) => ({
+    refund: ` ₹${change.settlementAmount} will be refunded in 5-7 working days.`,
+    balance: booking.pricing.balanceAmount > 0
+        ? ` Balance due: ₹${booking.pricing.balanceAmount}.`
+        : '',
+    none: ''
+}[change.settlement]);
+
+/**
+ * @route   GET /api/bookings/:bookingId/reschedule-preview
+ * @desc    Price and availability of moving a booking to new dates (nothing is held)
+ * @access  Private
+ * @query   checkInDate, checkOutDate ("DD-MM-YYYY")
+ * @returns { available, pricing, previousAmount, difference, settlement: { type, amount }, balanceAmount }
+ *          settlement.type: "top_up" (pay the difference now), "refund", "balance" (deposit bookings) or "none"
+ */
+router.get('/:bookingId/reschedule-preview', protectRoute, async (req, res) => {
+    try {
+        const { booking, error, status } = await findOwnBooking(req.params.bookingId, req.user);
+
+        if (error) {
+            return res.status(status).json({
+                success: false,
+                message: error
+            });
+        }
+
+        const result = await previewReschedule(booking, {
+            checkInDate: req.query.checkInDate,
+            checkOutDate: req.query.checkOutDate
+        });
+
+        if (result.error) {
+            return res.status(result.status).json({
+                success: false,
+                message: result.error
+            });
+        }
+
+        return res.status(200).json({
+            success: true,
+            data: {
+                ...result.preview,
+                policy: describeReschedulePolicy(getReschedulePolicy(booking.packageId))
+            }
+        });
+
+    } catch (error) {
+        console.error('Error previewing date change:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error previewing date change',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * @route   POST /api/bookings/:bookingId/reschedule
+ * @desc    Move a confirmed booking to new dates (re-priced under the current pricing rules)
+ * @access  Private
+ * @body    { checkInDate: "DD-MM-YYYY", checkOutDate: "DD-MM-YYYY" }
+ * @note    When the new total is higher than what was paid, the change waits
+ *          for the top-up: pay the returned Razorpay order and send it to
+ *          verify-payment. A cheaper change is refunded straight away.
+ *          Limits and fees come from the package's bookingRules.reschedulePolicy.
+ */
+router.post('/:bookingId/reschedule', protectRoute, async (req, res) => {
+    try {
+        const { checkInDate, checkOutDate } = req.body;
+        const { booking, error, status } = await findOwnBooking(req.params.bookingId, req.user);
+
+        if (error) {
+            return res.status(status).json({
+                success: false,
+                message: error
+            });
+        }
+
+        const result = await rescheduleBooking(booking, { checkInDate, checkOutDate, requestedBy: 'user' });
+
+        if (result.error) {
+            return res.status(result.status).json({
+                success: false,
+                message: result.error,
+                unavailableResources: result.unavailableResources || []
+            });
+        }
+
+        const { change, razorpay } = result;
+
+        if (razorpay) {
+            return res.status(201).json({
+                success: true,
+                message: `Please pay ₹${razorpay.amount} to confirm your new dates.`,
+                change: formatBookingChange(change),
+                razorpay,
+                booking: formatConfirmedBooking(result.booking)
+            });
+        }
+
+        return res.status(200).json({
+            success: true,
+            message: `Your booking dates have been changed.${getSettlementMessage(change, result.booking)}`,
+            change: formatBookingChange(change),
+            razorpay: null,
+            booking: formatConfirmedBooking(result.booking)
+        });
+
+    } catch (error) {
+        console.error('Error changing booking dates:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error changing booking dates',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * @route   GET /api/bookings/:bookingId/rooms-preview
+ * @desc    Price and availability of changing the number of rooms of one booked type (nothing is held)
+ * @access  Private
+ * @query   resourceId (booked room type), quantity (new number of rooms of that type)
+ * @returns { rooms, available, pricing, previousAmount, difference, settlement: { type, amount }, balanceAmount }
+ *          settlement.type: "top_up" (pay the difference now), "refund", "balance" (deposit bookings) or "none"
+ */
+router.get('/:bookingId/rooms-preview', protectRoute, async (req, res) => {
+    try {
+        const { booking, error, status } = await findOwnBooking(req.params.bookingId, req.user);
+
+        if (error) {
+            return res.status(status).json({
+                success: false,
+                message: error
+            });
+        }
+
+        const result = await previewRoomChange(booking, {
+            resourceId: req.query.resourceId,
+            quantity: req.query.quantity
+        });
+
+        if (result.error) {
+            return res.status(result.status).json({
+                success: false,
+                message: result.error
+            });
+        }
+
+        return res.status(200).json({
+            success: true,
+            data: {
+                ...result.preview,
+                policy: describeRoomChangePolicy(getRoomChangePolicy(booking.packageId))
+            }
+        });
+
+    } catch (error) {
+        console.error('Error previewing room change:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error previewing room change',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * @route   POST /api/bookings/:bookingId/rooms
+ * @desc    Add or remove rooms of a booked room type on a confirmed rooms_only booking
+ * @access  Private
+ * @body    { resourceId: ObjectId (booked room type), quantity: Number (new number of rooms of that type) }
+ * @note    Added rooms are priced per night under the current pricing rules;
+ *          removed rooms come off at the price they were booked at. A higher
+ *          total waits for the top-up (pay the returned Razorpay order and
+ *          send it to verify-payment); a lower one is refunded straight away.
+ *          Cut-offs come from the package's bookingRules.roomChangePolicy.
+ */
+router.post('/:bookingId/rooms', protectRoute, async (req, res) => {
+    try {
+        const { resourceId, quantity } = req.body;
+        const { booking, error, status } = await findOwnBooking(req.params.bookingId, req.user);
+
+        if (error) {
+            return res.status(status).json({
+                success: false,
+                message: error
+            });
+        }
+
+        const result = await changeBookingRooms(booking, { resourceId, quantity, requestedBy: 'user' });
+
+        if (result.error) {
+            return res.status(result.status).json({
+                success: false,
+                message: result.error,
+                unavailableResources: result.unavailableResources || []
+            });
+        }
+
+        const { change, razorpay } = result;
+
+        if (razorpay) {
+            return res.status(201).json({
+                success: true,
+                message: `Please pay ₹${razorpay.amount} to confirm your rooms.`,
+                change: formatBookingChange(change),
+                razorpay,
+                booking: formatConfirmedBooking(result.booking)
+            });
+        }
+
+        return res.status(200).json({
+            success: true,
+            message: `Your rooms have been updated.${getSettlementMessage(change, result.booking)}`,
+            change: formatBookingChange(change),
+            razorpay: null,
+            booking: formatConfirmedBooking(result.booking)
+        });
+
+    } catch (error) {
+        console.error('Error changing booking rooms:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error changing booking rooms',
+            error: error.message
+        });
+    }
+});
+
 // ==================== ADMIN ROUTES ====================
 
 /**
  * @route   GET /api/bookings/admin/all
  * @desc    Get all bookings (admin)
- * @access  Admin only
+ * @access  Staff, Admin
  * @query   status, category, startDate, endDate
  */
 
-router.get('/admin/all', protectRoute, async (req, res) => {
+router.get('/admin/all', protectRoute, requirePermission('bookings:read_all'), async (req, res) => {
     try {
-         // TODO: Add isAdmin middleware when implemented
-        
          const { status, category, startDate, endDate } = req.query;
         
          const filter = {};
@@ -858,9 +1934,9 @@ router.get('/admin/all', protectRoute, async (req, res) => {
 /**
  * @route   GET /api/bookings/admin/upcoming
  * @desc    Get upcoming check-ins (next 7 days)
- * @access  Admin only
+ * @access  Staff, Admin
  */
-router.get('/admin/upcoming', protectRoute, async (req, res) => {
+router.get('/admin/upcoming', protectRoute, requirePermission('bookings:read_all'), async (req, res) => {
     try {
         const today = dayjs.utc().startOf('day').toDate();
         const nextWeek = dayjs.utc().add(7, 'day').endOf('day').toDate();
@@ -895,7 +1971,7 @@ router.get('/admin/upcoming', protectRoute, async (req, res) => {
  * @desc    Get booking statistics
  * @access  Admin only
  */
-router.get('/admin/stats', protectRoute, async (req, res) => {
+router.get('/admin/stats', protectRoute, requirePermission('bookings:stats'), async (req, res) => {
     try {
         const totalBookings = await Booking.countDocuments();
         const confirmedBookings = await Booking.countDocuments({ status: 'confirmed' });
@@ -907,6 +1983,12 @@ router.get('/admin/stats', protectRoute, async (req, res) => {
             { $group: { _id: null, total: { $sum: '$pricing.finalAmount' } } }
         ]);
         
+        // Balances still to be collected on deposit bookings
+        const outstandingBalance = await Booking.aggregate([
+            { $match: { status: { $in: ['confirmed', 'checked_in'] }, 'payment.status': 'partially_paid' } },
+            { $group: { _id: null, total: { $sum: '$pricing.balanceAmount' }, count: { $sum: 1 } } }
+        ]);
+        
         const categoryWiseBookings = await Booking.aggregate([
             { $match: { status: { $in: ['confirmed', 'checked_in', 'checked_out'] } } },
             { $group: { _id: '$category', count: { $sum: 1 }, revenue: { $sum: '$pricing.finalAmount' } } }
@@ -920,6 +2002,10 @@ router.get('/admin/stats', protectRoute, async (req, res) => {
                 pendingBookings,
                 cancelledBookings,
                 totalRevenue: totalRevenue[0]?.total || 0,
+                outstandingBalance: {
+                    amount: outstandingBalance[0]?.total || 0,
+                    bookings: outstandingBalance[0]?.count || 0
+                },
                 categoryWiseBookings
             },
             message: 'Statistics fetched successfully'
@@ -937,15 +2023,22 @@ router.get('/admin/stats', protectRoute, async (req, res) => {
 
 /**
  * @route   POST /api/bookings/admin/:bookingId/cancel
- * @desc    Admin cancels a booking with refund details
+ * @desc    Admin cancels a booking and refunds through Razorpay
  * @access  Admin only
- * @body    { reason, refundAmount, refundStatus }
+ * @body    { reason, refundAmount (optional, defaults to full paid amount) }
  */
-router.post('/admin/:bookingId/cancel', protectRoute, async (req, res) => {
+router.post('/admin/:bookingId/cancel', protectRoute, requirePermission('bookings:cancel_any'), async (req, res) => {
     try {
         const { bookingId } = req.params;
-        const { reason, refundAmount, refundStatus } = req.body;
+        const { reason, refundAmount } = req.body;
         
+        if (!mongoose.Types.ObjectId.isValid(bookingId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid booking ID'
+            });
+        }
+
         const booking = await Booking.findById(bookingId);
         
         if (!booking) {
@@ -961,22 +2054,66 @@ router.post('/admin/:bookingId/cancel', protectRoute, async (req, res) => {
                 message: 'Booking already cancelled'
             });
         }
+
+        if (booking.status === 'expired') {
+            return res.status(400).json({
+                success: false,
+                message: 'Booking hold has already expired'
+            });
+        }
         
-        booking.status = 'cancelled';
-        booking.cancellation = {
+        // Admin may override the refund (e.g. partial refund for a late cancellation)
+        let amountToRefund = await calculateRefundAmount(booking, { cancelledBy: 'admin' });
+
+        if (refundAmount !== undefined && refundAmount !== null) {
+            const paidAmount = PAID_PAYMENT_STATUSES.includes(booking.payment.status) ? booking.pricing.paidAmount : 0;
+            if (typeof refundAmount !== 'number' || refundAmount < 0 || refundAmount > paidAmount) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Refund amount must be between 0 and ${paidAmount}`
+                });
+            }
+            amountToRefund = refundAmount;
+        }
+
+        const refundAmountError = getRefundAmountError(booking, amountToRefund);
+        if (refundAmountError) {
+            return res.status(400).json({
+                success: false,
+                message: refundAmountError
+            });
+        }
+
+        // Same paid state as amountToRefund was checked against
+        const claimed = await claimCancellation(booking, {
             cancelledBy: 'admin',
             cancelledAt: new Date(),
-            reason: reason || 'Cancelled by admin',
-            refundAmount: refundAmount || 0,
-            refundStatus: refundStatus || 'pending'
-        };
-        
-        await booking.save();
+            reason: reason || 'Cancelled by admin'
+        });
+
+        if (!claimed) {
+            return res.status(409).json({
+                success: false,
+                message: 'This booking was updated at the same time. Please try again.'
+            });
+        }
+
+        await releaseBookingInventory(claimed);
+        await releaseBookingCoupon(claimed);
+
+        await notifyBooking('booking_cancelled', claimed, { refundAmount: amountToRefund });
+
+        // The freed units go to the waitlist
+        await offerReleasedUnits(claimed.resources, claimed.checkInDate, claimed.checkOutDate);
+
+        const cancelledBooking = await issueRefund(claimed, amountToRefund, {
+            reason: claimed.cancellation.reason
+        });
         
         return res.status(200).json({
             success: true,
-            message: 'Booking cancelled by admin',
-            data: booking
+            message: `Booking cancelled by admin. ${refundMessage(cancelledBooking)}`,
+            data: cancelledBooking
         });
         
     } catch (error) {
@@ -989,12 +2126,84 @@ router.post('/admin/:bookingId/cancel', protectRoute, async (req, res) => {
     }
 });
 
+/**
+ * @route   POST /api/bookings/admin/:bookingId/refund
+ * @desc    Retry a failed refund for a cancelled booking
+ * @access  Admin only
+ * @body    { amount (optional, defaults to the amount originally approved) }
+ * @note    A refund stuck at approved (the request that claimed it died) can
+ *          be retried once the claim is stale - see REFUND_CLAIM_STALE_MINUTES
+ */
+router.post('/admin/:bookingId/refund', protectRoute, requirePermission('bookings:cancel_any'), async (req, res) => {
+    try {
+        const { bookingId } = req.params;
+        const { amount } = req.body;
+
+        if (!mongoose.Types.ObjectId.isValid(bookingId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid booking ID'
+            });
+        }
+
+        const booking = await Booking.findById(bookingId);
+
+        if (!booking) {
+            return res.status(404).json({
+                success: false,
+                message: 'Booking not found'
+            });
+        }
+
+        if (booking.status !== 'cancelled' && booking.status !== 'expired') {
+            return res.status(400).json({
+                success: false,
+                message: 'Only cancelled bookings can be refunded'
+            });
+        }
+
+        if (booking.cancellation?.refundStatus !== 'failed' && !isRefundClaimStale(booking)) {
+            return res.status(400).json({
+                success: false,
+                message: `Refund is ${booking.cancellation?.refundStatus || 'not set up'} - only failed or stuck refunds can be retried`
+            });
+        }
+
+        const amountToRefund = amount ?? booking.cancellation.refundAmount;
+
+        if (typeof amountToRefund !== 'number' || amountToRefund <= 0 || amountToRefund > booking.pricing.paidAmount) {
+            return res.status(400).json({
+                success: false,
+                message: `Refund amount must be between 1 and ${booking.pricing.paidAmount}`
+            });
+        }
+
+        const refundedBooking = await issueRefund(booking, amountToRefund, {
+            reason: `Retry: ${booking.cancellation.reason || 'Booking cancelled'}`
+        });
+
+        return res.status(200).json({
+            success: refundedBooking.cancellation.refundStatus !== 'failed',
+            message: refundMessage(refundedBooking),
+            data: refundedBooking
+        });
+
+    } catch (error) {
+        console.error('Error retrying refund:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error retrying refund',
+            error: error.message
+        });
+    }
+});
+
 /**
  * @route   PATCH /api/bookings/admin/:bookingId/check-in
  * @desc    Mark booking as checked in
- * @access  Admin only
+ * @access  Staff, Admin
  */
-router.patch('/admin/:bookingId/check-in', protectRoute, async (req, res) => {
+router.patch('/admin/:bookingId/check-in', protectRoute, requirePermission('bookings:check_in'), async (req, res) => {
     try {
         const { bookingId } = req.params;
         
@@ -1036,9 +2245,9 @@ router.patch('/admin/:bookingId/check-in', protectRoute, async (req, res) => {
 /**
  * @route   PATCH /api/bookings/admin/:bookingId/check-out
  * @desc    Mark booking as checked out
- * @access  Admin only
+ * @access  Staff, Admin
  */
-router.patch('/admin/:bookingId/check-out', protectRoute, async (req, res) => {
+router.patch('/admin/:bookingId/check-out', protectRoute, requirePermission('bookings:check_in'), async (req, res) => {
     try {
         const { bookingId } = req.params;
         
@@ -1060,6 +2269,8 @@ router.patch('/admin/:bookingId/check-out', protectRoute, async (req, res) => {
         
         booking.status = 'checked_out';
         await booking.save();
+
+        await notifyBooking('post_stay_thank_you', booking);
         
         return res.status(200).json({
             success: true,
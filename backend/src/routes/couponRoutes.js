@@ -0,0 +1,374 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import dayjs from 'dayjs';
+import utc from 'dayjs/plugin/utc.js';
+import customParseFormat from 'dayjs/plugin/customParseFormat.js';
+import Coupon from '../models/Coupon.js';
+import Package from '../models/Package.js';
+import protectRoute from '../middleware/auth.middleware.js';
+import { requirePermission } from '../middleware/role.middleware.js';
+import { buildPackageQuote, verifyQuoteToken } from '../lib/quotes.js';
+import { evaluateCoupon, applyDiscount, validateCouponInput } from '../lib/coupons.js';
+
+dayjs.extend(utc);
+dayjs.extend(customParseFormat);
+
+const router = express.Router();
+
+const PACKAGE_CATEGORIES = Package.schema.path('category').enumValues;
+
+// ==================== HELPERS ====================
+
+/**
+ * Validate and convert a coupon request body
+ * Only fields present in the body are returned (so it works for updates too)
+ * validFrom starts at the beginning of its day, validUntil ends at the end of its day
+ * @param {object} current - coupon being updated (its dates count when the body leaves one out)
+ * @returns {object} { data } or { error }
+ */
+const parseCouponBody = (body, current = null) => {
+    const error = validateCouponInput(body, PACKAGE_CATEGORIES);
+    if (error) {
+        return { error };
+    }
+
+    const data = {};
+
+    for (const field of ['code', 'description', 'discount', 'maxDiscountAmount', 'minOrderAmount',
+        'eligibleCategories', 'usageLimit', 'perUserLimit', 'isActive']) {
+        if (body[field] !== undefined) data[field] = body[field];
+    }
+
+    for (const field of ['validFrom', 'validUntil']) {
+        if (body[field] === undefined) continue;
+
+        if (body[field] === null || body[field] === '') {
+            data[field] = null;
+            continue;
+        }
+
+        const date = dayjs.utc(body[field], 'DD-MM-YYYY', true);
+        if (!date.isValid()) {
+            return { error: `Invalid ${field}. Use DD-MM-YYYY` };
+        }
+        data[field] = field === 'validFrom' ? date.startOf('day').toDate() : date.endOf('day').toDate();
+    }
+
+    const validFrom = data.validFrom !== undefined ? data.validFrom : current?.validFrom;
+    const validUntil = data.validUntil !== undefined ? data.validUntil : current?.validUntil;
+    if (validFrom && validUntil && validUntil < validFrom) {
+        return { error: 'validUntil must be after validFrom' };
+    }
+
+    return { data };
+};
+
+/**
+ * Coupon with dates formatted for the admin app
+ */
+const formatCoupon = (coupon) => {
+    const couponObj = coupon.toObject();
+    const format = (date) => (date ? dayjs.utc(date).format('DD-MM-YYYY') : null);
+
+    return {
+        ...couponObj,
+        validFrom: format(couponObj.validFrom),
+        validUntil: format(couponObj.validUntil)
+    };
+};
+
+// ==================== PUBLIC ROUTES (USER) ====================
+
+/**
+ * @route   POST /api/coupons/validate
+ * @desc    Check a coupon code against a quote and return the discounted price
+ * @access  Private (authenticated users)
+ * @body    {
+ *            code: "FESTIVE10",
+ *            quoteToken: "..." (quote.token from check-availability)
+ *          }
+ * @note    Nothing is redeemed here - create-order checks the code again and redeems it
+ */
+router.post('/validate', protectRoute, async (req, res) => {
+    try {
+        const { code, quoteToken } = req.body;
+
+        const verified = verifyQuoteToken(quoteToken, req.user._id);
+
+        if (verified.error) {
+            return res.status(verified.status).json({
+                success: false,
+                message: verified.error,
+                quoteExpired: verified.quoteExpired || false
+            });
+        }
+
+        const bookingPackage = await Package.findById(verified.request.packageId)
+            .populate('includes.resources.resource');
+
+        const { quote, error, status } = await buildPackageQuote(bookingPackage, verified.request);
+
+        if (error) {
+            return res.status(status).json({
+                success: false,
+                message: error
+            });
+        }
+
+        const result = await evaluateCoupon(code, {
+            userId: req.user._id,
+            category: bookingPackage.category,
+            subtotal: quote.price.subtotal
+        });
+
+        if (result.error) {
+            return res.status(result.status).json({
+                success: false,
+                message: result.error
+            });
+        }
+
+        const price = applyDiscount(quote.price, result.discountAmount);
+
+        return res.status(200).json({
+            success: true,
+            coupon: {
+                code: result.coupon.code,
+                description: result.coupon.description || null,
+                discountAmount: result.discountAmount
+            },
+            pricing: {
+                subtotal: price.subtotal,
+                discountAmount: price.discountAmount,
+                gst: price.gst,
+                finalAmount: price.finalAmount
+            },
+            message: `Coupon applied. You save ₹${result.discountAmount}`
+        });
+
+    } catch (error) {
+        console.error('Error validating coupon:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error validating coupon',
+            error: error.message
+        });
+    }
+});
+
+// ==================== ADMIN ROUTES ====================
+// These routes require the 'coupons:manage' permission (admin, super_admin)
+
+/**
+ * @route   GET /api/coupons
+ * @desc    Get coupons
+ * @access  Admin only
+ * @query   includeInactive (optional) - "true" to include deactivated coupons
+ */
+router.get('/', protectRoute, requirePermission('coupons:manage'), async (req, res) => {
+    try {
+        const filter = req.query.includeInactive === 'true' ? {} : { isActive: true };
+
+        const coupons = await Coupon.find(filter).sort({ createdAt: -1 });
+
+        return res.status(200).json({
+            success: true,
+            data: coupons.map(formatCoupon),
+            count: coupons.length,
+            message: 'Coupons fetched successfully'
+        });
+
+    } catch (error) {
+        console.error('Error fetching coupons:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching coupons',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * @route   POST /api/coupons
+ * @desc    Create coupon
+ * @access  Admin only
+ * @body    {
+ *            code: "FESTIVE10", description,
+ *            discount: { type: "percentage" | "flat", value: 10 },
+ *            maxDiscountAmount, minOrderAmount (optional),
+ *            validFrom, validUntil: "DD-MM-YYYY" (optional),
+ *            eligibleCategories: ["rooms_only", ...] (optional, empty = all),
+ *            usageLimit (optional, total), perUserLimit (optional, default 1)
+ *          }
+ */
+router.post('/', protectRoute, requirePermission('coupons:manage'), async (req, res) => {
+    try {
+        if (!req.body.code || !req.body.discount) {
+            return res.status(400).json({
+                success: false,
+                message: 'Please provide code and discount'
+            });
+        }
+
+        const { data, error } = parseCouponBody(req.body);
+
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error
+            });
+        }
+
+        const coupon = await Coupon.create(data);
+
+        return res.status(201).json({
+            success: true,
+            message: 'Coupon created successfully',
+            data: formatCoupon(coupon)
+        });
+
+    } catch (error) {
+        console.error('Error creating coupon:', error);
+
+        if (error.code === 11000) {
+            return res.status(400).json({
+                success: false,
+                message: 'A coupon with this code already exists'
+            });
+        }
+
+        if (error.name === 'ValidationError') {
+            const messages = Object.values(error.errors).map(err => err.message);
+            return res.status(400).json({
+                success: false,
+                message: 'Validation error',
+                errors: messages
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Error creating coupon',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * @route   PUT /api/coupons/:id
+ * @desc    Update coupon
+ * @access  Admin only
+ * @body    { fields to update }
+ * @note    usedCount can't be changed here
+ */
+router.put('/:id', protectRoute, requirePermission('coupons:manage'), async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid coupon ID'
+            });
+        }
+
+        const coupon = await Coupon.findById(id);
+
+        if (!coupon) {
+            return res.status(404).json({
+                success: false,
+                message: 'Coupon not found'
+            });
+        }
+
+        const { data, error } = parseCouponBody(req.body, coupon);
+
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error
+            });
+        }
+
+        coupon.set(data);
+        await coupon.save();
+
+        return res.status(200).json({
+            success: true,
+            message: 'Coupon updated successfully',
+            data: formatCoupon(coupon)
+        });
+
+    } catch (error) {
+        console.error('Error updating coupon:', error);
+
+        if (error.code === 11000) {
+            return res.status(400).json({
+                success: false,
+                message: 'A coupon with this code already exists'
+            });
+        }
+
+        if (error.name === 'ValidationError') {
+            const messages = Object.values(error.errors).map(err => err.message);
+            return res.status(400).json({
+                success: false,
+                message: 'Validation error',
+                errors: messages
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Error updating coupon',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * @route   DELETE /api/coupons/:id
+ * @desc    Deactivate coupon (soft delete - bookings keep their discount)
+ * @access  Admin only
+ */
+router.delete('/:id', protectRoute, requirePermission('coupons:manage'), async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid coupon ID'
+            });
+        }
+
+        const coupon = await Coupon.findByIdAndUpdate(
+            id,
+            { $set: { isActive: false } },
+            { new: true }
+        );
+
+        if (!coupon) {
+            return res.status(404).json({
+                success: false,
+                message: 'Coupon not found'
+            });
+        }
+
+        return res.status(200).json({
+            success: true,
+            message: 'Coupon deactivated successfully',
+            data: formatCoupon(coupon)
+        });
+
+    } catch (error) {
+        console.error('Error deactivating coupon:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error deactivating coupon',
+            error: error.message
+        });
+    }
+});
+
+export default router;
@@ -0,0 +1,218 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import protectRoute from '../middleware/auth.middleware.js';
+import { requirePermission } from '../middleware/role.middleware.js';
+import { getImageStorage } from '../lib/imageStorage.js';
+import {
+    getGallery,
+    addGalleryImages,
+    reorderGallery,
+    updateGalleryImage,
+    setCoverImage,
+    removeGalleryImage
+} from '../lib/images.js';
+
+// ==================== IMAGE GALLERY ROUTES ====================
+// Mounted at /:id/images by resourceRoutes (Resource, "rooms" folder) and
+// packageRoutes (Package, "packages" folder) - see lib/images.js
+//
+// Upload flow for the admin app:
+//   1. GET  /:id/images/signature       -> signed upload params
+//   2. upload the file to Cloudinary    -> { secure_url, public_id }
+//   3. POST /:id/images { images: [{ url: secure_url, key: public_id, caption }] }
+
+/**
+ * @param {object} options - { model, purpose, permission, label }
+ *   label is used in messages ("Resource", "Package")
+ */
+const createImageRoutes = ({ model, purpose, permission, label }) => {
+    const router = express.Router({ mergeParams: true });
+
+    router.use(protectRoute, requirePermission(permission));
+
+    // Load the resource / package for every route below
+    router.use(async (req, res, next) => {
+        try {
+            if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Invalid ${label.toLowerCase()} ID`
+                });
+            }
+
+            req.galleryOwner = await model.findById(req.params.id);
+
+            if (!req.galleryOwner) {
+                return res.status(404).json({
+                    success: false,
+                    message: `${label} not found`
+                });
+            }
+
+            next();
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    const sendResult = (req, res, result, message, status = 200) => {
+        if (result.error) {
+            return res.status(result.status).json({
+                success: false,
+                message: result.error
+            });
+        }
+
+        return res.status(status).json({
+            success: true,
+            message,
+            data: result.gallery,
+            images: req.galleryOwner.images
+        });
+    };
+
+    /**
+     * @route   GET /:id/images
+     * @desc    Gallery (with captions, storage keys and cover flag)
+     */
+    router.get('/', async (req, res) => {
+        try {
+            const result = await getGallery(req.galleryOwner);
+            return sendResult(req, res, result, 'Images fetched successfully');
+        } catch (error) {
+            console.error('Error fetching images:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Error fetching images',
+                error: error.message
+            });
+        }
+    });
+
+    /**
+     * @route   GET /:id/images/signature
+     * @desc    Signature for uploading an image straight to Cloudinary
+     */
+    router.get('/signature', async (req, res) => {
+        try {
+            const signature = getImageStorage().signUpload(purpose);
+
+            if (!signature) {
+                return res.status(501).json({
+                    success: false,
+                    message: 'Direct uploads are not available with the current image storage'
+                });
+            }
+
+            return res.status(200).json({
+                success: true,
+                data: signature,
+                message: 'Upload signature generated successfully'
+            });
+        } catch (error) {
+            console.error('Error generating upload signature:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to generate upload signature',
+                error: error.message
+            });
+        }
+    });
+
+    /**
+     * @route   POST /:id/images
+     * @desc    Attach uploaded images (added at the end; the first image ever becomes the cover)
+     * @body    { images: [{ url, key, caption }] }
+     */
+    router.post('/', async (req, res) => {
+        try {
+            const result = await addGalleryImages(req.galleryOwner, req.body.images, purpose);
+            return sendResult(req, res, result, `${result.added} image(s) added`, 201);
+        } catch (error) {
+            console.error('Error adding images:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Error adding images',
+                error: error.message
+            });
+        }
+    });
+
+    /**
+     * @route   PUT /:id/images/order
+     * @desc    Reorder the gallery
+     * @body    { imageIds: [every image ID, in the new order] }
+     */
+    router.put('/order', async (req, res) => {
+        try {
+            const result = await reorderGallery(req.galleryOwner, req.body.imageIds);
+            return sendResult(req, res, result, 'Images reordered');
+        } catch (error) {
+            console.error('Error reordering images:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Error reordering images',
+                error: error.message
+            });
+        }
+    });
+
+    /**
+     * @route   PATCH /:id/images/:imageId
+     * @desc    Change an image's caption
+     * @body    { caption }
+     */
+    router.patch('/:imageId', async (req, res) => {
+        try {
+            const result = await updateGalleryImage(req.galleryOwner, req.params.imageId, req.body);
+            return sendResult(req, res, result, 'Image updated');
+        } catch (error) {
+            console.error('Error updating image:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Error updating image',
+                error: error.message
+            });
+        }
+    });
+
+    /**
+     * @route   PATCH /:id/images/:imageId/cover
+     * @desc    Make an image the cover
+     */
+    router.patch('/:imageId/cover', async (req, res) => {
+        try {
+            const result = await setCoverImage(req.galleryOwner, req.params.imageId);
+            return sendResult(req, res, result, 'Cover image updated');
+        } catch (error) {
+            console.error('Error setting cover image:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Error setting cover image',
+                error: error.message
+            });
+        }
+    });
+
+    /**
+     * @route   DELETE /:id/images/:imageId
+     * @desc    Remove an image and delete it from Cloudinary
+     */
+    router.delete('/:imageId', async (req, res) => {
+        try {
+            const result = await removeGalleryImage(req.galleryOwner, req.params.imageId);
+            return sendResult(req, res, result, 'Image deleted');
+        } catch (error) {
+            console.error('Error deleting image:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Error deleting image',
+                error: error.message
+            });
+        }
+    });
+
+    return router;
+};
+
+export default createImageRoutes;
@@ -3,6 +3,7 @@ import mongoose from 'mongoose';
 import Package from '../models/Package.js';
 import Resource from '../models/Resource.js';
 import protectRoute from '../middleware/auth.middleware.js';
+import { requirePermission, isAdmin } from '../middleware/role.middleware.js';
 import dayjs from 'dayjs';
 import utc from 'dayjs/plugin/utc.js';
 import timezone from 'dayjs/plugin/timezone.js';
@@ -10,6 +11,13 @@ import customParseFormat from 'dayjs/plugin/customParseFormat.js';
 import isSameOrBefore from 'dayjs/plugin/isSameOrBefore.js';
 import isSameOrAfter from 'dayjs/plugin/isSameOrAfter.js';
 import Booking from '../models/Booking.js';
+import { getRefundPolicy, validateRefundPolicy, describeRefundPolicy } from '../lib/cancellationPolicy.js';
+import { getDepositPlan, validateDepositRule } from '../lib/deposits.js';
+import { getReschedulePolicy, validateReschedulePolicy, describeReschedulePolicy } from '../lib/reschedules.js';
+import { getRoomChangePolicy, validateRoomChangePolicy, describeRoomChangePolicy } from '../lib/roomChanges.js';
+import { formatNightlyBreakdown } from '../lib/pricing.js';
+import { buildPackageQuote, signQuoteToken, validateResourceCombination } from '../lib/quotes.js';
+import createImageRoutes from './imageRoutes.js';
 
 dayjs.extend(utc);
 dayjs.extend(timezone);
@@ -41,7 +49,7 @@ router.get('/', protectRoute, async (req, res) => {
         }
 
         const packages = await Package.find(filter)
-            .populate('includes.resources.resource', 'name facilityType category basePrice capacity')
+            .populate('includes.resources.resource', 'name facilityType category basePrice capacity totalUnits')
             .select('-__v')
             .sort({ displayOrder: 1, name: 1 });
 
@@ -146,15 +154,15 @@ router.get('/category/:category', protectRoute, async (req, res) => {
 })
 
 // ==================== ADMIN ROUTES ====================
-// Note: Add isAdmin middleware later when implemented
+// These routes require the 'packages:manage' permission (admin, super_admin)
 
 /**
  * @route   GET /api/packages/admin/all
  * @desc    Get all packages (including inactive) for admin panel
- * @access  Admin only (currently just protected, add isAdmin later)
+ * @access  Admin only
  */
 
-router.get('/admin/all', protectRoute, async (req, res) => {
+router.get('/admin/all', protectRoute, requirePermission('packages:manage'), async (req, res) => {
     try {
 
         const packages = await Package.find({}).populate('includes.resources.resource', 'name facilityType category').select('-__v').sort({ category: 1, displayOrder: 1, createdAt: -1 });
@@ -206,7 +214,7 @@ router.get('/:id', protectRoute, async (req, res) => {
         }
 
         const pkg = await Package.findById(id)
-            .populate('includes.resources.resource', 'name facilityType category basePrice capacity amenities images')
+            .populate('includes.resources.resource', 'name facilityType category basePrice capacity totalUnits amenities images')
             .select('-__v');
 
         if (!pkg) {
@@ -217,16 +225,21 @@ router.get('/:id', protectRoute, async (req, res) => {
         }
 
         // Only return active packages to non-admin users
-        if (!pkg.isActive && req.user.role !== 'admin') {
+        if (!pkg.isActive && !isAdmin(req.user)) {
             return res.status(404).json({
                 success: false,
                 message: 'Package not found'
             });
         }
 
+        // Policy lines the app shows, as the refund and reschedule engines apply them
+        const packageObj = pkg.toObject();
+        packageObj.refundPolicyLines = describeRefundPolicy(getRefundPolicy(pkg));
+        packageObj.reschedulePolicyLines = describeReschedulePolicy(getReschedulePolicy(pkg));
+
         return res.status(200).json({
             success: true,
-            data: pkg,
+            data: packageObj,
             message: 'Package fetched successfully'
         });
 
@@ -243,12 +256,12 @@ router.get('/:id', protectRoute, async (req, res) => {
 /**
  * @route   PUT /api/packages/:id
  * @desc    Update package
- * @access  Admin only (currently just protected, add isAdmin later)
+ * @access  Admin only
  * @body    { fields to update }
  * @note    Be careful updating resources - affects existing bookings
  */
 
-router.put('/:id', protectRoute, async (req, res) => {
+router.put('/:id', protectRoute, requirePermission('packages:manage'), async (req, res) => {
 
     try {
         const { id } = req.params;
@@ -270,12 +283,11 @@ router.put('/:id', protectRoute, async (req, res) => {
             });
         }
 
-        // Fields that can be updated
+        // Fields that can be updated (images are managed through /:id/images)
         const allowedUpdates = [
             'name',
             'shortDescription',
             'description',
-            'images',
             'pricing',
             'bookingRules',
             'termsAndConditions',
@@ -305,6 +317,18 @@ router.put('/:id', protectRoute, async (req, res) => {
             }
         }
 
+        // Validate refund / reschedule / room change policies and the deposit rule if they are being updated
+        const policyError = validateRefundPolicy(req.body.bookingRules?.refundPolicy)
+            || validateDepositRule(req.body.pricing?.deposit)
+            || validateReschedulePolicy(req.body.bookingRules?.reschedulePolicy)
+            || validateRoomChangePolicy(req.body.bookingRules?.roomChangePolicy);
+        if (policyError) {
+            return res.status(400).json({
+                success: false,
+                message: policyError
+            });
+        }
+
          // Validate resource IDs if includes.resources is being updated
          if (req.body.includes && req.body.includes.resources) {
             for (const item of req.body.includes.resources) {
@@ -320,6 +344,24 @@ router.put('/:id', protectRoute, async (req, res) => {
             }
         }
 
+        // Check the package as it will be saved - changing the category alone
+        // can leave a resource that can't be booked on its own
+        const resourceIds = (req.body.includes?.resources || pkg.includes.resources)
+            .map(item => item.resource)
+            .filter(Boolean);
+        const includedResources = await Resource.find({ _id: { $in: resourceIds } });
+
+        const category = req.body.category || pkg.category;
+        const combinationError = validateResourceCombination(category === 'rooms_only'
+            ? includedResources.filter(resource => resource.facilityType === 'guest_room')
+            : includedResources);
+        if (combinationError) {
+            return res.status(400).json({
+                success: false,
+                message: combinationError
+            });
+        }
+
         // Apply updates
         requestedUpdates.forEach(field => {
             if (allowedUpdates.includes(field) || sensitiveFields.includes(field)) {
@@ -363,11 +405,11 @@ router.put('/:id', protectRoute, async (req, res) => {
 /**
  * @route   DELETE /api/packages/:id
  * @desc    Deactivate package (soft delete)
- * @access  Admin only (currently just protected, add isAdmin later)
+ * @access  Admin only
  * @note    Won't delete if there are active bookings
  */
 
-router.delete('/:id', protectRoute, async (req, res) => {
+router.delete('/:id', protectRoute, requirePermission('packages:manage'), async (req, res) => {
     try {
         const { id } = req.params;
         
@@ -441,20 +483,21 @@ router.delete('/:id', protectRoute, async (req, res) => {
 
 /**
  * @route   POST /api/packages/:id/calculate-price
- * @desc    Calculate total price for a package based on dates (and room quantity for "rooms_only")
+ * @desc    Calculate total price for a package based on dates (and rooms of each type for "rooms_only")
  * @access  Public (authenticated users)
  * @body    {
  *            checkInDate: "DD-MM-YYYY",
  *            checkOutDate: "DD-MM-YYYY",
- *            roomQuantity: 2 (only for "rooms_only" category),
+ *            rooms: { "<deluxeResourceId>": 2, "<standardResourceId>": 3 } (only for "rooms_only" category),
+ *            roomQuantity: 2 (older app versions - rooms of the package's first room type),
  *            numberOfGuests: 10 (optional, for reference only - not used in calculations)
  *          }
- * @returns { breakdown, totalAmount }
+ * @returns { pricing, available, quote: { token, expiresAt }, ... }
  */
 router.post('/:id/calculate-price', protectRoute, async (req, res) => {
     try {
         const { id } = req.params;
-        const { checkInDate, checkOutDate, roomQuantity, numberOfGuests } = req.body;
+        const { checkInDate, checkOutDate, rooms, roomQuantity, numberOfGuests } = req.body;
         
         // ==================== VALIDATION ====================
         
@@ -468,7 +511,7 @@ router.post('/:id/calculate-price', protectRoute, async (req, res) => {
         
         // Find package and populate resources
         const bookingPackage = await Package.findById(id)
-            .populate('includes.resources.resource', 'name facilityType category basePrice capacity totalUnits');
+            .populate('includes.resources.resource', 'name facilityType category basePrice capacity totalUnits isExclusive canBookAlone');
         
         if (!bookingPackage) {
             return res.status(404).json({
@@ -477,177 +520,67 @@ router.post('/:id/calculate-price', protectRoute, async (req, res) => {
             });
         }
         
-        if (!bookingPackage.isActive) {
-            return res.status(400).json({
-                success: false,
-                message: 'Package is not active'
-            });
-        }
-        
-        // Validate dates are provided
-        if (!checkInDate || !checkOutDate) {
-            return res.status(400).json({
-                success: false,
-                message: 'Please provide checkInDate and checkOutDate in DD-MM-YYYY format'
-            });
-        }
-        
-        // Parse dates using dayjs with UTC
-        const checkIn = dayjs.utc(checkInDate, 'DD-MM-YYYY').startOf('day');
-        const checkOut = dayjs.utc(checkOutDate, 'DD-MM-YYYY').startOf('day');
-        
-        // Validate date format
-        if (!checkIn.isValid() || !checkOut.isValid()) {
-            return res.status(400).json({
-                success: false,
-                message: 'Invalid date format. Use DD-MM-YYYY (e.g., 15-12-2025)'
-            });
-        }
-        
-        // Validate check-out is after check-in
-        if (checkOut.isSameOrBefore(checkIn)) {
-            return res.status(400).json({
-                success: false,
-                message: 'Check-out date must be after check-in date'
-            });
-        }
-        
-        // Check if check-in date is in the past
-        const today = dayjs.utc().startOf('day');
-        if (checkIn.isBefore(today)) {
-            return res.status(400).json({
-                success: false,
-                message: 'Check-in date cannot be in the past'
-            });
-        }
+        // ==================== QUOTE ====================
+        // Dates, booking rules, rooms of each type and nightly pricing (see lib/quotes.js)
         
-        // Calculate number of days
-        const numberOfDays = checkOut.diff(checkIn, 'day');
-        
-        // ==================== VALIDATE BOOKING RULES ====================
-        
-        // Check min/max days
-        if (numberOfDays < bookingPackage.bookingRules.minDays) {
-            return res.status(400).json({
-                success: false,
-                message: `${bookingPackage.name} requires minimum ${bookingPackage.bookingRules.minDays} day(s) booking. You requested ${numberOfDays} day(s).`
-            });
-        }
+        const { quote, error, status } = await buildPackageQuote(bookingPackage, {
+            checkInDate,
+            checkOutDate,
+            rooms,
+            roomQuantity
+        });
         
-        if (numberOfDays > bookingPackage.bookingRules.maxDays) {
-            return res.status(400).json({
+        if (error) {
+            return res.status(status).json({
                 success: false,
-                message: `${bookingPackage.name} allows maximum ${bookingPackage.bookingRules.maxDays} day(s) booking. You requested ${numberOfDays} day(s).`
+                message: error
             });
         }
         
-        // Check advance booking limit
-        const daysUntilCheckIn = checkIn.diff(today, 'day');
-        if (daysUntilCheckIn > bookingPackage.bookingRules.advanceBookingDays) {
-            return res.status(400).json({
-                success: false,
-                message: `${bookingPackage.name} can only be booked up to ${bookingPackage.bookingRules.advanceBookingDays} days in advance. You tried to book ${daysUntilCheckIn} days in advance.`
-            });
-        }
+        const { checkIn, checkOut, numberOfDays, price } = quote;
+        const isRoomsOnly = bookingPackage.category === 'rooms_only';
         
-        // ==================== CALCULATE PRICING ====================
+        const { subtotal, finalAmount } = price;
+        const gstPercentage = price.gst.percentage;
+        const gstAmount = price.gst.amount;
         
-        let subtotal = 0;
-        let pricingDetails = {};
-        
-        // Check if this is "Rooms Only" category (variable quantity)
-        if (bookingPackage.category === 'rooms_only') {
-            // For individual room bookings, quantity is required
-            if (!roomQuantity || roomQuantity < 1) {
-                return res.status(400).json({
-                    success: false,
-                    message: 'Please provide roomQuantity (number of rooms to book)'
-                });
-            }
-            
-            // Find the room resource in the package
-            const roomResource = bookingPackage.includes.resources.find(
-                r => r.resource.facilityType === 'guest_room'
-            );
-            
-            if (!roomResource) {
-                return res.status(500).json({
-                    success: false,
-                    message: 'Package configuration error: No room resource found'
-                });
-            }
-            
-            // Validate quantity doesn't exceed available rooms
-            if (roomQuantity > roomResource.resource.totalUnits) {
-                return res.status(400).json({
-                    success: false,
-                    message: `Only ${roomResource.resource.totalUnits} rooms available. You requested ${roomQuantity} rooms.`
-                });
-            }
-            
-            // Validate against min/max quantity (if set)
-            if (roomResource.minQuantity && roomQuantity < roomResource.minQuantity) {
-                return res.status(400).json({
-                    success: false,
-                    message: `Minimum ${roomResource.minQuantity} room(s) required`
-                });
-            }
-            
-            if (roomResource.maxQuantity && roomQuantity > roomResource.maxQuantity) {
-                return res.status(400).json({
-                    success: false,
-                    message: `Maximum ${roomResource.maxQuantity} room(s) allowed`
-                });
-            }
-            
-            // Calculate: roomPrice × quantity × days
-            const pricePerRoom = roomResource.resource.basePrice;
-            subtotal = pricePerRoom * roomQuantity * numberOfDays;
-            
-            pricingDetails = {
+        const pricingDetails = isRoomsOnly
+            ? {
                 packageType: 'variable',
-                pricePerRoom: pricePerRoom,
-                numberOfRooms: roomQuantity,
+                // Each room type is priced separately: [{ resourceId, name, category, quantity, pricePerRoom, subtotal }]
+                rooms: price.rooms,
+                pricePerRoom: price.rooms.length === 1 ? price.rooms[0].pricePerRoom : null,
+                numberOfRooms: quote.roomQuantity,
                 numberOfDays: numberOfDays,
                 roomsSubtotal: subtotal
-            };
-            
-        } else {
-            // For all other packages: Fixed price per day
-            // Calculate: basePrice × days
-            subtotal = bookingPackage.pricing.basePrice * numberOfDays;
-            
-            pricingDetails = {
+            }
+            : {
                 packageType: 'fixed',
                 pricePerDay: bookingPackage.pricing.basePrice,
                 numberOfDays: numberOfDays,
                 baseSubtotal: subtotal
             };
-        }
-        
-        // Calculate GST
-        const gstPercentage = bookingPackage.pricing.gstPercentage || 18;
-        const gstAmount = Math.round((subtotal * gstPercentage) / 100);
-        
-        // Calculate final amount
-        const finalAmount = subtotal + gstAmount;
+
+        const depositPlan = getDepositPlan(bookingPackage, finalAmount, checkIn.toDate());
         
         // ==================== BUILD RESOURCE LIST ====================
         
+        const chosenQuantity = (item) => quote.rooms
+            .find(room => room.resource._id.equals(item.resource._id))?.quantity || 0;
+
         const includedResources = bookingPackage.includes.resources.map(item => ({
             resourceId: item.resource._id,
             resourceName: item.resource.name,
             facilityType: item.resource.facilityType,
             category: item.resource.category,
-            quantity: bookingPackage.category === 'rooms_only' ? roomQuantity : item.quantity,
+            quantity: isRoomsOnly ? chosenQuantity(item) : item.quantity,
             capacity: item.resource.capacity
         }));
         
         // Calculate total capacity (for informational purposes)
         let totalCapacity = 0;
-        if (bookingPackage.category === 'rooms_only') {
-            const roomResource = bookingPackage.includes.resources.find(r => r.resource.facilityType === 'guest_room');
-            totalCapacity = roomResource ? roomResource.resource.capacity * roomQuantity : 0;
+        if (isRoomsOnly) {
+            totalCapacity = quote.rooms.reduce((sum, room) => sum + (room.resource.capacity * room.quantity), 0);
         } else {
             totalCapacity = bookingPackage.includes.resources.reduce((sum, item) => {
                 return sum + (item.resource.capacity * item.quantity);
@@ -662,7 +595,9 @@ router.post('/:id/calculate-price', protectRoute, async (req, res) => {
                 id: bookingPackage._id,
                 name: bookingPackage.name,
                 category: bookingPackage.category,
-                description: bookingPackage.shortDescription || bookingPackage.description
+                description: bookingPackage.shortDescription || bookingPackage.description,
+                // Exclusive use - nothing else is booked on these dates
+                isExclusive: quote.isExclusive
             },
             dates: {
                 checkInDate: checkIn.format('DD-MM-YYYY'),
@@ -676,8 +611,21 @@ router.post('/:id/calculate-price', protectRoute, async (req, res) => {
                     percentage: gstPercentage,
                     amount: gstAmount
                 },
-                finalAmount
+                finalAmount,
+                nightlyBreakdown: formatNightlyBreakdown(price.nights)
             },
+            // Advance due at booking if the package takes a deposit (null = pay in full)
+            deposit: depositPlan ? {
+                depositAmount: depositPlan.depositAmount,
+                balanceAmount: depositPlan.balanceAmount,
+                balanceDueDate: dayjs(depositPlan.balanceDueDate).format('DD-MM-YYYY')
+            } : null,
+            // Dates are bookable, but units may already be held by other guests
+            available: quote.available,
+            unavailableResources: quote.unavailableResources,
+            conflicts: quote.conflicts,
+            // Present quote.token to create-order to book at this price
+            quote: signQuoteToken(quote, req.user._id),
             includedResources,
             totalCapacity,  // For reference only
             numberOfGuests: numberOfGuests || null,  // Store for reference but not used in calculations
@@ -690,7 +638,12 @@ router.post('/:id/calculate-price', protectRoute, async (req, res) => {
             bookingRules: {
                 minDays: bookingPackage.bookingRules.minDays,
                 maxDays: bookingPackage.bookingRules.maxDays,
-                cancellationPolicy: bookingPackage.bookingRules.cancellationPolicy
+                cancellationPolicy: bookingPackage.bookingRules.cancellationPolicy,
+                refundPolicy: describeRefundPolicy(getRefundPolicy(bookingPackage)),
+                reschedulePolicy: describeReschedulePolicy(getReschedulePolicy(bookingPackage)),
+                roomChangePolicy: bookingPackage.category === 'rooms_only'
+                    ? describeRoomChangePolicy(getRoomChangePolicy(bookingPackage))
+                    : null
             },
             message: 'Price calculated successfully'
         });
@@ -708,12 +661,12 @@ router.post('/:id/calculate-price', protectRoute, async (req, res) => {
 /**
  * @route   POST /api/packages
  * @desc    Create new package
- * @access  Admin only (currently just protected, add isAdmin later)
+ * @access  Admin only
  * @body    { name, category, description, includes, pricing, bookingRules, ... }
  */
 
 
-router.post('/', protectRoute, async (req, res) => {
+router.post('/', protectRoute, requirePermission('packages:manage'), async (req, res) => {
     try {
         const {
             name,
@@ -764,6 +717,7 @@ router.post('/', protectRoute, async (req, res) => {
         }
 
         // Validate that all resource IDs exist and are active
+        const includedResources = [];
         for (const item of includes.resources) {
             if (!item.resource || !item.quantity || item.quantity < 1) {
                 return res.status(400).json({
@@ -786,6 +740,20 @@ router.post('/', protectRoute, async (req, res) => {
                     message: `Cannot add inactive resource: ${resource.name}`
                 });
             }
+
+            includedResources.push(resource);
+        }
+
+        // Resources that can't be booked alone need a companion in the package
+        // (rooms_only packages sell just the room)
+        const combinationError = validateResourceCombination(category === 'rooms_only'
+            ? includedResources.filter(resource => resource.facilityType === 'guest_room')
+            : includedResources);
+        if (combinationError) {
+            return res.status(400).json({
+                success: false,
+                message: combinationError
+            });
         }
 
         // Validate pricing
@@ -796,6 +764,18 @@ router.post('/', protectRoute, async (req, res) => {
             });
         }
 
+        // Validate refund / reschedule / room change policies and the deposit rule
+        const policyError = validateRefundPolicy(bookingRules?.refundPolicy)
+            || validateDepositRule(pricing.deposit)
+            || validateReschedulePolicy(bookingRules?.reschedulePolicy)
+            || validateRoomChangePolicy(bookingRules?.roomChangePolicy);
+        if (policyError) {
+            return res.status(400).json({
+                success: false,
+                message: policyError
+            });
+        }
+
         // Check for duplicate package name
         const existingPackage = await Package.findOne({ name });
         if (existingPackage) {
@@ -828,13 +808,15 @@ router.post('/', protectRoute, async (req, res) => {
             },
             pricing: {
                 basePrice: pricing.basePrice,
-                gstPercentage: pricing.gstPercentage || 18
+                gstPercentage: pricing.gstPercentage || 18,
+                ...(pricing.deposit && { deposit: pricing.deposit })
             },
             bookingRules: {
                 minDays: bookingRules?.minDays || 1,
                 maxDays: bookingRules?.maxDays || 7,
                 advanceBookingDays: bookingRules?.advanceBookingDays || 30,
-                cancellationPolicy: bookingRules?.cancellationPolicy || 'No refund within 7 days of check-in'
+                cancellationPolicy: bookingRules?.cancellationPolicy || 'No refund within 7 days of check-in',
+                ...(bookingRules?.refundPolicy && { refundPolicy: bookingRules.refundPolicy })
             },
             termsAndConditions: termsAndConditions || [],
             images: images || [],
@@ -875,4 +857,13 @@ router.post('/', protectRoute, async (req, res) => {
 
 
 
+// ==================== IMAGES ====================
+// Package photos: attach, caption, reorder, set cover, delete - see routes/imageRoutes.js
+router.use('/:id/images', createImageRoutes({
+    model: Package,
+    purpose: 'packages',
+    permission: 'packages:manage',
+    label: 'Package'
+}));
+
 export default router;
\ No newline at end of file
@@ -0,0 +1,245 @@
+import express from 'express';
+import crypto from 'crypto';
+import Booking from '../models/Booking.js';
+import WebhookEvent from '../models/WebhookEvent.js';
+import {
+    verifyWebhookSignature,
+    findBookingByOrderId,
+    confirmBookingPayment,
+    confirmBalancePayment,
+    handleLatePayment,
+    handleCancelledPayment,
+    markPaymentFailed
+} from '../lib/payments.js';
+import { markRefundProcessed, markRefundFailed } from '../lib/refunds.js';
+import { completeChangePayment } from '../lib/bookingChanges.js';
+
+const router = express.Router();
+
+// ==================== EVENT HANDLERS ====================
+// Each handler returns a short result string stored on the WebhookEvent
+
+/**
+ * Find the booking a refund belongs to
+ */
+const findBookingForRefund = (refund) => {
+    return Booking.findOne({
+        $or: [
+            { 'payments.refundId': refund.id },
+            { 'payments.paymentId': refund.payment_id },
+            { 'payment.paymentId': refund.payment_id }
+        ]
+    });
+};
+
+/**
+ * payment.captured / order.paid - confirm the booking (or its balance / top-up payment)
+ * (same end state as POST /api/bookings/verify-payment)
+ */
+const handlePaymentCaptured = async (payment) => {
+    const booking = await findBookingByOrderId(payment.order_id);
+
+    if (!booking) {
+        return 'ignored: no booking for order';
+    }
+
+    const paymentDetails = {
+        paymentId: payment.id,
+        method: payment.method,
+        paidAt: payment.created_at ? new Date(payment.created_at * 1000) : new Date()
+    };
+
+    // Top-up of a date or room change (POST /api/bookings/:bookingId/reschedule or /rooms)
+    if (booking.payment.orderId !== payment.order_id) {
+        const changed = await completeChangePayment(booking, { orderId: payment.order_id, ...paymentDetails });
+        if (changed) {
+            return `top-up payment recorded (booking is ${changed.status})`;
+        }
+    }
+
+    // Balance order created by pay-balance
+    if (booking.payment.orderId !== payment.order_id) {
+        const updated = await confirmBalancePayment(booking, { orderId: payment.order_id, ...paymentDetails });
+        return updated ? `balance payment recorded (booking is ${updated.status})` : 'ignored: unknown balance order';
+    }
+
+    if (booking.payment.paymentId === payment.id) {
+        return 'ignored: already paid';
+    }
+
+    if (booking.status === 'expired') {
+        const updated = await handleLatePayment(booking, paymentDetails);
+        return updated.status === 'confirmed' ? 'confirmed: late payment' : `late payment, booking is ${updated.status}`;
+    }
+
+    // Cancelled while the guest was on the checkout - keep the booking cancelled, refund the money
+    if (booking.status === 'cancelled') {
+        const updated = await handleCancelledPayment(booking, paymentDetails);
+        return `refunded: booking is ${updated.status}`;
+    }
+
+    const confirmed = await confirmBookingPayment(booking, paymentDetails);
+    return confirmed ? 'confirmed' : `ignored: booking is ${booking.status}`;
+};
+
+/**
+ * payment.failed - record the failed attempt
+ */
+const handlePaymentFailed = async (payment) => {
+    if (!payment?.order_id) {
+        return 'ignored: no payment entity';
+    }
+
+    const booking = await findBookingByOrderId(payment.order_id);
+
+    if (!booking) {
+        return 'ignored: no booking for order';
+    }
+
+    if (!booking.payment) {
+        return 'ignored: booking has no payment';
+    }
+
+    const updated = await markPaymentFailed(booking, { orderId: payment.order_id });
+    return updated ? 'payment failed' : `ignored: payment is ${booking.payment.status}`;
+};
+
+/**
+ * refund.processed - mark refund as processed on the booking
+ */
+const handleRefundProcessed = async (refund) => {
+    const booking = await findBookingForRefund(refund);
+
+    if (!booking) {
+        return 'ignored: no booking for payment';
+    }
+
+    await markRefundProcessed(booking, {
+        refundId: refund.id,
+        amount: refund.amount / 100 // Razorpay sends paise
+    });
+
+    return 'refund processed';
+};
+
+/**
+ * refund.failed - mark refund as failed so an admin can retry
+ */
+const handleRefundFailed = async (refund) => {
+    const booking = await findBookingForRefund(refund);
+
+    if (!booking) {
+        return 'ignored: no booking for payment';
+    }
+
+    await markRefundFailed(booking, {
+        refundId: refund.id,
+        amount: refund.amount / 100,
+        reason: refund.error_description || 'Refund failed at Razorpay'
+    });
+
+    return 'refund failed';
+};
+
+// ==================== WEBHOOK ROUTE ====================
+
+/**
+ * @route   POST /api/payments/webhook
+ * @desc    Razorpay webhook (payment.captured, payment.failed, order.paid, refund.processed, refund.failed)
+ * @access  Public - authenticated by X-Razorpay-Signature (HMAC of raw body)
+ * @note    Needs req.rawBody (set by express.json verify hook in index.js)
+ *          Each event is processed once, keyed on X-Razorpay-Event-Id
+ */
+router.post('/webhook', async (req, res) => {
+    const signature = req.header('X-Razorpay-Signature');
+
+    if (!verifyWebhookSignature(req.rawBody, signature)) {
+        return res.status(400).json({
+            success: false,
+            message: 'Invalid webhook signature'
+        });
+    }
+
+    const { event, payload } = req.body;
+    const eventId = req.header('X-Razorpay-Event-Id')
+        || crypto.createHash('sha256').update(req.rawBody).digest('hex');
+
+    const payment = payload?.payment?.entity;
+    const refund = payload?.refund?.entity;
+
+    // ==================== IDEMPOTENCY ====================
+    // Claim the event first - a duplicate delivery fails on the unique index
+
+    let webhookEvent;
+    try {
+        webhookEvent = await WebhookEvent.create({
+            eventId,
+            event,
+            orderId: payment?.order_id || payload?.order?.entity?.id || null,
+            paymentId: payment?.id || refund?.payment_id || null
+        });
+    } catch (error) {
+        if (error.code === 11000) {
+            return res.status(200).json({
+                success: true,
+                message: 'Event already processed'
+            });
+        }
+        console.error('Error recording webhook event:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Error processing webhook',
+            error: error.message
+        });
+    }
+
+    try {
+        let result;
+
+        switch (event) {
+            case 'payment.captured':
+            case 'order.paid':
+                result = payment
+                    ? await handlePaymentCaptured(payment)
+                    : 'ignored: no payment entity';
+                break;
+            case 'payment.failed':
+                result = await handlePaymentFailed(payment);
+                break;
+            case 'refund.processed':
+                result = refund
+                    ? await handleRefundProcessed(refund)
+                    : 'ignored: no refund entity';
+                break;
+            case 'refund.failed':
+                result = refund
+                    ? await handleRefundFailed(refund)
+                    : 'ignored: no refund entity';
+                break;
+            default:
+                result = 'ignored: unhandled event';
+        }
+
+        webhookEvent.result = result;
+        await webhookEvent.save();
+
+        return res.status(200).json({
+            success: true,
+            message: result
+        });
+
+    } catch (error) {
+        console.error(`Error processing webhook ${event}:`, error);
+
+        // Un-claim so Razorpay's retry gets processed
+        await WebhookEvent.deleteOne({ _id: webhookEvent._id });
+
+        return res.status(500).json({
+            success: false,
+            message: 'Error processing webhook',
+            error: error.message
+        });
+    }
+});
+
+export default router;
@@ -0,0 +1,372 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import dayjs from 'dayjs';
+import utc from 'dayjs/plugin/utc.js';
+import customParseFormat from 'dayjs/plugin/customParseFormat.js';
+import PricingRule from '../models/PricingRule.js';
+import Package from '../models/Package.js';
+import Resource from '../models/Resource.js';
+import protectRoute from '../middleware/auth.middleware.js';
+import { requirePermission } from '../middleware/role.middleware.js';
+
+dayjs.extend(utc);
+dayjs.extend(customParseFormat);
+
+const router = express.Router();
+
+// ==================== HELPERS ====================
+
+/**
+ * Parse a DD-MM-YYYY date to UTC start of day
+ * @returns {Date|null|undefined} Date, null for empty, undefined if invalid
+ */
+const parseRuleDate = (value) => {
+    if (value === null || value === '') return null;
+    const date = dayjs.utc(value, 'DD-MM-YYYY', true);
+    return date.isValid() ? date.startOf('day').toDate() : undefined;
+};
+
+/**
+ * Lowest nightly base price a rule with this scope can apply to
+ * Resource rules only price rooms (rooms_only), global rules price everything.
+ * @returns {Promise<number|null>} null if nothing is priced in the scope
+ */
+const getLowestBasePrice = async ({ package: packageId, resource: resourceId }) => {
+    if (resourceId) {
+        const resource = await Resource.findById(resourceId).select('basePrice');
+        return resource ? resource.basePrice : null;
+    }
+
+    let prices;
+
+    if (packageId) {
+        const pkg = await Package.findById(packageId).populate('includes.resources.resource', 'basePrice');
+        prices = pkg?.category === 'rooms_only'
+            ? pkg.includes.resources.map(item => item.resource?.basePrice)
+            : [pkg?.pricing?.basePrice];
+    } else {
+        const [resources, packages] = await Promise.all([
+            Resource.find({ facilityType: 'guest_room' }).select('basePrice'),
+            Package.find({ category: { $ne: 'rooms_only' } }).select('pricing.basePrice')
+        ]);
+        prices = [...resources.map(item => item.basePrice), ...packages.map(item => item.pricing?.basePrice)];
+    }
+
+    prices = prices.filter(price => typeof price === 'number');
+    return prices.length > 0 ? Math.min(...prices) : null;
+};
+
+/**
+ * Validate and convert a pricing rule request body
+ * Only fields present in the body are returned (so it works for updates too)
+ * @param {object} current - the rule being updated (its scope and adjustment count for the checks)
+ * @returns {Promise<object>} { data } or { error, status }
+ */
+const parseRuleBody = async (body, current = null) => {
+    const data = {};
+
+    for (const field of ['name', 'description', 'daysOfWeek', 'adjustment', 'priority', 'exclusive', 'isActive']) {
+        if (body[field] !== undefined) data[field] = body[field];
+    }
+
+    for (const field of ['startDate', 'endDate']) {
+        if (body[field] !== undefined) {
+            const date = parseRuleDate(body[field]);
+            if (date === undefined) {
+                return { error: `Invalid ${field}. Use DD-MM-YYYY`, status: 400 };
+            }
+            data[field] = date;
+        }
+    }
+
+    if (body.specificDates !== undefined) {
+        if (!Array.isArray(body.specificDates)) {
+            return { error: 'specificDates must be an array of DD-MM-YYYY dates', status: 400 };
+        }
+        const dates = body.specificDates.map(parseRuleDate);
+        if (dates.some(date => !date)) {
+            return { error: 'Invalid date in specificDates. Use DD-MM-YYYY', status: 400 };
+        }
+        data.specificDates = dates;
+    }
+
+    if (body.adjustment !== undefined) {
+        const { type, value } = body.adjustment || {};
+        if (!['percentage', 'absolute'].includes(type) || typeof value !== 'number') {
+            return { error: 'adjustment must be { type: "percentage" | "absolute", value: number }', status: 400 };
+        }
+        // A night must keep a price - Razorpay can't take a 0 order
+        if (type === 'percentage' && value <= -100) {
+            return { error: 'Percentage adjustment must be above -100', status: 400 };
+        }
+    }
+
+    // Scope - a package or a resource (or neither for a global rule)
+    if (body.package !== undefined) {
+        if (body.package && !(await Package.exists({ _id: body.package }))) {
+            return { error: `Package not found: ${body.package}`, status: 404 };
+        }
+        data.package = body.package || null;
+    }
+
+    if (body.resource !== undefined) {
+        if (body.resource && !(await Resource.exists({ _id: body.resource }))) {
+            return { error: `Resource not found: ${body.resource}`, status: 404 };
+        }
+        data.resource = body.resource || null;
+    }
+
+    // A discount in ₹ can't be the whole price of a night it applies to
+    const adjustment = data.adjustment || current?.adjustment;
+
+    if (adjustment?.type === 'absolute' && adjustment.value < 0) {
+        const lowestPrice = await getLowestBasePrice({
+            package: data.package !== undefined ? data.package : current?.package,
+            resource: data.resource !== undefined ? data.resource : current?.resource
+        });
+
+        if (lowestPrice !== null && -adjustment.value >= lowestPrice) {
+            return {
+                error: `Adjustment of ₹${adjustment.value} would make a night free (lowest base price it applies to is ₹${lowestPrice})`,
+                status: 400
+            };
+        }
+    }
+
+    return { data };
+};
+
+/**
+ * Rule with dates formatted for the admin app
+ */
+const formatRule = (rule) => {
+    const ruleObj = rule.toObject();
+    const format = (date) => (date ? dayjs.utc(date).format('DD-MM-YYYY') : null);
+
+    return {
+        ...ruleObj,
+        startDate: format(ruleObj.startDate),
+        endDate: format(ruleObj.endDate),
+        specificDates: ruleObj.specificDates.map(format)
+    };
+};
+
+// ==================== ADMIN ROUTES ====================
+// These routes require the 'pricing:manage' permission (admin, super_admin)
+
+/**
+ * @route   GET /api/pricing-rules
+ * @desc    Get pricing rules
+ * @access  Admin only
+ * @query   package, resource (optional) - rules scoped to it (plus global rules)
+ * @query   includeInactive (optional) - "true" to include deactivated rules
+ */
+router.get('/', protectRoute, requirePermission('pricing:manage'), async (req, res) => {
+    try {
+        const { package: packageId, resource, includeInactive } = req.query;
+
+        const filter = {};
+
+        if (includeInactive !== 'true') {
+            filter.isActive = true;
+        }
+
+        if (packageId || resource) {
+            filter.$or = [{ package: null, resource: null }];
+            if (packageId) filter.$or.push({ package: packageId });
+            if (resource) filter.$or.push({ resource });
+        }
+
+        const rules = await PricingRule.find(filter)
+            .populate('package', 'name category')
+            .populate('resource', 'name facilityType category')
+            .sort({ priority: -1, createdAt: -1 });
+
+        return res.status(200).json({
+            success: true,
+            data: rules.map(formatRule),
+            count: rules.length,
+            message: 'Pricing rules fetched successfully'
+        });
+
+    } catch (error) {
+        console.error('Error fetching pricing rules:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching pricing rules',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * @route   POST /api/pricing-rules
+ * @desc    Create pricing rule
+ * @access  Admin only
+ * @body    {
+ *            name, description,
+ *            package | resource (optional - omit both for a global rule),
+ *            startDate, endDate: "DD-MM-YYYY" (optional),
+ *            daysOfWeek: [5, 6] (optional, 0 = Sunday),
+ *            specificDates: ["DD-MM-YYYY", ...] (optional),
+ *            adjustment: { type: "percentage" | "absolute", value: 25 },
+ *            priority, exclusive
+ *          }
+ */
+router.post('/', protectRoute, requirePermission('pricing:manage'), async (req, res) => {
+    try {
+        if (!req.body.name || !req.body.adjustment) {
+            return res.status(400).json({
+                success: false,
+                message: 'Please provide name and adjustment'
+            });
+        }
+
+        const { data, error, status } = await parseRuleBody(req.body);
+
+        if (error) {
+            return res.status(status).json({
+                success: false,
+                message: error
+            });
+        }
+
+        const rule = await PricingRule.create(data);
+
+        return res.status(201).json({
+            success: true,
+            message: 'Pricing rule created successfully',
+            data: formatRule(rule)
+        });
+
+    } catch (error) {
+        console.error('Error creating pricing rule:', error);
+
+        if (error.name === 'ValidationError') {
+            const messages = Object.values(error.errors).map(err => err.message);
+            return res.status(400).json({
+                success: false,
+                message: 'Validation error',
+                errors: messages
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Error creating pricing rule',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * @route   PUT /api/pricing-rules/:id
+ * @desc    Update pricing rule
+ * @access  Admin only
+ * @body    { fields to update }
+ * @note    Existing bookings keep the price they were booked at
+ */
+router.put('/:id', protectRoute, requirePermission('pricing:manage'), async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid pricing rule ID'
+            });
+        }
+
+        const rule = await PricingRule.findById(id);
+
+        if (!rule) {
+            return res.status(404).json({
+                success: false,
+                message: 'Pricing rule not found'
+            });
+        }
+
+        const { data, error, status } = await parseRuleBody(req.body, rule);
+
+        if (error) {
+            return res.status(status).json({
+                success: false,
+                message: error
+            });
+        }
+
+        rule.set(data);
+        await rule.save();
+
+        return res.status(200).json({
+            success: true,
+            message: 'Pricing rule updated successfully',
+            data: formatRule(rule)
+        });
+
+    } catch (error) {
+        console.error('Error updating pricing rule:', error);
+
+        if (error.name === 'ValidationError') {
+            const messages = Object.values(error.errors).map(err => err.message);
+            return res.status(400).json({
+                success: false,
+                message: 'Validation error',
+                errors: messages
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Error updating pricing rule',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * @route   DELETE /api/pricing-rules/:id
+ * @desc    Deactivate pricing rule (soft delete)
+ * @access  Admin only
+ */
+router.delete('/:id', protectRoute, requirePermission('pricing:manage'), async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid pricing rule ID'
+            });
+        }
+
+        const rule = await PricingRule.findByIdAndUpdate(
+            id,
+            { $set: { isActive: false } },
+            { new: true }
+        );
+
+        if (!rule) {
+            return res.status(404).json({
+                success: false,
+                message: 'Pricing rule not found'
+            });
+        }
+
+        return res.status(200).json({
+            success: true,
+            message: 'Pricing rule deactivated successfully',
+            data: formatRule(rule)
+        });
+
+    } catch (error) {
+        console.error('Error deactivating pricing rule:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error deactivating pricing rule',
+            error: error.message
+        });
+    }
+});
+
+export default router;
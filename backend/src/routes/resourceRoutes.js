@@ -3,6 +3,10 @@ import Resource from '../models/Resource.js';
 import Booking from '../models/Booking.js';
 import mongoose from 'mongoose';
 import protectRoute  from '../middleware/auth.middleware.js';
+import { requirePermission, isAdmin } from '../middleware/role.middleware.js';
+import { parseStayDates, validateStayRules, checkResourceAvailability, validateResourceCombination } from '../lib/quotes.js';
+import createImageRoutes from './imageRoutes.js';
+import { offerReleasedUnits } from '../lib/waitlist.js';
 import dayjs from 'dayjs';
 import utc from 'dayjs/plugin/utc.js';
 import customParseFormat from 'dayjs/plugin/customParseFormat.js';
@@ -167,7 +171,7 @@ router.get('/:id', protectRoute, async (req, res) => {
         }
 
         // Only return active resources to non-admin users
-        if (!resource.isActive && req.user.role !== 'admin') {
+        if (!resource.isActive && !isAdmin(req.user)) {
             return res.status(404).json({
                 success: false,
                 message: 'Resource not found'
@@ -195,7 +199,7 @@ router.get('/:id', protectRoute, async (req, res) => {
  * @route   POST /api/resources/check-availability
  * @desc    Check availability of specific resource for date range
  * @access  Public (authenticated users)
- * @body    { resourceId, checkInDate, checkOutDate, quantity }
+ * @body    { resources: [{ resourceId, quantity }], checkInDate, checkOutDate }
  */
 router.post('/check-availability', protectRoute, async (req, res) => {
     try {
@@ -211,46 +215,22 @@ router.post('/check-availability', protectRoute, async (req, res) => {
             });
         }
 
-        // Validate dates are provided
-        if (!checkInDate || !checkOutDate) {
-            return res.status(400).json({
-                success: false,
-                message: 'Please provide checkInDate and checkOutDate'
-            });
-        }
-
-        // Parse dates using dayjs with UTC
-        const checkIn = dayjs.utc(checkInDate, 'DD-MM-YYYY').startOf('day');
-        const checkOut = dayjs.utc(checkOutDate, 'DD-MM-YYYY').startOf('day');
-
-        // Validate date format
-        if (!checkIn.isValid() || !checkOut.isValid()) {
-            return res.status(400).json({
-                success: false,
-                message: 'Invalid date format. Use DD-MM-YYYY (e.g., 15-12-2025)'
-            });
-        }
+        // Same date checks as package quotes (see lib/quotes.js)
+        const stay = parseStayDates(checkInDate, checkOutDate);
 
-        // Validate check-out is after check-in
-        if (checkOut.isSameOrBefore(checkIn)) {
-            return res.status(400).json({
+        if (stay.error) {
+            return res.status(stay.status).json({
                 success: false,
-                message: 'Check-out date must be after check-in date'
+                message: stay.error
             });
         }
 
-        // Check if check-in date is in the past
-        const today = dayjs.utc().startOf('day');
-        if (checkIn.isBefore(today)) {
-            return res.status(400).json({
-                success: false,
-                message: 'Check-in date cannot be in the past'
-            });
-        }
+        const { checkIn, checkOut } = stay;
 
         // ==================== CHECK AVAILABILITY FOR EACH RESOURCE ====================
 
         const availabilityResults = [];
+        const requestedResources = [];
         let allAvailable = true;
 
         for (const item of resources) {
@@ -264,6 +244,13 @@ router.post('/check-availability', protectRoute, async (req, res) => {
                 });
             }
 
+            if (!mongoose.Types.ObjectId.isValid(resourceId)) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Invalid resource ID: ${resourceId}`
+                });
+            }
+
             // Find resource in database
             const resource = await Resource.findById(resourceId);
 
@@ -284,76 +271,33 @@ router.post('/check-availability', protectRoute, async (req, res) => {
 
             // ==================== VALIDATE BOOKING RULES ====================
 
-            // Calculate number of days
-            const requestedDays = checkOut.diff(checkIn, 'day');
-
-            // Check minimum booking days
-            if (requestedDays < resource.minBookingDays) {
-                return res.status(400).json({
-                    success: false,
-                    message: `${resource.name} requires minimum ${resource.minBookingDays} day(s) booking. You requested ${requestedDays} day(s).`
-                });
-            }
-
-            // Check maximum booking days
-            if (requestedDays > resource.maxBookingDays) {
-                return res.status(400).json({
-                    success: false,
-                    message: `${resource.name} allows maximum ${resource.maxBookingDays} day(s) booking. You requested ${requestedDays} day(s).`
-                });
-            }
+            const ruleError = validateStayRules(resource.name, {
+                minDays: resource.minBookingDays,
+                maxDays: resource.maxBookingDays,
+                advanceBookingDays: resource.advanceBookingDays
+            }, stay);
 
-            // Check advance booking limit
-            const daysUntilCheckIn = checkIn.diff(today, 'day');
-            if (daysUntilCheckIn > resource.advanceBookingDays) {
+            if (ruleError) {
                 return res.status(400).json({
                     success: false,
-                    message: `${resource.name} can only be booked up to ${resource.advanceBookingDays} days in advance. You tried to book ${daysUntilCheckIn} days in advance.`
+                    message: ruleError
                 });
             }
 
-            // ==================== FIND OVERLAPPING BOOKINGS ====================
-
-            // Two bookings overlap if:
-            // checkOutA > checkInB AND checkInA < checkOutB
-            // Example:
-            // Booking A: 15-17 Jan
-            // Booking B: 16-18 Jan
-            // These overlap because: 17 > 16 AND 15 < 18
-
-            // Convert dayjs objects to Date objects for MongoDB query
-            const checkInDate = checkIn.toDate();
-            const checkOutDate = checkOut.toDate();
-
-            const overlappingBookings = await Booking.find({
-                'resources.resource': resourceId,
-                status: { $in: ['confirmed', 'checked_in'] }, // Only count active bookings
-                checkInDate: { $lt: checkOutDate },  // Booking starts before our check-out
-                checkOutDate: { $gt: checkInDate }   // Booking ends after our check-in
-            });
-
-            // ==================== CALCULATE BOOKED UNITS ====================
-
-            let bookedUnits = 0;
+            requestedResources.push(resource);
 
-            // Loop through each overlapping booking
-            overlappingBookings.forEach(booking => {
-                // Loop through resources in each booking
-                booking.resources.forEach(bookingResource => {
-                    // If this booking includes our resource, add the quantity
-                    if (bookingResource.resource.toString() === resourceId) {
-                        bookedUnits += bookingResource.quantity;
-                    }
-                });
-            });
-
-            // ==================== CALCULATE AVAILABLE UNITS ====================
+            // ==================== AVAILABLE UNITS ====================
+            // From the inventory ledger - counts pending holds too
+            // Exclusive resources are only free when no unit is held at all
 
-            const availableUnits = resource.totalUnits - bookedUnits;
-            const isAvailable = availableUnits >= quantity;
+            const [availability] = await checkResourceAvailability(
+                [{ resource, quantity: resource.isExclusive ? resource.totalUnits : quantity }],
+                checkIn,
+                checkOut
+            );
 
             // If not available, set overall flag to false
-            if (!isAvailable) {
+            if (!availability.isAvailable) {
                 allAvailable = false;
             }
 
@@ -365,10 +309,11 @@ router.post('/check-availability', protectRoute, async (req, res) => {
                 facilityType: resource.facilityType,
                 category: resource.category,
                 requestedQuantity: quantity,
+                isExclusive: resource.isExclusive,
                 totalUnits: resource.totalUnits,
-                bookedUnits: bookedUnits,
-                availableUnits: availableUnits,
-                isAvailable: isAvailable,
+                bookedUnits: availability.bookedUnits,
+                availableUnits: availability.available,
+                isAvailable: availability.isAvailable,
                 pricePerUnit: resource.basePrice,
                 capacity: resource.capacity,
                 amenities: resource.amenities,
@@ -376,12 +321,21 @@ router.post('/check-availability', protectRoute, async (req, res) => {
             });
         }
 
+        // Resources that can't be booked alone need a companion
+        const combinationError = validateResourceCombination(requestedResources);
+        if (combinationError) {
+            return res.status(400).json({
+                success: false,
+                message: combinationError
+            });
+        }
+
         return res.status(200).json({
             success: true,
             available: allAvailable,
             checkInDate: checkIn.format('DD-MM-YYYY'),
             checkOutDate: checkOut.format('DD-MM-YYYY'),
-            numberOfDays: checkOut.diff(checkIn, 'day'),
+            numberOfDays: stay.numberOfDays,
             results: availabilityResults
         });
     } catch (error) {
@@ -395,7 +349,7 @@ router.post('/check-availability', protectRoute, async (req, res) => {
 });
 
 // ==================== ADMIN ROUTES ====================
-// These routes require admin privileges
+// These routes require the 'resources:manage' permission (admin, super_admin)
 
 /**
  * @route   POST /api/resources
@@ -403,7 +357,7 @@ router.post('/check-availability', protectRoute, async (req, res) => {
  * @access  Admin only
  * @body    { name, description, facilityType, basePrice, capacity, totalUnits, ... }
  */
-router.post('/', protectRoute, async (req, res) => {
+router.post('/', protectRoute, requirePermission('resources:manage'), async (req, res) => {
     try {
         const {
             name,
@@ -521,7 +475,7 @@ router.post('/', protectRoute, async (req, res) => {
  * @access  Admin only
  * @body    { fields to update }
  */
-router.put('/:id', protectRoute, async (req, res) => {
+router.put('/:id', protectRoute, requirePermission('resources:manage'), async (req, res) => {
     try {
         const { id } = req.params;
 
@@ -540,12 +494,11 @@ router.put('/:id', protectRoute, async (req, res) => {
             });
         }
 
-        // Fields that can be updated
+        // Fields that can be updated (images are managed through /:id/images)
         const allowedUpdates = [
             'name',
             'description',
             'shortDescription',
-            'images',
             'basePrice',
             'capacity',
             'totalUnits',
@@ -570,6 +523,8 @@ router.put('/:id', protectRoute, async (req, res) => {
                 message: `Cannot update ${restrictedFields.join(', ')} as it would affect existing bookings`
             });
         }
+        const previousUnits = resource.isActive ? resource.totalUnits : 0;
+
         requestedUpdates.forEach(field => {
             if (allowedUpdates.includes(field)) {
                 resource[field] = req.body[field];
@@ -579,6 +534,11 @@ router.put('/:id', protectRoute, async (req, res) => {
         // Save updated resource
         await resource.save();
 
+        // More units to sell (or the resource is back) - offer them to the waitlist
+        if (resource.isActive && resource.totalUnits > previousUnits) {
+            await offerReleasedUnits([{ resource: resource._id }]);
+        }
+
         return res.status(200).json({
             success: true,
             message: 'Resource updated successfully',
@@ -608,7 +568,7 @@ router.put('/:id', protectRoute, async (req, res) => {
  * @desc    Deactivate resource (soft delete)
  * @access  Admin only
  */
-router.delete('/:id', protectRoute, async (req, res) => {
+router.delete('/:id', protectRoute, requirePermission('resources:manage'), async (req, res) => {
     try {
         const { id } = req.params;
 
@@ -666,7 +626,7 @@ router.delete('/:id', protectRoute, async (req, res) => {
  * @desc    Get all resources (including inactive) for admin panel
  * @access  Admin only
  */
-router.get('/admin/all', protectRoute, async (req, res) => {
+router.get('/admin/all', protectRoute, requirePermission('resources:manage'), async (req, res) => {
     try {
         const resources = await Resource.find({}).select('-__v').sort({
             facilityType: 1,
@@ -701,4 +661,13 @@ router.get('/admin/all', protectRoute, async (req, res) => {
     }
 });
 
+// ==================== IMAGES ====================
+// Resource photos: attach, caption, reorder, set cover, delete - see routes/imageRoutes.js
+router.use('/:id/images', createImageRoutes({
+    model: Resource,
+    purpose: 'rooms',
+    permission: 'resources:manage',
+    label: 'Resource'
+}));
+
 export default router;
\ No newline at end of file
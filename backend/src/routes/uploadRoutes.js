@@ -0,0 +1,101 @@
+import express from 'express';
+import protectRoute from '../middleware/auth.middleware.js';
+import { hasPermission, requirePermission } from '../middleware/role.middleware.js';
+import { UPLOAD_FOLDERS } from '../lib/cloudinary.js';
+import { getImageStorage } from '../lib/imageStorage.js';
+import { findOrphanedImages } from '../lib/images.js';
+
+const router = express.Router();
+
+// Who may upload into each folder (null = any logged-in user)
+const UPLOAD_PERMISSIONS = {
+    avatars: null,
+    id_proofs: null,
+    rooms: 'resources:manage',
+    packages: 'packages:manage',
+};
+
+// ==================== SIGNED UPLOADS ====================
+
+/**
+ * @route   GET /api/uploads/signature
+ * @desc    Signature for uploading an image straight from the app to Cloudinary
+ * @access  Private (rooms: resources:manage, packages: packages:manage)
+ * @query   purpose - "avatars" | "rooms" | "packages" | "id_proofs"
+ * @note    The app posts the file to https://api.cloudinary.com/v1_1/{cloudName}/image/upload
+ *          with api_key, timestamp, folder, signature (and type, for ID proofs).
+ *          Profile photos are normally sent through PUT /api/auth/avatar instead.
+ */
+router.get('/signature', protectRoute, async (req, res) => {
+    try {
+        const { purpose } = req.query;
+
+        if (!UPLOAD_FOLDERS[purpose]) {
+            return res.status(400).json({
+                success: false,
+                message: `Invalid purpose. Must be one of: ${Object.keys(UPLOAD_FOLDERS).join(', ')}`
+            });
+        }
+
+        const permission = UPLOAD_PERMISSIONS[purpose];
+        if (permission && !hasPermission(req.user, permission)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Forbidden - You do not have access to this resource'
+            });
+        }
+
+        const signature = getImageStorage().signUpload(purpose);
+        if (!signature) {
+            return res.status(501).json({
+                success: false,
+                message: 'Direct uploads are not available with the current image storage'
+            });
+        }
+
+        return res.status(200).json({
+            success: true,
+            data: signature,
+            message: 'Upload signature generated successfully'
+        });
+
+    } catch (error) {
+        console.error('Error generating upload signature:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Failed to generate upload signature',
+            error: error.message
+        });
+    }
+});
+
+// ==================== ORPHANED IMAGES ====================
+
+/**
+ * @route   GET /api/uploads/orphans
+ * @desc    Uploaded images that no room, package or user refers to
+ * @access  Admin only
+ * @note    Nothing is deleted here - the nightly cleanup job removes them
+ *          (images uploaded in the last 24 hours are left out)
+ */
+router.get('/orphans', protectRoute, requirePermission('resources:manage'), async (req, res) => {
+    try {
+        const orphans = await findOrphanedImages();
+
+        return res.status(200).json({
+            success: true,
+            data: orphans,
+            count: orphans.length
+        });
+
+    } catch (error) {
+        console.error('Error finding orphaned images:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Error finding orphaned images',
+            error: error.message
+        });
+    }
+});
+
+export default router;
@@ -0,0 +1,267 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import Waitlist from '../models/Waitlist.js';
+import protectRoute from '../middleware/auth.middleware.js';
+import { requirePermission } from '../middleware/role.middleware.js';
+import { signQuoteToken } from '../lib/quotes.js';
+import { formatNightlyBreakdown } from '../lib/pricing.js';
+import {
+    joinWaitlist,
+    getWaitlistPosition,
+    formatWaitlistEntry,
+    quoteWaitlistOffer,
+    leaveWaitlist,
+    getOfferTtlMinutes
+} from '../lib/waitlist.js';
+
+const router = express.Router();
+
+// ==================== PUBLIC ROUTES (USER) ====================
+
+/**
+ * @route   POST /api/waitlist
+ * @desc    Join the waitlist for a package stay that is sold out
+ * @access  Private (authenticated users)
+ * @body    {
+ *            packageId: ObjectId,
+ *            checkInDate: "DD-MM-YYYY",
+ *            checkOutDate: "DD-MM-YYYY",
+ *            rooms: { "<deluxeResourceId>": 2 } (only for rooms_only category),
+ *            roomQuantity: 2 (older app versions)
+ *          }
+ * @note    Same body as check-availability. When units are given back the
+ *          stay is held for the oldest entry it fits and the guest is notified.
+ */
+router.post('/', protectRoute, async (req, res) => {
+    try {
+        const { packageId, checkInDate, checkOutDate, rooms, roomQuantity } = req.body;
+
+        if (!packageId || !checkInDate || !checkOutDate) {
+            return res.status(400).json({
+                success: false,
+                message: 'Please provide packageId, checkInDate, and checkOutDate'
+            });
+        }
+
+        const { entry, error, status } = await joinWaitlist(req.user._id, {
+            packageId,
+            checkInDate,
+            checkOutDate,
+            rooms,
+            roomQuantity
+        });
+
+        if (error) {
+            return res.status(status).json({
+                success: false,
+                message: error
+            });
+        }
+
+        const position = await getWaitlistPosition(entry);
+
+        return res.status(201).json({
+            success: true,
+            message: `You are on the waitlist (#${position}). We will hold the stay for you for ${getOfferTtlMinutes()} minutes and notify you if it becomes available.`,
+            data: formatWaitlistEntry(entry, position)
+        });
+
+    } catch (error) {
+        console.error('Error joining waitlist:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error joining waitlist',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * @route   GET /api/waitlist/my-waitlist
+ * @desc    Get the user's waitlist entries (open offers first)
+ * @access  Private
+ * @query   status (optional)
+ */
+router.get('/my-waitlist', protectRoute, async (req, res) => {
+    try {
+        const filter = { userId: req.user._id };
+
+        if (req.query.status) {
+            filter.status = req.query.status;
+        }
+
+        const entries = await Waitlist.find(filter)
+            .populate('packageId', 'name category images')
+            .sort({ createdAt: -1 });
+
+        const statusOrder = ['offered', 'waiting'];
+        const rank = (entry) => {
+            const index = statusOrder.indexOf(entry.status);
+            return index === -1 ? statusOrder.length : index;
+        };
+
+        const data = await Promise.all(entries
+            .sort((a, b) => rank(a) - rank(b))
+            .map(async entry => formatWaitlistEntry(entry, await getWaitlistPosition(entry))));
+
+        return res.status(200).json({
+            success: true,
+            data,
+            count: data.length
+        });
+
+    } catch (error) {
+        console.error('Error fetching waitlist:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching waitlist',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * @route   POST /api/waitlist/:waitlistId/quote
+ * @desc    Price a stay offered from the waitlist
+ * @access  Private
+ * @returns Same as check-availability: { pricing, quote: { token, expiresAt } }
+ * @note    Send quote.token with the waitlistId to create-order - the booking
+ *          takes over the units the offer holds.
+ */
+router.post('/:waitlistId/quote', protectRoute, async (req, res) => {
+    try {
+        const { entry, quote, error, status } = await quoteWaitlistOffer(req.params.waitlistId, req.user._id);
+
+        if (error) {
+            return res.status(status).json({
+                success: false,
+                message: error
+            });
+        }
+
+        const { price } = quote;
+
+        return res.status(200).json({
+            success: true,
+            available: true,
+            waitlistId: entry._id,
+            offerExpiresAt: entry.offerExpiresAt,
+            package: {
+                id: quote.pkg._id,
+                name: quote.pkg.name,
+                category: quote.pkg.category
+            },
+            dates: {
+                checkInDate: quote.checkIn.format('DD-MM-YYYY'),
+                checkOutDate: quote.checkOut.format('DD-MM-YYYY'),
+                numberOfDays: quote.numberOfDays
+            },
+            rooms: quote.rooms
+                ? Object.fromEntries(quote.rooms.map(room => [room.resource._id.toString(), room.quantity]))
+                : null,
+            pricing: {
+                packageBasePrice: price.packageBasePrice,
+                resourcePricing: price.resourcePricing,
+                rooms: price.rooms,
+                subtotal: price.subtotal,
+                gst: price.gst,
+                finalAmount: price.finalAmount,
+                nightlyBreakdown: formatNightlyBreakdown(price.nights)
+            },
+            quote: signQuoteToken(quote, req.user._id),
+            message: 'Your waitlisted stay is held for you'
+        });
+
+    } catch (error) {
+        console.error('Error quoting waitlist offer:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error quoting waitlist offer',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * @route   DELETE /api/waitlist/:waitlistId
+ * @desc    Leave the waitlist (an open offer goes to the next guest)
+ * @access  Private
+ */
+router.delete('/:waitlistId', protectRoute, async (req, res) => {
+    try {
+        const { entry, error, status } = await leaveWaitlist(req.params.waitlistId, req.user._id);
+
+        if (error) {
+            return res.status(status).json({
+                success: false,
+                message: error
+            });
+        }
+
+        return res.status(200).json({
+            success: true,
+            message: 'You have left the waitlist',
+            data: formatWaitlistEntry(entry)
+        });
+
+    } catch (error) {
+        console.error('Error leaving waitlist:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error leaving waitlist',
+            error: error.message
+        });
+    }
+});
+
+// ==================== ADMIN ROUTES ====================
+
+/**
+ * @route   GET /api/waitlist/admin/all
+ * @desc    Get waitlist entries, oldest first (the order offers go out in)
+ * @access  Staff, Admin
+ * @query   packageId, status (default: waiting and offered)
+ */
+router.get('/admin/all', protectRoute, requirePermission('bookings:read_all'), async (req, res) => {
+    try {
+        const { packageId, status } = req.query;
+
+        const filter = {
+            status: status || { $in: ['waiting', 'offered'] }
+        };
+
+        if (packageId) {
+            if (!mongoose.Types.ObjectId.isValid(packageId)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid package ID'
+                });
+            }
+            filter.packageId = packageId;
+        }
+
+        const entries = await Waitlist.find(filter)
+            .populate('packageId', 'name category')
+            .populate('userId', 'fullName email phoneNumber')
+            .sort({ createdAt: 1 });
+
+        return res.status(200).json({
+            success: true,
+            data: entries.map(entry => ({
+                ...formatWaitlistEntry(entry),
+                user: entry.userId
+            })),
+            count: entries.length
+        });
+
+    } catch (error) {
+        console.error('Error fetching waitlist:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching waitlist',
+            error: error.message
+        });
+    }
+});
+
+export default router;
@@ -0,0 +1,170 @@
+import assert from 'assert';
+import dayjs from 'dayjs';
+import {
+    startTestDatabase,
+    stopTestDatabase,
+    startTestApp,
+    authHeaders,
+    scenario,
+    finish,
+    day,
+    createGuest,
+    createRoomType,
+    createRoomsPackage
+} from './test-setup.js';
+import bookingRoutes from './src/routes/bookingRoutes.js';
+import Resource from './src/models/Resource.js';
+import Package from './src/models/Package.js';
+import Booking from './src/models/Booking.js';
+import ResourceInventory from './src/models/ResourceInventory.js';
+import { setRazorpayClient } from './src/lib/razorpay.js';
+import { createFakeRazorpayClient } from './src/lib/fakeRazorpay.js';
+
+// Fires parallel create-order requests at an in-memory MongoDB and checks
+// that the reservation ledger never sells more units than exist.
+// Usage: npm run test:concurrency
+
+const PARALLEL_REQUESTS = 10;
+
+await startTestDatabase();
+
+// Unique (resource, date) index must exist before the race starts
+await ResourceInventory.syncIndexes();
+
+setRazorpayClient(createFakeRazorpayClient());
+
+const app = startTestApp({ '/api/bookings': bookingRoutes });
+
+// ==================== FIXTURES ====================
+
+const users = [];
+for (let i = 0; i < PARALLEL_REQUESTS; i++) {
+    users.push(await createGuest());
+}
+
+const hall = await Resource.create({
+    name: 'Function Hall',
+    description: 'Main hall',
+    shortDescription: 'Main hall',
+    facilityType: 'function_hall',
+    basePrice: 50000,
+    capacity: 500,
+    totalUnits: 1,
+    isExclusive: true
+});
+
+const rooms = await createRoomType();
+
+const hallPackage = await Package.create({
+    name: 'Function Hall Only',
+    category: 'function_hall_only',
+    description: 'Function hall for one day',
+    includes: { resources: [{ resource: hall._id, quantity: 1 }] },
+    pricing: { basePrice: 50000 }
+});
+
+const roomsPackage = await createRoomsPackage([rooms]);
+
+const venuePackage = await Package.create({
+    name: 'Full Venue',
+    category: 'full_venue',
+    description: 'Hall and rooms',
+    includes: { resources: [{ resource: hall._id, quantity: 1 }, { resource: rooms._id, quantity: 2 }] },
+    pricing: { basePrice: 80000 }
+});
+
+const guestDetails = { fullName: 'Test Guest', phoneNumber: '9000000000', email: 'guest@example.com' };
+
+// Request date as the app sends it
+const requestDate = (offset) => dayjs.utc(day(offset)).format('DD-MM-YYYY');
+
+const post = (index, path, body) => fetch(`${app.baseUrl}/api/bookings${path}`, {
+    method: 'POST',
+    headers: authHeaders(users[index]),
+    body: JSON.stringify(body)
+});
+
+// Every guest gets a quote first (create-order only accepts a quote token),
+// then all orders are fired at once
+const getQuote = async (index, body) => {
+    const quote = await post(index, '/check-availability', body).then(response => response.json());
+    assert.ok(quote.quote?.token, `no quote for guest ${index}: ${quote.message}`);
+    return { index, quoteToken: quote.quote.token };
+};
+
+const placeOrders = (quotes) => Promise.all(quotes.map(({ index, quoteToken }) =>
+    post(index, '/create-order', { guestDetails, quoteToken }).then(response => response.status)
+));
+
+const countStatuses = (statuses) => ({
+    created: statuses.filter(s => s === 201).length,
+    rejected: statuses.filter(s => s === 409).length
+});
+
+// ==================== SCENARIOS ====================
+
+await scenario('only one guest gets the single function hall', async () => {
+    const quotes = await Promise.all(users.map((_, i) => getQuote(i, {
+        packageId: hallPackage._id,
+        checkInDate: requestDate(5),
+        checkOutDate: requestDate(6)
+    })));
+    const statuses = await placeOrders(quotes);
+
+    const { created, rejected } = countStatuses(statuses);
+    assert.strictEqual(created, 1, `expected 1 order, got ${created}`);
+    assert.strictEqual(rejected, PARALLEL_REQUESTS - 1, `expected ${PARALLEL_REQUESTS - 1} rejections, got ${rejected}`);
+});
+
+await scenario('overlapping multi-night room orders never exceed total units', async () => {
+    // Half the guests book nights 10-12, the other half 11-13 (2 rooms each, 5 rooms exist)
+    const quotes = await Promise.all(users.map((_, i) => getQuote(i, {
+        packageId: roomsPackage._id,
+        checkInDate: i % 2 === 0 ? requestDate(10) : requestDate(11),
+        checkOutDate: i % 2 === 0 ? requestDate(12) : requestDate(13),
+        roomQuantity: 2
+    })));
+    const statuses = await placeOrders(quotes);
+
+    const { created } = countStatuses(statuses);
+    assert.ok(created >= 1 && created <= 2, `expected 1-2 orders, got ${created}`);
+
+    const ledger = await ResourceInventory.find({ resource: rooms._id });
+    ledger.forEach(row => {
+        assert.ok(row.reservedUnits <= rooms.totalUnits, `overbooked ${row.date.toISOString()}: ${row.reservedUnits}`);
+    });
+
+    // Ledger must match the bookings that were actually created
+    const bookings = await Booking.find({ 'resources.resource': rooms._id, inventoryHeld: true });
+    const heldUnitNights = bookings.reduce((sum, b) => sum + b.resources[0].quantity * b.numberOfDays, 0);
+    const ledgerUnitNights = ledger.reduce((sum, row) => sum + row.reservedUnits, 0);
+    assert.strictEqual(ledgerUnitNights, heldUnitNights, 'ledger out of sync with bookings');
+});
+
+await scenario('an exclusive booking blocks overlapping room orders', async () => {
+    // The full venue includes the exclusive hall, so it holds all 5 rooms, not just 2
+    const venueQuote = await getQuote(0, {
+        packageId: venuePackage._id,
+        checkInDate: requestDate(20),
+        checkOutDate: requestDate(21)
+    });
+    const [venueStatus] = await placeOrders([venueQuote]);
+    assert.strictEqual(venueStatus, 201, `expected the venue order, got ${venueStatus}`);
+
+    const roomsCheck = await post(1, '/check-availability', {
+        packageId: roomsPackage._id,
+        checkInDate: requestDate(20),
+        checkOutDate: requestDate(21),
+        roomQuantity: 1
+    }).then(response => response.json());
+
+    assert.strictEqual(roomsCheck.success, false, 'rooms were offered during an exclusive booking');
+    assert.ok(roomsCheck.conflicts?.some(c => c.isExclusive && c.packageName === 'Full Venue'), 'conflict not reported');
+});
+
+// ==================== CLEANUP ====================
+
+app.close();
+await stopTestDatabase();
+
+finish('Concurrency test');
@@ -0,0 +1,200 @@
+import assert from 'assert';
+import dayjs from 'dayjs';
+import {
+    startTestDatabase,
+    stopTestDatabase,
+    startTestApp,
+    authHeaders,
+    scenario,
+    finish,
+    day,
+    createGuest,
+    createRoomType,
+    createRoomsPackage,
+    createBooking
+} from './test-setup.js';
+import couponRoutes from './src/routes/couponRoutes.js';
+import bookingRoutes from './src/routes/bookingRoutes.js';
+import Booking from './src/models/Booking.js';
+import Coupon from './src/models/Coupon.js';
+import CouponRedemption from './src/models/CouponRedemption.js';
+import ResourceInventory from './src/models/ResourceInventory.js';
+import { setRazorpayClient } from './src/lib/razorpay.js';
+import { createFakeRazorpayClient } from './src/lib/fakeRazorpay.js';
+import {
+    calculateDiscount,
+    applyDiscount,
+    evaluateCoupon,
+    redeemCoupon,
+    releaseBookingCoupon
+} from './src/lib/coupons.js';
+
+// Coupon discounts and redemption caps: the total usageLimit and the
+// per-guest perUserLimit hold when bookings race, and an unpaid booking
+// gives its redemption back. A coupon never takes a booking down to 0.
+// Usage: npm run test:coupons
+
+await startTestDatabase();
+await CouponRedemption.syncIndexes();
+await ResourceInventory.syncIndexes();
+
+const app = startTestApp({ '/api/coupons': couponRoutes, '/api/bookings': bookingRoutes });
+
+let couponCounter = 0;
+
+const createCoupon = (overrides = {}) => Coupon.create({
+    code: `TEST${++couponCounter}`,
+    discount: { type: 'percentage', value: 10 },
+    ...overrides
+});
+
+// Booking holding a redemption of the coupon, like create-order leaves it
+const createCouponBooking = async (coupon, options) => {
+    const booking = await createBooking(options);
+    return Booking.findByIdAndUpdate(
+        booking._id,
+        { $set: { 'pricing.coupon': { couponId: coupon._id, code: coupon.code, redeemed: true } } },
+        { new: true }
+    );
+};
+
+const admin = await createGuest({ role: 'admin' });
+const room = await createRoomType();
+const pkg = await createRoomsPackage([room]);
+
+// ==================== SCENARIOS ====================
+
+await scenario('a percentage discount is capped and GST is charged on what is left', () => {
+    const coupon = { discount: { type: 'percentage', value: 20 }, maxDiscountAmount: 300 };
+
+    assert.strictEqual(calculateDiscount(coupon, 1000), 200);
+    assert.strictEqual(calculateDiscount(coupon, 5000), 300);
+    assert.strictEqual(calculateDiscount({ discount: { type: 'flat', value: 800 } }, 500), 500);
+
+    const price = applyDiscount({ subtotal: 5000, gst: { percentage: 18, amount: 900 }, finalAmount: 5900 }, 300);
+    assert.strictEqual(price.gst.amount, 846);
+    assert.strictEqual(price.finalAmount, 5546);
+});
+
+await scenario('a guest booking twice at once gets one use of a once-per-guest coupon', async () => {
+    const guest = await createGuest();
+    const coupon = await createCoupon({ perUserLimit: 1 });
+
+    const results = await Promise.all([
+        redeemCoupon(coupon, guest._id),
+        redeemCoupon(coupon, guest._id)
+    ]);
+
+    assert.strictEqual(results.filter(result => result.redeemed).length, 1);
+    assert.strictEqual(results.find(result => result.error).error, 'You have already used this coupon');
+    assert.strictEqual((await Coupon.findById(coupon._id)).usedCount, 1);
+});
+
+await scenario('the last redemption of a coupon goes to one guest', async () => {
+    const coupon = await createCoupon({ usageLimit: 1 });
+    const [first, second] = [await createGuest(), await createGuest()];
+
+    const results = await Promise.all([
+        redeemCoupon(coupon, first._id),
+        redeemCoupon(coupon, second._id)
+    ]);
+
+    assert.strictEqual(results.filter(result => result.redeemed).length, 1);
+    assert.strictEqual((await Coupon.findById(coupon._id)).usedCount, 1);
+
+    // The guest who missed out keeps their own use
+    const loser = results[0].redeemed ? second : first;
+    const redemption = await CouponRedemption.findOne({ coupon: coupon._id, userId: loser._id });
+    assert.strictEqual(redemption.count, 0);
+});
+
+await scenario('an unpaid booking gives its redemption back', async () => {
+    const guest = await createGuest();
+    const coupon = await createCoupon({ perUserLimit: 1, usageLimit: 1 });
+
+    assert.ok((await redeemCoupon(coupon, guest._id)).redeemed);
+    const booking = await createCouponBooking(coupon, { user: guest, pkg, room, status: 'pending' });
+
+    assert.strictEqual(await releaseBookingCoupon(booking), true);
+    assert.strictEqual(await releaseBookingCoupon(booking), false);
+
+    assert.strictEqual((await Coupon.findById(coupon._id)).usedCount, 0);
+    assert.ok((await redeemCoupon(coupon, guest._id)).redeemed);
+});
+
+await scenario('redemptions made before per-guest counts existed still count', async () => {
+    const guest = await createGuest();
+    const coupon = await createCoupon({ perUserLimit: 1 });
+    await createCouponBooking(coupon, { user: guest, pkg, room });
+
+    const result = await evaluateCoupon(coupon.code, { userId: guest._id, category: pkg.category, subtotal: 5000 });
+    assert.strictEqual(result.error, 'You have already used this coupon');
+    assert.strictEqual((await redeemCoupon(coupon, guest._id)).error, 'You have already used this coupon');
+});
+
+await scenario('a percentage of 100 or more or dates out of order are a 400', async () => {
+    const create = (body) => fetch(`${app.baseUrl}/api/coupons`, {
+        method: 'POST',
+        headers: authHeaders(admin),
+        body: JSON.stringify(body)
+    });
+
+    let response = await create({ code: 'TOOMUCH', discount: { type: 'percentage', value: 100 } });
+    assert.strictEqual(response.status, 400);
+
+    response = await create({ code: 'BACKWARDS', discount: { type: 'flat', value: 100 }, validFrom: '10-01-2030', validUntil: '01-01-2030' });
+    assert.strictEqual(response.status, 400);
+
+    // Only one date in the update - checked against the one already saved
+    const coupon = await createCoupon({ validFrom: new Date('2030-01-10') });
+    response = await fetch(`${app.baseUrl}/api/coupons/${coupon._id}`, {
+        method: 'PUT',
+        headers: authHeaders(admin),
+        body: JSON.stringify({ validUntil: '01-01-2030' })
+    });
+    assert.strictEqual(response.status, 400);
+});
+
+await scenario('a flat coupon worth the whole booking is refused before anything is held', async () => {
+    const fake = createFakeRazorpayClient();
+    setRazorpayClient(fake);
+
+    const guest = await createGuest();
+    const coupon = await createCoupon({ discount: { type: 'flat', value: 5000 } });
+    const stay = {
+        packageId: pkg._id,
+        checkInDate: dayjs.utc(day(30)).format('DD-MM-YYYY'),
+        checkOutDate: dayjs.utc(day(31)).format('DD-MM-YYYY'),
+        roomQuantity: 1
+    };
+
+    const availability = await fetch(`${app.baseUrl}/api/bookings/check-availability`, {
+        method: 'POST',
+        headers: authHeaders(guest),
+        body: JSON.stringify(stay)
+    }).then(response => response.json());
+
+    const response = await fetch(`${app.baseUrl}/api/bookings/create-order`, {
+        method: 'POST',
+        headers: authHeaders(guest),
+        body: JSON.stringify({
+            quoteToken: availability.quote.token,
+            couponCode: coupon.code,
+            guestDetails: { fullName: guest.fullName, phoneNumber: guest.phoneNumber, email: guest.email }
+        })
+    });
+
+    assert.strictEqual(response.status, 400);
+    assert.strictEqual((await response.json()).couponInvalid, true);
+    assert.strictEqual(fake.calls.filter(call => call.method === 'orders.create').length, 0);
+    const night = await ResourceInventory.findOne({ resource: room._id, date: day(30) });
+    assert.strictEqual(night?.reservedUnits || 0, 0);
+    assert.strictEqual((await Coupon.findById(coupon._id)).usedCount, 0);
+});
+
+// ==================== CLEANUP ====================
+
+app.close();
+await stopTestDatabase();
+
+finish('Coupon test');
@@ -0,0 +1,117 @@
+import assert from 'assert';
+import {
+    startTestDatabase,
+    stopTestDatabase,
+    scenario,
+    finish,
+    createGuest,
+    createRoomType,
+    createRoomsPackage,
+    createBooking
+} from './test-setup.js';
+import Booking from './src/models/Booking.js';
+import Invoice from './src/models/Invoice.js';
+import { issueInvoice, splitGst, getFinancialYear, nextSequence, releaseSequence } from './src/lib/invoices.js';
+
+// GST invoice numbering: one invoice per booking, and no gaps in a
+// financial year's series when confirmations race, a request dies half
+// way or an invoice can't be saved.
+// Usage: npm run test:invoices
+
+await startTestDatabase();
+await Invoice.syncIndexes();
+
+const guest = await createGuest();
+const room = await createRoomType({ totalUnits: 20 });
+const pkg = await createRoomsPackage([room]);
+
+// Sequences of this financial year's invoices, in order
+const issuedSequences = async () => {
+    const invoices = await Invoice.find({ financialYear: getFinancialYear() }).sort({ sequence: 1 });
+    return invoices.map(invoice => invoice.sequence);
+};
+
+const minutesAgo = (minutes) => new Date(Date.now() - minutes * 60 * 1000);
+
+// ==================== SCENARIOS ====================
+
+await scenario('GST is split into CGST + SGST within the state and IGST across states', () => {
+    assert.deepStrictEqual(splitGst(18, 360, '36', '36'), {
+        supplyType: 'intra_state',
+        cgst: { rate: 9, amount: 180 },
+        sgst: { rate: 9, amount: 180 },
+        igst: { rate: 0, amount: 0 }
+    });
+    assert.strictEqual(splitGst(18, 360, '36', '29').igst.amount, 360);
+});
+
+await scenario('confirmations racing for one booking issue one invoice and use one number', async () => {
+    const booking = await createBooking({ user: guest, pkg, room });
+
+    const results = await Promise.all([
+        issueInvoice(booking),
+        issueInvoice(booking),
+        issueInvoice(booking)
+    ]);
+
+    const invoices = await Invoice.find({ booking: booking._id });
+    assert.strictEqual(invoices.length, 1);
+    for (const result of results.filter(Boolean)) {
+        assert.strictEqual(result.invoiceNumber, invoices[0].invoiceNumber);
+    }
+
+    // The next booking gets the very next number
+    const next = await issueInvoice(await createBooking({ user: guest, pkg, room }));
+    assert.strictEqual(next.sequence, invoices[0].sequence + 1);
+});
+
+await scenario('a booking claimed by another request is left to it', async () => {
+    const booking = await createBooking({ user: guest, pkg, room });
+    await Booking.updateOne({ _id: booking._id }, { $set: { invoiceClaimedAt: minutesAgo(1) } });
+
+    assert.strictEqual(await issueInvoice(booking), null);
+    assert.strictEqual(await Invoice.countDocuments({ booking: booking._id }), 0);
+});
+
+await scenario('a claim left by a request that died is taken over', async () => {
+    const booking = await createBooking({ user: guest, pkg, room });
+    await Booking.updateOne({ _id: booking._id }, { $set: { invoiceClaimedAt: minutesAgo(30) } });
+
+    const invoice = await issueInvoice(booking);
+    assert.ok(invoice?.invoiceNumber);
+});
+
+await scenario('a number given back is handed out again before the series moves on', async () => {
+    const key = 'test:released';
+    assert.deepStrictEqual([await nextSequence(key), await nextSequence(key), await nextSequence(key)], [1, 2, 3]);
+
+    await releaseSequence(key, 2);
+    await releaseSequence(key, 3);
+    assert.deepStrictEqual([await nextSequence(key), await nextSequence(key), await nextSequence(key)], [2, 3, 4]);
+});
+
+await scenario('an invoice that could not be saved gives its number back', async () => {
+    const booking = await createBooking({ user: guest, pkg, room });
+    const [lastSequence] = (await issuedSequences()).slice(-1);
+
+    const create = Invoice.create;
+    Invoice.create = async () => {
+        throw new Error('insert failed');
+    };
+    await assert.rejects(issueInvoice(booking), /insert failed/);
+    Invoice.create = create;
+
+    const invoice = await issueInvoice(booking);
+    assert.strictEqual(invoice.sequence, lastSequence + 1);
+});
+
+await scenario('the series has no gaps', async () => {
+    const sequences = await issuedSequences();
+    assert.deepStrictEqual(sequences, sequences.map((sequence, index) => index + 1));
+});
+
+// ==================== CLEANUP ====================
+
+await stopTestDatabase();
+
+finish('Invoice test');
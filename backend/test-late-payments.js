@@ -0,0 +1,261 @@
+import assert from 'assert';
+import crypto from 'crypto';
+import {
+    startTestDatabase,
+    stopTestDatabase,
+    startTestApp,
+    authHeaders,
+    scenario,
+    finish,
+    createGuest,
+    createRoomType,
+    createRoomsPackage,
+    createBooking
+} from './test-setup.js';
+import paymentRoutes from './src/routes/paymentRoutes.js';
+import bookingRoutes from './src/routes/bookingRoutes.js';
+import Booking from './src/models/Booking.js';
+import Resource from './src/models/Resource.js';
+import ResourceInventory from './src/models/ResourceInventory.js';
+import { setRazorpayClient } from './src/lib/razorpay.js';
+import { createFakeRazorpayClient } from './src/lib/fakeRazorpay.js';
+import { handleLatePayment } from './src/lib/payments.js';
+import { issueRefund } from './src/lib/refunds.js';
+import { expireBooking } from './src/lib/holds.js';
+
+// Payments that arrive after a booking stopped waiting for them
+// (hold expired, booking cancelled), forged verify-payment requests and
+// malformed webhook payloads.
+// Usage: npm run test:payments
+
+await startTestDatabase();
+await ResourceInventory.syncIndexes();
+
+const app = startTestApp({
+    '/api/payments': paymentRoutes,
+    '/api/bookings': bookingRoutes
+});
+const webhookUrl = `${app.baseUrl}/api/payments/webhook`;
+
+let eventCounter = 0;
+
+const sendWebhook = async (event, payload) => {
+    const body = JSON.stringify({ event, payload });
+    const signature = crypto
+        .createHmac('sha256', process.env.RAZORPAY_WEBHOOK_SECRET)
+        .update(body)
+        .digest('hex');
+
+    const response = await fetch(webhookUrl, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'X-Razorpay-Signature': signature,
+            'X-Razorpay-Event-Id': `evt_test_${++eventCounter}`
+        },
+        body
+    });
+
+    return { status: response.status, body: await response.json() };
+};
+
+// verify-payment as the app sends it after the checkout
+const verifyPayment = async (user, booking, paymentId, { forged = false } = {}) => {
+    const orderId = booking.payment.orderId;
+    const signature = forged
+        ? 'not-a-signature'
+        : crypto.createHmac('sha256', process.env.RAZORPAY_SECRET_KEY).update(`${orderId}|${paymentId}`).digest('hex');
+
+    const response = await fetch(`${app.baseUrl}/api/bookings/verify-payment`, {
+        method: 'POST',
+        headers: authHeaders(user),
+        body: JSON.stringify({
+            bookingId: booking._id,
+            razorpay_order_id: orderId,
+            razorpay_payment_id: paymentId,
+            razorpay_signature: signature
+        })
+    });
+
+    return { status: response.status, body: await response.json() };
+};
+
+const refundCalls = (fake) => fake.calls.filter(call => call.method === 'payments.refund');
+
+const reservedUnits = async (room) => {
+    const rows = await ResourceInventory.find({ resource: room._id });
+    return rows.map(row => row.reservedUnits);
+};
+
+const guest = await createGuest();
+
+// ==================== SCENARIOS ====================
+
+await scenario('a late payment delivered twice at once confirms the booking once', async () => {
+    const fake = createFakeRazorpayClient();
+    setRazorpayClient(fake);
+
+    const room = await createRoomType({ totalUnits: 2 });
+    const pkg = await createRoomsPackage([room]);
+    const booking = await createBooking({ user: guest, pkg, room, status: 'pending', nights: 2 });
+    const expired = await expireBooking(booking._id);
+
+    // payment.captured and order.paid for the same payment
+    const paymentDetails = { paymentId: 'pay_late_1', method: 'upi' };
+    await Promise.all([
+        handleLatePayment(expired, paymentDetails),
+        handleLatePayment(expired, paymentDetails)
+    ]);
+
+    const current = await Booking.findById(booking._id);
+    assert.strictEqual(current.status, 'confirmed');
+    assert.strictEqual(current.payment.paymentId, 'pay_late_1');
+    assert.strictEqual(refundCalls(fake).length, 0, 'a confirmed booking was refunded');
+
+    // The caller that lost gave its units back
+    assert.deepStrictEqual(await reservedUnits(room), [1, 1]);
+});
+
+await scenario('a late payment for units that are gone is refunded exactly once', async () => {
+    const fake = createFakeRazorpayClient();
+    setRazorpayClient(fake);
+
+    const room = await createRoomType({ totalUnits: 1 });
+    const pkg = await createRoomsPackage([room]);
+    const booking = await createBooking({ user: guest, pkg, room, status: 'pending' });
+    const expired = await expireBooking(booking._id);
+
+    // Someone else took the only room
+    await createBooking({ user: guest, pkg, room, status: 'confirmed' });
+
+    const paymentDetails = { paymentId: 'pay_late_2', method: 'card' };
+    await Promise.all([
+        handleLatePayment(expired, paymentDetails),
+        handleLatePayment(expired, paymentDetails)
+    ]);
+
+    const current = await Booking.findById(booking._id);
+    assert.strictEqual(current.status, 'expired');
+    assert.strictEqual(current.pricing.paidAmount, current.pricing.finalAmount);
+
+    const refunds = refundCalls(fake);
+    assert.strictEqual(refunds.length, 1, `expected 1 refund, got ${refunds.length}`);
+    assert.strictEqual(refunds[0].args[1].amount, current.pricing.finalAmount * 100);
+    assert.deepStrictEqual(await reservedUnits(room), [1]);
+});
+
+await scenario('a late payment for a deleted room type is refunded', async () => {
+    const fake = createFakeRazorpayClient();
+    setRazorpayClient(fake);
+
+    const room = await createRoomType();
+    const pkg = await createRoomsPackage([room]);
+    const booking = await createBooking({ user: guest, pkg, room, status: 'pending' });
+    const expired = await expireBooking(booking._id);
+    await Resource.deleteOne({ _id: room._id });
+
+    const updated = await handleLatePayment(expired, { paymentId: 'pay_late_3' });
+
+    assert.strictEqual(updated.status, 'expired');
+    assert.strictEqual(refundCalls(fake).length, 1);
+});
+
+await scenario('a payment captured for a cancelled booking is refunded and it stays cancelled', async () => {
+    const fake = createFakeRazorpayClient();
+    setRazorpayClient(fake);
+
+    const room = await createRoomType();
+    const pkg = await createRoomsPackage([room]);
+    const booking = await createBooking({ user: guest, pkg, room, status: 'pending' });
+    await Booking.updateOne({ _id: booking._id }, { $set: { status: 'cancelled', 'payment.status': 'cancelled' } });
+
+    const { status, body } = await sendWebhook('payment.captured', {
+        payment: { entity: { id: 'pay_after_cancel', order_id: booking.payment.orderId, method: 'upi' } }
+    });
+
+    assert.strictEqual(status, 200);
+    assert.match(body.message, /^refunded/);
+
+    const current = await Booking.findById(booking._id);
+    assert.strictEqual(current.status, 'cancelled');
+    assert.strictEqual(current.payment.paymentId, 'pay_after_cancel');
+
+    const refunds = refundCalls(fake);
+    assert.strictEqual(refunds.length, 1);
+    assert.strictEqual(refunds[0].args[0], 'pay_after_cancel');
+});
+
+await scenario('a live booking is never refunded in full', async () => {
+    const fake = createFakeRazorpayClient();
+    setRazorpayClient(fake);
+
+    const room = await createRoomType();
+    const pkg = await createRoomsPackage([room]);
+    const booking = await createBooking({ user: guest, pkg, room, status: 'confirmed' });
+
+    const updated = await issueRefund(booking, booking.pricing.paidAmount, { reason: 'test' });
+
+    assert.strictEqual(updated.status, 'confirmed');
+    assert.strictEqual(refundCalls(fake).length, 0);
+});
+
+await scenario('a forged verify-payment leaves a lapsed hold alone', async () => {
+    const room = await createRoomType();
+    const pkg = await createRoomsPackage([room]);
+    const booking = await createBooking({ user: guest, pkg, room, status: 'pending', holdExpiresAt: new Date(Date.now() - 60000) });
+
+    const { status } = await verifyPayment(guest, booking, 'pay_forged', { forged: true });
+
+    assert.strictEqual(status, 400);
+    const current = await Booking.findById(booking._id);
+    assert.strictEqual(current.status, 'pending');
+    assert.strictEqual(current.inventoryHeld, true);
+});
+
+await scenario('a genuine verify-payment after the hold lapsed takes the rooms again', async () => {
+    const fake = createFakeRazorpayClient();
+    setRazorpayClient(fake);
+
+    const room = await createRoomType();
+    const pkg = await createRoomsPackage([room]);
+    const booking = await createBooking({ user: guest, pkg, room, status: 'pending', holdExpiresAt: new Date(Date.now() - 60000) });
+
+    const { status, body } = await verifyPayment(guest, booking, 'pay_verify_late_1');
+
+    assert.strictEqual(status, 200, body.message);
+    assert.strictEqual((await Booking.findById(booking._id)).status, 'confirmed');
+    assert.strictEqual(refundCalls(fake).length, 0);
+});
+
+await scenario('a genuine verify-payment for rooms taken since is refunded', async () => {
+    const fake = createFakeRazorpayClient();
+    setRazorpayClient(fake);
+
+    const room = await createRoomType({ totalUnits: 1 });
+    const pkg = await createRoomsPackage([room]);
+    const booking = await createBooking({ user: guest, pkg, room, status: 'pending' });
+    await expireBooking(booking._id);
+    await createBooking({ user: guest, pkg, room, status: 'confirmed' });
+
+    const { status } = await verifyPayment(guest, booking, 'pay_verify_late_2');
+
+    assert.strictEqual(status, 410);
+    const current = await Booking.findById(booking._id);
+    assert.strictEqual(current.status, 'expired');
+    assert.strictEqual(current.payment.paymentId, 'pay_verify_late_2');
+    assert.strictEqual(refundCalls(fake).length, 1);
+});
+
+await scenario('payment.failed without a payment entity is ignored', async () => {
+    const { status, body } = await sendWebhook('payment.failed', {});
+
+    assert.strictEqual(status, 200);
+    assert.match(body.message, /^ignored/);
+});
+
+// ==================== CLEANUP ====================
+
+app.close();
+await stopTestDatabase();
+
+finish('Late payment test');
@@ -0,0 +1,122 @@
+import assert from 'assert';
+import {
+    startTestDatabase,
+    stopTestDatabase,
+    scenario,
+    finish,
+    day,
+    createGuest,
+    createRoomType,
+    createRoomsPackage,
+    createBooking
+} from './test-setup.js';
+import Notification from './src/models/Notification.js';
+import Waitlist from './src/models/Waitlist.js';
+import { notifyBooking, notifyWaitlist, processNotificationQueue } from './src/lib/notifications.js';
+import { setNotificationProvider, getMockPushes, clearMockPushes } from './src/lib/notificationProviders.js';
+
+// Push notifications as the app receives them: one per registered device,
+// with the deep-link data that opens the booking (or the waitlist) on tap.
+// Sent through the mock push provider (PUSH_PROVIDER=mock).
+// Usage: npm run test:push
+
+await startTestDatabase();
+await Notification.syncIndexes();
+
+// Back to the env setting for push - the mock provider records the payloads
+setNotificationProvider('push', null);
+process.env.PUSH_PROVIDER = 'mock';
+
+/**
+ * Send everything queued so far
+ */
+const sendQueued = async () => {
+    // Let the send started by the queueing finish first
+    await new Promise(resolve => setImmediate(resolve));
+
+    for (let i = 0; i < 20; i++) {
+        await processNotificationQueue();
+        if (await Notification.countDocuments({ status: { $in: ['queued', 'sending'] } }) === 0) {
+            return;
+        }
+        await new Promise(resolve => setTimeout(resolve, 50));
+    }
+
+    throw new Error('Notification queue did not drain');
+};
+
+const guest = await createGuest({
+    pushTokens: [
+        { token: 'ExponentPushToken[phone]', platform: 'android' },
+        { token: 'ExponentPushToken[tablet]', platform: 'ios' }
+    ]
+});
+const room = await createRoomType();
+const pkg = await createRoomsPackage([room]);
+
+// ==================== SCENARIOS ====================
+
+await scenario('a booking push goes to every device and opens the booking', async () => {
+    clearMockPushes();
+    const booking = await createBooking({ user: guest, pkg, room });
+
+    await notifyBooking('booking_confirmed', booking);
+    await sendQueued();
+
+    const pushes = getMockPushes();
+    assert.deepStrictEqual(pushes.map(push => push.to).sort(), ['ExponentPushToken[phone]', 'ExponentPushToken[tablet]']);
+
+    for (const push of pushes) {
+        assert.ok(push.title);
+        assert.ok(push.body);
+        assert.deepStrictEqual(push.data, {
+            screen: 'MyBookingDetail',
+            bookingId: booking._id.toString(),
+            event: 'booking_confirmed'
+        });
+    }
+});
+
+await scenario('the same event is pushed once per device', async () => {
+    clearMockPushes();
+    const booking = await createBooking({ user: guest, pkg, room });
+
+    // verify-payment and the webhook both confirm
+    await notifyBooking('booking_confirmed', booking);
+    await notifyBooking('booking_confirmed', booking);
+    await sendQueued();
+
+    assert.strictEqual(getMockPushes().length, 2);
+});
+
+await scenario('a waitlist offer push opens the waitlist', async () => {
+    clearMockPushes();
+    const waitlist = await Waitlist.create({
+        userId: guest._id,
+        packageId: pkg._id,
+        checkInDate: day(20),
+        checkOutDate: day(21),
+        numberOfDays: 1,
+        rooms: [{ resource: room._id, name: room.name, quantity: 1 }],
+        units: [{ resource: room._id, name: room.name, quantity: 1 }],
+        status: 'offered',
+        offerExpiresAt: new Date(Date.now() + 60 * 60 * 1000)
+    });
+
+    await notifyWaitlist('waitlist_offer', waitlist);
+    await sendQueued();
+
+    const pushes = getMockPushes();
+    assert.strictEqual(pushes.length, 2);
+    assert.deepStrictEqual(pushes[0].data, {
+        screen: 'Waitlist',
+        waitlistId: waitlist._id.toString(),
+        event: 'waitlist_offer'
+    });
+});
+
+// ==================== CLEANUP ====================
+
+await stopTestDatabase();
+
+finish('Push notification test');
@@ -0,0 +1,192 @@
+import assert from 'assert';
+import {
+    startTestDatabase,
+    stopTestDatabase,
+    startTestApp,
+    authHeaders,
+    scenario,
+    finish,
+    createGuest,
+    createRoomType,
+    createRoomsPackage,
+    createBooking
+} from './test-setup.js';
+import bookingRoutes from './src/routes/bookingRoutes.js';
+import Booking from './src/models/Booking.js';
+import CreditNote from './src/models/CreditNote.js';
+import ResourceInventory from './src/models/ResourceInventory.js';
+import { setRazorpayClient } from './src/lib/razorpay.js';
+import { createFakeRazorpayClient } from './src/lib/fakeRazorpay.js';
+import { issueRefund, REFUND_CLAIM_STALE_MINUTES } from './src/lib/refunds.js';
+import { issueInvoice } from './src/lib/invoices.js';
+
+// Refunds of cancelled bookings: one Razorpay refund per claim, newest
+// payment first, stuck claims taken over, amounts checked before the
+// cancellation is saved, and the matching GST credit notes.
+// Usage: npm run test:refunds
+
+await startTestDatabase();
+await ResourceInventory.syncIndexes();
+
+const app = startTestApp({ '/api/bookings': bookingRoutes });
+
+const refundCalls = (fake) => fake.calls.filter(call => call.method === 'payments.refund');
+
+const minutesAgo = (minutes) => new Date(Date.now() - minutes * 60 * 1000);
+
+// Booking cancelled the way the cancel routes leave it, before issueRefund runs
+const cancelBooking = (booking, cancellation = {}) => Booking.findByIdAndUpdate(
+    booking._id,
+    {
+        $set: {
+            status: 'cancelled',
+            cancellation: { cancelledBy: 'user', cancelledAt: new Date(), reason: 'Plans changed', ...cancellation }
+        }
+    },
+    { new: true }
+);
+
+const guest = await createGuest();
+const admin = await createGuest({ role: 'admin' });
+const room = await createRoomType({ totalUnits: 20 });
+const pkg = await createRoomsPackage([room]);
+
+// ==================== SCENARIOS ====================
+
+await scenario('a refund requested twice at once is sent to Razorpay once', async () => {
+    const fake = createFakeRazorpayClient();
+    setRazorpayClient(fake);
+
+    const booking = await cancelBooking(await createBooking({ user: guest, pkg, room }));
+    const amount = booking.pricing.paidAmount;
+
+    await Promise.all([
+        issueRefund(booking, amount, { reason: 'test' }),
+        issueRefund(booking, amount, { reason: 'test' })
+    ]);
+
+    const current = await Booking.findById(booking._id);
+    assert.strictEqual(refundCalls(fake).length, 1);
+    assert.strictEqual(current.cancellation.refundStatus, 'pending');
+    assert.strictEqual(current.cancellation.refundAmount, amount);
+});
+
+await scenario('a deposit and a balance are refunded newest payment first', async () => {
+    const fake = createFakeRazorpayClient({ refundStatus: 'processed' });
+    setRazorpayClient(fake);
+
+    const booking = await createBooking({ user: guest, pkg, room, depositAmount: 1000 });
+    const balance = booking.pricing.finalAmount - 1000;
+    await Booking.updateOne({ _id: booking._id }, {
+        $set: {
+            payments: [
+                { kind: 'payment', purpose: 'deposit', amount: 1000, status: 'paid', orderId: 'order_dep', paymentId: 'pay_deposit' },
+                { kind: 'payment', purpose: 'balance', amount: balance, status: 'paid', orderId: 'order_bal', paymentId: 'pay_balance' }
+            ]
+        }
+    });
+
+    const cancelled = await cancelBooking(booking);
+    const updated = await issueRefund(cancelled, balance + 200, { reason: 'test' });
+
+    const refunds = refundCalls(fake);
+    assert.deepStrictEqual(refunds.map(call => call.args[0]), ['pay_balance', 'pay_deposit']);
+    assert.deepStrictEqual(refunds.map(call => call.args[1].amount), [balance * 100, 200 * 100]);
+    assert.strictEqual(updated.cancellation.refundStatus, 'processed');
+    assert.strictEqual(updated.payment.status, 'partially_refunded');
+});
+
+await scenario('a refund stuck at approved is taken over once the claim is stale', async () => {
+    const fake = createFakeRazorpayClient();
+    setRazorpayClient(fake);
+
+    const booking = await createBooking({ user: guest, pkg, room });
+    const amount = booking.pricing.paidAmount;
+
+    // Another request is still working on it
+    const live = await cancelBooking(booking, { refundStatus: 'approved', refundAmount: amount, refundClaimedAt: minutesAgo(1) });
+    await issueRefund(live, amount);
+    assert.strictEqual(refundCalls(fake).length, 0, 'a live claim was taken over');
+
+    // That request died
+    const stuck = await cancelBooking(booking, { refundStatus: 'approved', refundAmount: amount, refundClaimedAt: minutesAgo(REFUND_CLAIM_STALE_MINUTES + 1) });
+    const updated = await issueRefund(stuck, amount);
+    assert.strictEqual(refundCalls(fake).length, 1);
+    assert.strictEqual(updated.cancellation.refundStatus, 'pending');
+});
+
+await scenario('an admin can retry a failed refund and a stuck one, not a live claim', async () => {
+    setRazorpayClient(createFakeRazorpayClient({ failRefunds: true }));
+
+    const booking = await cancelBooking(await createBooking({ user: guest, pkg, room }));
+    const failedRefund = await issueRefund(booking, booking.pricing.paidAmount);
+    assert.strictEqual(failedRefund.cancellation.refundStatus, 'failed');
+
+    const fake = createFakeRazorpayClient();
+    setRazorpayClient(fake);
+
+    const retry = () => fetch(`${app.baseUrl}/api/bookings/admin/${booking._id}/refund`, {
+        method: 'POST',
+        headers: authHeaders(admin),
+        body: JSON.stringify({})
+    });
+
+    let response = await retry();
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual((await Booking.findById(booking._id)).cancellation.refundStatus, 'pending');
+
+    await Booking.updateOne({ _id: booking._id }, {
+        $set: { 'cancellation.refundStatus': 'approved', 'cancellation.refundClaimedAt': minutesAgo(1) }
+    });
+    response = await retry();
+    assert.strictEqual(response.status, 400);
+
+    await Booking.updateOne({ _id: booking._id }, {
+        $set: { 'cancellation.refundClaimedAt': minutesAgo(REFUND_CLAIM_STALE_MINUTES + 1) }
+    });
+    response = await retry();
+    assert.strictEqual(response.status, 200);
+});
+
+await scenario('a refund larger than the paid amount is rejected before the booking is cancelled', async () => {
+    const fake = createFakeRazorpayClient();
+    setRazorpayClient(fake);
+
+    const booking = await createBooking({ user: guest, pkg, room });
+
+    const response = await fetch(`${app.baseUrl}/api/bookings/admin/${booking._id}/cancel`, {
+        method: 'POST',
+        headers: authHeaders(admin),
+        body: JSON.stringify({ reason: 'Overbooked', refundAmount: booking.pricing.paidAmount + 1 })
+    });
+
+    assert.strictEqual(response.status, 400);
+    const current = await Booking.findById(booking._id);
+    assert.strictEqual(current.status, 'confirmed');
+    assert.strictEqual(current.inventoryHeld, true);
+    assert.strictEqual(refundCalls(fake).length, 0);
+});
+
+await scenario('a partial refund is credited once against the invoice', async () => {
+    setRazorpayClient(createFakeRazorpayClient());
+
+    const booking = await createBooking({ user: guest, pkg, room });
+    const invoice = await issueInvoice(booking);
+    const cancelled = await cancelBooking(booking);
+
+    const refundAmount = 1000;
+    await issueRefund(cancelled, refundAmount, { reason: 'test' });
+    await issueRefund(cancelled, refundAmount, { reason: 'test' });
+
+    // Kept: paid - refunded, so credited: invoice total - kept = the refund
+    const creditNotes = await CreditNote.find({ invoice: invoice._id });
+    assert.strictEqual(creditNotes.length, 1);
+    assert.strictEqual(creditNotes[0].totalAmount, refundAmount);
+});
+
+// ==================== CLEANUP ====================
+
+app.close();
+await stopTestDatabase();
+
+finish('Refund test');
@@ -0,0 +1,189 @@
+import assert from 'assert';
+import dayjs from 'dayjs';
+import utc from 'dayjs/plugin/utc.js';
+import {
+    startTestDatabase,
+    stopTestDatabase,
+    scenario,
+    finish,
+    day,
+    createGuest,
+    createRoomType,
+    createRoomsPackage,
+    createBooking
+} from './test-setup.js';
+import Booking from './src/models/Booking.js';
+import ResourceInventory from './src/models/ResourceInventory.js';
+import { setRazorpayClient } from './src/lib/razorpay.js';
+import { createFakeRazorpayClient } from './src/lib/fakeRazorpay.js';
+import {
+    DEFAULT_RESCHEDULE_POLICY,
+    getReschedulePolicy,
+    calculateRescheduleFee,
+    rescheduleBooking
+} from './src/lib/reschedules.js';
+import { completeChangePayment } from './src/lib/bookingChanges.js';
+
+dayjs.extend(utc);
+
+// Date changes: the new stay is priced again and the difference to what
+// was paid is refunded, added to the balance or paid as a top-up; only
+// the nights that change move in the ledger, and the policy limits how
+// often and how late a guest can move.
+// Usage: npm run test:reschedules
+
+await startTestDatabase();
+await ResourceInventory.syncIndexes();
+
+const calls = (fake, method) => fake.calls.filter(call => call.method === method);
+
+// Units of a room reserved on one night
+const reservedOn = async (room, offset) => {
+    const row = await ResourceInventory.findOne({ resource: room._id, date: day(offset) });
+    return row?.reservedUnits || 0;
+};
+
+// Request dates as the app sends them
+const stay = (checkIn, nights) => ({
+    checkInDate: dayjs.utc(day(checkIn)).format('DD-MM-YYYY'),
+    checkOutDate: dayjs.utc(day(checkIn + nights)).format('DD-MM-YYYY')
+});
+
+const guest = await createGuest();
+const room = await createRoomType({ totalUnits: 20 });
+const pkg = await createRoomsPackage([room]);
+
+// 2000 a night + 18% GST
+const NIGHT_TOTAL = 2360;
+
+// ==================== SCENARIOS ====================
+
+await scenario('the fee follows the policy and a package without one gets the default', () => {
+    assert.strictEqual(getReschedulePolicy(null), DEFAULT_RESCHEDULE_POLICY);
+    assert.strictEqual(calculateRescheduleFee(DEFAULT_RESCHEDULE_POLICY, 5900), 0);
+    assert.strictEqual(calculateRescheduleFee({ fee: { type: 'percentage', value: 10 } }, 5900), 590);
+    assert.strictEqual(calculateRescheduleFee({ fee: { type: 'fixed', value: 500 } }, 5900), 500);
+});
+
+await scenario('a shorter stay refunds the difference and gives back the nights left', async () => {
+    const fake = createFakeRazorpayClient();
+    setRazorpayClient(fake);
+
+    const booking = await createBooking({ user: guest, pkg, room, checkIn: 10, nights: 2 });
+    const result = await rescheduleBooking(booking, stay(12, 1));
+
+    assert.ifError(result.error);
+    assert.strictEqual(result.razorpay, null);
+    assert.strictEqual(result.change.status, 'completed');
+    assert.strictEqual(result.change.settlement, 'refund');
+    assert.strictEqual(result.change.settlementAmount, NIGHT_TOTAL);
+
+    const refunds = calls(fake, 'payments.refund');
+    assert.strictEqual(refunds.length, 1);
+    assert.strictEqual(refunds[0].args[1].amount, NIGHT_TOTAL * 100);
+
+    const current = await Booking.findById(booking._id);
+    assert.strictEqual(current.checkInDate.getTime(), day(12).getTime());
+    assert.strictEqual(current.pricing.finalAmount, NIGHT_TOTAL);
+    assert.strictEqual(current.pricing.paidAmount, NIGHT_TOTAL);
+
+    assert.deepStrictEqual(
+        [await reservedOn(room, 10), await reservedOn(room, 11), await reservedOn(room, 12)],
+        [0, 0, 1]
+    );
+});
+
+await scenario('a longer stay waits for the top-up with the extra night held', async () => {
+    const fake = createFakeRazorpayClient();
+    setRazorpayClient(fake);
+
+    const booking = await createBooking({ user: guest, pkg, room, checkIn: 20, nights: 1 });
+    const result = await rescheduleBooking(booking, stay(20, 2));
+
+    assert.ifError(result.error);
+    assert.strictEqual(result.change.status, 'pending_payment');
+    assert.strictEqual(result.razorpay.amount, NIGHT_TOTAL);
+    assert.strictEqual(calls(fake, 'orders.create')[0].args[0].amount, NIGHT_TOTAL * 100);
+
+    // Not moved yet, but the extra night can't be sold meanwhile
+    assert.strictEqual(result.booking.checkOutDate.getTime(), day(21).getTime());
+    assert.strictEqual(await reservedOn(room, 21), 1);
+
+    const updated = await completeChangePayment(result.booking, {
+        orderId: result.razorpay.orderId,
+        paymentId: 'pay_topup'
+    });
+
+    assert.strictEqual(updated.checkOutDate.getTime(), day(22).getTime());
+    assert.strictEqual(updated.pricing.finalAmount, NIGHT_TOTAL * 2);
+    assert.strictEqual(updated.pricing.paidAmount, NIGHT_TOTAL * 2);
+    assert.strictEqual(updated.payment.status, 'paid');
+    assert.strictEqual(updated.changes[0].status, 'completed');
+    assert.deepStrictEqual([await reservedOn(room, 20), await reservedOn(room, 21)], [1, 1]);
+});
+
+await scenario('a deposit booking moves the difference into its balance', async () => {
+    const fake = createFakeRazorpayClient();
+    setRazorpayClient(fake);
+
+    const booking = await createBooking({ user: guest, pkg, room, checkIn: 30, nights: 1, paid: 1000, depositAmount: 1000 });
+    const result = await rescheduleBooking(booking, stay(30, 2));
+
+    assert.ifError(result.error);
+    assert.strictEqual(result.razorpay, null);
+    assert.strictEqual(result.change.settlement, 'balance');
+    assert.strictEqual(result.change.settlementAmount, NIGHT_TOTAL);
+    assert.strictEqual(calls(fake, 'orders.create').length, 0);
+
+    assert.strictEqual(result.booking.pricing.paidAmount, 1000);
+    assert.strictEqual(result.booking.pricing.balanceAmount, NIGHT_TOTAL * 2 - 1000);
+    assert.strictEqual(result.booking.payment.status, 'partially_paid');
+});
+
+await scenario('a guest can move a booking once by default', async () => {
+    setRazorpayClient(createFakeRazorpayClient());
+
+    const booking = await createBooking({ user: guest, pkg, room, checkIn: 40, nights: 1 });
+    const first = await rescheduleBooking(booking, stay(41, 1));
+    assert.ifError(first.error);
+
+    const second = await rescheduleBooking(first.booking, stay(42, 1));
+    assert.strictEqual(second.status, 400);
+
+    // The property can still move it
+    const byAdmin = await rescheduleBooking(first.booking, { ...stay(42, 1), requestedBy: 'admin' });
+    assert.ifError(byAdmin.error);
+});
+
+await scenario('a guest cannot move a booking too close to check-in', async () => {
+    const booking = await createBooking({ user: guest, pkg, room, checkIn: 1, nights: 1 });
+    const result = await rescheduleBooking(booking, stay(5, 1));
+
+    assert.strictEqual(result.status, 400);
+    assert.strictEqual((await Booking.findById(booking._id)).checkInDate.getTime(), day(1).getTime());
+});
+
+await scenario('dates that are sold out leave the booking as it was', async () => {
+    setRazorpayClient(createFakeRazorpayClient());
+
+    const cottage = await createRoomType({ name: 'Cottage', totalUnits: 1 });
+    const cottagePackage = await createRoomsPackage([cottage]);
+    const booking = await createBooking({ user: guest, pkg: cottagePackage, room: cottage, checkIn: 50, nights: 1 });
+    await createBooking({ user: await createGuest(), pkg: cottagePackage, room: cottage, checkIn: 51, nights: 1 });
+
+    const result = await rescheduleBooking(booking, stay(51, 1));
+
+    assert.strictEqual(result.status, 409);
+    assert.strictEqual(result.unavailableResources.length, 1);
+
+    const current = await Booking.findById(booking._id);
+    assert.strictEqual(current.checkInDate.getTime(), day(50).getTime());
+    assert.strictEqual(current.changes.length, 0);
+    assert.deepStrictEqual([await reservedOn(cottage, 50), await reservedOn(cottage, 51)], [1, 1]);
+});
+
+// ==================== CLEANUP ====================
+
+await stopTestDatabase();
+
+finish('Reschedule test');
@@ -0,0 +1,161 @@
+import assert from 'assert';
+import {
+    startTestDatabase,
+    stopTestDatabase,
+    scenario,
+    finish,
+    day,
+    createGuest,
+    createRoomType,
+    createRoomsPackage,
+    createBooking
+} from './test-setup.js';
+import Booking from './src/models/Booking.js';
+import Resource from './src/models/Resource.js';
+import ResourceInventory from './src/models/ResourceInventory.js';
+import { setRazorpayClient } from './src/lib/razorpay.js';
+import { createFakeRazorpayClient } from './src/lib/fakeRazorpay.js';
+import { changeBookingRooms } from './src/lib/roomChanges.js';
+import { settleNewTotal, completeChangePayment, expireBookingChange } from './src/lib/bookingChanges.js';
+
+// Room changes and how a new total is settled: a refund when less is due
+// than was paid, the deposit balance for a part-paid booking, a top-up
+// (with the extra rooms held) for a fully paid one. Rooms given up come
+// off at the price they were booked at.
+// Usage: npm run test:room-changes
+
+await startTestDatabase();
+await ResourceInventory.syncIndexes();
+
+const refundCalls = (fake) => fake.calls.filter(call => call.method === 'payments.refund');
+
+// Units of a room reserved on one night
+const reservedOn = async (room, offset) => {
+    const row = await ResourceInventory.findOne({ resource: room._id, date: day(offset) });
+    return row?.reservedUnits || 0;
+};
+
+// Booking as far as settleNewTotal looks at it
+const paidBooking = (finalAmount, paidAmount) => ({
+    pricing: { finalAmount, paidAmount },
+    payment: { status: paidAmount < finalAmount ? 'partially_paid' : 'paid' }
+});
+
+const settle = (booking, newAmount) => settleNewTotal(booking, {}, newAmount, { checkInDate: day(30), now: new Date() });
+
+const guest = await createGuest();
+const room = await createRoomType({ totalUnits: 20 });
+const pkg = await createRoomsPackage([room]);
+
+// 2000 a night + 18% GST
+const ROOM_NIGHT_TOTAL = 2360;
+
+// ==================== SCENARIOS ====================
+
+await scenario('a new total is refunded, topped up or added to the balance', () => {
+    let result = settle(paidBooking(5900, 5900), 3540);
+    assert.deepStrictEqual(result.settlement, { type: 'refund', amount: 2360, paidAmount: 3540 });
+    assert.strictEqual(result.pricing.balanceAmount, 0);
+    assert.strictEqual(result.payment.status, 'paid');
+
+    result = settle(paidBooking(5900, 5900), 8260);
+    assert.deepStrictEqual(result.settlement, { type: 'top_up', amount: 2360, paidAmount: 8260 });
+    assert.strictEqual(result.payment.status, 'paid');
+
+    result = settle(paidBooking(5900, 5900), 5900);
+    assert.deepStrictEqual(result.settlement, { type: 'none', amount: 0, paidAmount: 5900 });
+
+    // Deposit paid: the balance takes the difference
+    result = settle(paidBooking(5900, 1000), 8260);
+    assert.deepStrictEqual(result.settlement, { type: 'balance', amount: 2360, paidAmount: 1000 });
+    assert.strictEqual(result.pricing.balanceAmount, 7260);
+    assert.strictEqual(result.payment.status, 'partially_paid');
+    assert.ok(result.pricing.balanceDueDate);
+
+    // ...unless the new total is below the deposit
+    result = settle(paidBooking(5900, 1000), 500);
+    assert.deepStrictEqual(result.settlement, { type: 'refund', amount: 500, paidAmount: 500 });
+    assert.strictEqual(result.payment.status, 'paid');
+});
+
+await scenario('a room given up is refunded at the price it was booked at', async () => {
+    const fake = createFakeRazorpayClient();
+    setRazorpayClient(fake);
+
+    const suite = await createRoomType({ name: 'Suite', totalUnits: 5 });
+    const suitePackage = await createRoomsPackage([suite]);
+    const booking = await createBooking({ user: guest, pkg: suitePackage, room: suite, quantity: 2, checkIn: 20 });
+
+    // Prices went up since the booking was made
+    await Resource.updateOne({ _id: suite._id }, { $set: { basePrice: 3000 } });
+
+    const result = await changeBookingRooms(booking, { resourceId: suite._id, quantity: 1 });
+
+    assert.ifError(result.error);
+    assert.strictEqual(result.change.settlement, 'refund');
+    assert.strictEqual(result.change.settlementAmount, ROOM_NIGHT_TOTAL);
+    assert.strictEqual(refundCalls(fake)[0].args[1].amount, ROOM_NIGHT_TOTAL * 100);
+
+    assert.strictEqual(result.booking.resources[0].quantity, 1);
+    assert.strictEqual(result.booking.pricing.finalAmount, ROOM_NIGHT_TOTAL);
+    assert.strictEqual(result.booking.pricing.nights[0].unitPrice, 2000);
+    assert.strictEqual(await reservedOn(suite, 20), 1);
+});
+
+await scenario('a room added to a paid booking waits for the top-up with the room held', async () => {
+    setRazorpayClient(createFakeRazorpayClient());
+
+    const booking = await createBooking({ user: guest, pkg, room, checkIn: 30 });
+    const result = await changeBookingRooms(booking, { resourceId: room._id, quantity: 2 });
+
+    assert.ifError(result.error);
+    assert.strictEqual(result.change.status, 'pending_payment');
+    assert.strictEqual(result.razorpay.amount, ROOM_NIGHT_TOTAL);
+    assert.strictEqual(result.booking.resources[0].quantity, 1);
+    assert.strictEqual(await reservedOn(room, 30), 2);
+
+    const updated = await completeChangePayment(result.booking, {
+        orderId: result.razorpay.orderId,
+        paymentId: 'pay_topup'
+    });
+
+    assert.strictEqual(updated.resources[0].quantity, 2);
+    assert.strictEqual(updated.pricing.finalAmount, ROOM_NIGHT_TOTAL * 2);
+    assert.strictEqual(updated.pricing.paidAmount, ROOM_NIGHT_TOTAL * 2);
+    assert.strictEqual(updated.changes[0].status, 'completed');
+    assert.strictEqual(await reservedOn(room, 30), 2);
+});
+
+await scenario('a top-up paid after its change expired is refunded in full', async () => {
+    const fake = createFakeRazorpayClient();
+    setRazorpayClient(fake);
+
+    const booking = await createBooking({ user: guest, pkg, room, checkIn: 40 });
+    const result = await changeBookingRooms(booking, { resourceId: room._id, quantity: 2 });
+    const { orderId } = result.razorpay;
+
+    assert.strictEqual(await expireBookingChange(booking._id, orderId), true);
+    assert.strictEqual(await expireBookingChange(booking._id, orderId), false);
+    assert.strictEqual(await reservedOn(room, 40), 1);
+
+    const updated = await completeChangePayment(result.booking, { orderId, paymentId: 'pay_late' });
+
+    assert.strictEqual(updated.resources[0].quantity, 1);
+    assert.strictEqual(updated.pricing.finalAmount, ROOM_NIGHT_TOTAL);
+    assert.deepStrictEqual(refundCalls(fake).map(call => [call.args[0], call.args[1].amount]), [['pay_late', ROOM_NIGHT_TOTAL * 100]]);
+});
+
+await scenario('a guest cannot give up a room inside the removal cut-off', async () => {
+    const booking = await createBooking({ user: guest, pkg, room, quantity: 2, checkIn: 3 });
+    const result = await changeBookingRooms(booking, { resourceId: room._id, quantity: 1 });
+
+    assert.strictEqual(result.status, 400);
+    assert.strictEqual((await Booking.findById(booking._id)).resources[0].quantity, 2);
+    assert.strictEqual(await reservedOn(room, 3), 2);
+});
+
+// ==================== CLEANUP ====================
+
+await stopTestDatabase();
+
+finish('Room change test');
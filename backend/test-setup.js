@@ -0,0 +1,276 @@
+import mongoose from 'mongoose';
+import express from 'express';
+import jwt from 'jsonwebtoken';
+import dayjs from 'dayjs';
+import utc from 'dayjs/plugin/utc.js';
+
+// Shared setup for the test-*.js scripts: env defaults, an in-memory MongoDB,
+// silent notification providers and a few fixture builders.
+// Import it first - the env defaults must be set before the app modules load.
+//
+// Usage:
+//   import { startTestDatabase, stopTestDatabase, scenario, finish } from './test-setup.js';
+
+dayjs.extend(utc);
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+process.env.RAZORPAY_API_KEY = process.env.RAZORPAY_API_KEY || 'rzp_test_key';
+process.env.RAZORPAY_SECRET_KEY = process.env.RAZORPAY_SECRET_KEY || 'rzp_test_secret';
+process.env.RAZORPAY_WEBHOOK_SECRET = process.env.RAZORPAY_WEBHOOK_SECRET || 'webhook_test_secret';
+
+// ==================== DATABASE ====================
+
+let mongod = null;
+
+/**
+ * Start an in-memory MongoDB and connect mongoose to it
+ * Email, SMS and push go to an in-memory outbox (see sentMessages).
+ */
+export const startTestDatabase = async () => {
+    const { MongoMemoryServer } = await import('mongodb-memory-server');
+    mongod = await MongoMemoryServer.create();
+    await mongoose.connect(mongod.getUri());
+
+    const { setNotificationProvider } = await import('./src/lib/notificationProviders.js');
+    for (const channel of ['email', 'sms', 'push']) {
+        setNotificationProvider(channel, {
+            name: 'test',
+            send: async (message) => {
+                sentMessages.push({ channel, ...message });
+                return { messageId: `test_${sentMessages.length}` };
+            }
+        });
+    }
+};
+
+export const stopTestDatabase = async () => {
+    await mongoose.disconnect();
+    await mongod?.stop();
+};
+
+// Messages "sent" by the notification queue, oldest first
+export const sentMessages = [];
+
+// ==================== APP ====================
+
+/**
+ * Serve routers on a random port
+ * @param {object} routers - { '/api/bookings': bookingRoutes, ... }
+ * @returns {object} { baseUrl, close }
+ */
+export const startTestApp = (routers) => {
+    const app = express();
+    app.use(express.json({
+        // Webhook signatures are computed over the raw body (like index.js)
+        verify: (req, res, buf) => {
+            req.rawBody = buf;
+        }
+    }));
+
+    for (const [path, router] of Object.entries(routers)) {
+        app.use(path, router);
+    }
+
+    const server = app.listen(0);
+
+    return {
+        baseUrl: `http://127.0.0.1:${server.address().port}`,
+        close: () => server.close()
+    };
+};
+
+/**
+ * Authorization header of a logged-in user
+ */
+export const authHeaders = (user) => ({
+    'Content-Type': 'application/json',
+    Authorization: `Bearer ${jwt.sign({ id: user._id }, process.env.JWT_SECRET)}`
+});
+
+// ==================== SCENARIOS ====================
+
+let failed = false;
+
+/**
+ * Run one named check and print PASS / FAIL (the script carries on either way)
+ */
+export const scenario = async (name, fn) => {
+    try {
+        await fn();
+        console.log(`PASS  ${name}`);
+    } catch (error) {
+        failed = true;
+        console.log(`FAIL  ${name}`);
+        console.log(error.stack || error.message);
+    }
+};
+
+/**
+ * Print the summary and exit with 1 if any scenario failed
+ */
+export const finish = (title) => {
+    console.log(failed ? `\n${title} FAILED\n` : `\n${title} passed\n`);
+    process.exit(failed ? 1 : 0);
+};
+
+// ==================== FIXTURES ====================
+
+/**
+ * Date `offset` days from today (UTC midnight, like booking dates)
+ */
+export const day = (offset) => dayjs.utc().startOf('day').add(offset, 'day').toDate();
+
+let guestCounter = 0;
+
+export const createGuest = async (overrides = {}) => {
+    const { default: User } = await import('./src/models/User.js');
+    guestCounter++;
+
+    return User.create({
+        fullName: `Guest ${guestCounter}`,
+        phoneNumber: `90000${String(guestCounter).padStart(5, '0')}`,
+        email: `guest${guestCounter}@example.com`,
+        password: 'password123',
+        ...overrides
+    });
+};
+
+export const createRoomType = async (overrides = {}) => {
+    const { default: Resource } = await import('./src/models/Resource.js');
+
+    return Resource.create({
+        name: 'Deluxe Room',
+        description: 'Deluxe room',
+        shortDescription: 'Deluxe room',
+        facilityType: 'guest_room',
+        category: 'Deluxe',
+        basePrice: 2000,
+        capacity: 4,
+        totalUnits: 5,
+        ...overrides
+    });
+};
+
+/**
+ * rooms_only package over the given room types
+ */
+export const createRoomsPackage = async (roomTypes, overrides = {}) => {
+    const { default: Package } = await import('./src/models/Package.js');
+
+    return Package.create({
+        name: 'Rooms Only',
+        category: 'rooms_only',
+        description: 'Individual rooms',
+        includes: {
+            resources: roomTypes.map(room => ({
+                resource: room._id,
+                quantity: 1,
+                isFlexible: true,
+                minQuantity: 1,
+                maxQuantity: room.totalUnits
+            }))
+        },
+        pricing: { basePrice: 0 },
+        ...overrides
+    });
+};
+
+let orderCounter = 0;
+
+/**
+ * Booking of `quantity` rooms of one type, priced night by night at the room's base price
+ * A pending / confirmed booking holds its units in the ledger like create-order does.
+ *
+ * @param {object} options - { user, pkg, room, quantity, checkIn, nights, status, paid, depositAmount }
+ *                           paid: amount the guest has paid (0 = nothing yet)
+ */
+export const createBooking = async ({
+    user,
+    pkg,
+    room,
+    quantity = 1,
+    checkIn = 10,
+    nights = 1,
+    status = 'confirmed',
+    paid = null,
+    depositAmount = null,
+    ...overrides
+}) => {
+    const { default: Booking } = await import('./src/models/Booking.js');
+    const { reserveInventory } = await import('./src/lib/inventory.js');
+
+    const checkInDate = day(checkIn);
+    const checkOutDate = day(checkIn + nights);
+    const subtotal = room.basePrice * quantity * nights;
+    const gstAmount = Math.round(subtotal * 0.18);
+    const finalAmount = subtotal + gstAmount;
+    const paidAmount = paid ?? (status === 'pending' ? 0 : finalAmount);
+    const orderId = `order_test_${++orderCounter}`;
+    const paymentId = paidAmount > 0 ? `pay_test_${orderCounter}` : null;
+
+    const holdsInventory = ['pending', 'confirmed', 'checked_in'].includes(status);
+    if (holdsInventory) {
+        const { reserved } = await reserveInventory(
+            [{ resource: room._id, quantity, totalUnits: room.totalUnits, name: room.name }],
+            checkInDate,
+            checkOutDate
+        );
+        if (!reserved) {
+            throw new Error(`Fixture could not hold ${quantity} ${room.name} from day ${checkIn}`);
+        }
+    }
+
+    const nightly = Array.from({ length: nights }, (_, index) => ({
+        date: day(checkIn + index),
+        resource: room._id,
+        resourceName: room.name,
+        basePrice: room.basePrice,
+        unitPrice: room.basePrice,
+        quantity,
+        amount: room.basePrice * quantity
+    }));
+
+    return Booking.create({
+        userId: user._id,
+        packageId: pkg._id,
+        category: pkg.category,
+        resources: [{
+            resource: room._id,
+            facilityType: room.facilityType,
+            name: room.name,
+            category: room.category,
+            quantity,
+            capacity: room.capacity * quantity
+        }],
+        checkInDate,
+        checkOutDate,
+        numberOfDays: nights,
+        guestDetails: {
+            fullName: user.fullName,
+            phoneNumber: user.phoneNumber,
+            email: user.email
+        },
+        pricing: {
+            packageBasePrice: 0,
+            resourcePricing: subtotal,
+            nights: nightly,
+            subtotal,
+            gst: { percentage: 18, amount: gstAmount },
+            finalAmount,
+            paidAmount,
+            depositAmount
+        },
+        payment: {
+            orderId,
+            paymentId,
+            status: paidAmount >= finalAmount ? 'paid' : paidAmount > 0 ? 'partially_paid' : 'pending'
+        },
+        payments: paidAmount > 0
+            ? [{ kind: 'payment', purpose: paidAmount < finalAmount ? 'deposit' : 'full', amount: paidAmount, status: 'paid', orderId, paymentId }]
+            : [{ kind: 'payment', purpose: depositAmount ? 'deposit' : 'full', amount: depositAmount ?? finalAmount, status: 'created', orderId }],
+        status,
+        holdExpiresAt: status === 'pending' ? dayjs().add(15, 'minute').toDate() : null,
+        inventoryHeld: holdsInventory,
+        ...overrides
+    });
+};
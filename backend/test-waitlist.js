@@ -0,0 +1,167 @@
+import assert from 'assert';
+import dayjs from 'dayjs';
+import utc from 'dayjs/plugin/utc.js';
+import {
+    startTestDatabase,
+    stopTestDatabase,
+    scenario,
+    finish,
+    day,
+    createGuest,
+    createRoomType,
+    createRoomsPackage,
+    createBooking
+} from './test-setup.js';
+import Booking from './src/models/Booking.js';
+import Waitlist from './src/models/Waitlist.js';
+import ResourceInventory from './src/models/ResourceInventory.js';
+import { releaseBookingInventory } from './src/lib/inventory.js';
+import { deleteAccount } from './src/lib/accounts.js';
+import {
+    getOfferTtlMinutes,
+    joinWaitlist,
+    getWaitlistPosition,
+    offerReleasedUnits,
+    quoteWaitlistOffer,
+    claimWaitlistOffer,
+    leaveWaitlist,
+    lapseStaleOffers
+} from './src/lib/waitlist.js';
+
+dayjs.extend(utc);
+
+// The waitlist for a sold-out stay: units given back are offered to the
+// oldest entry whose whole stay fits again and held for the offer TTL; an
+// offer that lapses, is given up or belongs to a deleted account goes to
+// the next guest.
+// Usage: npm run test:waitlist
+
+await startTestDatabase();
+await ResourceInventory.syncIndexes();
+
+// Units of a room reserved on one night
+const reservedOn = async (room, offset) => {
+    const row = await ResourceInventory.findOne({ resource: room._id, date: day(offset) });
+    return row?.reservedUnits || 0;
+};
+
+// Booking cancelled and its units given back, like the cancel routes do
+const cancelBooking = async (booking) => {
+    await Booking.updateOne({ _id: booking._id }, { $set: { status: 'cancelled' } });
+    await releaseBookingInventory(booking);
+    return offerReleasedUnits(booking.resources, booking.checkInDate, booking.checkOutDate);
+};
+
+const statusOf = async (entry) => (await Waitlist.findById(entry._id)).status;
+
+// One cottage, booked on day 10 and day 11
+const cottage = await createRoomType({ name: 'Cottage', totalUnits: 1 });
+const pkg = await createRoomsPackage([cottage]);
+
+const firstNight = await createBooking({ user: await createGuest(), pkg, room: cottage, checkIn: 10 });
+const secondNight = await createBooking({ user: await createGuest(), pkg, room: cottage, checkIn: 11 });
+
+const join = (guest, checkIn, nights, room = cottage, roomPackage = pkg) => joinWaitlist(guest._id, {
+    packageId: roomPackage._id.toString(),
+    checkInDate: dayjs.utc(day(checkIn)).format('DD-MM-YYYY'),
+    checkOutDate: dayjs.utc(day(checkIn + nights)).format('DD-MM-YYYY'),
+    rooms: { [room._id.toString()]: 1 }
+});
+
+const [longStay, shortStay, nextInLine] = [await createGuest(), await createGuest(), await createGuest()];
+let longEntry;
+let shortEntry;
+let nextEntry;
+
+// ==================== SCENARIOS ====================
+
+await scenario('only a sold-out stay can be joined, once per guest, in order', async () => {
+    const available = await join(longStay, 20, 1);
+    assert.strictEqual(available.status, 400);
+
+    ({ entry: longEntry } = await join(longStay, 10, 2));
+    ({ entry: shortEntry } = await join(shortStay, 10, 1));
+    assert.strictEqual(longEntry.status, 'waiting');
+    assert.deepStrictEqual(longEntry.units.map(unit => unit.quantity), [1]);
+
+    assert.strictEqual((await join(shortStay, 10, 1)).status, 409);
+
+    assert.strictEqual(await getWaitlistPosition(longEntry), 1);
+    assert.strictEqual(await getWaitlistPosition(shortEntry), 2);
+});
+
+await scenario('a cancelled night goes to the oldest entry whose whole stay fits', async () => {
+    const before = Date.now();
+    assert.strictEqual(await cancelBooking(firstNight), 1);
+
+    // The two-night stay still doesn't fit - day 11 is booked
+    assert.strictEqual(await statusOf(longEntry), 'waiting');
+
+    const offered = await Waitlist.findById(shortEntry._id);
+    assert.strictEqual(offered.status, 'offered');
+    assert.ok(offered.offerExpiresAt.getTime() >= before + getOfferTtlMinutes() * 60 * 1000);
+
+    // Held for the offer
+    assert.strictEqual(await reservedOn(cottage, 10), 1);
+});
+
+await scenario('an offer not taken up in time goes to the next guest', async () => {
+    ({ entry: nextEntry } = await join(nextInLine, 10, 1));
+
+    const later = dayjs().add(getOfferTtlMinutes() + 1, 'minute').toDate();
+    assert.strictEqual((await quoteWaitlistOffer(shortEntry._id, shortStay._id, later)).status, 410);
+    assert.strictEqual(await lapseStaleOffers(later), 1);
+
+    assert.strictEqual(await statusOf(shortEntry), 'lapsed');
+    assert.strictEqual(await statusOf(nextEntry), 'offered');
+    assert.strictEqual(await reservedOn(cottage, 10), 1);
+});
+
+await scenario('leaving with an open offer gives its units back', async () => {
+    const result = await leaveWaitlist(nextEntry._id, nextInLine._id);
+
+    assert.strictEqual(result.entry.status, 'cancelled');
+    assert.strictEqual(await reservedOn(cottage, 10), 0);
+    assert.strictEqual((await leaveWaitlist(nextEntry._id, nextInLine._id)).status, 400);
+});
+
+await scenario('once both nights are free the two-night stay is offered and only its guest can book it', async () => {
+    assert.strictEqual(await cancelBooking(secondNight), 1);
+
+    assert.strictEqual(await statusOf(longEntry), 'offered');
+    assert.deepStrictEqual([await reservedOn(cottage, 10), await reservedOn(cottage, 11)], [1, 1]);
+
+    assert.strictEqual((await quoteWaitlistOffer(longEntry._id, shortStay._id)).status, 404);
+
+    const { quote, error } = await quoteWaitlistOffer(longEntry._id, longStay._id);
+    assert.ifError(error);
+
+    const claimed = await claimWaitlistOffer(longEntry._id, longStay._id, quote);
+    assert.strictEqual(claimed.entry.status, 'booked');
+    assert.strictEqual((await claimWaitlistOffer(longEntry._id, longStay._id, quote)).status, 410);
+});
+
+await scenario('a deleted account leaves the waitlist and its offer goes to the next guest', async () => {
+    const lodge = await createRoomType({ name: 'Lodge', totalUnits: 1 });
+    const lodgePackage = await createRoomsPackage([lodge]);
+    const booking = await createBooking({ user: await createGuest(), pkg: lodgePackage, room: lodge, checkIn: 60 });
+
+    const [leaving, staying] = [await createGuest(), await createGuest()];
+    const { entry: leavingEntry } = await join(leaving, 60, 1, lodge, lodgePackage);
+    const { entry: stayingEntry } = await join(staying, 60, 1, lodge, lodgePackage);
+
+    await cancelBooking(booking);
+    assert.strictEqual(await statusOf(leavingEntry), 'offered');
+
+    assert.ifError((await deleteAccount(leaving)).error);
+
+    assert.strictEqual(await statusOf(leavingEntry), 'cancelled');
+    assert.strictEqual(await statusOf(stayingEntry), 'offered');
+    assert.strictEqual(await reservedOn(lodge, 60), 1);
+});
+
+// ==================== CLEANUP ====================
+
+await stopTestDatabase();
+
+finish('Waitlist test');
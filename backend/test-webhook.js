@@ -0,0 +1,143 @@
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// Replay a signed Razorpay webhook against the local server
+//
+// Usage:
+//   node test-webhook.js payment.captured <razorpay_order_id> [amountInRupees]   (first or pay-balance order)
+//   node test-webhook.js order.paid       <razorpay_order_id> [amountInRupees]
+//   node test-webhook.js payment.failed   <razorpay_order_id>
+//   node test-webhook.js refund.processed <razorpay_payment_id> <amountInRupees> [totalRefundedInRupees]
+//   node test-webhook.js refund.failed    <razorpay_payment_id> <amountInRupees>
+//
+// Options:
+//   --event-id <id>   reuse an event ID (send twice to check idempotency)
+//   --print           only print the payload and signature, don't send
+
+const args = process.argv.slice(2);
+const option = (name) => {
+    const index = args.indexOf(name);
+    if (index === -1) return null;
+    const [, value] = args.splice(index, 2);
+    return value ?? true;
+};
+
+const printOnly = option('--print');
+const eventId = option('--event-id') || `evt_test_${Date.now()}`;
+const [event, id, amountArg, totalRefundedArg] = args;
+
+const webhook_secret = process.env.RAZORPAY_WEBHOOK_SECRET; // From your .env file
+const webhook_url = process.env.WEBHOOK_URL || `http://localhost:${process.env.PORT || 3000}/api/payments/webhook`;
+
+if (!event || !id) {
+    console.log('Usage: node test-webhook.js <event> <order_id|payment_id> [amount] [totalRefunded]');
+    process.exit(1);
+}
+
+if (!webhook_secret) {
+    console.log('RAZORPAY_WEBHOOK_SECRET is not set in .env');
+    process.exit(1);
+}
+
+const paise = (rupees) => Math.round(Number(rupees || 0) * 100);
+const now = Math.floor(Date.now() / 1000);
+
+// ==================== SAMPLE PAYLOADS ====================
+
+const samplePayment = (status) => ({
+    id: `pay_test_${Date.now()}`,
+    entity: 'payment',
+    amount: paise(amountArg),
+    currency: 'INR',
+    status,
+    order_id: id,
+    method: 'upi',
+    captured: status === 'captured',
+    email: 'guest@example.com',
+    contact: '+919000000000',
+    error_description: status === 'failed' ? 'Payment was declined by the bank' : null,
+    created_at: now
+});
+
+const sampleRefund = (status) => ({
+    id: `rfnd_test_${Date.now()}`,
+    entity: 'refund',
+    amount: paise(amountArg),
+    currency: 'INR',
+    payment_id: id,
+    status,
+    created_at: now
+});
+
+const payloads = {
+    'payment.captured': () => ({
+        payment: { entity: samplePayment('captured') }
+    }),
+    'order.paid': () => ({
+        payment: { entity: samplePayment('captured') },
+        order: { entity: { id, entity: 'order', amount: paise(amountArg), amount_paid: paise(amountArg), status: 'paid' } }
+    }),
+    'payment.failed': () => ({
+        payment: { entity: samplePayment('failed') }
+    }),
+    'refund.processed': () => ({
+        refund: { entity: sampleRefund('processed') },
+        payment: {
+            entity: {
+                id,
+                entity: 'payment',
+                amount_refunded: paise(totalRefundedArg || amountArg),
+                status: 'refunded'
+            }
+        }
+    }),
+    'refund.failed': () => ({
+        refund: { entity: sampleRefund('failed') },
+        payment: { entity: { id, entity: 'payment', status: 'captured' } }
+    })
+};
+
+if (!payloads[event]) {
+    console.log(`Unknown event "${event}". Use one of: ${Object.keys(payloads).join(', ')}`);
+    process.exit(1);
+}
+
+const payload = payloads[event]();
+const body = JSON.stringify({
+    entity: 'event',
+    account_id: 'acc_test',
+    event,
+    contains: Object.keys(payload),
+    payload,
+    created_at: now
+});
+
+// Generate signature (HMAC of the exact bytes we send)
+const signature = crypto
+    .createHmac('sha256', webhook_secret)
+    .update(body)
+    .digest('hex');
+
+console.log('\n=== WEBHOOK SIMULATION VALUES ===\n');
+console.log('url:', webhook_url);
+console.log('event:', event);
+console.log('X-Razorpay-Event-Id:', eventId);
+console.log('X-Razorpay-Signature:', signature);
+console.log('body:', body);
+console.log('\n=================================\n');
+
+if (!printOnly) {
+    const response = await fetch(webhook_url, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'X-Razorpay-Signature': signature,
+            'X-Razorpay-Event-Id': eventId
+        },
+        body
+    });
+
+    console.log('Response:', response.status, await response.text());
+}
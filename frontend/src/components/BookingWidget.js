@@ -28,7 +28,7 @@ const BookingWidget = ({ onCheckAvailability }) => {
   const [checkInDate, setCheckInDate] = useState(null);
   const [checkOutDate, setCheckOutDate] = useState(null);
   const [numberOfNights, setNumberOfNights] = useState(0);
-  const [roomQuantity, setRoomQuantity] = useState(1); // ✅ Add room quantity state
+  const [rooms, setRooms] = useState({}); // Rooms of each type { resourceId: quantity } (rooms_only)
   const [showCategoryDropdown, setShowCategoryDropdown] = useState(false);
   const [showDateModal, setShowDateModal] = useState(false);
   const [markedDates, setMarkedDates] = useState({});
@@ -85,14 +85,38 @@ const BookingWidget = ({ onCheckAvailability }) => {
     return icons[category] || '🏨';
   };
 
+  // Room types a rooms_only package offers
+  const getRoomTypes = (category) => {
+    const resources = category?.packageData?.includes?.resources || [];
+    return resources
+      .filter((item) => item.resource?.facilityType === 'guest_room')
+      .map((item) => ({
+        id: item.resource._id,
+        name: item.resource.name,
+        basePrice: item.resource.basePrice,
+        max: item.maxQuantity || item.resource.totalUnits || null,
+      }));
+  };
+
   // Handle category selection
   const handleCategorySelect = (category) => {
     setSelectedCategory(category);
     setShowCategoryDropdown(false);
-    // Reset room quantity when changing category
-    setRoomQuantity(1);
+    // Reset rooms when changing category - one room of the first type
+    const [firstType] = getRoomTypes(category);
+    setRooms(category.category === 'rooms_only' && firstType ? { [firstType.id]: 1 } : {});
   };
 
+  // Change the number of rooms of one type
+  const handleRoomChange = (roomType, change) => {
+    const current = rooms[roomType.id] || 0;
+    const next = Math.max(0, current + change);
+    if (roomType.max && next > roomType.max) return;
+    setRooms({ ...rooms, [roomType.id]: next });
+  };
+
+  const getTotalRooms = () => Object.values(rooms).reduce((sum, quantity) => sum + quantity, 0);
+
   // Handle date selection in calendar
   const handleDayPress = (day) => {
     const selectedDate = day.dateString;
@@ -182,8 +206,8 @@ const BookingWidget = ({ onCheckAvailability }) => {
     }
 
     // ✅ Validate room quantity for rooms_only packages
-    if (selectedCategory.category === 'rooms_only' && (!roomQuantity || roomQuantity < 1)) {
-      Alert.alert('Room Quantity Required', 'Please select the number of rooms.');
+    if (selectedCategory.category === 'rooms_only' && getTotalRooms() < 1) {
+      Alert.alert('Room Quantity Required', 'Please select at least one room.');
       return;
     }
 
@@ -196,13 +220,20 @@ const BookingWidget = ({ onCheckAvailability }) => {
         checkInDate: checkInDate,
         checkOutDate: checkOutDate,
         numberOfNights: numberOfNights,
-        roomQuantity: selectedCategory.category === 'rooms_only' ? roomQuantity : null, // ✅ Add roomQuantity
+        roomQuantity: selectedCategory.category === 'rooms_only' ? getTotalRooms() : null, // ✅ Add roomQuantity
+        rooms: selectedCategory.category === 'rooms_only' ? selectedRooms() : null, // Rooms of each type
       });
     }
   };
   
+  // Only the room types that were picked
+  const selectedRooms = () => Object.fromEntries(
+    Object.entries(rooms).filter(([, quantity]) => quantity > 0)
+  );
+
   // Check if selected category is rooms_only
   const isRoomsOnly = selectedCategory?.category === 'rooms_only';
+  const roomTypes = isRoomsOnly ? getRoomTypes(selectedCategory) : [];
 
   // Format date for display
   const formatDate = (dateString) => {
@@ -320,33 +351,43 @@ const BookingWidget = ({ onCheckAvailability }) => {
         )}
       </TouchableOpacity>
 
-      {/* Room Quantity Selector - Only for rooms_only */}
-      {isRoomsOnly && (
-        <View style={styles.roomQuantityContainer}>
-          <View style={styles.roomQuantityLeft}>
-            <Ionicons name="bed-outline" size={20} color={colors.textSecondary} />
-            <Text style={styles.roomQuantityLabel}>Number of Rooms</Text>
-          </View>
-          <View style={styles.roomQuantityControls}>
-            <TouchableOpacity
-              style={[styles.quantityBtn, roomQuantity === 1 && styles.quantityBtnDisabled]}
-              onPress={() => setRoomQuantity(Math.max(1, roomQuantity - 1))}
-              disabled={roomQuantity === 1}
-              activeOpacity={0.7}
-            >
-              <Ionicons name="remove" size={18} color={roomQuantity === 1 ? colors.textSecondary : colors.primary} />
-            </TouchableOpacity>
-            <Text style={styles.roomQuantityValue}>{roomQuantity}</Text>
-            <TouchableOpacity
-              style={styles.quantityBtn}
-              onPress={() => setRoomQuantity(roomQuantity + 1)}
-              activeOpacity={0.7}
-            >
-              <Ionicons name="add" size={18} color={colors.primary} />
-            </TouchableOpacity>
+      {/* Room Quantity Selector - Only for rooms_only, one stepper per room type */}
+      {isRoomsOnly && roomTypes.map((roomType) => {
+        const quantity = rooms[roomType.id] || 0;
+        const atMax = roomType.max && quantity >= roomType.max;
+        return (
+          <View key={roomType.id} style={styles.roomQuantityContainer}>
+            <View style={styles.roomQuantityLeft}>
+              <Ionicons name="bed-outline" size={20} color={colors.textSecondary} />
+              <View>
+                <Text style={styles.roomQuantityLabel}>{roomType.name}</Text>
+                {roomType.basePrice ? (
+                  <Text style={styles.roomTypePrice}>₹{roomType.basePrice.toLocaleString('en-IN')}/night</Text>
+                ) : null}
+              </View>
+            </View>
+            <View style={styles.roomQuantityControls}>
+              <TouchableOpacity
+                style={[styles.quantityBtn, quantity === 0 && styles.quantityBtnDisabled]}
+                onPress={() => handleRoomChange(roomType, -1)}
+                disabled={quantity === 0}
+                activeOpacity={0.7}
+              >
+                <Ionicons name="remove" size={18} color={quantity === 0 ? colors.textSecondary : colors.primary} />
+              </TouchableOpacity>
+              <Text style={styles.roomQuantityValue}>{quantity}</Text>
+              <TouchableOpacity
+                style={[styles.quantityBtn, atMax && styles.quantityBtnDisabled]}
+                onPress={() => handleRoomChange(roomType, 1)}
+                disabled={atMax}
+                activeOpacity={0.7}
+              >
+                <Ionicons name="add" size={18} color={atMax ? colors.textSecondary : colors.primary} />
+              </TouchableOpacity>
+            </View>
           </View>
-        </View>
-      )}
+        );
+      })}
 
       {/* Check Availability Button */}
       <TouchableOpacity
@@ -718,6 +759,11 @@ const styles = StyleSheet.create({
     color: colors.text,
     fontWeight: '500',
   },
+  roomTypePrice: {
+    fontSize: 12,
+    color: colors.textSecondary,
+    marginTop: 2,
+  },
   roomQuantityControls: {
     flexDirection: 'row',
     alignItems: 'center',
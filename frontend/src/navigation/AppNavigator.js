@@ -1,21 +1,71 @@
-import React, { useState, useEffect } from 'react';
-import { NavigationContainer } from '@react-navigation/native';
+import React, { useState, useEffect, useRef } from 'react';
+import { NavigationContainer, createNavigationContainerRef } from '@react-navigation/native';
+import * as Notifications from 'expo-notifications';
 import AuthStack from './AuthStack';
 import MainStack from './MainStack';
 import SplashScreen from '../screens/onboarding/SplashScreen';
-import { getToken, removeToken, removeUser } from '../utils/storage';
-import authService from '../services/api/auth';
+import {
+  getToken,
+  removeToken,
+  removeUser,
+  getRefreshToken,
+  removeRefreshToken,
+} from '../utils/storage';
+import authService, { setSessionExpiredHandler } from '../services/api/auth';
+import {
+  registerForPushNotifications,
+  unregisterPushNotifications,
+  getBookingIdFromNotification,
+  isWaitlistNotification,
+} from '../utils/pushNotifications';
+
+const navigationRef = createNavigationContainerRef();
 
 const AppNavigator = () => {
   const [isAuthenticated, setIsAuthenticated] = useState(false);
   const [isLoading, setIsLoading] = useState(true);
   const [showSplash, setShowSplash] = useState(true);
+  const [navigationReady, setNavigationReady] = useState(false);
+  const handledNotificationId = useRef(null);
+
+  // Notification the user tapped (also set when the tap launched the app)
+  const lastNotificationResponse = Notifications.useLastNotificationResponse();
 
   // Check if user has valid token on app load
   useEffect(() => {
     checkAuthStatus();
   }, []);
 
+  // The API client couldn't refresh the session (revoked or logged out everywhere)
+  useEffect(() => {
+    setSessionExpiredHandler(async () => {
+      console.log('🔒 Session ended, returning to login...');
+      await removeUser();
+      setIsAuthenticated(false);
+    });
+
+    return () => setSessionExpiredHandler(null);
+  }, []);
+
+  // Tapping a booking notification opens that booking (a waitlist offer opens the waitlist)
+  useEffect(() => {
+    if (!isAuthenticated || !navigationReady || !lastNotificationResponse) return;
+
+    const notificationId = lastNotificationResponse.notification.request.identifier;
+    if (handledNotificationId.current === notificationId) return;
+
+    const bookingId = getBookingIdFromNotification(lastNotificationResponse);
+    if (bookingId) {
+      handledNotificationId.current = notificationId;
+      console.log('🔔 Opening booking from notification:', bookingId);
+      navigationRef.navigate('MyBookingDetail', { bookingId });
+    } else if (isWaitlistNotification(lastNotificationResponse)) {
+      handledNotificationId.current = notificationId;
+      console.log('🔔 Opening waitlist from notification');
+      navigationRef.navigate('MainTabs', { screen: 'BookingsTab', params: { tab: 'waitlist' } });
+    }
+  }, [isAuthenticated, navigationReady, lastNotificationResponse]);
+
   const checkAuthStatus = async () => {
     try {
       const token = await getToken();
@@ -31,12 +81,16 @@ const AppNavigator = () => {
           console.log('User:', response.user);
           
           setIsAuthenticated(true);
+
+          // Runs in the background - push is optional
+          registerForPushNotifications();
         } catch (error) {
           console.error('❌ Token verification failed:', error.message);
           console.log('Removing invalid token...');
           
-          // Token is invalid or expired, remove it
+          // Token is invalid and couldn't be refreshed, remove it
           await removeToken();
+          await removeRefreshToken();
           setIsAuthenticated(false);
         }
       } else {
@@ -60,7 +114,20 @@ const AppNavigator = () => {
   // This function will be called when user logs out
   const handleLogout = async () => {
     console.log('🚪 Logout triggered...');
+    await unregisterPushNotifications();
+
+    // End this device's session on the server (best effort - we log out locally anyway)
+    const refreshToken = await getRefreshToken();
+    if (refreshToken) {
+      try {
+        await authService.logout(refreshToken);
+      } catch (error) {
+        console.error('Server logout failed:', error.message);
+      }
+    }
+
     await removeToken();
+    await removeRefreshToken();
     await removeUser();
     setIsAuthenticated(false);
   };
@@ -76,7 +143,7 @@ const AppNavigator = () => {
   }
 
   return (
-    <NavigationContainer>
+    <NavigationContainer ref={navigationRef} onReady={() => setNavigationReady(true)}>
       {isAuthenticated ? (
         <MainStack onLogout={handleLogout} />
       ) : (
@@ -3,6 +3,7 @@ import { createStackNavigator } from '@react-navigation/stack';
 import WelcomeScreen from '../screens/onboarding/WelcomeScreen';
 import LoginScreen from '../screens/auth/LoginScreen';
 import RegisterScreen from '../screens/auth/RegisterScreen';  // ← ADD THIS
+import ResetPasswordScreen from '../screens/auth/ResetPasswordScreen';
 import useFirstTimeUser from '../hooks/useFirstTimeUser';
 
 const Stack = createStackNavigator();
@@ -28,6 +29,11 @@ const AuthStack = ({ onLoginSuccess }) => {
       <Stack.Screen name="Register">
         {(props) => <RegisterScreen {...props} onRegisterSuccess={onLoginSuccess} />}
       </Stack.Screen>
+
+      {/* Forgot password: code by SMS or email, then a new password */}
+      <Stack.Screen name="ResetPassword">
+        {(props) => <ResetPasswordScreen {...props} onResetSuccess={onLoginSuccess} />}
+      </Stack.Screen>
     </Stack.Navigator>
   );
 };
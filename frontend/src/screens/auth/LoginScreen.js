@@ -1,4 +1,4 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import {
   View,
   Text,
@@ -23,16 +23,35 @@ const LoginScreen = ({navigation, onLoginSuccess }) => {
   const [loading, setLoading] = useState(false);
   const [errors, setErrors] = useState({});
 
-  // Validate inputs
-  const validateInputs = () => {
-    const newErrors = {};
+  // OTP login: 'password' or 'otp'
+  const [mode, setMode] = useState('password');
+  const [code, setCode] = useState('');
+  const [otpSent, setOtpSent] = useState(false);
+  const [resendIn, setResendIn] = useState(0);
+
+  // Count down until another code can be requested
+  useEffect(() => {
+    if (resendIn <= 0) {
+      return;
+    }
+    const timer = setTimeout(() => setResendIn(resendIn - 1), 1000);
+    return () => clearTimeout(timer);
+  }, [resendIn]);
 
-    // Phone number validation (Indian format: 10 digits)
+  // Validate phone number (Indian format: 10 digits)
+  const validatePhoneNumber = (newErrors) => {
     if (!phoneNumber.trim()) {
       newErrors.phoneNumber = 'Phone number is required';
     } else if (!/^[6-9]\d{9}$/.test(phoneNumber.trim())) {
       newErrors.phoneNumber = 'Enter a valid 10-digit phone number';
     }
+  };
+
+  // Validate inputs
+  const validateInputs = () => {
+    const newErrors = {};
+
+    validatePhoneNumber(newErrors);
 
     // Password validation
     if (!password.trim()) {
@@ -60,30 +79,7 @@ const LoginScreen = ({navigation, onLoginSuccess }) => {
       // Call real backend API
       const response = await authService.login(phoneNumber, password);
 
-      console.log('✅ Login successful!');
-      console.log('Token:', response.token);
-      console.log('User:', response.user);
-
-      // Save token to AsyncStorage
-      await storage.saveToken(response.token);
-      await storage.saveUser(response.user);
-
-      // Show success message
-      Alert.alert(
-        'Login Successful!',
-        `Welcome ${response.user.fullName}!`,
-        [
-          {
-            text: 'OK',
-            onPress: () => {
-              // Trigger navigation to home
-              if (onLoginSuccess) {
-                onLoginSuccess();
-              }
-            }
-          }
-        ]
-      );
+      await completeLogin(response);
 
     } catch (error) {
       console.error('❌ Login failed:', error.message);
@@ -97,16 +93,99 @@ const LoginScreen = ({navigation, onLoginSuccess }) => {
     }
   };
 
-  // DUMMY: Handle forgot password click
-  const handleForgotPassword = () => {
-    console.log('=== FORGOT PASSWORD CLICKED ===');
+  // Save the session and go to home (password and OTP login)
+  const completeLogin = async (response) => {
+    console.log('✅ Login successful!');
+    console.log('Token:', response.token);
+    console.log('User:', response.user);
+
+    // Save token to AsyncStorage
+    await storage.saveToken(response.token);
+    await storage.saveRefreshToken(response.refreshToken);
+    await storage.saveUser(response.user);
+
+    // Show success message
     Alert.alert(
-      'Forgot Password',
-      'Forgot password flow will be implemented here.',
-      [{ text: 'OK' }]
+      'Login Successful!',
+      `Welcome ${response.user.fullName}!`,
+      [
+        {
+          text: 'OK',
+          onPress: () => {
+            // Trigger navigation to home
+            if (onLoginSuccess) {
+              onLoginSuccess();
+            }
+          }
+        }
+      ]
     );
   };
 
+  // Send a login code by SMS
+  const handleSendCode = async () => {
+    const newErrors = {};
+    validatePhoneNumber(newErrors);
+    setErrors(newErrors);
+    if (Object.keys(newErrors).length > 0) {
+      return;
+    }
+
+    setLoading(true);
+
+    try {
+      console.log('📱 Requesting login code for:', phoneNumber);
+
+      const response = await authService.requestOtp(phoneNumber.trim(), 'login');
+
+      setOtpSent(true);
+      setCode('');
+      setResendIn(response.resendAfter || 60);
+    } catch (error) {
+      console.error('❌ Sending code failed:', error.message);
+      setErrors({ general: error.message || 'Could not send the code. Please try again.' });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Log in with the code from the SMS
+  const handleVerifyCode = async () => {
+    if (!/^\d{6}$/.test(code.trim())) {
+      setErrors({ code: 'Enter the 6-digit code' });
+      return;
+    }
+
+    setLoading(true);
+    setErrors({});
+
+    try {
+      console.log('🔐 Verifying login code for:', phoneNumber);
+
+      const response = await authService.verifyOtp(phoneNumber.trim(), code.trim(), 'login');
+
+      await completeLogin(response);
+    } catch (error) {
+      console.error('❌ Code verification failed:', error.message);
+      setErrors({ general: error.message || 'Verification failed. Please try again.' });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Switch between password and OTP login
+  const handleSwitchMode = () => {
+    setMode(mode === 'password' ? 'otp' : 'password');
+    setOtpSent(false);
+    setCode('');
+    setErrors({});
+  };
+
+  // Navigate to Reset Password screen
+  const handleForgotPassword = () => {
+    navigation.navigate('ResetPassword', { phoneNumber: phoneNumber.trim() });
+  };
+
   // Navigate to Register screen
   const handleSignUp = () => {
     navigation.navigate('Register');
@@ -148,57 +227,150 @@ const LoginScreen = ({navigation, onLoginSuccess }) => {
               keyboardType="phone-pad"
               maxLength={10}
               autoComplete="tel"
-              editable={!loading}
+              editable={!loading && !otpSent}
             />
             {errors.phoneNumber && (
               <Text style={styles.errorText}>{errors.phoneNumber}</Text>
             )}
           </View>
 
-          {/* Password Input */}
-          <View style={styles.inputContainer}>
-            <Text style={styles.label}>Password</Text>
-            <TextInput
-              style={[styles.input, errors.password && styles.inputError]}
-              placeholder="Enter your password"
-              placeholderTextColor={colors.textSecondary}
-              value={password}
-              onChangeText={(text) => {
-                setPassword(text);
-                if (errors.password) {
-                  setErrors({ ...errors, password: null });
-                }
-              }}
-              secureTextEntry
-              autoComplete="password"
-              editable={!loading}
-            />
-            {errors.password && (
-              <Text style={styles.errorText}>{errors.password}</Text>
-            )}
-          </View>
+          {mode === 'otp' ? (
+            <>
+              {/* Code Input */}
+              {otpSent && (
+                <View style={styles.inputContainer}>
+                  <Text style={styles.label}>Verification Code</Text>
+                  <TextInput
+                    style={[styles.input, styles.codeInput, errors.code && styles.inputError]}
+                    placeholder="6-digit code"
+                    placeholderTextColor={colors.textSecondary}
+                    value={code}
+                    onChangeText={(text) => {
+                      setCode(text.replace(/[^0-9]/g, ''));
+                      if (errors.code) {
+                        setErrors({ ...errors, code: null });
+                      }
+                    }}
+                    keyboardType="number-pad"
+                    maxLength={6}
+                    autoComplete="sms-otp"
+                    textContentType="oneTimeCode"
+                    editable={!loading}
+                  />
+                  {errors.code && (
+                    <Text style={styles.errorText}>{errors.code}</Text>
+                  )}
+                  <Text style={styles.hintText}>Code sent to {phoneNumber}</Text>
 
-          {/* Forgot Password Link */}
-          <TouchableOpacity
-            style={styles.forgotPasswordContainer}
-            onPress={handleForgotPassword}
-            disabled={loading}
-          >
-            <Text style={styles.forgotPasswordText}>Forgot Password?</Text>
-          </TouchableOpacity>
+                  <View style={styles.otpLinksRow}>
+                    <TouchableOpacity
+                      onPress={() => {
+                        setOtpSent(false);
+                        setCode('');
+                      }}
+                      disabled={loading}
+                    >
+                      <Text style={styles.forgotPasswordText}>Change number</Text>
+                    </TouchableOpacity>
+                    <TouchableOpacity
+                      onPress={handleSendCode}
+                      disabled={loading || resendIn > 0}
+                    >
+                      <Text style={[styles.forgotPasswordText, resendIn > 0 && styles.linkDisabled]}>
+                        {resendIn > 0 ? `Resend code in ${resendIn}s` : 'Resend code'}
+                      </Text>
+                    </TouchableOpacity>
+                  </View>
+                </View>
+              )}
+
+              {/* General Error */}
+              {errors.general && (
+                <View style={styles.generalErrorContainer}>
+                  <Text style={styles.generalErrorText}>{errors.general}</Text>
+                </View>
+              )}
+
+              {/* Send / Verify Button */}
+              <TouchableOpacity
+                style={[styles.loginButton, loading && styles.loginButtonDisabled]}
+                onPress={otpSent ? handleVerifyCode : handleSendCode}
+                disabled={loading}
+                activeOpacity={0.8}
+              >
+                {loading ? (
+                  <ActivityIndicator color={colors.white} />
+                ) : (
+                  <Text style={styles.loginButtonText}>{otpSent ? 'Verify & Login' : 'Send Code'}</Text>
+                )}
+              </TouchableOpacity>
+            </>
+          ) : (
+            <>
+              {/* Password Input */}
+              <View style={styles.inputContainer}>
+                <Text style={styles.label}>Password</Text>
+                <TextInput
+                  style={[styles.input, errors.password && styles.inputError]}
+                  placeholder="Enter your password"
+                  placeholderTextColor={colors.textSecondary}
+                  value={password}
+                  onChangeText={(text) => {
+                    setPassword(text);
+                    if (errors.password) {
+                      setErrors({ ...errors, password: null });
+                    }
+                  }}
+                  secureTextEntry
+                  autoComplete="password"
+                  editable={!loading}
+                />
+                {errors.password && (
+                  <Text style={styles.errorText}>{errors.password}</Text>
+                )}
+              </View>
+
+              {/* Forgot Password Link */}
+              <TouchableOpacity
+                style={styles.forgotPasswordContainer}
+                onPress={handleForgotPassword}
+                disabled={loading}
+              >
+                <Text style={styles.forgotPasswordText}>Forgot Password?</Text>
+              </TouchableOpacity>
+
+              {/* General Error */}
+              {errors.general && (
+                <View style={styles.generalErrorContainer}>
+                  <Text style={styles.generalErrorText}>{errors.general}</Text>
+                </View>
+              )}
+
+              {/* Login Button */}
+              <TouchableOpacity
+                style={[styles.loginButton, loading && styles.loginButtonDisabled]}
+                onPress={handleLogin}
+                disabled={loading}
+                activeOpacity={0.8}
+              >
+                {loading ? (
+                  <ActivityIndicator color={colors.white} />
+                ) : (
+                  <Text style={styles.loginButtonText}>Login</Text>
+                )}
+              </TouchableOpacity>
+            </>
+          )}
 
-          {/* Login Button */}
+          {/* Switch Login Mode */}
           <TouchableOpacity
-            style={[styles.loginButton, loading && styles.loginButtonDisabled]}
-            onPress={handleLogin}
+            style={styles.switchModeButton}
+            onPress={handleSwitchMode}
             disabled={loading}
-            activeOpacity={0.8}
           >
-            {loading ? (
-              <ActivityIndicator color={colors.white} />
-            ) : (
-              <Text style={styles.loginButtonText}>Login</Text>
-            )}
+            <Text style={styles.switchModeText}>
+              {mode === 'password' ? 'Login with SMS code instead' : 'Login with password instead'}
+            </Text>
           </TouchableOpacity>
 
           {/* Sign Up Link */}
@@ -271,6 +443,45 @@ const styles = StyleSheet.create({
     color: colors.error,
     marginTop: spacing.xs,
   },
+  generalErrorContainer: {
+    backgroundColor: colors.errorLight,
+    padding: spacing.md,
+    borderRadius: spacing.radiusSm,
+    marginBottom: spacing.lg,
+  },
+  generalErrorText: {
+    fontSize: spacing.fontMd,
+    color: colors.error,
+    textAlign: 'center',
+  },
+  codeInput: {
+    fontSize: spacing.fontLg,
+    letterSpacing: 8,
+    textAlign: 'center',
+  },
+  hintText: {
+    fontSize: spacing.fontSm,
+    color: colors.textSecondary,
+    marginTop: spacing.xs,
+  },
+  otpLinksRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginTop: spacing.md,
+  },
+  linkDisabled: {
+    color: colors.textSecondary,
+  },
+  switchModeButton: {
+    alignItems: 'center',
+    paddingVertical: spacing.sm,
+    marginBottom: spacing.lg,
+  },
+  switchModeText: {
+    fontSize: spacing.fontMd,
+    color: colors.primary,
+    fontWeight: '600',
+  },
   forgotPasswordContainer: {
     alignSelf: 'flex-end',
     marginBottom: spacing.xl,
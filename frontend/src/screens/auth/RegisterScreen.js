@@ -1,4 +1,4 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import {
   View,
   Text,
@@ -26,6 +26,23 @@ const RegisterScreen = ({ navigation, onRegisterSuccess }) => {
   const [loading, setLoading] = useState(false);
   const [errors, setErrors] = useState({});
 
+  // Sign up with a password, or with a code sent to the phone ('otp')
+  const [mode, setMode] = useState('password');
+  const [code, setCode] = useState('');
+  const [otpSent, setOtpSent] = useState(false);
+  const [resendIn, setResendIn] = useState(0);
+  // Kept so a failed sign up (e.g. email taken) can be retried without a new code
+  const [verificationToken, setVerificationToken] = useState(null);
+
+  // Count down until another code can be requested
+  useEffect(() => {
+    if (resendIn <= 0) {
+      return;
+    }
+    const timer = setTimeout(() => setResendIn(resendIn - 1), 1000);
+    return () => clearTimeout(timer);
+  }, [resendIn]);
+
   // Validate inputs
   const validateInputs = () => {
     const newErrors = {};
@@ -49,18 +66,21 @@ const RegisterScreen = ({ navigation, onRegisterSuccess }) => {
       newErrors.email = 'Enter a valid email address';
     }
 
-    // Password validation
-    if (!password.trim()) {
-      newErrors.password = 'Password is required';
-    } else if (password.length < 8) {
-      newErrors.password = 'Password must be at least 8 characters';
-    }
+    // No password when signing up with an SMS code
+    if (mode === 'password') {
+      // Password validation
+      if (!password.trim()) {
+        newErrors.password = 'Password is required';
+      } else if (password.length < 8) {
+        newErrors.password = 'Password must be at least 8 characters';
+      }
 
-    // Confirm password validation
-    if (!confirmPassword.trim()) {
-      newErrors.confirmPassword = 'Please confirm your password';
-    } else if (password !== confirmPassword) {
-      newErrors.confirmPassword = 'Passwords do not match';
+      // Confirm password validation
+      if (!confirmPassword.trim()) {
+        newErrors.confirmPassword = 'Please confirm your password';
+      } else if (password !== confirmPassword) {
+        newErrors.confirmPassword = 'Passwords do not match';
+      }
     }
 
     setErrors(newErrors);
@@ -73,18 +93,32 @@ const RegisterScreen = ({ navigation, onRegisterSuccess }) => {
       return;
     }
 
+    if (mode === 'otp' && !verificationToken && !/^\d{6}$/.test(code.trim())) {
+      setErrors({ code: 'Enter the 6-digit code' });
+      return;
+    }
+
     setLoading(true);
     setErrors({}); // Clear any previous errors
 
     try {
       console.log('📝 Attempting registration...');
+
+      // OTP mode: exchange the code for proof that the phone is ours
+      let phoneVerificationToken = verificationToken;
+      if (mode === 'otp' && !phoneVerificationToken) {
+        const verification = await authService.verifyOtp(phoneNumber.trim(), code.trim(), 'register');
+        phoneVerificationToken = verification.phoneVerificationToken;
+        setVerificationToken(phoneVerificationToken);
+      }
       
       // Call backend API
       const response = await authService.register({
         fullName: fullName.trim(),
         phoneNumber: phoneNumber.trim(),
         email: email.trim() || undefined, // Don't send empty string
-        password: password,
+        password: mode === 'password' ? password : undefined,
+        phoneVerificationToken: mode === 'otp' ? phoneVerificationToken : undefined,
       });
       
       console.log('✅ Registration successful!');
@@ -93,6 +127,7 @@ const RegisterScreen = ({ navigation, onRegisterSuccess }) => {
       
       // Save token to AsyncStorage
       await storage.saveToken(response.token);
+      await storage.saveRefreshToken(response.refreshToken);
       await storage.saveUser(response.user);
       
       // Show success message
@@ -124,6 +159,40 @@ const RegisterScreen = ({ navigation, onRegisterSuccess }) => {
     }
   };
 
+  // Send a verification code to the phone number (OTP mode)
+  const handleSendCode = async () => {
+    if (!validateInputs()) {
+      return;
+    }
+
+    setLoading(true);
+
+    try {
+      console.log('📱 Requesting verification code for:', phoneNumber);
+
+      const response = await authService.requestOtp(phoneNumber.trim(), 'register');
+
+      setOtpSent(true);
+      setCode('');
+      setVerificationToken(null);
+      setResendIn(response.resendAfter || 60);
+    } catch (error) {
+      console.error('❌ Sending code failed:', error.message);
+      setErrors({ general: error.message || 'Could not send the code. Please try again.' });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Switch between password and OTP sign up
+  const handleSwitchMode = () => {
+    setMode(mode === 'password' ? 'otp' : 'password');
+    setOtpSent(false);
+    setCode('');
+    setVerificationToken(null);
+    setErrors({});
+  };
+
   // Handle forgot password
   const handleForgotPassword = () => {
     console.log('=== FORGOT PASSWORD CLICKED ===');
@@ -197,7 +266,7 @@ const RegisterScreen = ({ navigation, onRegisterSuccess }) => {
               keyboardType="phone-pad"
               maxLength={10}
               autoComplete="tel"
-              editable={!loading}
+              editable={!loading && !otpSent}
             />
             {errors.phoneNumber && (
               <Text style={styles.errorText}>{errors.phoneNumber}</Text>
@@ -230,51 +299,103 @@ const RegisterScreen = ({ navigation, onRegisterSuccess }) => {
             )}
           </View>
 
-          {/* Password Input */}
-          <View style={styles.inputContainer}>
-            <Text style={styles.label}>Password</Text>
-            <TextInput
-              style={[styles.input, errors.password && styles.inputError]}
-              placeholder="Create a password (min. 8 characters)"
-              placeholderTextColor={colors.textSecondary}
-              value={password}
-              onChangeText={(text) => {
-                setPassword(text);
-                if (errors.password) {
-                  setErrors({ ...errors, password: null });
-                }
-              }}
-              secureTextEntry
-              autoComplete="password-new"
-              editable={!loading}
-            />
-            {errors.password && (
-              <Text style={styles.errorText}>{errors.password}</Text>
-            )}
-          </View>
+          {mode === 'otp' ? (
+            otpSent && (
+              <View style={styles.inputContainer}>
+                <Text style={styles.label}>Verification Code</Text>
+                <TextInput
+                  style={[styles.input, styles.codeInput, errors.code && styles.inputError]}
+                  placeholder="6-digit code"
+                  placeholderTextColor={colors.textSecondary}
+                  value={code}
+                  onChangeText={(text) => {
+                    setCode(text.replace(/[^0-9]/g, ''));
+                    if (errors.code) {
+                      setErrors({ ...errors, code: null });
+                    }
+                  }}
+                  keyboardType="number-pad"
+                  maxLength={6}
+                  autoComplete="sms-otp"
+                  textContentType="oneTimeCode"
+                  editable={!loading}
+                />
+                {errors.code && (
+                  <Text style={styles.errorText}>{errors.code}</Text>
+                )}
+                <Text style={styles.hintText}>Code sent to {phoneNumber}</Text>
 
-          {/* Confirm Password Input */}
-          <View style={styles.inputContainer}>
-            <Text style={styles.label}>Confirm Password</Text>
-            <TextInput
-              style={[styles.input, errors.confirmPassword && styles.inputError]}
-              placeholder="Re-enter your password"
-              placeholderTextColor={colors.textSecondary}
-              value={confirmPassword}
-              onChangeText={(text) => {
-                setConfirmPassword(text);
-                if (errors.confirmPassword) {
-                  setErrors({ ...errors, confirmPassword: null });
-                }
-              }}
-              secureTextEntry
-              autoComplete="password-new"
-              editable={!loading}
-            />
-            {errors.confirmPassword && (
-              <Text style={styles.errorText}>{errors.confirmPassword}</Text>
-            )}
-          </View>
+                <View style={styles.otpLinksRow}>
+                  <TouchableOpacity
+                    onPress={() => {
+                      setOtpSent(false);
+                      setCode('');
+                      setVerificationToken(null);
+                    }}
+                    disabled={loading}
+                  >
+                    <Text style={styles.loginLink}>Change number</Text>
+                  </TouchableOpacity>
+                  <TouchableOpacity
+                    onPress={handleSendCode}
+                    disabled={loading || resendIn > 0}
+                  >
+                    <Text style={[styles.loginLink, resendIn > 0 && styles.linkDisabled]}>
+                      {resendIn > 0 ? `Resend code in ${resendIn}s` : 'Resend code'}
+                    </Text>
+                  </TouchableOpacity>
+                </View>
+              </View>
+            )
+          ) : (
+            <>
+              {/* Password Input */}
+              <View style={styles.inputContainer}>
+                <Text style={styles.label}>Password</Text>
+                <TextInput
+                  style={[styles.input, errors.password && styles.inputError]}
+                  placeholder="Create a password (min. 8 characters)"
+                  placeholderTextColor={colors.textSecondary}
+                  value={password}
+                  onChangeText={(text) => {
+                    setPassword(text);
+                    if (errors.password) {
+                      setErrors({ ...errors, password: null });
+                    }
+                  }}
+                  secureTextEntry
+                  autoComplete="password-new"
+                  editable={!loading}
+                />
+                {errors.password && (
+                  <Text style={styles.errorText}>{errors.password}</Text>
+                )}
+              </View>
+
+              {/* Confirm Password Input */}
+              <View style={styles.inputContainer}>
+                <Text style={styles.label}>Confirm Password</Text>
+                <TextInput
+                  style={[styles.input, errors.confirmPassword && styles.inputError]}
+                  placeholder="Re-enter your password"
+                  placeholderTextColor={colors.textSecondary}
+                  value={confirmPassword}
+                  onChangeText={(text) => {
+                    setConfirmPassword(text);
+                    if (errors.confirmPassword) {
+                      setErrors({ ...errors, confirmPassword: null });
+                    }
+                  }}
+                  secureTextEntry
+                  autoComplete="password-new"
+                  editable={!loading}
+                />
+                {errors.confirmPassword && (
+                  <Text style={styles.errorText}>{errors.confirmPassword}</Text>
+                )}
+              </View>
+            </>
+          )}
 
           {/* General Error */}
           {errors.general && (
@@ -286,17 +407,30 @@ const RegisterScreen = ({ navigation, onRegisterSuccess }) => {
           {/* Register Button */}
           <TouchableOpacity
             style={[styles.registerButton, loading && styles.registerButtonDisabled]}
-            onPress={handleRegister}
+            onPress={mode === 'otp' && !otpSent ? handleSendCode : handleRegister}
             disabled={loading}
             activeOpacity={0.8}
           >
             {loading ? (
               <ActivityIndicator color={colors.white} />
             ) : (
-              <Text style={styles.registerButtonText}>Sign Up</Text>
+              <Text style={styles.registerButtonText}>
+                {mode === 'password' ? 'Sign Up' : otpSent ? 'Verify & Sign Up' : 'Send Code'}
+              </Text>
             )}
           </TouchableOpacity>
 
+          {/* Switch Sign Up Mode */}
+          <TouchableOpacity
+            style={styles.switchModeButton}
+            onPress={handleSwitchMode}
+            disabled={loading}
+          >
+            <Text style={styles.loginLink}>
+              {mode === 'password' ? 'Sign up with SMS code instead (no password)' : 'Sign up with a password instead'}
+            </Text>
+          </TouchableOpacity>
+
           {/* Login Link */}
           <View style={styles.loginContainer}>
             <Text style={styles.loginText}>Already have an account? </Text>
@@ -383,6 +517,29 @@ const styles = StyleSheet.create({
     color: colors.error,
     textAlign: 'center',
   },
+  codeInput: {
+    fontSize: spacing.fontLg,
+    letterSpacing: 8,
+    textAlign: 'center',
+  },
+  hintText: {
+    fontSize: spacing.fontSm,
+    color: colors.textSecondary,
+    marginTop: spacing.xs,
+  },
+  otpLinksRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginTop: spacing.md,
+  },
+  linkDisabled: {
+    color: colors.textSecondary,
+  },
+  switchModeButton: {
+    alignItems: 'center',
+    paddingVertical: spacing.sm,
+    marginBottom: spacing.lg,
+  },
   registerButton: {
     backgroundColor: '#0D34B7',
     paddingVertical: spacing.md + 4,
@@ -0,0 +1,535 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  StyleSheet,
+  StatusBar,
+  KeyboardAvoidingView,
+  Platform,
+  ScrollView,
+  ActivityIndicator,
+  Alert,
+} from 'react-native';
+import colors from '../../styles/colors';
+import spacing from '../../styles/spacing';
+import * as storage from '../../utils/storage';
+import authService from '../../services/api/auth';
+
+const ResetPasswordScreen = ({ navigation, route, onResetSuccess }) => {
+  // Where the code goes: 'phone' (SMS) or 'email'
+  const [method, setMethod] = useState('phone');
+  const [phoneNumber, setPhoneNumber] = useState(route?.params?.phoneNumber || '');
+  const [email, setEmail] = useState('');
+  const [code, setCode] = useState('');
+  const [newPassword, setNewPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [codeSent, setCodeSent] = useState(false);
+  const [resendIn, setResendIn] = useState(0);
+  const [loading, setLoading] = useState(false);
+  const [errors, setErrors] = useState({});
+  const [info, setInfo] = useState(null);
+
+  // Count down until another code can be requested
+  useEffect(() => {
+    if (resendIn <= 0) {
+      return;
+    }
+    const timer = setTimeout(() => setResendIn(resendIn - 1), 1000);
+    return () => clearTimeout(timer);
+  }, [resendIn]);
+
+  // { phoneNumber } or { email }, as the backend expects
+  const getIdentifier = () => (
+    method === 'phone' ? { phoneNumber: phoneNumber.trim() } : { email: email.trim() }
+  );
+
+  // Validate phone number / email
+  const validateIdentifier = (newErrors) => {
+    if (method === 'phone') {
+      if (!phoneNumber.trim()) {
+        newErrors.phoneNumber = 'Phone number is required';
+      } else if (!/^[6-9]\d{9}$/.test(phoneNumber.trim())) {
+        newErrors.phoneNumber = 'Enter a valid 10-digit phone number';
+      }
+    } else if (!email.trim()) {
+      newErrors.email = 'Email is required';
+    } else if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email.trim())) {
+      newErrors.email = 'Enter a valid email address';
+    }
+  };
+
+  // Send the reset code
+  const handleSendCode = async () => {
+    const newErrors = {};
+    validateIdentifier(newErrors);
+    setErrors(newErrors);
+    if (Object.keys(newErrors).length > 0) {
+      return;
+    }
+
+    setLoading(true);
+
+    try {
+      console.log('🔑 Requesting password reset code...');
+
+      const response = await authService.forgotPassword(getIdentifier());
+
+      setCodeSent(true);
+      setCode('');
+      setInfo(response.message);
+      setResendIn(response.resendAfter || 60);
+    } catch (error) {
+      console.error('❌ Sending reset code failed:', error.message);
+      setErrors({ general: error.message || 'Could not send the code. Please try again.' });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Set the new password
+  const handleResetPassword = async () => {
+    const newErrors = {};
+
+    if (!/^\d{6}$/.test(code.trim())) {
+      newErrors.code = 'Enter the 6-digit code';
+    }
+
+    if (!newPassword.trim()) {
+      newErrors.newPassword = 'New password is required';
+    } else if (newPassword.length < 8) {
+      newErrors.newPassword = 'Password must be at least 8 characters';
+    }
+
+    if (!confirmPassword.trim()) {
+      newErrors.confirmPassword = 'Please confirm your password';
+    } else if (newPassword !== confirmPassword) {
+      newErrors.confirmPassword = 'Passwords do not match';
+    }
+
+    setErrors(newErrors);
+    if (Object.keys(newErrors).length > 0) {
+      return;
+    }
+
+    setLoading(true);
+
+    try {
+      console.log('🔑 Resetting password...');
+
+      const response = await authService.resetPassword({
+        ...getIdentifier(),
+        code: code.trim(),
+        newPassword,
+      });
+
+      console.log('✅ Password reset successful!');
+
+      // The reset logged out every other device - this one gets a fresh session
+      await storage.saveToken(response.token);
+      await storage.saveRefreshToken(response.refreshToken);
+      await storage.saveUser(response.user);
+
+      Alert.alert(
+        'Password Reset',
+        'Your password has been changed. You have been logged out on all other devices.',
+        [
+          {
+            text: 'OK',
+            onPress: () => {
+              if (onResetSuccess) {
+                onResetSuccess();
+              }
+            }
+          }
+        ]
+      );
+    } catch (error) {
+      console.error('❌ Password reset failed:', error.message);
+      setErrors({ general: error.message || 'Password reset failed. Please try again.' });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Switch between SMS and email
+  const handleSwitchMethod = (nextMethod) => {
+    setMethod(nextMethod);
+    setCodeSent(false);
+    setCode('');
+    setInfo(null);
+    setErrors({});
+  };
+
+  return (
+    <KeyboardAvoidingView
+      style={styles.container}
+      behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+    >
+      <StatusBar backgroundColor={colors.white} barStyle="dark-content" />
+
+      <ScrollView
+        contentContainerStyle={styles.scrollContent}
+        keyboardShouldPersistTaps="handled"
+      >
+        {/* Header */}
+        <View style={styles.header}>
+          <Text style={styles.title}>Reset Password</Text>
+          <Text style={styles.subtitle}>We'll send you a code to set a new password</Text>
+        </View>
+
+        {/* Form */}
+        <View style={styles.form}>
+          {/* SMS / Email Toggle */}
+          <View style={styles.methodToggle}>
+            {[
+              { key: 'phone', label: 'Phone (SMS)' },
+              { key: 'email', label: 'Email' },
+            ].map(option => (
+              <TouchableOpacity
+                key={option.key}
+                style={[styles.methodOption, method === option.key && styles.methodOptionActive]}
+                onPress={() => handleSwitchMethod(option.key)}
+                disabled={loading || codeSent}
+              >
+                <Text style={[styles.methodText, method === option.key && styles.methodTextActive]}>
+                  {option.label}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+
+          {method === 'phone' ? (
+            <View style={styles.inputContainer}>
+              <Text style={styles.label}>Phone Number</Text>
+              <TextInput
+                style={[styles.input, errors.phoneNumber && styles.inputError]}
+                placeholder="Enter your phone number"
+                placeholderTextColor={colors.textSecondary}
+                value={phoneNumber}
+                onChangeText={(text) => {
+                  setPhoneNumber(text);
+                  if (errors.phoneNumber) {
+                    setErrors({ ...errors, phoneNumber: null });
+                  }
+                }}
+                keyboardType="phone-pad"
+                maxLength={10}
+                autoComplete="tel"
+                editable={!loading && !codeSent}
+              />
+              {errors.phoneNumber && (
+                <Text style={styles.errorText}>{errors.phoneNumber}</Text>
+              )}
+            </View>
+          ) : (
+            <View style={styles.inputContainer}>
+              <Text style={styles.label}>Email</Text>
+              <TextInput
+                style={[styles.input, errors.email && styles.inputError]}
+                placeholder="Enter the email on your account"
+                placeholderTextColor={colors.textSecondary}
+                value={email}
+                onChangeText={(text) => {
+                  setEmail(text);
+                  if (errors.email) {
+                    setErrors({ ...errors, email: null });
+                  }
+                }}
+                keyboardType="email-address"
+                autoCapitalize="none"
+                autoComplete="email"
+                editable={!loading && !codeSent}
+              />
+              {errors.email && (
+                <Text style={styles.errorText}>{errors.email}</Text>
+              )}
+            </View>
+          )}
+
+          {codeSent && (
+            <>
+              {info && <Text style={styles.infoText}>{info}</Text>}
+
+              {/* Code Input */}
+              <View style={styles.inputContainer}>
+                <Text style={styles.label}>Reset Code</Text>
+                <TextInput
+                  style={[styles.input, styles.codeInput, errors.code && styles.inputError]}
+                  placeholder="6-digit code"
+                  placeholderTextColor={colors.textSecondary}
+                  value={code}
+                  onChangeText={(text) => {
+                    setCode(text.replace(/[^0-9]/g, ''));
+                    if (errors.code) {
+                      setErrors({ ...errors, code: null });
+                    }
+                  }}
+                  keyboardType="number-pad"
+                  maxLength={6}
+                  autoComplete="sms-otp"
+                  textContentType="oneTimeCode"
+                  editable={!loading}
+                />
+                {errors.code && (
+                  <Text style={styles.errorText}>{errors.code}</Text>
+                )}
+
+                <View style={styles.otpLinksRow}>
+                  <TouchableOpacity
+                    onPress={() => {
+                      setCodeSent(false);
+                      setCode('');
+                      setInfo(null);
+                    }}
+                    disabled={loading}
+                  >
+                    <Text style={styles.linkText}>Change {method === 'phone' ? 'number' : 'email'}</Text>
+                  </TouchableOpacity>
+                  <TouchableOpacity
+                    onPress={handleSendCode}
+                    disabled={loading || resendIn > 0}
+                  >
+                    <Text style={[styles.linkText, resendIn > 0 && styles.linkDisabled]}>
+                      {resendIn > 0 ? `Resend code in ${resendIn}s` : 'Resend code'}
+                    </Text>
+                  </TouchableOpacity>
+                </View>
+              </View>
+
+              {/* New Password Input */}
+              <View style={styles.inputContainer}>
+                <Text style={styles.label}>New Password</Text>
+                <TextInput
+                  style={[styles.input, errors.newPassword && styles.inputError]}
+                  placeholder="Create a password (min. 8 characters)"
+                  placeholderTextColor={colors.textSecondary}
+                  value={newPassword}
+                  onChangeText={(text) => {
+                    setNewPassword(text);
+                    if (errors.newPassword) {
+                      setErrors({ ...errors, newPassword: null });
+                    }
+                  }}
+                  secureTextEntry
+                  autoComplete="password-new"
+                  editable={!loading}
+                />
+                {errors.newPassword && (
+                  <Text style={styles.errorText}>{errors.newPassword}</Text>
+                )}
+              </View>
+
+              {/* Confirm Password Input */}
+              <View style={styles.inputContainer}>
+                <Text style={styles.label}>Confirm Password</Text>
+                <TextInput
+                  style={[styles.input, errors.confirmPassword && styles.inputError]}
+                  placeholder="Re-enter your password"
+                  placeholderTextColor={colors.textSecondary}
+                  value={confirmPassword}
+                  onChangeText={(text) => {
+                    setConfirmPassword(text);
+                    if (errors.confirmPassword) {
+                      setErrors({ ...errors, confirmPassword: null });
+                    }
+                  }}
+                  secureTextEntry
+                  autoComplete="password-new"
+                  editable={!loading}
+                />
+                {errors.confirmPassword && (
+                  <Text style={styles.errorText}>{errors.confirmPassword}</Text>
+                )}
+              </View>
+            </>
+          )}
+
+          {/* General Error */}
+          {errors.general && (
+            <View style={styles.generalErrorContainer}>
+              <Text style={styles.generalErrorText}>{errors.general}</Text>
+            </View>
+          )}
+
+          {/* Send / Reset Button */}
+          <TouchableOpacity
+            style={[styles.submitButton, loading && styles.submitButtonDisabled]}
+            onPress={codeSent ? handleResetPassword : handleSendCode}
+            disabled={loading}
+            activeOpacity={0.8}
+          >
+            {loading ? (
+              <ActivityIndicator color={colors.white} />
+            ) : (
+              <Text style={styles.submitButtonText}>{codeSent ? 'Reset Password' : 'Send Code'}</Text>
+            )}
+          </TouchableOpacity>
+
+          {/* Back to Login */}
+          <View style={styles.loginContainer}>
+            <Text style={styles.loginText}>Remembered it? </Text>
+            <TouchableOpacity
+              onPress={() => navigation.navigate('Login')}
+              disabled={loading}
+            >
+              <Text style={styles.linkText}>Login</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </ScrollView>
+    </KeyboardAvoidingView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: colors.white,
+  },
+  scrollContent: {
+    flexGrow: 1,
+    paddingHorizontal: spacing.screenPaddingHorizontal,
+    paddingTop: spacing.xxl * 2,
+    paddingBottom: spacing.xl,
+  },
+  header: {
+    marginBottom: spacing.xl,
+  },
+  title: {
+    fontSize: 32,
+    fontWeight: 'bold',
+    color: colors.text,
+    marginBottom: spacing.xs,
+  },
+  subtitle: {
+    fontSize: spacing.fontLg,
+    color: colors.textSecondary,
+  },
+  form: {
+    flex: 1,
+  },
+  methodToggle: {
+    flexDirection: 'row',
+    backgroundColor: colors.background,
+    borderRadius: spacing.radiusMd,
+    padding: spacing.xs,
+    marginBottom: spacing.lg,
+  },
+  methodOption: {
+    flex: 1,
+    paddingVertical: spacing.sm,
+    borderRadius: spacing.radiusSm,
+    alignItems: 'center',
+  },
+  methodOptionActive: {
+    backgroundColor: colors.white,
+    shadowColor: colors.black,
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.1,
+    shadowRadius: 2,
+    elevation: 2,
+  },
+  methodText: {
+    fontSize: spacing.fontMd,
+    color: colors.textSecondary,
+    fontWeight: '600',
+  },
+  methodTextActive: {
+    color: colors.primary,
+  },
+  inputContainer: {
+    marginBottom: spacing.lg,
+  },
+  label: {
+    fontSize: spacing.fontMd,
+    fontWeight: '600',
+    color: colors.text,
+    marginBottom: spacing.xs,
+  },
+  input: {
+    backgroundColor: colors.background,
+    borderWidth: 1,
+    borderColor: colors.border,
+    borderRadius: spacing.radiusMd,
+    paddingHorizontal: spacing.md,
+    paddingVertical: spacing.md,
+    fontSize: spacing.fontMd,
+    color: colors.text,
+  },
+  inputError: {
+    borderColor: colors.error,
+  },
+  codeInput: {
+    fontSize: spacing.fontLg,
+    letterSpacing: 8,
+    textAlign: 'center',
+  },
+  errorText: {
+    fontSize: spacing.fontSm,
+    color: colors.error,
+    marginTop: spacing.xs,
+  },
+  infoText: {
+    fontSize: spacing.fontMd,
+    color: colors.textSecondary,
+    marginBottom: spacing.md,
+  },
+  otpLinksRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginTop: spacing.md,
+  },
+  linkText: {
+    fontSize: spacing.fontMd,
+    color: colors.primary,
+    fontWeight: '600',
+  },
+  linkDisabled: {
+    color: colors.textSecondary,
+  },
+  generalErrorContainer: {
+    backgroundColor: colors.errorLight,
+    padding: spacing.md,
+    borderRadius: spacing.radiusSm,
+    marginBottom: spacing.lg,
+  },
+  generalErrorText: {
+    fontSize: spacing.fontMd,
+    color: colors.error,
+    textAlign: 'center',
+  },
+  submitButton: {
+    backgroundColor: '#0D34B7',
+    paddingVertical: spacing.md + 4,
+    borderRadius: spacing.radiusMd,
+    alignItems: 'center',
+    justifyContent: 'center',
+    shadowColor: colors.black,
+    shadowOffset: { width: 0, height: 4 },
+    shadowOpacity: 0.3,
+    shadowRadius: 8,
+    elevation: 8,
+    marginBottom: spacing.lg,
+  },
+  submitButtonDisabled: {
+    opacity: 0.6,
+  },
+  submitButtonText: {
+    color: colors.white,
+    fontSize: spacing.fontLg,
+    fontWeight: '600',
+  },
+  loginContainer: {
+    flexDirection: 'row',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  loginText: {
+    fontSize: spacing.fontMd,
+    color: colors.textSecondary,
+  },
+});
+
+export default ResetPasswordScreen;
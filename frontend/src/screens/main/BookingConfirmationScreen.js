@@ -9,16 +9,20 @@ import {
     ActivityIndicator,
     Alert,
     Modal,
+    TextInput,
 } from 'react-native';
 import { WebView } from 'react-native-webview';
 import { Ionicons } from '@expo/vector-icons';
 import { useSafeAreaInsets } from 'react-native-safe-area-context';
 import dayjs from 'dayjs';
+import customParseFormat from 'dayjs/plugin/customParseFormat';
 import colors from '../../styles/colors';
 import spacing from '../../styles/spacing';
 import bookingService from '../../services/api/bookings';
+import waitlistService from '../../services/api/waitlist';
 import { generateRazorpayHTML } from '../../utils/razorpay';
 
+dayjs.extend(customParseFormat);
 
 const BookingConfirmationScreen = ({ route, navigation }) => {
     const {
@@ -29,6 +33,9 @@ const BookingConfirmationScreen = ({ route, navigation }) => {
         pricing,
         userDetails,
         roomQuantity, // ✅ Add roomQuantity param
+        rooms, // Rooms of each type (rooms_only)
+        quoteToken,
+        waitlistId, // Booking a stay offered from the waitlist
     } = route.params;
 
     const insets = useSafeAreaInsets();
@@ -37,6 +44,12 @@ const BookingConfirmationScreen = ({ route, navigation }) => {
     const [razorpayHTML, setRazorpayHTML] = useState('');
     const [bookingId, setBookingId] = useState(null);
     const [razorpayOrderId, setRazorpayOrderId] = useState(null);
+    const [razorpayAmount, setRazorpayAmount] = useState(null);
+    const [payInFull, setPayInFull] = useState(false);
+    const [couponCode, setCouponCode] = useState('');
+    const [appliedCoupon, setAppliedCoupon] = useState(null);
+    const [applyingCoupon, setApplyingCoupon] = useState(false);
+    const [couponError, setCouponError] = useState(null);
 
     const formatDateDisplay = (dateString) => {
         if (!dateString) return '';
@@ -94,6 +107,7 @@ const BookingConfirmationScreen = ({ route, navigation }) => {
     };
 
     const getGSTAmount = () => {
+        if (appliedCoupon) return appliedCoupon.pricing.gst.amount;
         const base = getBasePrice() * (numberOfNights || 1);
         const gstPercentage = pricing?.gstPercentage || packageData?.pricing?.gstPercentage || 18;
         return Math.round((base * gstPercentage) / 100);
@@ -104,9 +118,62 @@ const BookingConfirmationScreen = ({ route, navigation }) => {
     };
 
     const getTotalAmount = () => {
+        if (appliedCoupon) return appliedCoupon.pricing.finalAmount;
         return pricing?.finalAmount || getBasePrice() * (numberOfNights || 1) + getGSTAmount() + getConvenienceFee();
     };
 
+    // Advance payment offered by the package (same rule as backend lib/deposits.js)
+    const getDepositAmount = () => {
+        const deposit = packageData?.pricing?.deposit;
+        if (!deposit || deposit.type === 'none' || !deposit.value) return null;
+
+        const balanceDueDate = dayjs(formatDateForAPI(checkInDate), 'DD-MM-YYYY')
+            .subtract(deposit.balanceDueDaysBeforeCheckIn ?? 7, 'day');
+        if (!balanceDueDate.isAfter(dayjs())) return null;
+
+        const total = getTotalAmount();
+        const amount = deposit.type === 'percentage'
+            ? Math.round((total * deposit.value) / 100)
+            : Math.round(deposit.value);
+
+        return amount > 0 && amount < total ? amount : null;
+    };
+
+    const handleApplyCoupon = async () => {
+        if (!couponCode.trim()) {
+            setCouponError('Please enter a coupon code');
+            return;
+        }
+
+        try {
+            setApplyingCoupon(true);
+            setCouponError(null);
+
+            const result = await bookingService.validateCoupon(couponCode.trim(), quoteToken);
+            setAppliedCoupon({
+                code: result.coupon.code,
+                discountAmount: result.coupon.discountAmount,
+                pricing: result.pricing,
+            });
+        } catch (error) {
+            setAppliedCoupon(null);
+            setCouponError(error.message);
+        } finally {
+            setApplyingCoupon(false);
+        }
+    };
+
+    const handleRemoveCoupon = () => {
+        setAppliedCoupon(null);
+        setCouponCode('');
+        setCouponError(null);
+    };
+
+    const getAmountPayableNow = () => {
+        const depositAmount = getDepositAmount();
+        return depositAmount && !payInFull ? depositAmount : getTotalAmount();
+    };
+
     const handleMakePayment = async () => {
         try {
             setProcessingPayment(true);
@@ -118,7 +185,7 @@ const BookingConfirmationScreen = ({ route, navigation }) => {
                 // Get stored order details from backend or reconstruct
                 const razorpayConfig = {
                     orderId: razorpayOrderId,
-                    amount: getTotalAmount() * 100, // Convert to paise
+                    amount: (razorpayAmount || getAmountPayableNow()) * 100, // Convert to paise
                     currency: 'INR',
                     key: process.env.EXPO_PUBLIC_RAZORPAY_KEY || 'rzp_test_XXXX', // Use key from first attempt
                     prefill: {
@@ -142,10 +209,9 @@ const BookingConfirmationScreen = ({ route, navigation }) => {
             // 📝 FIRST ATTEMPT: Create new booking
             console.log('📝 Creating NEW booking order...');
 
+            // Package, dates and rooms come from the quote - it fixes the price charged
             const bookingData = {
-                packageId: packageData._id,
-                checkInDate: formatDateForAPI(checkInDate),
-                checkOutDate: formatDateForAPI(checkOutDate),
+                quoteToken,
                 numberOfGuests: 1,
                 guestDetails: {
                     fullName: userDetails.fullName,
@@ -153,14 +219,11 @@ const BookingConfirmationScreen = ({ route, navigation }) => {
                     email: userDetails.email,
                 },
                 specialRequests: '',
+                payInFull: !getDepositAmount() || payInFull,
+                couponCode: appliedCoupon?.code,
+                waitlistId, // The booking takes over the rooms the offer holds
             };
 
-            // ✅ Add roomQuantity for rooms_only packages
-            if (packageData.category === 'rooms_only' && roomQuantity) {
-                bookingData.roomQuantity = roomQuantity;
-                console.log('🛏️ Room quantity:', roomQuantity);
-            }
-
             const orderResult = await bookingService.createBookingOrder(bookingData);
 
             console.log('✅ Order created:', orderResult);
@@ -168,6 +231,7 @@ const BookingConfirmationScreen = ({ route, navigation }) => {
             // Store IDs for potential retry
             setBookingId(orderResult.booking.bookingId);
             setRazorpayOrderId(orderResult.razorpay.orderId);
+            setRazorpayAmount(orderResult.razorpay.amount);
 
             // Generate Razorpay HTML and open payment modal
             const razorpayConfig = {
@@ -195,6 +259,18 @@ const BookingConfirmationScreen = ({ route, navigation }) => {
             console.error('❌ Error creating order:', error);
             setProcessingPayment(false);
 
+            if (error.quoteExpired || error.priceChanged) {
+                await refreshQuote(error.message);
+                return;
+            }
+
+            if (error.couponInvalid) {
+                setAppliedCoupon(null);
+                setCouponError(error.message);
+                Alert.alert('Coupon Not Applied', `${error.message}. Please review the total and try again.`);
+                return;
+            }
+
             let errorMessage = error.message || 'Failed to create booking order. Please try again.';
 
             if (errorMessage.includes('no longer available')) {
@@ -209,6 +285,36 @@ const BookingConfirmationScreen = ({ route, navigation }) => {
         }
     };
 
+    // Quote expired or the price changed - fetch a fresh quote and let the guest confirm it
+    const refreshQuote = async (reason) => {
+        try {
+            // A waitlist offer is priced against the rooms it holds
+            const result = waitlistId
+                ? await waitlistService.getOfferQuote(waitlistId)
+                : await bookingService.checkAvailability(
+                    packageData._id,
+                    formatDateForAPI(checkInDate),
+                    formatDateForAPI(checkOutDate),
+                    packageData.category === 'rooms_only' ? (rooms || roomQuantity) : null
+                );
+
+            navigation.setParams({
+                pricing: result.data.pricing,
+                quoteToken: result.data.quote.token,
+            });
+
+            // The discount was worked out on the old price - apply the coupon again
+            setAppliedCoupon(null);
+
+            Alert.alert(
+                'Price Updated',
+                `${reason}\n\nNew total: ₹${result.data.pricing.finalAmount}. Tap pay again to continue.`,
+                [{ text: 'OK' }]
+            );
+        } catch (error) {
+            Alert.alert('Not Available', error.message, [{ text: 'OK' }]);
+        }
+    };
 
     const handlePaymentResponse = async (event) => {
         try {
@@ -388,29 +494,17 @@ const BookingConfirmationScreen = ({ route, navigation }) => {
                 <View style={styles.section}>
                     <Text style={styles.sectionTitle}>Cancellation Policy</Text>
 
-                    <View style={styles.policyItem}>
-                        <Ionicons name="checkmark-outline" size={18} color={colors.success} />
-                        <Text style={styles.policyText}>
-                            <Text style={styles.policyBold}>Free cancellation</Text> up to{' '}
-                            <Text style={styles.policyBold}>7 days</Text> before the event date.
-                        </Text>
-                    </View>
-
-                    <View style={styles.policyItem}>
-                        <Ionicons name="checkmark-outline" size={18} color={colors.success} />
-                        <Text style={styles.policyText}>
-                            <Text style={styles.policyBold}>50% refund</Text> if cancelled{' '}
-                            <Text style={styles.policyBold}>3-6 days</Text> before the event.
-                        </Text>
-                    </View>
-
-                    <View style={styles.policyItem}>
-                        <Ionicons name="close-outline" size={18} color={colors.error} />
-                        <Text style={styles.policyText}>
-                            <Text style={styles.policyBold}>No refund</Text> if cancelled within{' '}
-                            <Text style={styles.policyBold}>48 hours</Text> of the event.
-                        </Text>
-                    </View>
+                    {/* As the refund engine applies it to this package */}
+                    {(packageData?.refundPolicyLines || []).map((line) => (
+                        <View key={line} style={styles.policyItem}>
+                            <Ionicons
+                                name={line.startsWith('No refund') ? 'close-outline' : 'checkmark-outline'}
+                                size={18}
+                                color={line.startsWith('No refund') ? colors.error : colors.success}
+                            />
+                            <Text style={styles.policyText}>{line}</Text>
+                        </View>
+                    ))}
 
                     <View style={styles.policyItem}>
                         <Ionicons name="checkmark-outline" size={18} color={colors.success} />
@@ -420,13 +514,61 @@ const BookingConfirmationScreen = ({ route, navigation }) => {
                         </Text>
                     </View>
 
-                    <View style={styles.policyItem}>
-                        <Ionicons name="checkmark-outline" size={18} color={colors.success} />
-                        <Text style={styles.policyText}>
-                            Date changes are <Text style={styles.policyBold}>allowed once</Text>, subject to
-                            availability.
-                        </Text>
-                    </View>
+                    {(packageData?.reschedulePolicyLines || []).map((line) => (
+                        <View key={line} style={styles.policyItem}>
+                            <Ionicons name="calendar-outline" size={18} color={colors.success} />
+                            <Text style={styles.policyText}>{line}</Text>
+                        </View>
+                    ))}
+                </View>
+
+                {/* Coupon */}
+                <View style={styles.section}>
+                    <Text style={styles.sectionTitle}>Coupon Code</Text>
+
+                    {appliedCoupon ? (
+                        <View style={styles.couponApplied}>
+                            <Ionicons name="pricetag" size={18} color={colors.success} />
+                            <Text style={styles.couponAppliedText}>
+                                {appliedCoupon.code} applied - you save ₹{appliedCoupon.discountAmount.toLocaleString('en-IN')}
+                            </Text>
+                            {!bookingId && (
+                                <TouchableOpacity onPress={handleRemoveCoupon} activeOpacity={0.7}>
+                                    <Text style={styles.couponRemoveText}>Remove</Text>
+                                </TouchableOpacity>
+                            )}
+                        </View>
+                    ) : (
+                        <View style={styles.couponRow}>
+                            <TextInput
+                                style={[styles.couponInput, couponError && styles.couponInputError]}
+                                placeholder="Enter coupon code"
+                                placeholderTextColor={colors.textSecondary}
+                                value={couponCode}
+                                onChangeText={(text) => {
+                                    setCouponCode(text.toUpperCase());
+                                    if (couponError) setCouponError(null);
+                                }}
+                                autoCapitalize="characters"
+                                autoCorrect={false}
+                                editable={!bookingId}
+                            />
+                            <TouchableOpacity
+                                style={[styles.couponButton, (applyingCoupon || !!bookingId) && styles.paymentButtonDisabled]}
+                                onPress={handleApplyCoupon}
+                                disabled={applyingCoupon || !!bookingId}
+                                activeOpacity={0.7}
+                            >
+                                {applyingCoupon ? (
+                                    <ActivityIndicator size="small" color={colors.white} />
+                                ) : (
+                                    <Text style={styles.couponButtonText}>Apply</Text>
+                                )}
+                            </TouchableOpacity>
+                        </View>
+                    )}
+
+                    {couponError && <Text style={styles.couponErrorText}>{couponError}</Text>}
                 </View>
 
                 {/* Price Breakup */}
@@ -442,6 +584,15 @@ const BookingConfirmationScreen = ({ route, navigation }) => {
                         </Text>
                     </View>
 
+                    {appliedCoupon && (
+                        <View style={styles.priceRow}>
+                            <Text style={styles.priceLabel}>Coupon ({appliedCoupon.code})</Text>
+                            <Text style={[styles.priceValue, styles.discountValue]}>
+                                -₹{appliedCoupon.discountAmount.toLocaleString('en-IN')}
+                            </Text>
+                        </View>
+                    )}
+
                     <View style={styles.priceRow}>
                         <Text style={styles.priceLabel}>Hotel taxes</Text>
                         <Text style={styles.priceValue}>₹{getGSTAmount().toLocaleString('en-IN')}</Text>
@@ -459,6 +610,53 @@ const BookingConfirmationScreen = ({ route, navigation }) => {
                         <Text style={styles.totalValue}>₹{getTotalAmount().toLocaleString('en-IN')}</Text>
                     </View>
                 </View>
+
+                {/* Payment Option (packages with an advance payment) */}
+                {getDepositAmount() && (
+                    <View style={styles.section}>
+                        <Text style={styles.sectionTitle}>Payment Option</Text>
+
+                        <TouchableOpacity
+                            style={styles.paymentOption}
+                            onPress={() => setPayInFull(false)}
+                            disabled={!!bookingId}
+                            activeOpacity={0.7}
+                        >
+                            <Ionicons
+                                name={!payInFull ? 'radio-button-on' : 'radio-button-off'}
+                                size={20}
+                                color={colors.primary}
+                            />
+                            <View style={styles.paymentOptionInfo}>
+                                <Text style={styles.paymentOptionTitle}>
+                                    Pay advance ₹{getDepositAmount().toLocaleString('en-IN')} now
+                                </Text>
+                                <Text style={styles.paymentOptionSubtitle}>
+                                    Balance ₹{(getTotalAmount() - getDepositAmount()).toLocaleString('en-IN')} to be paid{' '}
+                                    {packageData.pricing.deposit.balanceDueDaysBeforeCheckIn ?? 7} days before check-in
+                                </Text>
+                            </View>
+                        </TouchableOpacity>
+
+                        <TouchableOpacity
+                            style={styles.paymentOption}
+                            onPress={() => setPayInFull(true)}
+                            disabled={!!bookingId}
+                            activeOpacity={0.7}
+                        >
+                            <Ionicons
+                                name={payInFull ? 'radio-button-on' : 'radio-button-off'}
+                                size={20}
+                                color={colors.primary}
+                            />
+                            <View style={styles.paymentOptionInfo}>
+                                <Text style={styles.paymentOptionTitle}>
+                                    Pay full amount ₹{getTotalAmount().toLocaleString('en-IN')} now
+                                </Text>
+                            </View>
+                        </TouchableOpacity>
+                    </View>
+                )}
             </ScrollView>
 
             {/* Bottom Payment Button */}
@@ -474,7 +672,7 @@ const BookingConfirmationScreen = ({ route, navigation }) => {
                     ) : (
                         <>
                             <Text style={styles.paymentButtonText}>Make Payment</Text>
-                            <Text style={styles.paymentButtonAmount}>₹{getTotalAmount().toLocaleString('en-IN')}</Text>
+                            <Text style={styles.paymentButtonAmount}>₹{getAmountPayableNow().toLocaleString('en-IN')}</Text>
                         </>
                     )}
                 </TouchableOpacity>
@@ -679,6 +877,9 @@ const styles = StyleSheet.create({
         color: colors.text,
         fontWeight: '500',
     },
+    discountValue: {
+        color: colors.success,
+    },
     priceDivider: {
         height: 1,
         backgroundColor: '#E8E8E8',
@@ -700,6 +901,82 @@ const styles = StyleSheet.create({
         fontWeight: 'bold',
     },
 
+    // Payment Option
+    couponRow: {
+        flexDirection: 'row',
+        alignItems: 'center',
+    },
+    couponInput: {
+        flex: 1,
+        backgroundColor: '#FAFAFA',
+        borderWidth: 1,
+        borderColor: '#E8E8E8',
+        borderRadius: 8,
+        paddingHorizontal: spacing.md,
+        paddingVertical: spacing.sm,
+        fontSize: 15,
+        color: colors.text,
+        marginRight: spacing.sm,
+    },
+    couponInputError: {
+        borderColor: colors.error,
+    },
+    couponButton: {
+        backgroundColor: colors.primary,
+        borderRadius: 8,
+        paddingHorizontal: spacing.md,
+        paddingVertical: spacing.sm + 2,
+        minWidth: 72,
+        alignItems: 'center',
+    },
+    couponButtonText: {
+        color: colors.white,
+        fontSize: 14,
+        fontWeight: '600',
+    },
+    couponApplied: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        backgroundColor: colors.successLight,
+        borderRadius: 8,
+        padding: spacing.sm,
+    },
+    couponAppliedText: {
+        flex: 1,
+        fontSize: 14,
+        color: colors.text,
+        marginLeft: spacing.sm,
+    },
+    couponRemoveText: {
+        fontSize: 14,
+        color: colors.error,
+        fontWeight: '600',
+    },
+    couponErrorText: {
+        fontSize: 12,
+        color: colors.error,
+        marginTop: spacing.xs,
+    },
+    paymentOption: {
+        flexDirection: 'row',
+        alignItems: 'flex-start',
+        paddingVertical: spacing.sm,
+    },
+    paymentOptionInfo: {
+        marginLeft: spacing.sm,
+        flex: 1,
+    },
+    paymentOptionTitle: {
+        fontSize: 14,
+        color: colors.text,
+        fontWeight: '600',
+    },
+    paymentOptionSubtitle: {
+        fontSize: 12,
+        color: colors.textSecondary,
+        marginTop: 2,
+    },
+
     // Bottom Bar
     bottomBar: {
         position: 'absolute',
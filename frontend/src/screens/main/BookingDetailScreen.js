@@ -29,6 +29,9 @@ const BookingDetailScreen = ({ route, navigation }) => {
         numberOfNights,
         pricing,
         roomQuantity, // ✅ Add roomQuantity param
+        rooms, // Rooms of each type (rooms_only)
+        quoteToken,
+        waitlistId, // Booking a stay offered from the waitlist
     } = route.params;
 
     const insets = useSafeAreaInsets();
@@ -155,6 +158,9 @@ const BookingDetailScreen = ({ route, navigation }) => {
             numberOfNights: numberOfNights,
             pricing: pricing,
             roomQuantity: roomQuantity, // ✅ Pass roomQuantity for rooms_only
+            rooms: rooms,
+            quoteToken: quoteToken,
+            waitlistId: waitlistId,
             userDetails: {
                 fullName: fullName.trim(),
                 phoneNumber: phoneNumber.trim(),
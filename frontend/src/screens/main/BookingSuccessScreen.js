@@ -1,4 +1,4 @@
-import React from 'react';
+import React, { useState } from 'react';
 import {
     View,
     Text,
@@ -6,19 +6,24 @@ import {
     ScrollView,
     TouchableOpacity,
     Image,
+    ActivityIndicator,
+    Alert,
 } from 'react-native';
+import * as WebBrowser from 'expo-web-browser';
 import { Ionicons } from '@expo/vector-icons';
 import { useSafeAreaInsets } from 'react-native-safe-area-context';
 import dayjs from 'dayjs';
 import customParseFormat from 'dayjs/plugin/customParseFormat';
 import colors from '../../styles/colors';
 import spacing from '../../styles/spacing';
+import bookingService from '../../services/api/bookings';
 
 dayjs.extend(customParseFormat);
 
 const BookingSuccessScreen = ({ navigation, route }) => {
     const { booking, packageData } = route.params;
     const insets = useSafeAreaInsets();
+    const [downloadingInvoice, setDownloadingInvoice] = useState(false);
 
     // Debug: Log the received booking data
     console.log('📦 BookingSuccessScreen received booking:', JSON.stringify(booking, null, 2));
@@ -47,6 +52,18 @@ const BookingSuccessScreen = ({ navigation, route }) => {
         navigation.navigate('MainTabs', { screen: 'Home' });
     };
 
+    const handleDownloadInvoice = async () => {
+        try {
+            setDownloadingInvoice(true);
+            const { url } = await bookingService.getInvoiceLink(booking.bookingId);
+            await WebBrowser.openBrowserAsync(url);
+        } catch (error) {
+            Alert.alert('Error', error.message || 'Failed to download invoice');
+        } finally {
+            setDownloadingInvoice(false);
+        }
+    };
+
     return (
         <View style={styles.container}>
             <ScrollView
@@ -137,6 +154,19 @@ const BookingSuccessScreen = ({ navigation, route }) => {
                         <Text style={styles.primaryButtonText}>View Bookings</Text>
                     </TouchableOpacity>
 
+                    <TouchableOpacity
+                        style={styles.secondaryButton}
+                        onPress={handleDownloadInvoice}
+                        disabled={downloadingInvoice}
+                        activeOpacity={0.8}
+                    >
+                        {downloadingInvoice ? (
+                            <ActivityIndicator size="small" color={colors.white} />
+                        ) : (
+                            <Text style={styles.secondaryButtonText}>Download Invoice</Text>
+                        )}
+                    </TouchableOpacity>
+
                     <TouchableOpacity
                         style={styles.secondaryButton}
                         onPress={handleGoHome}
@@ -1,4 +1,4 @@
-import React, { useState, useCallback } from 'react';
+import React, { useState, useCallback, useEffect } from 'react';
 import {
     View,
     Text,
@@ -18,20 +18,36 @@ import customParseFormat from 'dayjs/plugin/customParseFormat';
 import colors from '../../styles/colors';
 import spacing from '../../styles/spacing';
 import bookingService from '../../services/api/bookings';
+import waitlistService from '../../services/api/waitlist';
 
 dayjs.extend(customParseFormat);
 
-const BookingsScreen = ({ navigation }) => {
+const BookingsScreen = ({ route, navigation }) => {
     const insets = useSafeAreaInsets();
-    const [activeTab, setActiveTab] = useState('all');
+    const [activeTab, setActiveTab] = useState(route.params?.tab || 'all');
     const [bookings, setBookings] = useState([]);
+    const [waitlist, setWaitlist] = useState([]);
     const [loading, setLoading] = useState(true);
     const [refreshing, setRefreshing] = useState(false);
+    const [openingOfferId, setOpeningOfferId] = useState(null);
+
+    // Opened from a waitlist notification
+    useEffect(() => {
+        if (route.params?.tab) {
+            setActiveTab(route.params.tab);
+        }
+    }, [route.params?.tab]);
 
     const fetchBookings = async (showLoader = true) => {
         try {
             if (showLoader) setLoading(true);
 
+            if (activeTab === 'waitlist') {
+                const result = await waitlistService.fetchMyWaitlist();
+                setWaitlist(result.entries);
+                return;
+            }
+
             let statusFilter = null;
             if (activeTab === 'confirmed') statusFilter = 'confirmed';
             if (activeTab === 'cancelled') statusFilter = 'cancelled';
@@ -66,6 +82,58 @@ const BookingsScreen = ({ navigation }) => {
         navigation.navigate('MyBookingDetail', { bookingId: booking._id });
     };
 
+    // Price the held stay and continue with the usual booking flow
+    const handleBookOffer = async (entry) => {
+        try {
+            setOpeningOfferId(entry.id);
+            const result = await waitlistService.getOfferQuote(entry.id);
+            const offer = result.data;
+            const rooms = offer.rooms;
+
+            navigation.navigate('BookingDetails', {
+                packageId: offer.package.id,
+                packageName: offer.package.name,
+                checkInDate: offer.dates.checkInDate,
+                checkOutDate: offer.dates.checkOutDate,
+                numberOfNights: offer.dates.numberOfDays,
+                pricing: offer.pricing,
+                roomQuantity: rooms ? Object.values(rooms).reduce((sum, quantity) => sum + quantity, 0) : null,
+                rooms,
+                quoteToken: offer.quote.token,
+                waitlistId: offer.waitlistId, // The booking takes over the held rooms
+            });
+        } catch (error) {
+            Alert.alert('Offer Unavailable', error.message);
+            fetchBookings(false);
+        } finally {
+            setOpeningOfferId(null);
+        }
+    };
+
+    const handleLeaveWaitlist = (entry) => {
+        Alert.alert(
+            'Leave Waitlist',
+            entry.status === 'offered'
+                ? 'The rooms held for you will be offered to the next guest.'
+                : 'You will lose your place on the waitlist.',
+            [
+                { text: 'Stay', style: 'cancel' },
+                {
+                    text: 'Leave',
+                    style: 'destructive',
+                    onPress: async () => {
+                        try {
+                            await waitlistService.leaveWaitlist(entry.id);
+                            fetchBookings(false);
+                        } catch (error) {
+                            Alert.alert('Error', error.message);
+                        }
+                    },
+                },
+            ]
+        );
+    };
+
     const handleDownloadInvoice = (booking) => {
         // TODO: Implement invoice download
         Alert.alert('Download Invoice', 'Invoice download feature coming soon!');
@@ -105,6 +173,12 @@ const BookingsScreen = ({ navigation }) => {
                     color: colors.error,
                     bgColor: colors.error + '20',
                 };
+            case 'expired':
+                return {
+                    label: 'Expired',
+                    color: colors.textSecondary,
+                    bgColor: '#F0F0F0',
+                };
             case 'pending':
                 return {
                     label: 'Pending',
@@ -120,6 +194,142 @@ const BookingsScreen = ({ navigation }) => {
         }
     };
 
+    const getWaitlistStatusConfig = (entry) => {
+        switch (entry.status) {
+            case 'waiting':
+                return {
+                    label: entry.position ? `Waiting · #${entry.position}` : 'Waiting',
+                    color: colors.warning,
+                    bgColor: colors.warning + '20',
+                };
+            case 'offered':
+                return {
+                    label: 'Rooms Held For You',
+                    color: colors.success,
+                    bgColor: colors.success + '20',
+                };
+            case 'booked':
+                return {
+                    label: 'Booked',
+                    color: colors.primary,
+                    bgColor: colors.primary + '20',
+                };
+            case 'lapsed':
+                return {
+                    label: 'Offer Lapsed',
+                    color: colors.textSecondary,
+                    bgColor: '#F0F0F0',
+                };
+            case 'cancelled':
+                return {
+                    label: 'Left',
+                    color: colors.textSecondary,
+                    bgColor: '#F0F0F0',
+                };
+            default:
+                return {
+                    label: 'Closed',
+                    color: colors.textSecondary,
+                    bgColor: '#F0F0F0',
+                };
+        }
+    };
+
+    const renderWaitlistCard = (entry) => {
+        const statusConfig = getWaitlistStatusConfig(entry);
+        const isOpen = entry.status === 'waiting' || entry.status === 'offered';
+        const roomList = entry.rooms.map((room) => `${room.quantity} × ${room.name}`).join(', ');
+
+        return (
+            <View key={entry.id} style={styles.bookingCard}>
+                {/* Status Badge */}
+                <View style={[styles.statusBadge, { backgroundColor: statusConfig.bgColor }]}>
+                    <Text style={[styles.statusText, { color: statusConfig.color }]}>
+                        {statusConfig.label}
+                    </Text>
+                </View>
+
+                <View style={styles.cardContent}>
+                    {/* Left: Package Image */}
+                    <View style={styles.imageContainer}>
+                        {entry.package?.images && entry.package.images.length > 0 ? (
+                            <Image
+                                source={{ uri: entry.package.images[0] }}
+                                style={styles.packageImage}
+                                resizeMode="cover"
+                            />
+                        ) : (
+                            <View style={[styles.packageImage, styles.placeholderImage]}>
+                                <Ionicons name="image-outline" size={32} color={colors.textSecondary} />
+                            </View>
+                        )}
+                    </View>
+
+                    {/* Right: Waitlist Info */}
+                    <View style={styles.infoContainer}>
+                        <Text style={styles.packageName} numberOfLines={1}>
+                            {entry.package?.name || 'N/A'}
+                        </Text>
+
+                        <View style={styles.infoRow}>
+                            <Ionicons name="calendar-outline" size={14} color={colors.textSecondary} />
+                            <Text style={styles.infoText}>
+                                {formatDateDisplay(entry.checkInDate)} - {formatDateDisplay(entry.checkOutDate)}
+                            </Text>
+                        </View>
+
+                        {roomList ? (
+                            <View style={styles.infoRow}>
+                                <Ionicons name="bed-outline" size={14} color={colors.textSecondary} />
+                                <Text style={styles.infoText}>{roomList}</Text>
+                            </View>
+                        ) : null}
+
+                        {entry.status === 'offered' && entry.offerExpiresAt && (
+                            <View style={styles.infoRow}>
+                                <Ionicons name="time-outline" size={14} color={colors.success} />
+                                <Text style={[styles.infoText, { color: colors.success }]}>
+                                    Held until {dayjs(entry.offerExpiresAt).format('MMM D, h:mm a')}
+                                </Text>
+                            </View>
+                        )}
+
+                        {entry.closedReason && (
+                            <Text style={styles.infoText}>{entry.closedReason}</Text>
+                        )}
+
+                        {isOpen && (
+                            <View style={[styles.buttonRow, { marginTop: spacing.sm }]}>
+                                <TouchableOpacity
+                                    style={styles.viewDetailsButton}
+                                    onPress={() => handleLeaveWaitlist(entry)}
+                                    activeOpacity={0.7}
+                                >
+                                    <Text style={styles.viewDetailsText}>Leave Waitlist</Text>
+                                </TouchableOpacity>
+
+                                {entry.status === 'offered' && (
+                                    <TouchableOpacity
+                                        style={styles.downloadButton}
+                                        onPress={() => handleBookOffer(entry)}
+                                        disabled={openingOfferId === entry.id}
+                                        activeOpacity={0.7}
+                                    >
+                                        {openingOfferId === entry.id ? (
+                                            <ActivityIndicator size="small" color={colors.white} />
+                                        ) : (
+                                            <Text style={styles.downloadText}>Book Now</Text>
+                                        )}
+                                    </TouchableOpacity>
+                                )}
+                            </View>
+                        )}
+                    </View>
+                </View>
+            </View>
+        );
+    };
+
     const renderBookingCard = (booking) => {
         const statusConfig = getStatusConfig(booking.status);
         const isCompleted = booking.status === 'checked_out';
@@ -239,6 +449,16 @@ const BookingsScreen = ({ navigation }) => {
                         Cancelled
                     </Text>
                 </TouchableOpacity>
+
+                <TouchableOpacity
+                    style={[styles.tab, activeTab === 'waitlist' && styles.activeTab]}
+                    onPress={() => handleTabChange('waitlist')}
+                    activeOpacity={0.7}
+                >
+                    <Text style={[styles.tabText, activeTab === 'waitlist' && styles.activeTabText]}>
+                        Waitlist
+                    </Text>
+                </TouchableOpacity>
             </View>
 
             {/* Content */}
@@ -247,6 +467,26 @@ const BookingsScreen = ({ navigation }) => {
                     <ActivityIndicator size="large" color={colors.primary} />
                     <Text style={styles.loadingText}>Loading bookings...</Text>
                 </View>
+            ) : activeTab === 'waitlist' ? (
+                waitlist.length === 0 ? (
+                    <View style={styles.centerContainer}>
+                        <Ionicons name="hourglass-outline" size={64} color={colors.textSecondary} />
+                        <Text style={styles.emptyTitle}>No Waitlisted Stays</Text>
+                        <Text style={styles.emptySubtitle}>
+                            When a stay is sold out, join the waitlist from the package page.
+                        </Text>
+                    </View>
+                ) : (
+                    <ScrollView
+                        contentContainerStyle={styles.scrollContent}
+                        showsVerticalScrollIndicator={false}
+                        refreshControl={
+                            <RefreshControl refreshing={refreshing} onRefresh={onRefresh} colors={[colors.primary]} />
+                        }
+                    >
+                        {waitlist.map((entry) => renderWaitlistCard(entry))}
+                    </ScrollView>
+                )
             ) : bookings.length === 0 ? (
                 <View style={styles.centerContainer}>
                     <Ionicons name="calendar-outline" size={64} color={colors.textSecondary} />
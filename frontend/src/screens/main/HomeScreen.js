@@ -124,9 +124,9 @@ const HomeScreen = ({ navigation }) => {
         console.log('✅ Room quantity added:', bookingData.roomQuantity);
       }
       
-      // ✅ Add roomQuantity if it's a rooms_only package
-      if (bookingData.roomQuantity) {
-        navParams.roomQuantity = bookingData.roomQuantity;
+      // Rooms of each type picked in the widget (rooms_only packages)
+      if (bookingData.rooms) {
+        navParams.rooms = bookingData.rooms;
       }
       
       navigation.navigate('PackageDetail', navParams);
@@ -9,7 +9,11 @@ import {
     ActivityIndicator,
     Alert,
     Linking,
+    Modal,
 } from 'react-native';
+import { WebView } from 'react-native-webview';
+import { Calendar } from 'react-native-calendars';
+import * as WebBrowser from 'expo-web-browser';
 import { Ionicons } from '@expo/vector-icons';
 import { useSafeAreaInsets } from 'react-native-safe-area-context';
 import dayjs from 'dayjs';
@@ -17,6 +21,7 @@ import customParseFormat from 'dayjs/plugin/customParseFormat';
 import colors from '../../styles/colors';
 import spacing from '../../styles/spacing';
 import bookingService from '../../services/api/bookings';
+import { generateRazorpayHTML } from '../../utils/razorpay';
 
 dayjs.extend(customParseFormat);
 
@@ -26,11 +31,40 @@ const MyBookingDetailScreen = ({ navigation, route }) => {
     
     const [booking, setBooking] = useState(null);
     const [loading, setLoading] = useState(true);
+    const [cancellationPreview, setCancellationPreview] = useState(null);
+    const [payingBalance, setPayingBalance] = useState(false);
+    const [showPaymentModal, setShowPaymentModal] = useState(false);
+    const [razorpayHTML, setRazorpayHTML] = useState('');
+    const [downloadingInvoice, setDownloadingInvoice] = useState(false);
+    const [downloadingCreditNote, setDownloadingCreditNote] = useState(null);
+    const [downloadingDebitNote, setDownloadingDebitNote] = useState(null);
+
+    // Change dates
+    const [showDatesModal, setShowDatesModal] = useState(false);
+    const [newCheckInDate, setNewCheckInDate] = useState(null);
+    const [newCheckOutDate, setNewCheckOutDate] = useState(null);
+    const [markedDates, setMarkedDates] = useState({});
+    const [reschedulePreview, setReschedulePreview] = useState(null);
+    const [previewingDates, setPreviewingDates] = useState(false);
+    const [rescheduling, setRescheduling] = useState(false);
+
+    // Change rooms (one room type at a time)
+    const [showRoomsModal, setShowRoomsModal] = useState(false);
+    const [roomSelection, setRoomSelection] = useState(null);
+    const [roomChangePreview, setRoomChangePreview] = useState(null);
+    const [previewingRooms, setPreviewingRooms] = useState(false);
+    const [changingRooms, setChangingRooms] = useState(false);
 
     useEffect(() => {
         fetchBookingDetails();
     }, [bookingId]);
 
+    useEffect(() => {
+        if (booking && ['confirmed', 'pending'].includes(booking.status)) {
+            fetchCancellationPreview();
+        }
+    }, [booking]);
+
     const fetchBookingDetails = async () => {
         try {
             setLoading(true);
@@ -46,6 +80,41 @@ const MyBookingDetailScreen = ({ navigation, route }) => {
         }
     };
 
+    const fetchCancellationPreview = async () => {
+        try {
+            const result = await bookingService.getCancellationPreview(bookingId);
+            setCancellationPreview(result.preview);
+            return result.preview;
+        } catch (error) {
+            // Preview is informational - the cancel request still works without it
+            console.error('Error fetching cancellation preview:', error);
+            return null;
+        }
+    };
+
+    const getRefundPreviewMessage = (preview) => {
+        if (!preview) {
+            return 'Are you sure you want to cancel this booking?';
+        }
+        if (preview.paidAmount <= 0) {
+            return 'No payment has been made for this booking. Are you sure you want to cancel it?';
+        }
+        if (preview.refundAmount <= 0) {
+            return `You will not get a refund as per the cancellation policy (₹${preview.paidAmount.toLocaleString('en-IN')} paid). Are you sure you want to cancel?`;
+        }
+
+        const deduction = preview.nonRefundableAmount > 0
+            ? ` after the ₹${preview.nonRefundableAmount.toLocaleString('en-IN')} non-refundable deposit`
+            : '';
+        return `You will get ₹${preview.refundAmount.toLocaleString('en-IN')} back (${preview.refundPercentage}% refund${deduction}). Are you sure you want to cancel?`;
+    };
+
+    // "2 × Deluxe, 1 × Standard" (rooms removed entirely are left out)
+    const formatRoomList = (rooms = []) => rooms
+        .filter(room => room.quantity > 0)
+        .map(room => `${room.quantity} × ${room.name}`)
+        .join(', ') || 'No rooms';
+
     const formatDateDisplay = (dateString) => {
         if (!dateString) return '';
         try {
@@ -83,6 +152,13 @@ const MyBookingDetailScreen = ({ navigation, route }) => {
                     color: colors.error,
                     bgColor: colors.errorLight,
                 };
+            case 'expired':
+                return {
+                    label: 'EXPIRED',
+                    message: 'Your Booking is',
+                    color: colors.textSecondary,
+                    bgColor: '#F0F0F0',
+                };
             case 'pending':
                 return {
                     label: 'PENDING PAYMENT',
@@ -105,10 +181,18 @@ const MyBookingDetailScreen = ({ navigation, route }) => {
         Linking.openURL(`tel:${phoneNumber}`);
     };
 
-    const handleCancelBooking = () => {
+    const handleCancelBooking = async () => {
+        // Refresh - the refund shrinks as check-in gets closer
+        const preview = await fetchCancellationPreview();
+
+        if (preview && !preview.canCancel) {
+            Alert.alert('Cannot Cancel', preview.reason);
+            return;
+        }
+
         Alert.alert(
             'Cancel Booking',
-            'Are you sure you want to cancel this booking?',
+            getRefundPreviewMessage(preview),
             [
                 { text: 'No', style: 'cancel' },
                 {
@@ -116,8 +200,8 @@ const MyBookingDetailScreen = ({ navigation, route }) => {
                     style: 'destructive',
                     onPress: async () => {
                         try {
-                            await bookingService.cancelBooking(bookingId, 'Cancelled by user');
-                            Alert.alert('Success', 'Booking cancelled successfully', [
+                            const result = await bookingService.cancelBooking(bookingId, 'Cancelled by user');
+                            Alert.alert('Success', result.message || 'Booking cancelled successfully', [
                                 { text: 'OK', onPress: () => navigation.goBack() }
                             ]);
                         } catch (error) {
@@ -129,6 +213,298 @@ const MyBookingDetailScreen = ({ navigation, route }) => {
         );
     };
 
+    const handlePayBalance = async () => {
+        try {
+            setPayingBalance(true);
+
+            const orderResult = await bookingService.createBalanceOrder(bookingId);
+
+            const razorpayConfig = {
+                orderId: orderResult.razorpay.orderId,
+                amount: orderResult.razorpay.amount * 100, // Convert to paise
+                currency: orderResult.razorpay.currency,
+                key: orderResult.razorpay.key,
+                prefill: {
+                    name: booking.guestDetails?.fullName,
+                    email: booking.guestDetails?.email,
+                    contact: booking.guestDetails?.phoneNumber,
+                },
+                notes: {
+                    bookingId: bookingId,
+                    paymentType: 'balance',
+                },
+            };
+
+            setRazorpayHTML(generateRazorpayHTML(razorpayConfig));
+            setShowPaymentModal(true);
+        } catch (error) {
+            Alert.alert('Error', error.message || 'Failed to start balance payment');
+        } finally {
+            setPayingBalance(false);
+        }
+    };
+
+    const openChangeDates = () => {
+        setNewCheckInDate(null);
+        setNewCheckOutDate(null);
+        setMarkedDates({});
+        setReschedulePreview(null);
+        setShowDatesModal(true);
+    };
+
+    // Get date range for marking calendar
+    const getDateRange = (start, end) => {
+        const range = {};
+        let currentDate = dayjs(start);
+
+        while (!currentDate.isAfter(dayjs(end))) {
+            const dateString = currentDate.format('YYYY-MM-DD');
+            range[dateString] = {
+                startingDay: dateString === start,
+                endingDay: dateString === end,
+                color: dateString === start || dateString === end ? colors.primary : colors.primaryLight,
+                textColor: dateString === start || dateString === end ? colors.white : colors.primary,
+            };
+            currentDate = currentDate.add(1, 'day');
+        }
+
+        return range;
+    };
+
+    const handleDayPress = (day) => {
+        const selectedDate = day.dateString;
+
+        if (!newCheckInDate || newCheckOutDate || !dayjs(selectedDate).isAfter(dayjs(newCheckInDate))) {
+            // First selection, reset, or a date on/before check-in starts over
+            setNewCheckInDate(selectedDate);
+            setNewCheckOutDate(null);
+            setReschedulePreview(null);
+            setMarkedDates({
+                [selectedDate]: {
+                    startingDay: true,
+                    color: colors.primary,
+                    textColor: colors.white,
+                },
+            });
+            return;
+        }
+
+        setNewCheckOutDate(selectedDate);
+        setMarkedDates(getDateRange(newCheckInDate, selectedDate));
+        fetchReschedulePreview(newCheckInDate, selectedDate);
+    };
+
+    const fetchReschedulePreview = async (checkIn, checkOut) => {
+        try {
+            setPreviewingDates(true);
+            const result = await bookingService.previewReschedule(
+                bookingId,
+                dayjs(checkIn).format('DD-MM-YYYY'),
+                dayjs(checkOut).format('DD-MM-YYYY')
+            );
+            setReschedulePreview(result.preview);
+        } catch (error) {
+            setReschedulePreview(null);
+            Alert.alert('Cannot Change Dates', error.message || 'Failed to check the new dates');
+        } finally {
+            setPreviewingDates(false);
+        }
+    };
+
+    const getSettlementMessage = (preview, confirmText = 'the new dates') => {
+        const amount = `₹${preview.settlement.amount.toLocaleString('en-IN')}`;
+
+        switch (preview.settlement.type) {
+            case 'top_up':
+                return `Pay ${amount} more to confirm ${confirmText}`;
+            case 'refund':
+                return `${amount} will be refunded to you`;
+            case 'balance':
+                return `Your balance due becomes ₹${preview.balanceAmount.toLocaleString('en-IN')}`;
+            default:
+                return 'No change in the amount';
+        }
+    };
+
+    // Pay the difference of a date / room change
+    const openTopUpPayment = (razorpay) => {
+        const razorpayConfig = {
+            orderId: razorpay.orderId,
+            amount: razorpay.amount * 100, // Convert to paise
+            currency: razorpay.currency,
+            key: razorpay.key,
+            prefill: {
+                name: booking.guestDetails?.fullName,
+                email: booking.guestDetails?.email,
+                contact: booking.guestDetails?.phoneNumber,
+            },
+            notes: {
+                bookingId: bookingId,
+                paymentType: 'top_up',
+            },
+        };
+
+        setRazorpayHTML(generateRazorpayHTML(razorpayConfig));
+        setShowPaymentModal(true);
+    };
+
+    const handleConfirmReschedule = async () => {
+        try {
+            setRescheduling(true);
+
+            const result = await bookingService.rescheduleBooking(
+                bookingId,
+                dayjs(newCheckInDate).format('DD-MM-YYYY'),
+                dayjs(newCheckOutDate).format('DD-MM-YYYY')
+            );
+
+            setShowDatesModal(false);
+
+            if (!result.razorpay) {
+                Alert.alert('Dates Changed', result.message || 'Your booking dates have been changed');
+                fetchBookingDetails();
+                return;
+            }
+
+            // The change waits for the top-up (verify-payment completes it)
+            openTopUpPayment(result.razorpay);
+        } catch (error) {
+            Alert.alert('Error', error.message || 'Failed to change booking dates');
+        } finally {
+            setRescheduling(false);
+        }
+    };
+
+    const openChangeRooms = () => {
+        setRoomSelection(null);
+        setRoomChangePreview(null);
+        setShowRoomsModal(true);
+    };
+
+    // Step one room type up or down - changing another type starts over from the booked rooms
+    const handleRoomStep = (room, step) => {
+        const resourceId = room.resource?._id || room.resource;
+        const current = roomSelection?.resourceId === resourceId ? roomSelection.quantity : room.quantity;
+        const quantity = Math.max(0, current + step);
+
+        if (quantity === room.quantity) {
+            setRoomSelection(null);
+            setRoomChangePreview(null);
+            return;
+        }
+
+        setRoomSelection({ resourceId, quantity });
+        fetchRoomChangePreview(resourceId, quantity);
+    };
+
+    const fetchRoomChangePreview = async (resourceId, quantity) => {
+        try {
+            setPreviewingRooms(true);
+            const result = await bookingService.previewRoomChange(bookingId, resourceId, quantity);
+            setRoomChangePreview(result.preview);
+        } catch (error) {
+            setRoomSelection(null);
+            setRoomChangePreview(null);
+            Alert.alert('Cannot Change Rooms', error.message || 'Failed to check the rooms');
+        } finally {
+            setPreviewingRooms(false);
+        }
+    };
+
+    const handleConfirmRoomChange = async () => {
+        try {
+            setChangingRooms(true);
+
+            const result = await bookingService.changeRooms(
+                bookingId,
+                roomSelection.resourceId,
+                roomSelection.quantity
+            );
+
+            setShowRoomsModal(false);
+
+            if (!result.razorpay) {
+                Alert.alert('Rooms Changed', result.message || 'Your rooms have been updated');
+                fetchBookingDetails();
+                return;
+            }
+
+            // The change waits for the top-up (verify-payment completes it)
+            openTopUpPayment(result.razorpay);
+        } catch (error) {
+            Alert.alert('Error', error.message || 'Failed to change booking rooms');
+        } finally {
+            setChangingRooms(false);
+        }
+    };
+
+    const handleDownloadInvoice = async () => {
+        try {
+            setDownloadingInvoice(true);
+            const { url } = await bookingService.getInvoiceLink(bookingId);
+            await WebBrowser.openBrowserAsync(url);
+        } catch (error) {
+            Alert.alert('Error', error.message || 'Failed to download invoice');
+        } finally {
+            setDownloadingInvoice(false);
+        }
+    };
+
+    const handleDownloadCreditNote = async (creditNoteId) => {
+        try {
+            setDownloadingCreditNote(creditNoteId);
+            const { url } = await bookingService.getCreditNoteLink(bookingId, creditNoteId);
+            await WebBrowser.openBrowserAsync(url);
+        } catch (error) {
+            Alert.alert('Error', error.message || 'Failed to download credit note');
+        } finally {
+            setDownloadingCreditNote(null);
+        }
+    };
+
+    const handleDownloadDebitNote = async (debitNoteId) => {
+        try {
+            setDownloadingDebitNote(debitNoteId);
+            const { url } = await bookingService.getDebitNoteLink(bookingId, debitNoteId);
+            await WebBrowser.openBrowserAsync(url);
+        } catch (error) {
+            Alert.alert('Error', error.message || 'Failed to download debit note');
+        } finally {
+            setDownloadingDebitNote(null);
+        }
+    };
+
+    const handlePaymentResponse = async (event) => {
+        try {
+            const data = JSON.parse(event.nativeEvent.data);
+            setShowPaymentModal(false);
+
+            if (data.type === 'success') {
+                setPayingBalance(true);
+
+                const verifyResult = await bookingService.verifyPayment(
+                    bookingId,
+                    data.razorpay_order_id,
+                    data.razorpay_payment_id,
+                    data.razorpay_signature
+                );
+
+                setPayingBalance(false);
+                Alert.alert('Payment Successful', verifyResult.message || 'Payment received successfully');
+                fetchBookingDetails();
+            } else if (data.type === 'error') {
+                Alert.alert('Payment Failed', data.error?.description || 'Payment could not be completed.');
+            }
+        } catch (error) {
+            console.error('❌ Error handling payment:', error);
+            setPayingBalance(false);
+            Alert.alert(
+                'Payment Verification Failed',
+                'There was an error verifying your payment. Please contact support.'
+            );
+        }
+    };
+
     if (loading) {
         return (
             <View style={[styles.container, styles.centerContainer]}>
@@ -151,11 +527,26 @@ const MyBookingDetailScreen = ({ navigation, route }) => {
 
     const statusConfig = getStatusConfig(booking.status);
     const canCancel = ['confirmed', 'pending'].includes(booking.status);
+    const isPartiallyPaid = booking.payment?.status === 'partially_paid';
+    const canPayBalance = isPartiallyPaid && ['confirmed', 'checked_in'].includes(booking.status)
+        && booking.pricing?.balanceAmount > 0;
+    const hasInvoice = !!booking.documents?.invoice || (
+        ['confirmed', 'checked_in', 'checked_out'].includes(booking.status)
+        && ['paid', 'partially_paid'].includes(booking.payment?.status)
+    );
+    const creditNotes = booking.documents?.creditNotes || [];
+    const debitNotes = booking.documents?.debitNotes || [];
+    const canChangeDates = booking.status === 'confirmed';
+    const completedChanges = (booking.changes || []).filter(entry => entry.status === 'completed');
+    const dateChanges = completedChanges.filter(entry => entry.kind === 'dates');
+    const roomChanges = completedChanges.filter(entry => entry.kind === 'rooms');
+    const bookedRooms = booking.resources?.filter(r => r.facilityType === 'guest_room') || [];
+    // roomChangePolicy is only sent for rooms_only packages
+    const canChangeRooms = canChangeDates && !!booking.roomChangePolicy && bookedRooms.length > 0;
     const numberOfNights = booking.numberOfDays || 0;
 
     // Get resources info
-    const totalRooms = booking.resources?.filter(r => r.facilityType === 'guest_room')
-        .reduce((sum, r) => sum + r.quantity, 0) || 0;
+    const totalRooms = bookedRooms.reduce((sum, r) => sum + r.quantity, 0);
 
     return (
         <View style={[styles.container, { paddingTop: insets.top }]}>
@@ -284,30 +675,225 @@ const MyBookingDetailScreen = ({ navigation, route }) => {
                 {/* Cancellation Policy */}
                 <View style={styles.section}>
                     <Text style={styles.sectionTitle}>Cancellation Policy</Text>
-                    <Text style={styles.policyText}>
-                        {booking.packageId?.bookingRules?.cancellationPolicy || 
-                        'Cancellation charges may apply as per property policy. Contact property for details.'}
-                    </Text>
+                    {cancellationPreview?.policy?.length > 0 ? (
+                        cancellationPreview.policy.map((line, index) => (
+                            <Text key={index} style={styles.policyText}>• {line}</Text>
+                        ))
+                    ) : (
+                        <Text style={styles.policyText}>
+                            {booking.packageId?.bookingRules?.cancellationPolicy || 
+                            'Cancellation charges may apply as per property policy. Contact property for details.'}
+                        </Text>
+                    )}
+                    {cancellationPreview && cancellationPreview.paidAmount > 0 && (
+                        <View style={styles.refundPreviewBox}>
+                            <Ionicons name="wallet-outline" size={18} color={colors.primary} />
+                            <Text style={styles.refundPreviewText}>
+                                {cancellationPreview.refundAmount > 0
+                                    ? `If you cancel now, you will get ₹${cancellationPreview.refundAmount.toLocaleString('en-IN')} back`
+                                    : 'If you cancel now, no refund is applicable'}
+                            </Text>
+                        </View>
+                    )}
                 </View>
 
+                {/* Date Changes */}
+                {(canChangeDates || dateChanges.length > 0) && (
+                    <View style={styles.section}>
+                        <Text style={styles.sectionTitle}>Date Changes</Text>
+                        {(booking.reschedulePolicy || []).map((line, index) => (
+                            <Text key={index} style={styles.policyText}>• {line}</Text>
+                        ))}
+                        {dateChanges.map((entry) => (
+                            <View key={entry._id} style={styles.dateChangeRow}>
+                                <Ionicons name="swap-horizontal-outline" size={18} color={colors.textSecondary} />
+                                <Text style={styles.dateChangeText}>
+                                    {formatDateDisplay(entry.fromCheckInDate)} - {formatDateDisplay(entry.fromCheckOutDate)}
+                                    {' → '}
+                                    {formatDateDisplay(entry.toCheckInDate)} - {formatDateDisplay(entry.toCheckOutDate)}
+                                </Text>
+                            </View>
+                        ))}
+                        {canChangeDates && (
+                            <TouchableOpacity
+                                style={styles.callButton}
+                                onPress={openChangeDates}
+                                activeOpacity={0.7}
+                            >
+                                <Ionicons name="calendar-outline" size={18} color={colors.primary} />
+                                <Text style={styles.callButtonText}>Change Dates</Text>
+                            </TouchableOpacity>
+                        )}
+                    </View>
+                )}
+
+                {/* Room Changes (rooms_only packages) */}
+                {(canChangeRooms || roomChanges.length > 0) && (
+                    <View style={styles.section}>
+                        <Text style={styles.sectionTitle}>Room Changes</Text>
+                        {(booking.roomChangePolicy || []).map((line, index) => (
+                            <Text key={index} style={styles.policyText}>• {line}</Text>
+                        ))}
+                        {roomChanges.map((entry) => (
+                            <View key={entry._id} style={styles.dateChangeRow}>
+                                <Ionicons name="bed-outline" size={18} color={colors.textSecondary} />
+                                <Text style={styles.dateChangeText}>
+                                    {formatRoomList(entry.fromRooms)}
+                                    {' → '}
+                                    {formatRoomList(entry.toRooms)}
+                                </Text>
+                            </View>
+                        ))}
+                        {canChangeRooms && (
+                            <TouchableOpacity
+                                style={styles.callButton}
+                                onPress={openChangeRooms}
+                                activeOpacity={0.7}
+                            >
+                                <Ionicons name="bed-outline" size={18} color={colors.primary} />
+                                <Text style={styles.callButtonText}>Change Rooms</Text>
+                            </TouchableOpacity>
+                        )}
+                    </View>
+                )}
+
                 {/* Amount Paid */}
                 <View style={styles.section}>
                     <View style={styles.amountRow}>
-                        <Text style={styles.amountLabel}>Total Amount Paid</Text>
+                        <Text style={styles.amountLabel}>
+                            {isPartiallyPaid ? 'Total Amount' : 'Total Amount Paid'}
+                        </Text>
                         <Text style={styles.amountValue}>
                             ₹{booking.pricing?.finalAmount?.toLocaleString('en-IN') || '0'}
                         </Text>
                     </View>
+                    {isPartiallyPaid && (
+                        <>
+                            <View style={styles.amountRow}>
+                                <Text style={styles.paymentStatusLabel}>Advance Paid</Text>
+                                <Text style={styles.paymentStatusValue}>
+                                    ₹{booking.pricing?.paidAmount?.toLocaleString('en-IN') || '0'}
+                                </Text>
+                            </View>
+                            <View style={styles.amountRow}>
+                                <Text style={styles.paymentStatusLabel}>
+                                    Balance Due{booking.pricing?.balanceDueDate
+                                        ? ` by ${dayjs(booking.pricing.balanceDueDate).format('MMM D')}`
+                                        : ''}
+                                </Text>
+                                <Text style={[styles.paymentStatusValue, { color: colors.warning }]}>
+                                    ₹{booking.pricing?.balanceAmount?.toLocaleString('en-IN') || '0'}
+                                </Text>
+                            </View>
+                        </>
+                    )}
                     <View style={styles.amountRow}>
                         <Text style={styles.paymentStatusLabel}>Payment Status</Text>
                         <Text style={[styles.paymentStatusValue, 
                             { color: booking.payment?.status === 'paid' ? colors.success : colors.warning }
                         ]}>
-                            {booking.payment?.status === 'paid' ? '✓ Paid' : 'Pending'}
+                            {booking.payment?.status === 'paid'
+                                ? '✓ Paid'
+                                : isPartiallyPaid ? 'Advance Paid' : 'Pending'}
                         </Text>
                     </View>
                 </View>
 
+                {/* Download Invoice */}
+                {hasInvoice && (
+                    <TouchableOpacity
+                        style={[styles.invoiceButton, downloadingInvoice && styles.payBalanceButtonDisabled]}
+                        onPress={handleDownloadInvoice}
+                        disabled={downloadingInvoice}
+                        activeOpacity={0.8}
+                    >
+                        {downloadingInvoice ? (
+                            <ActivityIndicator size="small" color={colors.primary} />
+                        ) : (
+                            <>
+                                <Ionicons name="document-text-outline" size={18} color={colors.primary} />
+                                <Text style={styles.invoiceButtonText}>Download Invoice</Text>
+                            </>
+                        )}
+                    </TouchableOpacity>
+                )}
+
+                {/* Credit Notes (cancelled / refunded bookings) */}
+                {creditNotes.length > 0 && (
+                    <View style={styles.section}>
+                        <Text style={styles.sectionTitle}>Credit Notes</Text>
+                        {creditNotes.map((creditNote) => (
+                            <TouchableOpacity
+                                key={creditNote._id}
+                                style={styles.creditNoteRow}
+                                onPress={() => handleDownloadCreditNote(creditNote._id)}
+                                disabled={!!downloadingCreditNote}
+                                activeOpacity={0.7}
+                            >
+                                <Ionicons name="document-text-outline" size={20} color={colors.textSecondary} />
+                                <View style={styles.creditNoteInfo}>
+                                    <Text style={styles.detailText}>{creditNote.creditNoteNumber}</Text>
+                                    <Text style={styles.creditNoteMeta}>
+                                        {dayjs(creditNote.issuedAt).format('MMM D, YYYY')} · ₹{creditNote.totalAmount.toLocaleString('en-IN')}
+                                    </Text>
+                                </View>
+                                {downloadingCreditNote === creditNote._id ? (
+                                    <ActivityIndicator size="small" color={colors.primary} />
+                                ) : (
+                                    <Ionicons name="download-outline" size={20} color={colors.primary} />
+                                )}
+                            </TouchableOpacity>
+                        ))}
+                    </View>
+                )}
+
+                {/* Debit Notes (date / room changes that raised the total) */}
+                {debitNotes.length > 0 && (
+                    <View style={styles.section}>
+                        <Text style={styles.sectionTitle}>Debit Notes</Text>
+                        {debitNotes.map((debitNote) => (
+                            <TouchableOpacity
+                                key={debitNote._id}
+                                style={styles.creditNoteRow}
+                                onPress={() => handleDownloadDebitNote(debitNote._id)}
+                                disabled={!!downloadingDebitNote}
+                                activeOpacity={0.7}
+                            >
+                                <Ionicons name="document-text-outline" size={20} color={colors.textSecondary} />
+                                <View style={styles.creditNoteInfo}>
+                                    <Text style={styles.detailText}>{debitNote.debitNoteNumber}</Text>
+                                    <Text style={styles.creditNoteMeta}>
+                                        {dayjs(debitNote.issuedAt).format('MMM D, YYYY')} · ₹{debitNote.totalAmount.toLocaleString('en-IN')}
+                                    </Text>
+                                </View>
+                                {downloadingDebitNote === debitNote._id ? (
+                                    <ActivityIndicator size="small" color={colors.primary} />
+                                ) : (
+                                    <Ionicons name="download-outline" size={20} color={colors.primary} />
+                                )}
+                            </TouchableOpacity>
+                        ))}
+                    </View>
+                )}
+
+                {/* Pay Balance Button (advance-paid bookings) */}
+                {canPayBalance && (
+                    <TouchableOpacity
+                        style={[styles.payBalanceButton, payingBalance && styles.payBalanceButtonDisabled]}
+                        onPress={handlePayBalance}
+                        disabled={payingBalance}
+                        activeOpacity={0.8}
+                    >
+                        {payingBalance ? (
+                            <ActivityIndicator size="small" color={colors.white} />
+                        ) : (
+                            <Text style={styles.payBalanceButtonText}>
+                                Pay Balance ₹{booking.pricing.balanceAmount.toLocaleString('en-IN')}
+                            </Text>
+                        )}
+                    </TouchableOpacity>
+                )}
+
                 {/* Cancel Button (if applicable) */}
                 {canCancel && (
                     <TouchableOpacity
@@ -321,6 +907,244 @@ const MyBookingDetailScreen = ({ navigation, route }) => {
 
                 <View style={{ height: spacing.xl }} />
             </ScrollView>
+
+            {/* Change Dates Modal */}
+            <Modal
+                visible={showDatesModal}
+                animationType="slide"
+                transparent={true}
+                onRequestClose={() => setShowDatesModal(false)}
+            >
+                <View style={styles.modalOverlay}>
+                    <View style={styles.datesModalContent}>
+                        <View style={styles.datesModalHeader}>
+                            <Text style={styles.datesModalTitle}>Change Dates</Text>
+                            <TouchableOpacity onPress={() => setShowDatesModal(false)}>
+                                <Ionicons name="close" size={24} color={colors.text} />
+                            </TouchableOpacity>
+                        </View>
+
+                        <ScrollView style={styles.datesModalBody} showsVerticalScrollIndicator={false}>
+                            <Calendar
+                                minDate={dayjs().format('YYYY-MM-DD')}
+                                onDayPress={handleDayPress}
+                                markingType={'period'}
+                                markedDates={markedDates}
+                                theme={{
+                                    selectedDayBackgroundColor: colors.primary,
+                                    todayTextColor: colors.primary,
+                                    arrowColor: colors.primary,
+                                }}
+                            />
+
+                            {!newCheckOutDate && (
+                                <Text style={styles.datesHint}>
+                                    {newCheckInDate ? 'Select your new check-out date' : 'Select your new check-in date'}
+                                </Text>
+                            )}
+
+                            {previewingDates && (
+                                <ActivityIndicator size="small" color={colors.primary} style={styles.datesHint} />
+                            )}
+
+                            {reschedulePreview && !previewingDates && (
+                                <View style={styles.reschedulePreview}>
+                                    {!reschedulePreview.available ? (
+                                        <Text style={[styles.reschedulePreviewText, { color: colors.error }]}>
+                                            {reschedulePreview.unavailableResources?.[0]?.name || 'Rooms'} not available for these dates
+                                        </Text>
+                                    ) : (
+                                        <>
+                                            <View style={styles.amountRow}>
+                                                <Text style={styles.paymentStatusLabel}>
+                                                    New Total ({reschedulePreview.numberOfDays} night{reschedulePreview.numberOfDays !== 1 ? 's' : ''})
+                                                </Text>
+                                                <Text style={styles.paymentStatusValue}>
+                                                    ₹{reschedulePreview.pricing.finalAmount.toLocaleString('en-IN')}
+                                                </Text>
+                                            </View>
+                                            {reschedulePreview.pricing.fee > 0 && (
+                                                <View style={styles.amountRow}>
+                                                    <Text style={styles.paymentStatusLabel}>Includes change fee</Text>
+                                                    <Text style={styles.paymentStatusValue}>
+                                                        ₹{reschedulePreview.pricing.fee.toLocaleString('en-IN')}
+                                                    </Text>
+                                                </View>
+                                            )}
+                                            <View style={styles.amountRow}>
+                                                <Text style={styles.paymentStatusLabel}>Current Total</Text>
+                                                <Text style={styles.paymentStatusValue}>
+                                                    ₹{reschedulePreview.previousAmount.toLocaleString('en-IN')}
+                                                </Text>
+                                            </View>
+                                            <Text style={styles.reschedulePreviewText}>
+                                                {getSettlementMessage(reschedulePreview)}
+                                            </Text>
+                                        </>
+                                    )}
+                                </View>
+                            )}
+                        </ScrollView>
+
+                        <View style={styles.datesModalFooter}>
+                            <TouchableOpacity
+                                style={[
+                                    styles.payBalanceButton,
+                                    (!reschedulePreview?.available || previewingDates || rescheduling) && styles.payBalanceButtonDisabled
+                                ]}
+                                onPress={handleConfirmReschedule}
+                                disabled={!reschedulePreview?.available || previewingDates || rescheduling}
+                                activeOpacity={0.8}
+                            >
+                                {rescheduling ? (
+                                    <ActivityIndicator size="small" color={colors.white} />
+                                ) : (
+                                    <Text style={styles.payBalanceButtonText}>
+                                        {reschedulePreview?.available && reschedulePreview.settlement.type === 'top_up'
+                                            ? `Pay ₹${reschedulePreview.settlement.amount.toLocaleString('en-IN')} & Change Dates`
+                                            : 'Confirm New Dates'}
+                                    </Text>
+                                )}
+                            </TouchableOpacity>
+                        </View>
+                    </View>
+                </View>
+            </Modal>
+
+            {/* Change Rooms Modal */}
+            <Modal
+                visible={showRoomsModal}
+                animationType="slide"
+                transparent={true}
+                onRequestClose={() => setShowRoomsModal(false)}
+            >
+                <View style={styles.modalOverlay}>
+                    <View style={styles.datesModalContent}>
+                        <View style={styles.datesModalHeader}>
+                            <Text style={styles.datesModalTitle}>Change Rooms</Text>
+                            <TouchableOpacity onPress={() => setShowRoomsModal(false)}>
+                                <Ionicons name="close" size={24} color={colors.text} />
+                            </TouchableOpacity>
+                        </View>
+
+                        <ScrollView style={styles.datesModalBody} showsVerticalScrollIndicator={false}>
+                            {bookedRooms.map((room) => {
+                                const resourceId = room.resource?._id || room.resource;
+                                const selected = roomSelection?.resourceId === resourceId;
+                                const quantity = selected ? roomSelection.quantity : room.quantity;
+
+                                return (
+                                    <View key={resourceId} style={styles.roomStepperRow}>
+                                        <View style={styles.creditNoteInfo}>
+                                            <Text style={styles.detailText}>{room.name}</Text>
+                                            <Text style={styles.creditNoteMeta}>Booked: {room.quantity}</Text>
+                                        </View>
+                                        <View style={styles.roomStepper}>
+                                            <TouchableOpacity
+                                                onPress={() => handleRoomStep(room, -1)}
+                                                disabled={quantity === 0 || previewingRooms || changingRooms}
+                                                activeOpacity={0.7}
+                                            >
+                                                <Ionicons
+                                                    name="remove-circle-outline"
+                                                    size={28}
+                                                    color={quantity === 0 ? colors.textSecondary : colors.primary}
+                                                />
+                                            </TouchableOpacity>
+                                            <Text style={styles.roomStepperValue}>{quantity}</Text>
+                                            <TouchableOpacity
+                                                onPress={() => handleRoomStep(room, 1)}
+                                                disabled={previewingRooms || changingRooms}
+                                                activeOpacity={0.7}
+                                            >
+                                                <Ionicons name="add-circle-outline" size={28} color={colors.primary} />
+                                            </TouchableOpacity>
+                                        </View>
+                                    </View>
+                                );
+                            })}
+
+                            {!roomSelection && (
+                                <Text style={styles.datesHint}>Add or remove rooms of one room type</Text>
+                            )}
+
+                            {previewingRooms && (
+                                <ActivityIndicator size="small" color={colors.primary} style={styles.datesHint} />
+                            )}
+
+                            {roomSelection && roomChangePreview && !previewingRooms && (
+                                <View style={styles.reschedulePreview}>
+                                    {!roomChangePreview.available ? (
+                                        <Text style={[styles.reschedulePreviewText, { color: colors.error }]}>
+                                            {roomChangePreview.unavailableResources?.[0]?.name || 'Rooms'} not available for your dates
+                                        </Text>
+                                    ) : (
+                                        <>
+                                            <View style={styles.amountRow}>
+                                                <Text style={styles.paymentStatusLabel}>
+                                                    New Total ({roomChangePreview.numberOfDays} night{roomChangePreview.numberOfDays !== 1 ? 's' : ''})
+                                                </Text>
+                                                <Text style={styles.paymentStatusValue}>
+                                                    ₹{roomChangePreview.pricing.finalAmount.toLocaleString('en-IN')}
+                                                </Text>
+                                            </View>
+                                            <View style={styles.amountRow}>
+                                                <Text style={styles.paymentStatusLabel}>Current Total</Text>
+                                                <Text style={styles.paymentStatusValue}>
+                                                    ₹{roomChangePreview.previousAmount.toLocaleString('en-IN')}
+                                                </Text>
+                                            </View>
+                                            <Text style={styles.reschedulePreviewText}>
+                                                {getSettlementMessage(roomChangePreview, 'the rooms')}
+                                            </Text>
+                                        </>
+                                    )}
+                                </View>
+                            )}
+                        </ScrollView>
+
+                        <View style={styles.datesModalFooter}>
+                            <TouchableOpacity
+                                style={[
+                                    styles.payBalanceButton,
+                                    (!roomSelection || !roomChangePreview?.available || previewingRooms || changingRooms) && styles.payBalanceButtonDisabled
+                                ]}
+                                onPress={handleConfirmRoomChange}
+                                disabled={!roomSelection || !roomChangePreview?.available || previewingRooms || changingRooms}
+                                activeOpacity={0.8}
+                            >
+                                {changingRooms ? (
+                                    <ActivityIndicator size="small" color={colors.white} />
+                                ) : (
+                                    <Text style={styles.payBalanceButtonText}>
+                                        {roomChangePreview?.available && roomChangePreview.settlement.type === 'top_up'
+                                            ? `Pay ₹${roomChangePreview.settlement.amount.toLocaleString('en-IN')} & Change Rooms`
+                                            : 'Confirm Rooms'}
+                                    </Text>
+                                )}
+                            </TouchableOpacity>
+                        </View>
+                    </View>
+                </View>
+            </Modal>
+
+            {/* Razorpay Payment Modal (balance / date or room change payment) */}
+            <Modal
+                visible={showPaymentModal}
+                animationType="slide"
+                onRequestClose={() => setShowPaymentModal(false)}
+            >
+                <View style={styles.modalContainer}>
+                    <WebView
+                        source={{ html: razorpayHTML }}
+                        onMessage={handlePaymentResponse}
+                        javaScriptEnabled={true}
+                        domStorageEnabled={true}
+                        startInLoadingState={true}
+                        style={styles.webview}
+                    />
+                </View>
+            </Modal>
         </View>
     );
 };
@@ -568,6 +1392,21 @@ const styles = StyleSheet.create({
         color: colors.textSecondary,
         lineHeight: 20,
     },
+    refundPreviewBox: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        gap: spacing.sm,
+        marginTop: spacing.md,
+        padding: spacing.md,
+        borderRadius: 8,
+        backgroundColor: colors.primaryLight,
+    },
+    refundPreviewText: {
+        flex: 1,
+        fontSize: 13,
+        fontWeight: '600',
+        color: colors.primary,
+    },
 
     // Amount
     amountRow: {
@@ -594,6 +1433,147 @@ const styles = StyleSheet.create({
         fontWeight: '600',
     },
 
+    // Pay Balance Button
+    payBalanceButton: {
+        backgroundColor: colors.primary,
+        paddingVertical: spacing.md,
+        borderRadius: 8,
+        alignItems: 'center',
+        marginTop: spacing.sm,
+    },
+    payBalanceButtonDisabled: {
+        opacity: 0.6,
+    },
+    payBalanceButtonText: {
+        fontSize: 16,
+        fontWeight: '600',
+        color: colors.white,
+    },
+
+    invoiceButton: {
+        flexDirection: 'row',
+        justifyContent: 'center',
+        alignItems: 'center',
+        backgroundColor: colors.white,
+        borderWidth: 1.5,
+        borderColor: colors.primary,
+        paddingVertical: spacing.md,
+        borderRadius: 8,
+        marginTop: spacing.sm,
+        gap: spacing.sm,
+    },
+    invoiceButtonText: {
+        fontSize: 16,
+        fontWeight: '600',
+        color: colors.primary,
+    },
+    creditNoteRow: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        paddingVertical: spacing.sm,
+    },
+    creditNoteInfo: {
+        flex: 1,
+    },
+    creditNoteMeta: {
+        fontSize: 13,
+        color: colors.textSecondary,
+        marginTop: 2,
+        marginLeft: spacing.sm,
+    },
+
+    // Date Changes
+    dateChangeRow: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        marginTop: spacing.sm,
+    },
+    dateChangeText: {
+        flex: 1,
+        fontSize: 13,
+        color: colors.text,
+        marginLeft: spacing.sm,
+    },
+    modalOverlay: {
+        flex: 1,
+        backgroundColor: 'rgba(0, 0, 0, 0.5)',
+        justifyContent: 'flex-end',
+    },
+    datesModalContent: {
+        backgroundColor: colors.white,
+        borderTopLeftRadius: 20,
+        borderTopRightRadius: 20,
+        maxHeight: '85%',
+    },
+    datesModalHeader: {
+        flexDirection: 'row',
+        justifyContent: 'space-between',
+        alignItems: 'center',
+        paddingHorizontal: spacing.lg,
+        paddingVertical: spacing.md,
+        borderBottomWidth: 1,
+        borderBottomColor: '#F0F0F0',
+    },
+    datesModalTitle: {
+        fontSize: 18,
+        fontWeight: '600',
+        color: colors.text,
+    },
+    datesModalBody: {
+        paddingHorizontal: spacing.lg,
+        paddingVertical: spacing.md,
+    },
+    datesHint: {
+        textAlign: 'center',
+        marginTop: spacing.md,
+        fontSize: 13,
+        color: colors.textSecondary,
+    },
+    reschedulePreview: {
+        marginTop: spacing.md,
+        marginBottom: spacing.lg,
+        padding: spacing.md,
+        borderRadius: 8,
+        backgroundColor: colors.primaryLight,
+    },
+    reschedulePreviewText: {
+        fontSize: 13,
+        fontWeight: '600',
+        color: colors.primary,
+    },
+    datesModalFooter: {
+        padding: spacing.lg,
+        borderTopWidth: 1,
+        borderTopColor: '#F0F0F0',
+    },
+
+    // Change Rooms Modal
+    roomStepperRow: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        paddingVertical: spacing.sm,
+    },
+    roomStepper: {
+        flexDirection: 'row',
+        alignItems: 'center',
+    },
+    roomStepperValue: {
+        minWidth: 32,
+        textAlign: 'center',
+        fontSize: 16,
+        fontWeight: '600',
+        color: colors.text,
+    },
+
+    // Payment Modal
+    modalContainer: {
+        flex: 1,
+        backgroundColor: colors.white,
+    },
+    webview: {
+        flex: 1,
+    },
+
     // Cancel Button
     cancelButton: {
         backgroundColor: colors.white,
@@ -21,6 +21,7 @@ import colors from '../../styles/colors';
 import spacing from '../../styles/spacing';
 import packageService from '../../services/api/packages';
 import bookingService from '../../services/api/bookings';
+import waitlistService from '../../services/api/waitlist';
 import BookingDetailScreen from '../main/BookingDetailScreen';
 
 
@@ -32,6 +33,7 @@ const IMAGE_HEIGHT = 200;
 const PackageDetailScreen = ({ route, navigation }) => {
     const { packageId, checkInDate, checkOutDate, numberOfNights } = route.params;
     const initialRoomQuantity = route.params.roomQuantity || 1; // ✅ Get from route params
+    const initialRooms = route.params.rooms || null; // Rooms of each type { resourceId: quantity }
     const insets = useSafeAreaInsets();
 
     const [packageData, setPackageData] = useState(null);
@@ -39,13 +41,13 @@ const PackageDetailScreen = ({ route, navigation }) => {
     const [currentImageIndex, setCurrentImageIndex] = useState(0);
     const [availability, setAvailability] = useState(null);
     const [checkingAvailability, setCheckingAvailability] = useState(false);
-    const [roomQuantity, setRoomQuantity] = useState(initialRoomQuantity); // ✅ Initialize with param
+    const [rooms] = useState(initialRooms); // ✅ Initialize with param
     const [showEditModal, setShowEditModal] = useState(false); // ✅ Add edit modal state
     
     // Edit modal states
     const [editCheckInDate, setEditCheckInDate] = useState(null);
     const [editCheckOutDate, setEditCheckOutDate] = useState(null);
-    const [editRoomQuantity, setEditRoomQuantity] = useState(initialRoomQuantity);
+    const [editRooms, setEditRooms] = useState({});
     const [showDatePicker, setShowDatePicker] = useState(false);
     const [markedDates, setMarkedDates] = useState({});
     
@@ -67,7 +69,7 @@ const PackageDetailScreen = ({ route, navigation }) => {
         if (packageData?.category === 'rooms_only' && checkInDate && checkOutDate) {
             checkPackageAvailability();
         }
-    }, [roomQuantity]);
+    }, [rooms]);
 
     const loadPackageDetails = async () => {
         try {
@@ -84,40 +86,96 @@ const PackageDetailScreen = ({ route, navigation }) => {
         }
     };
 
+    // Room types a rooms_only package offers
+    const getRoomTypes = () => {
+        const resources = packageData?.includes?.resources || [];
+        return resources
+            .filter((item) => item.resource?.facilityType === 'guest_room')
+            .map((item) => ({
+                id: item.resource._id,
+                name: item.resource.name,
+                max: item.maxQuantity || item.resource.totalUnits || null,
+            }));
+    };
+
+    // Rooms to book - without a per-type choice (e.g. opened from a
+    // popular package), the room quantity is of the first room type
+    const getSelectedRooms = () => {
+        if (rooms) return rooms;
+        const [firstType] = getRoomTypes();
+        return firstType ? { [firstType.id]: initialRoomQuantity } : {};
+    };
+
+    const getTotalRooms = () => Object.values(getSelectedRooms()).reduce((sum, quantity) => sum + quantity, 0);
+
     const checkPackageAvailability = async () => {
         if (!checkInDate || !checkOutDate) return;
 
         try {
             setCheckingAvailability(true);
             
-            // Check if package is rooms_only and pass roomQuantity
+            // Check if package is rooms_only and pass the rooms of each type
             const isRoomsOnly = packageData?.category === 'rooms_only';
+            const selectedRooms = isRoomsOnly ? getSelectedRooms() : null;
             
             console.log('🔍 Checking availability:', {
                 packageId,
                 checkInDate: formatDateForAPI(checkInDate),
                 checkOutDate: formatDateForAPI(checkOutDate),
                 isRoomsOnly,
-                roomQuantity,
-                willPassToAPI: isRoomsOnly ? roomQuantity : null
+                rooms: selectedRooms,
             });
             
             const result = await bookingService.checkAvailability(
                 packageId,
                 formatDateForAPI(checkInDate),
                 formatDateForAPI(checkOutDate),
-                isRoomsOnly ? roomQuantity : null
+                selectedRooms
             );
             setAvailability(result.data);
             console.log('✅ Availability checked:', result.available);
         } catch (error) {
             console.error('Error checking availability:', error);
+
+            if (error.canJoinWaitlist) {
+                setAvailability({ available: false, unavailableResources: error.unavailableResources });
+                promptJoinWaitlist(error.message);
+                return;
+            }
+
             Alert.alert('Availability Check Failed', error.message);
         } finally {
             setCheckingAvailability(false);
         }
     };
 
+    // Sold out - offer a place on the waitlist for the same stay
+    const promptJoinWaitlist = (message) => {
+        Alert.alert(
+            'Sold Out',
+            `${message}\n\nJoin the waitlist and we will hold the stay for you if rooms free up.`,
+            [
+                { text: 'Not Now', style: 'cancel' },
+                { text: 'Join Waitlist', onPress: handleJoinWaitlist },
+            ]
+        );
+    };
+
+    const handleJoinWaitlist = async () => {
+        try {
+            const isRoomsOnly = packageData?.category === 'rooms_only';
+            const result = await waitlistService.joinWaitlist(
+                packageId,
+                formatDateForAPI(checkInDate),
+                formatDateForAPI(checkOutDate),
+                isRoomsOnly ? getSelectedRooms() : null
+            );
+            Alert.alert('On the Waitlist', result.message);
+        } catch (error) {
+            Alert.alert('Could Not Join Waitlist', error.message);
+        }
+    };
+
     const formatDateForAPI = (dateString) => {
         // If already in DD-MM-YYYY format, return as is
         if (dateString.includes('-') && dateString.split('-')[0].length <= 2) {
@@ -156,7 +214,13 @@ const PackageDetailScreen = ({ route, navigation }) => {
         }
 
         if (availability && !availability.available) {
-            Alert.alert('Not Available', 'This package is not available for the selected dates.');
+            promptJoinWaitlist('This package is not available for the selected dates.');
+            return;
+        }
+
+        // Orders are placed against the quote returned by the availability check
+        if (!availability?.quote?.token) {
+            Alert.alert('Checking Availability', 'Please wait while we confirm availability for your dates.');
             return;
         }
 
@@ -171,7 +235,9 @@ const PackageDetailScreen = ({ route, navigation }) => {
             checkOutDate: formatDateForAPI(checkOutDate),
             numberOfNights: numberOfNights || calculateNights(),
             pricing: availability?.pricing || packageData.pricing,
-            roomQuantity: isRoomsOnly ? roomQuantity : null, // ✅ Pass roomQuantity for rooms_only
+            roomQuantity: isRoomsOnly ? getTotalRooms() : null, // ✅ Pass roomQuantity for rooms_only
+            rooms: isRoomsOnly ? getSelectedRooms() : null, // Rooms of each type the quote was made for
+            quoteToken: availability?.quote?.token, // Price the order is charged at
         });
     };
 
@@ -199,7 +265,7 @@ const PackageDetailScreen = ({ route, navigation }) => {
         // Initialize edit states with current values
         setEditCheckInDate(checkInDate);
         setEditCheckOutDate(checkOutDate);
-        setEditRoomQuantity(roomQuantity);
+        setEditRooms(getSelectedRooms());
         
         // Initialize marked dates if dates exist
         if (checkInDate && checkOutDate) {
@@ -288,6 +354,16 @@ const PackageDetailScreen = ({ route, navigation }) => {
             return;
         }
 
+        const isRoomsOnly = packageData.category === 'rooms_only';
+        const selectedRooms = Object.fromEntries(
+            Object.entries(editRooms).filter(([, quantity]) => quantity > 0)
+        );
+
+        if (isRoomsOnly && Object.keys(selectedRooms).length === 0) {
+            Alert.alert('Rooms Required', 'Please select at least one room');
+            return;
+        }
+
         // Update the main state with edited values
         // Since we can't directly update route params, we'll navigate back with new params
         navigation.replace('PackageDetail', {
@@ -295,7 +371,7 @@ const PackageDetailScreen = ({ route, navigation }) => {
             checkInDate: editCheckInDate,
             checkOutDate: editCheckOutDate,
             numberOfNights: dayjs(editCheckOutDate).diff(dayjs(editCheckInDate), 'day'),
-            roomQuantity: packageData.category === 'rooms_only' ? editRoomQuantity : null,
+            rooms: isRoomsOnly ? selectedRooms : null,
         });
         
         setShowEditModal(false);
@@ -350,7 +426,7 @@ const PackageDetailScreen = ({ route, navigation }) => {
                                 {formatDateDisplay(checkInDate)} - {formatDateDisplay(checkOutDate)}
                             </Text>
                             {packageData.category === 'rooms_only' && (
-                                <Text style={styles.headerSubtitle}> • {roomQuantity} Room{roomQuantity > 1 ? 's' : ''}</Text>
+                                <Text style={styles.headerSubtitle}> • {getTotalRooms()} Room{getTotalRooms() > 1 ? 's' : ''}</Text>
                             )}
                         </View>
                     )}
@@ -526,7 +602,14 @@ const PackageDetailScreen = ({ route, navigation }) => {
                     </View>
 
                     {/* Cancellation Policy */}
-                    {packageData.bookingRules?.cancellationPolicy && (
+                    {packageData.refundPolicyLines?.length > 0 ? (
+                        <View style={styles.section}>
+                            <Text style={styles.sectionTitle}>Cancellation Policy</Text>
+                            {packageData.refundPolicyLines.map((line) => (
+                                <Text key={line} style={styles.policyText}>{line}</Text>
+                            ))}
+                        </View>
+                    ) : packageData.bookingRules?.cancellationPolicy && (
                         <View style={styles.section}>
                             <Text style={styles.sectionTitle}>Cancellation Policy</Text>
                             <Text style={styles.policyText}>{packageData.bookingRules.cancellationPolicy}</Text>
@@ -626,62 +709,51 @@ const PackageDetailScreen = ({ route, navigation }) => {
                                 )}
                             </View>
 
-                            {/* Room Quantity (Editable for rooms_only) */}
-                            {packageData?.category === 'rooms_only' && (
-                                <View style={styles.editSection}>
-                                    <Text style={styles.editLabel}>Number of Rooms</Text>
-                                    <View style={styles.roomQuantityControls}>
-                                        <TouchableOpacity
-                                            style={[styles.quantityButton, editRoomQuantity === 1 && styles.quantityButtonDisabled]}
-                                            onPress={() => setEditRoomQuantity(Math.max(1, editRoomQuantity - 1))}
-                                            disabled={editRoomQuantity === 1}
-                                            activeOpacity={0.7}
-                                        >
-                                            <Ionicons name="remove" size={24} color={editRoomQuantity === 1 ? colors.textSecondary : colors.primary} />
-                                        </TouchableOpacity>
-                                        
-                                        <View style={styles.quantityDisplay}>
-                                            <Text style={styles.quantityNumber}>{editRoomQuantity}</Text>
-                                            <Text style={styles.quantityLabel}>{editRoomQuantity === 1 ? 'Room' : 'Rooms'}</Text>
+                            {/* Rooms of each type (Editable for rooms_only) */}
+                            {packageData?.category === 'rooms_only' && getRoomTypes().map((roomType) => {
+                                const quantity = editRooms[roomType.id] || 0;
+                                const atMax = roomType.max && quantity >= roomType.max;
+                                return (
+                                    <View key={roomType.id} style={styles.editSection}>
+                                        <Text style={styles.editLabel}>{roomType.name}</Text>
+                                        <View style={styles.roomQuantityControls}>
+                                            <TouchableOpacity
+                                                style={[styles.quantityButton, quantity === 0 && styles.quantityButtonDisabled]}
+                                                onPress={() => setEditRooms({ ...editRooms, [roomType.id]: Math.max(0, quantity - 1) })}
+                                                disabled={quantity === 0}
+                                                activeOpacity={0.7}
+                                            >
+                                                <Ionicons name="remove" size={24} color={quantity === 0 ? colors.textSecondary : colors.primary} />
+                                            </TouchableOpacity>
+
+                                            <View style={styles.quantityDisplay}>
+                                                <Text style={styles.quantityNumber}>{quantity}</Text>
+                                                <Text style={styles.quantityLabel}>{quantity === 1 ? 'Room' : 'Rooms'}</Text>
+                                            </View>
+
+                                            <TouchableOpacity
+                                                style={[styles.quantityButton, atMax && styles.quantityButtonDisabled]}
+                                                onPress={() => {
+                                                    if (atMax) {
+                                                        Alert.alert('Maximum Reached', `Only ${roomType.max} ${roomType.name} rooms available`);
+                                                        return;
+                                                    }
+                                                    setEditRooms({ ...editRooms, [roomType.id]: quantity + 1 });
+                                                }}
+                                                disabled={atMax}
+                                                activeOpacity={0.7}
+                                            >
+                                                <Ionicons name="add" size={24} color={atMax ? colors.textSecondary : colors.primary} />
+                                            </TouchableOpacity>
                                         </View>
-                                        
-                                        <TouchableOpacity
-                                            style={[
-                                                styles.quantityButton,
-                                                packageData.includes?.resources?.[0]?.resource?.totalUnits &&
-                                                editRoomQuantity >= packageData.includes.resources[0].resource.totalUnits &&
-                                                styles.quantityButtonDisabled
-                                            ]}
-                                            onPress={() => {
-                                                const maxRooms = packageData.includes?.resources?.[0]?.resource?.totalUnits || 10;
-                                                if (editRoomQuantity < maxRooms) {
-                                                    setEditRoomQuantity(editRoomQuantity + 1);
-                                                } else {
-                                                    Alert.alert('Maximum Reached', `Only ${maxRooms} rooms available`);
-                                                }
-                                            }}
-                                            disabled={packageData.includes?.resources?.[0]?.resource?.totalUnits && editRoomQuantity >= packageData.includes.resources[0].resource.totalUnits}
-                                            activeOpacity={0.7}
-                                        >
-                                            <Ionicons
-                                                name="add"
-                                                size={24}
-                                                color={
-                                                    packageData.includes?.resources?.[0]?.resource?.totalUnits &&
-                                                    editRoomQuantity >= packageData.includes.resources[0].resource.totalUnits
-                                                        ? colors.textSecondary
-                                                        : colors.primary
-                                                }
-                                            />
-                                        </TouchableOpacity>
+                                        <Text style={styles.quantityHint}>
+                                            {roomType.max
+                                                ? `Maximum ${roomType.max} rooms available`
+                                                : 'Select the number of rooms you need'}
+                                        </Text>
                                     </View>
-                                    <Text style={styles.quantityHint}>
-                                        {packageData.includes?.resources?.[0]?.resource?.totalUnits
-                                            ? `Maximum ${packageData.includes.resources[0].resource.totalUnits} rooms available`
-                                            : 'Select the number of rooms you need'}
-                                    </Text>
-                                </View>
-                            )}
+                                );
+                            })}
                         </ScrollView>
 
                         <View style={styles.editModalFooter}>
@@ -11,6 +11,7 @@ import {
     ActivityIndicator,
     Linking,
     Platform,
+    Modal,
 } from 'react-native';
 import { useFocusEffect } from '@react-navigation/native';
 import { Ionicons } from '@expo/vector-icons';
@@ -19,12 +20,13 @@ import * as ImagePicker from 'expo-image-picker';
 import colors from '../../styles/colors';
 import spacing from '../../styles/spacing';
 import authService from '../../services/api/auth';
-import { getUser, saveUser } from '../../utils/storage';
+import { getUser, saveUser, saveToken, saveRefreshToken } from '../../utils/storage';
 
 const ProfileScreen = ({ onLogout }) => {
     const insets = useSafeAreaInsets();
     const [user, setUser] = useState(null);
     const [profileImage, setProfileImage] = useState(null);
+    const [uploadingImage, setUploadingImage] = useState(false);
     const [isEditing, setIsEditing] = useState(false);
     const [loading, setLoading] = useState(true);
     const [saving, setSaving] = useState(false);
@@ -34,12 +36,36 @@ const ProfileScreen = ({ onLogout }) => {
     const [email, setEmail] = useState('');
     const [phoneNumber, setPhoneNumber] = useState('');
 
+    // Logged-in devices
+    const [sessions, setSessions] = useState([]);
+    const [sessionsLoading, setSessionsLoading] = useState(false);
+
+    // Change password / delete account modal: 'password' | 'delete' | null
+    const [securityModal, setSecurityModal] = useState(null);
+    const [currentPassword, setCurrentPassword] = useState('');
+    const [newPassword, setNewPassword] = useState('');
+    const [confirmPassword, setConfirmPassword] = useState('');
+    const [securitySaving, setSecuritySaving] = useState(false);
+
     useFocusEffect(
         useCallback(() => {
             fetchUserData();
+            fetchSessions();
         }, [])
     );
 
+    const fetchSessions = async () => {
+        try {
+            setSessionsLoading(true);
+            const result = await authService.getSessions();
+            setSessions(result.sessions);
+        } catch (error) {
+            console.error('Error fetching sessions:', error);
+        } finally {
+            setSessionsLoading(false);
+        }
+    };
+
     const fetchUserData = async () => {
         try {
             setLoading(true);
@@ -49,6 +75,7 @@ const ProfileScreen = ({ onLogout }) => {
                 setFullName(userData.fullName || '');
                 setEmail(userData.email || '');
                 setPhoneNumber(userData.phoneNumber || '');
+                setProfileImage(userData.avatarUrl || null);
             }
         } catch (error) {
             console.error('Error fetching user data:', error);
@@ -76,13 +103,23 @@ const ProfileScreen = ({ onLogout }) => {
             });
 
             if (!result.canceled && result.assets[0]) {
-                setProfileImage(result.assets[0].uri);
-                // TODO: Upload to server
+                const asset = result.assets[0];
+
+                setUploadingImage(true);
+                const uploaded = await authService.uploadAvatar(asset.uri, asset.mimeType || 'image/jpeg');
+
+                const updatedUser = { ...user, avatarUrl: uploaded.avatarUrl };
+                await saveUser(updatedUser);
+                setUser(updatedUser);
+                setProfileImage(uploaded.avatarUrl);
+
                 Alert.alert('Success', 'Profile picture updated!');
             }
         } catch (error) {
-            console.error('Error picking image:', error);
-            Alert.alert('Error', 'Failed to pick image');
+            console.error('Error updating profile picture:', error);
+            Alert.alert('Error', error.message || 'Failed to update profile picture');
+        } finally {
+            setUploadingImage(false);
         }
     };
 
@@ -144,6 +181,125 @@ const ProfileScreen = ({ onLogout }) => {
         );
     };
 
+    const handleRevokeSession = (session) => {
+        Alert.alert(
+            'Log Out Device',
+            `Log out ${session.deviceName || 'this device'}?`,
+            [
+                { text: 'Cancel', style: 'cancel' },
+                {
+                    text: 'Log Out',
+                    style: 'destructive',
+                    onPress: async () => {
+                        try {
+                            await authService.revokeSession(session.id);
+                            setSessions(sessions.filter(item => item.id !== session.id));
+                        } catch (error) {
+                            Alert.alert('Error', error.message || 'Failed to log out device');
+                        }
+                    }
+                }
+            ]
+        );
+    };
+
+    const handleLogoutAll = () => {
+        Alert.alert(
+            'Log Out All Devices',
+            'You will be logged out on every device, including this one.',
+            [
+                { text: 'Cancel', style: 'cancel' },
+                {
+                    text: 'Log Out All',
+                    style: 'destructive',
+                    onPress: async () => {
+                        try {
+                            await authService.logoutAll();
+                            onLogout();
+                        } catch (error) {
+                            Alert.alert('Error', error.message || 'Failed to log out of all devices');
+                        }
+                    }
+                }
+            ]
+        );
+    };
+
+    const openSecurityModal = (type) => {
+        setCurrentPassword('');
+        setNewPassword('');
+        setConfirmPassword('');
+        setSecurityModal(type);
+    };
+
+    const handleChangePassword = async () => {
+        if (newPassword.length < 8) {
+            Alert.alert('Validation Error', 'New password must be at least 8 characters');
+            return;
+        }
+
+        if (newPassword !== confirmPassword) {
+            Alert.alert('Validation Error', 'Passwords do not match');
+            return;
+        }
+
+        try {
+            setSecuritySaving(true);
+            const result = await authService.changePassword(currentPassword, newPassword);
+
+            // This device stays logged in with a new token
+            await saveToken(result.token);
+            if (result.refreshToken) {
+                await saveRefreshToken(result.refreshToken);
+            }
+
+            setSecurityModal(null);
+            fetchSessions();
+            Alert.alert('Success', 'Password changed. You have been logged out on your other devices.');
+        } catch (error) {
+            console.error('Error changing password:', error);
+            Alert.alert('Error', error.message || 'Failed to change password');
+        } finally {
+            setSecuritySaving(false);
+        }
+    };
+
+    const handleDeleteAccount = () => {
+        Alert.alert(
+            'Delete Account',
+            'This permanently deletes your account. Past bookings are kept for tax records with your details removed. This cannot be undone.',
+            [
+                { text: 'Cancel', style: 'cancel' },
+                {
+                    text: 'Delete',
+                    style: 'destructive',
+                    onPress: async () => {
+                        try {
+                            setSecuritySaving(true);
+                            await authService.deleteAccount(currentPassword);
+                            setSecurityModal(null);
+                            Alert.alert('Account Deleted', 'Your account has been deleted.');
+                            onLogout();
+                        } catch (error) {
+                            console.error('Error deleting account:', error);
+                            Alert.alert('Error', error.message || 'Failed to delete account');
+                        } finally {
+                            setSecuritySaving(false);
+                        }
+                    }
+                }
+            ]
+        );
+    };
+
+    const formatLastActive = (date) => {
+        const minutes = Math.round((Date.now() - new Date(date).getTime()) / 60000);
+        if (minutes < 2) return 'Active now';
+        if (minutes < 60) return `Active ${minutes} min ago`;
+        if (minutes < 24 * 60) return `Active ${Math.round(minutes / 60)} h ago`;
+        return `Active ${new Date(date).toLocaleDateString('en-IN', { day: 'numeric', month: 'short' })}`;
+    };
+
     const openUrl = (url) => {
         Linking.openURL(url).catch(err => {
             console.error('Failed to open URL:', err);
@@ -176,6 +332,7 @@ const ProfileScreen = ({ onLogout }) => {
                         style={styles.profileImageContainer}
                         onPress={handlePickImage}
                         activeOpacity={0.7}
+                        disabled={uploadingImage}
                     >
                         {profileImage ? (
                             <Image source={{ uri: profileImage }} style={styles.profileImage} />
@@ -184,6 +341,11 @@ const ProfileScreen = ({ onLogout }) => {
                                 <Ionicons name="person" size={48} color={colors.white} />
                             </View>
                         )}
+                        {uploadingImage && (
+                            <View style={styles.profileImageOverlay}>
+                                <ActivityIndicator color={colors.white} />
+                            </View>
+                        )}
                         <View style={styles.cameraIconContainer}>
                             <Ionicons name="camera" size={18} color={colors.white} />
                         </View>
@@ -265,6 +427,75 @@ const ProfileScreen = ({ onLogout }) => {
                     )}
                 </View>
 
+                {/* Security Section */}
+                <View style={styles.section}>
+                    <Text style={styles.sectionTitle}>Security</Text>
+
+                    <TouchableOpacity
+                        style={styles.menuItem}
+                        onPress={() => openSecurityModal('password')}
+                        activeOpacity={0.7}
+                    >
+                        <Ionicons name="key-outline" size={24} color={colors.text} />
+                        <Text style={styles.menuItemText}>Change Password</Text>
+                        <Ionicons name="chevron-forward" size={20} color={colors.textSecondary} />
+                    </TouchableOpacity>
+
+                    <TouchableOpacity
+                        style={styles.menuItem}
+                        onPress={() => openSecurityModal('delete')}
+                        activeOpacity={0.7}
+                    >
+                        <Ionicons name="trash-outline" size={24} color={colors.error} />
+                        <Text style={[styles.menuItemText, { color: colors.error }]}>Delete Account</Text>
+                        <Ionicons name="chevron-forward" size={20} color={colors.textSecondary} />
+                    </TouchableOpacity>
+                </View>
+
+                {/* Logged-in Devices */}
+                <View style={styles.section}>
+                    <Text style={styles.sectionTitle}>Logged-in Devices</Text>
+
+                    {sessionsLoading && sessions.length === 0 ? (
+                        <ActivityIndicator size="small" color={colors.primary} />
+                    ) : (
+                        sessions.map(session => (
+                            <View key={session.id} style={styles.menuItem}>
+                                <Ionicons
+                                    name={session.platform === 'web' ? 'desktop-outline' : 'phone-portrait-outline'}
+                                    size={24}
+                                    color={colors.text}
+                                />
+                                <View style={styles.sessionInfo}>
+                                    <Text style={styles.sessionName}>
+                                        {session.deviceName || 'Unknown device'}
+                                        {session.current ? ' (this device)' : ''}
+                                    </Text>
+                                    <Text style={styles.sessionMeta}>{formatLastActive(session.lastUsedAt)}</Text>
+                                </View>
+                                {!session.current && (
+                                    <TouchableOpacity
+                                        onPress={() => handleRevokeSession(session)}
+                                        activeOpacity={0.7}
+                                    >
+                                        <Text style={styles.sessionRevokeText}>Log out</Text>
+                                    </TouchableOpacity>
+                                )}
+                            </View>
+                        ))
+                    )}
+
+                    <TouchableOpacity
+                        style={styles.menuItem}
+                        onPress={handleLogoutAll}
+                        activeOpacity={0.7}
+                    >
+                        <Ionicons name="log-out-outline" size={24} color={colors.error} />
+                        <Text style={[styles.menuItemText, { color: colors.error }]}>Log out of all devices</Text>
+                        <Ionicons name="chevron-forward" size={20} color={colors.textSecondary} />
+                    </TouchableOpacity>
+                </View>
+
                 {/* Support Section */}
                 <View style={styles.section}>
                     <Text style={styles.sectionTitle}>Support</Text>
@@ -333,6 +564,96 @@ const ProfileScreen = ({ onLogout }) => {
 
                 <View style={{ height: spacing.xl }} />
             </ScrollView>
+
+            {/* Change Password / Delete Account Modal */}
+            <Modal
+                visible={securityModal !== null}
+                transparent
+                animationType="fade"
+                onRequestClose={() => setSecurityModal(null)}
+            >
+                <View style={styles.modalOverlay}>
+                    <View style={styles.modalCard}>
+                        <Text style={styles.sectionTitle}>
+                            {securityModal === 'password' ? 'Change Password' : 'Delete Account'}
+                        </Text>
+
+                        <View style={styles.inputContainer}>
+                            <Text style={styles.inputLabel}>
+                                {securityModal === 'password' ? 'Current Password' : 'Password'}
+                            </Text>
+                            <TextInput
+                                style={styles.input}
+                                value={currentPassword}
+                                onChangeText={setCurrentPassword}
+                                secureTextEntry
+                                placeholder="Enter your password"
+                                autoComplete="password"
+                            />
+                            <Text style={styles.modalHint}>Leave blank if you signed up with an SMS code</Text>
+                        </View>
+
+                        {securityModal === 'password' && (
+                            <>
+                                <View style={styles.inputContainer}>
+                                    <Text style={styles.inputLabel}>New Password</Text>
+                                    <TextInput
+                                        style={styles.input}
+                                        value={newPassword}
+                                        onChangeText={setNewPassword}
+                                        secureTextEntry
+                                        placeholder="At least 8 characters"
+                                        autoComplete="password-new"
+                                    />
+                                </View>
+
+                                <View style={styles.inputContainer}>
+                                    <Text style={styles.inputLabel}>Confirm New Password</Text>
+                                    <TextInput
+                                        style={styles.input}
+                                        value={confirmPassword}
+                                        onChangeText={setConfirmPassword}
+                                        secureTextEntry
+                                        placeholder="Re-enter new password"
+                                        autoComplete="password-new"
+                                    />
+                                </View>
+                            </>
+                        )}
+
+                        {securityModal === 'delete' && (
+                            <Text style={styles.modalWarning}>
+                                You can't delete your account while you have an upcoming booking. Cancel it first.
+                            </Text>
+                        )}
+
+                        <View style={styles.editButtonRow}>
+                            <TouchableOpacity
+                                style={styles.cancelButton}
+                                onPress={() => setSecurityModal(null)}
+                                disabled={securitySaving}
+                                activeOpacity={0.7}
+                            >
+                                <Text style={styles.cancelButtonText}>Cancel</Text>
+                            </TouchableOpacity>
+                            <TouchableOpacity
+                                style={[styles.saveButton, securityModal === 'delete' && { backgroundColor: colors.error }]}
+                                onPress={securityModal === 'password' ? handleChangePassword : handleDeleteAccount}
+                                disabled={securitySaving}
+                                activeOpacity={0.7}
+                            >
+                                {securitySaving ? (
+                                    <ActivityIndicator size="small" color={colors.white} />
+                                ) : (
+                                    <Text style={styles.saveButtonText}>
+                                        {securityModal === 'password' ? 'Change Password' : 'Delete Account'}
+                                    </Text>
+                                )}
+                            </TouchableOpacity>
+                        </View>
+                    </View>
+                </View>
+            </Modal>
         </View>
     );
 };
@@ -388,6 +709,17 @@ const styles = StyleSheet.create({
         justifyContent: 'center',
         alignItems: 'center',
     },
+    profileImageOverlay: {
+        position: 'absolute',
+        top: 0,
+        left: 0,
+        width: 100,
+        height: 100,
+        borderRadius: 50,
+        backgroundColor: 'rgba(0, 0, 0, 0.4)',
+        justifyContent: 'center',
+        alignItems: 'center',
+    },
     cameraIconContainer: {
         position: 'absolute',
         bottom: 0,
@@ -507,6 +839,49 @@ const styles = StyleSheet.create({
         color: colors.textSecondary,
     },
 
+    // Security Modal
+    modalOverlay: {
+        flex: 1,
+        backgroundColor: 'rgba(0, 0, 0, 0.5)',
+        justifyContent: 'center',
+        padding: spacing.lg,
+    },
+    modalCard: {
+        backgroundColor: colors.white,
+        borderRadius: 12,
+        padding: spacing.lg,
+    },
+    modalHint: {
+        fontSize: 12,
+        color: colors.textSecondary,
+        marginTop: spacing.xs,
+    },
+    modalWarning: {
+        fontSize: 14,
+        color: colors.textSecondary,
+        marginBottom: spacing.sm,
+    },
+
+    // Sessions
+    sessionInfo: {
+        flex: 1,
+        marginLeft: spacing.md,
+    },
+    sessionName: {
+        fontSize: 15,
+        color: colors.text,
+    },
+    sessionMeta: {
+        fontSize: 13,
+        color: colors.textSecondary,
+        marginTop: 2,
+    },
+    sessionRevokeText: {
+        fontSize: 14,
+        fontWeight: '600',
+        color: colors.error,
+    },
+
     // Logout Button
     logoutButton: {
         flexDirection: 'row',
@@ -1,6 +1,15 @@
 import Constants from 'expo-constants';
 import axios from 'axios';
-import { getToken } from '../../utils/storage';
+import { Platform } from 'react-native';
+import * as Device from 'expo-device';
+import {
+    getToken,
+    saveToken,
+    removeToken,
+    getRefreshToken,
+    saveRefreshToken,
+    removeRefreshToken,
+} from '../../utils/storage';
 
 const API_URL =  'http://192.168.29.78:3000/api';
 
@@ -63,24 +72,117 @@ api.interceptors.response.use(
     }
 );
 
+// ==================== REFRESH INTERCEPTOR ====================
+// Access tokens are short-lived (15 min). On a 401 the refresh token is swapped
+// for a new access token and the request is retried once.
+// Parallel 401s share one refresh - a refresh token only works once.
+const NO_REFRESH_URLS = [
+    '/auth/login',
+    '/auth/register',
+    '/auth/refresh',
+    '/auth/logout',
+    '/auth/otp/verify',
+    '/auth/reset-password',
+];
+
+let refreshPromise = null;
+let sessionExpiredHandler = null;
+
+/**
+ * Called when the session can't be refreshed (revoked, or logged out everywhere)
+ * @param {function} handler
+ */
+export const setSessionExpiredHandler = (handler) => {
+    sessionExpiredHandler = handler;
+};
+
+const refreshAccessToken = async () => {
+    const refreshToken = await getRefreshToken();
+    if (!refreshToken) {
+        throw new Error('No refresh token');
+    }
+
+    // Plain axios so this call doesn't go through the interceptors
+    const response = await axios.post(`${API_URL}/auth/refresh`, { refreshToken }, { timeout: 10000 });
+
+    await saveToken(response.data.token);
+    await saveRefreshToken(response.data.refreshToken);
+    console.log('🔄 Access token refreshed');
+
+    return response.data.token;
+};
+
+api.interceptors.response.use(
+    (response) => response,
+    async (error) => {
+        const originalRequest = error.config;
+
+        if (
+            error.response?.status !== 401 ||
+            !originalRequest ||
+            originalRequest._retry ||
+            NO_REFRESH_URLS.includes(originalRequest.url)
+        ) {
+            return Promise.reject(error);
+        }
+
+        originalRequest._retry = true;
+
+        try {
+            if (!refreshPromise) {
+                refreshPromise = refreshAccessToken().finally(() => {
+                    refreshPromise = null;
+                });
+            }
+
+            const token = await refreshPromise;
+            originalRequest.headers.Authorization = `Bearer ${token}`;
+
+            return api(originalRequest);
+        } catch (refreshError) {
+            console.error('🔒 Session expired:', refreshError.response?.data?.message || refreshError.message);
+
+            // Only a rejected refresh ends the session - not a network error
+            if (refreshError.response || refreshError.message === 'No refresh token') {
+                await removeToken();
+                await removeRefreshToken();
+
+                if (sessionExpiredHandler) {
+                    sessionExpiredHandler();
+                }
+            }
+
+            return Promise.reject(error);
+        }
+    }
+);
+
+// Shown in the logged-in devices list (GET /auth/sessions)
+const getDeviceInfo = () => ({
+    deviceName: Device.modelName || null,
+    platform: Platform.OS,
+});
+
 // ==================== AUTH SERVICE ====================
 const authService = {
     /**
      * Login user with phone number and password
      * @param {string} phoneNumber - User's phone number
      * @param {string} password - User's password
-     * @returns {Promise<{token: string, user: object}>}
+     * @returns {Promise<{token: string, refreshToken: string, user: object}>}
      */
     login: async (phoneNumber, password) => {
         try {
             const response = await api.post('/auth/login', {
                 phoneNumber: phoneNumber,
                 password: password,
+                ...getDeviceInfo(),
             });
 
             return {
                 success: true,
                 token: response.data.token,
+                refreshToken: response.data.refreshToken,
                 user: response.data.user,
             };
         } catch (error) {
@@ -99,6 +201,142 @@ const authService = {
         }
     },
 
+    /**
+     * Send a one-time code to a phone number by SMS
+     * @param {string} phoneNumber - 10-digit phone number
+     * @param {string} purpose - 'login' | 'register'
+     * @returns {Promise<{expiresAt: string, resendAfter: number}>}
+     */
+    requestOtp: async (phoneNumber, purpose = 'login') => {
+        try {
+            const response = await api.post('/auth/otp/request', { phoneNumber, purpose });
+
+            return {
+                success: true,
+                expiresAt: response.data.expiresAt,
+                resendAfter: response.data.resendAfter,
+            };
+        } catch (error) {
+            console.error('Request OTP error:', error);
+
+            if (error.code === 'ECONNABORTED') {
+                throw new Error('Request timeout. Please try again.');
+            }
+
+            if (error.message === 'Network Error' || !error.response) {
+                throw new Error('Cannot connect to server. Please check your internet connection.');
+            }
+
+            const errorMessage = error.response?.data?.message || 'Failed to send code';
+            throw new Error(errorMessage);
+        }
+    },
+
+    /**
+     * Check a one-time code
+     * login returns { token, refreshToken, user }; register returns { phoneVerificationToken } for register()
+     * @param {string} phoneNumber - 10-digit phone number
+     * @param {string} code - Code from the SMS
+     * @param {string} purpose - 'login' | 'register'
+     * @returns {Promise<{token?: string, user?: object, phoneVerificationToken?: string}>}
+     */
+    verifyOtp: async (phoneNumber, code, purpose = 'login') => {
+        try {
+            const response = await api.post('/auth/otp/verify', {
+                phoneNumber,
+                code,
+                purpose,
+                ...getDeviceInfo(),
+            });
+
+            return {
+                success: true,
+                token: response.data.token,
+                refreshToken: response.data.refreshToken,
+                user: response.data.user,
+                phoneVerificationToken: response.data.phoneVerificationToken,
+            };
+        } catch (error) {
+            console.error('Verify OTP error:', error);
+
+            if (error.code === 'ECONNABORTED') {
+                throw new Error('Request timeout. Please try again.');
+            }
+
+            if (error.message === 'Network Error' || !error.response) {
+                throw new Error('Cannot connect to server. Please check your internet connection.');
+            }
+
+            const errorMessage = error.response?.data?.message || 'Verification failed';
+            throw new Error(errorMessage);
+        }
+    },
+
+    /**
+     * Send a password reset code
+     * @param {object} identifier - { phoneNumber } (code by SMS) or { email } (code by email)
+     * @returns {Promise<{message: string, expiresAt: string, resendAfter: number}>}
+     */
+    forgotPassword: async (identifier) => {
+        try {
+            const response = await api.post('/auth/forgot-password', identifier);
+
+            return {
+                success: true,
+                message: response.data.message,
+                expiresAt: response.data.expiresAt,
+                resendAfter: response.data.resendAfter,
+            };
+        } catch (error) {
+            console.error('Forgot password error:', error);
+
+            if (error.code === 'ECONNABORTED') {
+                throw new Error('Request timeout. Please try again.');
+            }
+
+            if (error.message === 'Network Error' || !error.response) {
+                throw new Error('Cannot connect to server. Please check your internet connection.');
+            }
+
+            const errorMessage = error.response?.data?.message || 'Failed to send reset code';
+            throw new Error(errorMessage);
+        }
+    },
+
+    /**
+     * Set a new password with the reset code (logs out other devices)
+     * @param {object} resetData - { phoneNumber or email, code, newPassword }
+     * @returns {Promise<{token: string, refreshToken: string, user: object}>}
+     */
+    resetPassword: async (resetData) => {
+        try {
+            const response = await api.post('/auth/reset-password', {
+                ...resetData,
+                ...getDeviceInfo(),
+            });
+
+            return {
+                success: true,
+                token: response.data.token,
+                refreshToken: response.data.refreshToken,
+                user: response.data.user,
+            };
+        } catch (error) {
+            console.error('Reset password error:', error);
+
+            if (error.code === 'ECONNABORTED') {
+                throw new Error('Request timeout. Please try again.');
+            }
+
+            if (error.message === 'Network Error' || !error.response) {
+                throw new Error('Cannot connect to server. Please check your internet connection.');
+            }
+
+            const errorMessage = error.response?.data?.message || 'Failed to reset password';
+            throw new Error(errorMessage);
+        }
+    },
+
     /**
      * Verify JWT token with backend
      * @param {string} token - JWT token
@@ -131,15 +369,19 @@ const authService = {
     /**
      * Register new user
      * @param {object} userData - User registration data
-     * @returns {Promise<{token: string, user: object}>}
+     * @returns {Promise<{token: string, refreshToken: string, user: object}>}
      */
     register: async (userData) => {
         try {
-            const response = await api.post('/auth/register', userData);
+            const response = await api.post('/auth/register', {
+                ...userData,
+                ...getDeviceInfo(),
+            });
 
             return {
                 success: true,
                 token: response.data.token,
+                refreshToken: response.data.refreshToken,
                 user: response.data.user,
             };
         } catch (error) {
@@ -183,6 +425,246 @@ const authService = {
             throw new Error(errorMessage);
         }
     },
+
+    /**
+     * Change password (other devices are logged out)
+     * @param {string} currentPassword - Current password (empty for SMS-code accounts without one)
+     * @param {string} newPassword - New password
+     * @returns {Promise<{token: string, refreshToken?: string}>} new access token for this device
+     */
+    changePassword: async (currentPassword, newPassword) => {
+        try {
+            const response = await api.post('/auth/change-password', { currentPassword, newPassword });
+
+            return {
+                success: true,
+                message: response.data.message,
+                token: response.data.token,
+                refreshToken: response.data.refreshToken,
+            };
+        } catch (error) {
+            console.error('Change password error:', error);
+
+            if (error.message === 'Network Error' || !error.response) {
+                throw new Error('Cannot connect to server.');
+            }
+
+            const errorMessage = error.response?.data?.message || 'Failed to change password';
+            throw new Error(errorMessage);
+        }
+    },
+
+    /**
+     * Delete the account (past bookings are kept, anonymised)
+     * @param {string} password - Current password (empty for SMS-code accounts without one)
+     * @returns {Promise<{success: boolean}>}
+     */
+    deleteAccount: async (password) => {
+        try {
+            const response = await api.delete('/auth/account', { data: { password } });
+
+            return {
+                success: true,
+                message: response.data.message,
+            };
+        } catch (error) {
+            console.error('Delete account error:', error);
+
+            if (error.message === 'Network Error' || !error.response) {
+                throw new Error('Cannot connect to server.');
+            }
+
+            const errorMessage = error.response?.data?.message || 'Failed to delete account';
+            throw new Error(errorMessage);
+        }
+    },
+
+    /**
+     * End this device's session on the server
+     * @param {string} refreshToken - This device's refresh token
+     * @returns {Promise<{success: boolean}>}
+     */
+    logout: async (refreshToken) => {
+        try {
+            await api.post('/auth/logout', { refreshToken });
+
+            return { success: true };
+        } catch (error) {
+            console.error('Logout error:', error);
+
+            const errorMessage = error.response?.data?.message || 'Failed to logout';
+            throw new Error(errorMessage);
+        }
+    },
+
+    /**
+     * Log out every device, this one included
+     * @returns {Promise<{revoked: number}>}
+     */
+    logoutAll: async () => {
+        try {
+            const response = await api.post('/auth/logout-all');
+
+            return {
+                success: true,
+                revoked: response.data.revoked,
+            };
+        } catch (error) {
+            console.error('Logout all error:', error);
+
+            if (error.message === 'Network Error' || !error.response) {
+                throw new Error('Cannot connect to server.');
+            }
+
+            const errorMessage = error.response?.data?.message || 'Failed to logout of all devices';
+            throw new Error(errorMessage);
+        }
+    },
+
+    /**
+     * Devices the user is logged in on
+     * @returns {Promise<{sessions: Array}>} sessions ({ id, deviceName, platform, lastUsedAt, current })
+     */
+    getSessions: async () => {
+        try {
+            const response = await api.get('/auth/sessions');
+
+            return {
+                success: true,
+                sessions: response.data.sessions,
+            };
+        } catch (error) {
+            console.error('Get sessions error:', error);
+
+            if (error.message === 'Network Error' || !error.response) {
+                throw new Error('Cannot connect to server.');
+            }
+
+            const errorMessage = error.response?.data?.message || 'Failed to load devices';
+            throw new Error(errorMessage);
+        }
+    },
+
+    /**
+     * Log out one device
+     * @param {string} sessionId - Session ID from getSessions()
+     * @returns {Promise<{success: boolean}>}
+     */
+    revokeSession: async (sessionId) => {
+        try {
+            await api.delete(`/auth/sessions/${sessionId}`);
+
+            return { success: true };
+        } catch (error) {
+            console.error('Revoke session error:', error);
+
+            if (error.message === 'Network Error' || !error.response) {
+                throw new Error('Cannot connect to server.');
+            }
+
+            const errorMessage = error.response?.data?.message || 'Failed to log out device';
+            throw new Error(errorMessage);
+        }
+    },
+
+    /**
+     * Upload a new profile photo (replaces the current one)
+     * @param {string} uri - Local image URI from the image picker
+     * @param {string} mimeType - e.g. 'image/jpeg'
+     * @returns {Promise<{success: boolean, avatarUrl: string}>}
+     */
+    uploadAvatar: async (uri, mimeType = 'image/jpeg') => {
+        try {
+            console.log('📷 Uploading profile photo...');
+
+            // The API takes the image bytes as the request body
+            const file = await fetch(uri);
+            const blob = await file.blob();
+
+            const response = await api.put('/auth/avatar', blob, {
+                headers: { 'Content-Type': mimeType },
+            });
+
+            console.log('✅ Profile photo uploaded');
+
+            return {
+                success: true,
+                avatarUrl: response.data.avatarUrl,
+            };
+        } catch (error) {
+            console.error('Upload avatar error:', error);
+
+            if (error.response?.status === 413) {
+                throw new Error('Image is too large. Please choose one under 5 MB.');
+            }
+
+            if (error.message === 'Network Error' || !error.response) {
+                throw new Error('Cannot connect to server.');
+            }
+
+            const errorMessage = error.response?.data?.message || 'Failed to upload photo';
+            throw new Error(errorMessage);
+        }
+    },
+
+    /**
+     * Remove the profile photo
+     * @returns {Promise<{success: boolean}>}
+     */
+    removeAvatar: async () => {
+        try {
+            await api.delete('/auth/avatar');
+
+            return { success: true };
+        } catch (error) {
+            console.error('Remove avatar error:', error);
+
+            if (error.message === 'Network Error' || !error.response) {
+                throw new Error('Cannot connect to server.');
+            }
+
+            const errorMessage = error.response?.data?.message || 'Failed to remove photo';
+            throw new Error(errorMessage);
+        }
+    },
+
+    /**
+     * Register this device's Expo push token for booking notifications
+     * @param {string} token - Expo push token
+     * @param {string} platform - 'ios' | 'android'
+     * @param {string} previousToken - Token this device had before (replaced), if any
+     * @returns {Promise<{success: boolean}>}
+     */
+    registerPushToken: async (token, platform, previousToken = null) => {
+        try {
+            await api.post('/auth/push-tokens', { token, platform, previousToken });
+
+            return { success: true };
+        } catch (error) {
+            console.error('Register push token error:', error);
+
+            const errorMessage = error.response?.data?.message || 'Failed to register for notifications';
+            throw new Error(errorMessage);
+        }
+    },
+
+    /**
+     * Stop push notifications to this device (logout)
+     * @param {string} token - Expo push token
+     * @returns {Promise<{success: boolean}>}
+     */
+    unregisterPushToken: async (token) => {
+        try {
+            await api.delete('/auth/push-tokens', { data: { token } });
+
+            return { success: true };
+        } catch (error) {
+            console.error('Unregister push token error:', error);
+
+            const errorMessage = error.response?.data?.message || 'Failed to unregister notifications';
+            throw new Error(errorMessage);
+        }
+    },
 };
 
 // Export both the service and the api instance
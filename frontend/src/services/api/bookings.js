@@ -11,15 +11,16 @@ const bookingService = {
      * @param {string} packageId - Package ID
      * @param {string} checkInDate - Check-in date (DD-MM-YYYY)
      * @param {string} checkOutDate - Check-out date (DD-MM-YYYY)
-     * @param {number} roomQuantity - Number of rooms (for rooms_only packages)
+     * @param {Object|number} rooms - Rooms of each type { resourceId: quantity }, or a number of rooms (for rooms_only packages)
      * @returns {Promise<Object>} Availability details with pricing
+     * @throws {Error} error.canJoinWaitlist when the stay is sold out (see waitlistService.joinWaitlist)
      */
-    checkAvailability: async (packageId, checkInDate, checkOutDate, roomQuantity = null) => {
+    checkAvailability: async (packageId, checkInDate, checkOutDate, rooms = null) => {
         try {
             console.log('🔍 Checking availability...');
             console.log('Package:', packageId);
             console.log('Dates:', checkInDate, '-', checkOutDate);
-            if (roomQuantity) console.log('Room Quantity:', roomQuantity);
+            if (rooms) console.log('Rooms:', rooms);
             
             const requestData = {
                 packageId,
@@ -27,8 +28,11 @@ const bookingService = {
                 checkOutDate
             };
             
-            if (roomQuantity) {
-                requestData.roomQuantity = roomQuantity;
+            // Rooms of each type, or a plain number of rooms of the first type
+            if (rooms && typeof rooms === 'object') {
+                requestData.rooms = rooms;
+            } else if (rooms) {
+                requestData.roomQuantity = rooms;
             }
             
             const response = await api.post('/bookings/check-availability', requestData);
@@ -48,26 +52,30 @@ const bookingService = {
             }
             
             const errorMessage = error.response?.data?.message || 'Failed to check availability';
-            throw new Error(errorMessage);
+            const availabilityError = new Error(errorMessage);
+            availabilityError.unavailableResources = error.response?.data?.unavailableResources || [];
+            availabilityError.canJoinWaitlist = error.response?.data?.canJoinWaitlist || false;
+            throw availabilityError;
         }
     },
 
     /**
      * Create booking order (Step 1 of payment)
      * @param {Object} bookingData - Complete booking information
-     * @param {string} bookingData.packageId - Package ID
-     * @param {string} bookingData.checkInDate - Check-in date (DD-MM-YYYY)
-     * @param {string} bookingData.checkOutDate - Check-out date (DD-MM-YYYY)
-     * @param {number} bookingData.roomQuantity - Number of rooms (optional, for rooms_only)
+     * @param {string} bookingData.quoteToken - quote.token from checkAvailability (package, dates and price)
      * @param {number} bookingData.numberOfGuests - Number of guests (optional, for reference)
      * @param {Object} bookingData.guestDetails - Guest information
      * @param {string} bookingData.specialRequests - Special requests (optional)
-     * @returns {Promise<Object>} Booking and Razorpay order details
+     * @param {boolean} bookingData.payInFull - Skip the package's advance payment (optional)
+     * @returns {Promise<Object>} Booking and Razorpay order details (deposit is null when paying in full)
+     * @param {string} bookingData.couponCode - Coupon to apply (optional)
+     * @param {string} bookingData.waitlistId - Waitlist offer the booking takes the rooms from (optional)
+     * @throws {Error} error.quoteExpired / error.priceChanged when a fresh quote is needed,
+     *                 error.couponInvalid when the coupon can no longer be used
      */
     createBookingOrder: async (bookingData) => {
         try {
             console.log('🛒 Creating booking order...');
-            console.log('Package:', bookingData.packageId);
             console.log('Guest:', bookingData.guestDetails?.fullName);
             
             const response = await api.post('/bookings/create-order', bookingData);
@@ -80,6 +88,7 @@ const bookingService = {
                 success: true,
                 booking: response.data.booking,
                 razorpay: response.data.razorpay,
+                deposit: response.data.deposit,
                 package: response.data.package,
                 dates: response.data.dates
             };
@@ -91,6 +100,42 @@ const bookingService = {
             }
             
             const errorMessage = error.response?.data?.message || 'Failed to create booking order';
+            const orderError = new Error(errorMessage);
+            orderError.quoteExpired = error.response?.data?.quoteExpired || false;
+            orderError.priceChanged = error.response?.data?.priceChanged || false;
+            orderError.couponInvalid = error.response?.data?.couponInvalid || false;
+            throw orderError;
+        }
+    },
+
+    /**
+     * Check a coupon code against the current quote (nothing is redeemed yet)
+     * @param {string} code - Coupon code entered by the guest
+     * @param {string} quoteToken - quote.token from checkAvailability
+     * @returns {Promise<Object>} Coupon and discounted pricing { subtotal, discountAmount, gst, finalAmount }
+     */
+    validateCoupon: async (code, quoteToken) => {
+        try {
+            console.log('🏷️ Validating coupon:', code);
+
+            const response = await api.post('/coupons/validate', { code, quoteToken });
+
+            console.log('✅ Coupon applied, discount:', response.data.coupon.discountAmount);
+
+            return {
+                success: true,
+                message: response.data.message,
+                coupon: response.data.coupon,
+                pricing: response.data.pricing
+            };
+        } catch (error) {
+            console.error('Error validating coupon:', error);
+
+            if (error.message === 'Network Error' || !error.response) {
+                throw new Error('Cannot connect to server.');
+            }
+
+            const errorMessage = error.response?.data?.message || 'Invalid coupon code';
             throw new Error(errorMessage);
         }
     },
@@ -120,6 +165,7 @@ const bookingService = {
             
             return {
                 success: true,
+                message: response.data.message,
                 booking: response.data.booking
             };
         } catch (error) {
@@ -134,6 +180,38 @@ const bookingService = {
         }
     },
 
+    /**
+     * Create a Razorpay order for the balance of an advance-paid booking
+     * Pay it with the Razorpay checkout, then call verifyPayment with the result
+     * @param {string} bookingId - Booking ID
+     * @returns {Promise<Object>} Balance details and Razorpay order details
+     */
+    createBalanceOrder: async (bookingId) => {
+        try {
+            console.log('💰 Creating balance order:', bookingId);
+            
+            const response = await api.post(`/bookings/${bookingId}/pay-balance`);
+            
+            console.log('✅ Balance order created:', response.data.razorpay.orderId);
+            console.log('Amount:', response.data.razorpay.amount);
+            
+            return {
+                success: true,
+                booking: response.data.booking,
+                razorpay: response.data.razorpay
+            };
+        } catch (error) {
+            console.error('Error creating balance order:', error);
+            
+            if (error.message === 'Network Error' || !error.response) {
+                throw new Error('Cannot connect to server.');
+            }
+            
+            const errorMessage = error.response?.data?.message || 'Failed to create balance payment';
+            throw new Error(errorMessage);
+        }
+    },
+
     /**
      * Fetch all bookings of logged-in user
      * @param {string} status - Optional status filter ('confirmed', 'pending', 'cancelled', etc.)
@@ -203,6 +281,128 @@ const bookingService = {
         }
     },
 
+    /**
+     * Get a short-lived link to the booking's GST tax invoice (PDF)
+     * @param {string} bookingId - Booking ID
+     * @returns {Promise<Object>} { url, invoiceNumber, expiresAt }
+     */
+    getInvoiceLink: async (bookingId) => {
+        try {
+            console.log('🧾 Fetching invoice link:', bookingId);
+            
+            const response = await api.get(`/bookings/${bookingId}/invoice/link`);
+            
+            console.log('✅ Invoice link ready:', response.data.data.invoiceNumber);
+            
+            return {
+                success: true,
+                ...response.data.data
+            };
+        } catch (error) {
+            console.error('Error fetching invoice link:', error);
+            
+            if (error.message === 'Network Error' || !error.response) {
+                throw new Error('Cannot connect to server.');
+            }
+            
+            if (error.response?.status === 404) {
+                throw new Error(error.response.data?.message || 'Invoice not available yet');
+            }
+            
+            const errorMessage = error.response?.data?.message || 'Failed to fetch invoice';
+            throw new Error(errorMessage);
+        }
+    },
+
+    /**
+     * Get a short-lived link to a GST credit note (PDF) of a cancelled booking
+     * @param {string} bookingId - Booking ID
+     * @param {string} creditNoteId - Credit note ID (booking.documents.creditNotes)
+     * @returns {Promise<Object>} { url, creditNoteNumber, expiresAt }
+     */
+    getCreditNoteLink: async (bookingId, creditNoteId) => {
+        try {
+            console.log('🧾 Fetching credit note link:', creditNoteId);
+            
+            const response = await api.get(`/bookings/${bookingId}/credit-notes/${creditNoteId}/link`);
+            
+            console.log('✅ Credit note link ready:', response.data.data.creditNoteNumber);
+            
+            return {
+                success: true,
+                ...response.data.data
+            };
+        } catch (error) {
+            console.error('Error fetching credit note link:', error);
+            
+            if (error.message === 'Network Error' || !error.response) {
+                throw new Error('Cannot connect to server.');
+            }
+            
+            const errorMessage = error.response?.data?.message || 'Failed to fetch credit note';
+            throw new Error(errorMessage);
+        }
+    },
+
+    /**
+     * Get a short-lived link to a GST debit note (PDF) issued when a change raised the booking total
+     * @param {string} bookingId - Booking ID
+     * @param {string} debitNoteId - Debit note ID (booking.documents.debitNotes)
+     * @returns {Promise<Object>} { url, debitNoteNumber, expiresAt }
+     */
+    getDebitNoteLink: async (bookingId, debitNoteId) => {
+        try {
+            console.log('🧾 Fetching debit note link:', debitNoteId);
+            
+            const response = await api.get(`/bookings/${bookingId}/debit-notes/${debitNoteId}/link`);
+            
+            console.log('✅ Debit note link ready:', response.data.data.debitNoteNumber);
+            
+            return {
+                success: true,
+                ...response.data.data
+            };
+        } catch (error) {
+            console.error('Error fetching debit note link:', error);
+            
+            if (error.message === 'Network Error' || !error.response) {
+                throw new Error('Cannot connect to server.');
+            }
+            
+            const errorMessage = error.response?.data?.message || 'Failed to fetch debit note';
+            throw new Error(errorMessage);
+        }
+    },
+
+    /**
+     * Preview the refund for cancelling a booking now
+     * @param {string} bookingId - Booking ID
+     * @returns {Promise<Object>} { canCancel, refundAmount, refundPercentage, paidAmount, nonRefundableAmount, reason, policy }
+     */
+    getCancellationPreview: async (bookingId) => {
+        try {
+            console.log('🧮 Fetching cancellation preview:', bookingId);
+            
+            const response = await api.get(`/bookings/${bookingId}/cancellation-preview`);
+            
+            console.log('✅ Cancellation preview:', response.data.data.refundAmount);
+            
+            return {
+                success: true,
+                preview: response.data.data
+            };
+        } catch (error) {
+            console.error('Error fetching cancellation preview:', error);
+            
+            if (error.message === 'Network Error' || !error.response) {
+                throw new Error('Cannot connect to server.');
+            }
+            
+            const errorMessage = error.response?.data?.message || 'Failed to fetch cancellation details';
+            throw new Error(errorMessage);
+        }
+    },
+
     /**
      * Cancel a booking
      * @param {string} bookingId - Booking ID
@@ -222,6 +422,7 @@ const bookingService = {
             
             return {
                 success: true,
+                message: response.data.message,
                 booking: response.data.data
             };
         } catch (error) {
@@ -238,6 +439,150 @@ const bookingService = {
             const errorMessage = error.response?.data?.message || 'Failed to cancel booking';
             throw new Error(errorMessage);
         }
+    },
+
+    /**
+     * Price and availability of moving a booking to new dates (nothing is held)
+     * @param {string} bookingId - Booking ID
+     * @param {string} checkInDate - New check-in (DD-MM-YYYY)
+     * @param {string} checkOutDate - New check-out (DD-MM-YYYY)
+     * @returns {Promise<Object>} { available, pricing, previousAmount, difference, settlement, policy }
+     */
+    previewReschedule: async (bookingId, checkInDate, checkOutDate) => {
+        try {
+            console.log('🗓️ Previewing date change:', bookingId, checkInDate, checkOutDate);
+
+            const response = await api.get(`/bookings/${bookingId}/reschedule-preview`, {
+                params: { checkInDate, checkOutDate }
+            });
+
+            console.log('✅ Date change preview:', response.data.data.settlement);
+
+            return {
+                success: true,
+                preview: response.data.data
+            };
+        } catch (error) {
+            console.error('Error previewing date change:', error);
+
+            if (error.message === 'Network Error' || !error.response) {
+                throw new Error('Cannot connect to server.');
+            }
+
+            const errorMessage = error.response?.data?.message || 'Failed to check the new dates';
+            throw new Error(errorMessage);
+        }
+    },
+
+    /**
+     * Move a booking to new dates
+     * If the new total is higher on a paid booking, razorpay holds the order for
+     * the difference - the change only happens once it is paid (verifyPayment).
+     * @param {string} bookingId - Booking ID
+     * @param {string} checkInDate - New check-in (DD-MM-YYYY)
+     * @param {string} checkOutDate - New check-out (DD-MM-YYYY)
+     * @returns {Promise<Object>} { message, change, booking, razorpay }
+     */
+    rescheduleBooking: async (bookingId, checkInDate, checkOutDate) => {
+        try {
+            console.log('🗓️ Changing booking dates:', bookingId, checkInDate, checkOutDate);
+
+            const response = await api.post(`/bookings/${bookingId}/reschedule`, {
+                checkInDate,
+                checkOutDate
+            });
+
+            console.log('✅ Date change:', response.data.change?.status);
+
+            return {
+                success: true,
+                message: response.data.message,
+                change: response.data.change,
+                booking: response.data.booking || null,
+                razorpay: response.data.razorpay || null
+            };
+        } catch (error) {
+            console.error('Error changing booking dates:', error);
+
+            if (error.message === 'Network Error' || !error.response) {
+                throw new Error('Cannot connect to server.');
+            }
+
+            const errorMessage = error.response?.data?.message || 'Failed to change booking dates';
+            throw new Error(errorMessage);
+        }
+    },
+
+    /**
+     * Price and availability of changing the number of rooms of one booked type (nothing is held)
+     * @param {string} bookingId - Booking ID
+     * @param {string} resourceId - Booked room type
+     * @param {number} quantity - New number of rooms of that type
+     * @returns {Promise<Object>} { rooms, available, pricing, previousAmount, difference, settlement, policy }
+     */
+    previewRoomChange: async (bookingId, resourceId, quantity) => {
+        try {
+            console.log('🛏️ Previewing room change:', bookingId, resourceId, quantity);
+
+            const response = await api.get(`/bookings/${bookingId}/rooms-preview`, {
+                params: { resourceId, quantity }
+            });
+
+            console.log('✅ Room change preview:', response.data.data.settlement);
+
+            return {
+                success: true,
+                preview: response.data.data
+            };
+        } catch (error) {
+            console.error('Error previewing room change:', error);
+
+            if (error.message === 'Network Error' || !error.response) {
+                throw new Error('Cannot connect to server.');
+            }
+
+            const errorMessage = error.response?.data?.message || 'Failed to check the rooms';
+            throw new Error(errorMessage);
+        }
+    },
+
+    /**
+     * Add or remove rooms of a booked room type
+     * If the new total is higher on a paid booking, razorpay holds the order for
+     * the difference - the change only happens once it is paid (verifyPayment).
+     * @param {string} bookingId - Booking ID
+     * @param {string} resourceId - Booked room type
+     * @param {number} quantity - New number of rooms of that type
+     * @returns {Promise<Object>} { message, change, booking, razorpay }
+     */
+    changeRooms: async (bookingId, resourceId, quantity) => {
+        try {
+            console.log('🛏️ Changing booking rooms:', bookingId, resourceId, quantity);
+
+            const response = await api.post(`/bookings/${bookingId}/rooms`, {
+                resourceId,
+                quantity
+            });
+
+            console.log('✅ Room change:', response.data.change?.status);
+
+            return {
+                success: true,
+                message: response.data.message,
+                change: response.data.change,
+                booking: response.data.booking || null,
+                razorpay: response.data.razorpay || null
+            };
+        } catch (error) {
+            console.error('Error changing booking rooms:', error);
+
+            if (error.message === 'Network Error' || !error.response) {
+                throw new Error('Cannot connect to server.');
+            }
+
+            const errorMessage = error.response?.data?.message || 'Failed to change booking rooms';
+            throw new Error(errorMessage);
+        }
     }
 
 }
@@ -100,19 +100,22 @@ const packageService = {
             throw new Error(errorMessage);
         }
     },
-    calculatePrice: async (packageId, checkInDate, checkOutDate, roomQuantity = null) => {
+    calculatePrice: async (packageId, checkInDate, checkOutDate, rooms = null) => {
         try {
             console.log('💰 Calculating price for package:', packageId);
             console.log('Dates:', checkInDate, '-', checkOutDate);
-            if (roomQuantity) console.log('Room Quantity:', roomQuantity);
+            if (rooms) console.log('Rooms:', rooms);
             
             const requestData = {
                 checkInDate,
                 checkOutDate
             };
             
-            if (roomQuantity) {
-                requestData.roomQuantity = roomQuantity;
+            // Rooms of each type, or a plain number of rooms of the first type
+            if (rooms && typeof rooms === 'object') {
+                requestData.rooms = rooms;
+            } else if (rooms) {
+                requestData.roomQuantity = rooms;
             }
             
             const response = await api.post(`/packages/${packageId}/calculate-price`, requestData);
@@ -0,0 +1,147 @@
+import { api } from './auth';
+
+/**
+ * Waitlist Service
+ * Handles waitlist API calls for sold-out stays
+ */
+const waitlistService = {
+    /**
+     * Join the waitlist for a sold-out stay (same details as checkAvailability)
+     * @param {string} packageId - Package ID
+     * @param {string} checkInDate - Check-in date (DD-MM-YYYY)
+     * @param {string} checkOutDate - Check-out date (DD-MM-YYYY)
+     * @param {Object|number} rooms - Rooms of each type { resourceId: quantity }, or a number of rooms (for rooms_only packages)
+     * @returns {Promise<Object>} Waitlist entry with its position
+     */
+    joinWaitlist: async (packageId, checkInDate, checkOutDate, rooms = null) => {
+        try {
+            console.log('⏳ Joining waitlist...');
+            console.log('Package:', packageId);
+            console.log('Dates:', checkInDate, '-', checkOutDate);
+
+            const requestData = {
+                packageId,
+                checkInDate,
+                checkOutDate
+            };
+
+            if (rooms && typeof rooms === 'object') {
+                requestData.rooms = rooms;
+            } else if (rooms) {
+                requestData.roomQuantity = rooms;
+            }
+
+            const response = await api.post('/waitlist', requestData);
+
+            console.log('✅ Waitlist position:', response.data.data.position);
+
+            return {
+                success: true,
+                message: response.data.message,
+                entry: response.data.data
+            };
+        } catch (error) {
+            console.error('Error joining waitlist:', error);
+
+            if (error.message === 'Network Error' || !error.response) {
+                throw new Error('Cannot connect to server.');
+            }
+
+            const errorMessage = error.response?.data?.message || 'Failed to join waitlist';
+            throw new Error(errorMessage);
+        }
+    },
+
+    /**
+     * Fetch the logged-in user's waitlist entries (open offers first)
+     * @param {string} status - Optional status filter ('waiting', 'offered', etc.)
+     * @returns {Promise<Array>} Array of waitlist entries
+     */
+    fetchMyWaitlist: async (status = null) => {
+        try {
+            console.log('⏳ Fetching my waitlist...');
+
+            const url = status ? `/waitlist/my-waitlist?status=${status}` : '/waitlist/my-waitlist';
+            const response = await api.get(url);
+
+            console.log('✅ Waitlist fetched:', response.data.count);
+
+            return {
+                success: true,
+                entries: response.data.data,
+                count: response.data.count
+            };
+        } catch (error) {
+            console.error('Error fetching waitlist:', error);
+
+            if (error.message === 'Network Error' || !error.response) {
+                throw new Error('Cannot connect to server.');
+            }
+
+            const errorMessage = error.response?.data?.message || 'Failed to fetch waitlist';
+            throw new Error(errorMessage);
+        }
+    },
+
+    /**
+     * Price a stay offered from the waitlist (the offer holds the rooms)
+     * @param {string} waitlistId - Waitlist entry ID
+     * @returns {Promise<Object>} Same shape as checkAvailability, plus waitlistId and offerExpiresAt
+     */
+    getOfferQuote: async (waitlistId) => {
+        try {
+            console.log('💰 Pricing waitlist offer:', waitlistId);
+
+            const response = await api.post(`/waitlist/${waitlistId}/quote`);
+
+            console.log('✅ Offer priced:', response.data.pricing.finalAmount);
+
+            return {
+                success: true,
+                available: true,
+                data: response.data
+            };
+        } catch (error) {
+            console.error('Error pricing waitlist offer:', error);
+
+            if (error.message === 'Network Error' || !error.response) {
+                throw new Error('Cannot connect to server.');
+            }
+
+            const errorMessage = error.response?.data?.message || 'This offer is no longer available';
+            throw new Error(errorMessage);
+        }
+    },
+
+    /**
+     * Leave the waitlist (an open offer goes to the next guest)
+     * @param {string} waitlistId - Waitlist entry ID
+     * @returns {Promise<Object>} Closed waitlist entry
+     */
+    leaveWaitlist: async (waitlistId) => {
+        try {
+            console.log('🚪 Leaving waitlist:', waitlistId);
+
+            const response = await api.delete(`/waitlist/${waitlistId}`);
+
+            console.log('✅ Left waitlist');
+
+            return {
+                success: true,
+                message: response.data.message,
+                entry: response.data.data
+            };
+        } catch (error) {
+            console.error('Error leaving waitlist:', error);
+
+            if (error.message === 'Network Error' || !error.response) {
+                throw new Error('Cannot connect to server.');
+            }
+
+            const errorMessage = error.response?.data?.message || 'Failed to leave waitlist';
+            throw new Error(errorMessage);
+        }
+    }
+};
+
+export default waitlistService;
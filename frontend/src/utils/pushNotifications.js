@@ -0,0 +1,100 @@
+import { Platform } from 'react-native';
+import * as Notifications from 'expo-notifications';
+import * as Device from 'expo-device';
+import Constants from 'expo-constants';
+import authService from '../services/api/auth';
+import { getPushToken, savePushToken, removePushToken } from './storage';
+
+// Show notifications as a banner even while the app is open
+Notifications.setNotificationHandler({
+  handleNotification: async () => ({
+    shouldShowBanner: true,
+    shouldShowList: true,
+    shouldPlaySound: true,
+    shouldSetBadge: false,
+  }),
+});
+
+/**
+ * Ask for permission, get this device's Expo push token and register it
+ * with the backend. Called after every login / app start while logged in.
+ * @returns {Promise<string|null>} push token, or null if not available
+ */
+export const registerForPushNotifications = async () => {
+  try {
+    if (!Device.isDevice) {
+      console.log('ℹ️ Push notifications need a physical device');
+      return null;
+    }
+
+    if (Platform.OS === 'android') {
+      await Notifications.setNotificationChannelAsync('default', {
+        name: 'Booking updates',
+        importance: Notifications.AndroidImportance.HIGH,
+      });
+    }
+
+    let { status } = await Notifications.getPermissionsAsync();
+    if (status !== 'granted') {
+      ({ status } = await Notifications.requestPermissionsAsync());
+    }
+
+    if (status !== 'granted') {
+      console.log('ℹ️ Push notification permission not granted');
+      return null;
+    }
+
+    const projectId = Constants.expoConfig?.extra?.eas?.projectId ?? Constants.easConfig?.projectId;
+    const { data: token } = await Notifications.getExpoPushTokenAsync(projectId ? { projectId } : undefined);
+
+    const previousToken = await getPushToken();
+    await authService.registerPushToken(token, Platform.OS, previousToken !== token ? previousToken : null);
+    await savePushToken(token);
+
+    console.log('🔔 Push token registered');
+    return token;
+  } catch (error) {
+    // Push is optional - the app works without it
+    console.error('Error registering for push notifications:', error);
+    return null;
+  }
+};
+
+/**
+ * Stop push notifications to this device (call before clearing the auth token)
+ * @returns {Promise<void>}
+ */
+export const unregisterPushNotifications = async () => {
+  try {
+    const token = await getPushToken();
+    if (token) {
+      await authService.unregisterPushToken(token);
+    }
+  } catch (error) {
+    console.error('Error unregistering push notifications:', error);
+  } finally {
+    await removePushToken();
+  }
+};
+
+/**
+ * Booking a tapped notification is about
+ * The backend sends data: { screen: 'MyBookingDetail', bookingId }
+ * @param {object} response - Notification response from expo-notifications
+ * @returns {string|null} booking ID
+ */
+export const getBookingIdFromNotification = (response) => {
+  const data = response?.notification?.request?.content?.data;
+  return data?.screen === 'MyBookingDetail' && data.bookingId ? data.bookingId : null;
+};
+
+/**
+ * Whether a tapped notification is about a waitlist offer
+ * The backend sends data: { screen: 'Waitlist', waitlistId }
+ * @param {object} response - Notification response from expo-notifications
+ * @returns {boolean}
+ */
+export const isWaitlistNotification = (response) => {
+  const data = response?.notification?.request?.content?.data;
+  return data?.screen === 'Waitlist';
+};
@@ -5,7 +5,9 @@ import AsyncStorage from '@react-native-async-storage/async-storage';
 const STORAGE_KEYS = {
   HAS_SEEN_WELCOME: '@bhavan_has_seen_welcome',
   USER_TOKEN: '@bhavan_user_token',
+  REFRESH_TOKEN: '@bhavan_refresh_token',
   USER_DATA: '@bhavan_user_data',
+  PUSH_TOKEN: '@bhavan_push_token',
 };
 
 /**
@@ -120,6 +122,95 @@ export const removeToken = async () => {
   }
 };
 
+/**
+* Save the refresh token (swapped for a new access token when it expires)
+* @param {string} refreshToken - Refresh token from login / refresh
+* @returns {Promise<void>}
+*/
+export const saveRefreshToken = async (refreshToken) => {
+  try {
+    await AsyncStorage.setItem(STORAGE_KEYS.REFRESH_TOKEN, refreshToken);
+  } catch (error) {
+    console.error('Error saving refresh token:', error);
+    throw error;
+  }
+};
+
+/**
+* Get stored refresh token
+* @returns {Promise<string|null>} refresh token or null
+*/
+export const getRefreshToken = async () => {
+  try {
+    return await AsyncStorage.getItem(STORAGE_KEYS.REFRESH_TOKEN);
+  } catch (error) {
+    console.error('Error getting refresh token:', error);
+    return null;
+  }
+};
+
+/**
+* Remove refresh token (logout)
+* @returns {Promise<void>}
+*/
+export const removeRefreshToken = async () => {
+  try {
+    await AsyncStorage.removeItem(STORAGE_KEYS.REFRESH_TOKEN);
+  } catch (error) {
+    console.error('Error removing refresh token:', error);
+  }
+};
+
+/**
+* Remove stored user data (logout)
+* @returns {Promise<void>}
+*/
+export const removeUser = async () => {
+  try {
+    await AsyncStorage.removeItem(STORAGE_KEYS.USER_DATA);
+  } catch (error) {
+    console.error('Error removing user data:', error);
+  }
+};
+
+/**
+* Save the Expo push token registered with the backend
+* @param {string} token - Expo push token
+* @returns {Promise<void>}
+*/
+export const savePushToken = async (token) => {
+  try {
+    await AsyncStorage.setItem(STORAGE_KEYS.PUSH_TOKEN, token);
+  } catch (error) {
+    console.error('Error saving push token:', error);
+  }
+};
+
+/**
+* Get the registered Expo push token
+* @returns {Promise<string|null>} token or null
+*/
+export const getPushToken = async () => {
+  try {
+    return await AsyncStorage.getItem(STORAGE_KEYS.PUSH_TOKEN);
+  } catch (error) {
+    console.error('Error getting push token:', error);
+    return null;
+  }
+};
+
+/**
+* Remove the registered Expo push token (logout)
+* @returns {Promise<void>}
+*/
+export const removePushToken = async () => {
+  try {
+    await AsyncStorage.removeItem(STORAGE_KEYS.PUSH_TOKEN);
+  } catch (error) {
+    console.error('Error removing push token:', error);
+  }
+};
+
 /**
 * Clear all app data (useful for testing)
 * @returns {Promise<void>}